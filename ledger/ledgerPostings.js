@@ -0,0 +1,160 @@
+// Double-entry postings derived from journal entries.
+// Every JournalEntry that moves money is saved with one LedgerPosting whose legs sum to zero:
+// a positive amount is money coming into the account, a negative one money leaving it.
+// Budget balances are the sum of the legs on `budget:<id>`; Budget.currentAmount is kept as its cached value.
+
+// Accounts of the chart:
+// income      salary and gains entering the user's money
+// budget      one account per envelope (accountId = Budget _id)
+// objective   one account per savings objective (accountId = Objective _id)
+// tontine     one account per tontine (accountId = Tontine _id, shared by its members)
+// savings     the user's savings wallet (accountId = SavingsWallet _id), credited by gains
+// external    money leaving the envelopes (spending, or gains kept in the pocket)
+// adjustment  non-cash counterpart: limits of the parent envelopes in a cascade, reconciliations
+const ACCOUNT_TYPES = ['income', 'budget', 'objective', 'tontine', 'savings', 'external', 'adjustment'];
+
+// Amounts are compared to the centime
+const TOLERANCE = 0.01;
+
+const round = (n) => Math.round(Number(n || 0) * 100) / 100;
+const idOf = (v) => (v ? v.toString() : null);
+
+function accountKey(entry) {
+  return entry.accountId ? `${entry.accountType}:${idOf(entry.accountId)}` : entry.accountType;
+}
+
+function isBalanced(entries) {
+  return (entries || []).length >= 2 && Math.abs(round(entries.reduce((s, e) => s + Number(e.amount || 0), 0))) <= TOLERANCE;
+}
+
+// Account credited by an expense posting: the objective or tontine it funds, otherwise the outside world
+function expenseCounterpart(meta) {
+  if (meta.objectiveId) return { accountType: 'objective', accountId: meta.objectiveId };
+  if (meta.tontineId) return { accountType: 'tontine', accountId: meta.tontineId };
+  return { accountType: 'external', accountId: null };
+}
+
+// Amount each budget moves as the source of an entry journaled before limits were recorded:
+// its split lines, the budget the expense was logged on, or the envelope a gain funded
+function legacySources(je) {
+  const meta = je.meta || {};
+  const tx = meta.transaction || {};
+  const sources = new Map();
+  const add = (budgetId, amount) => {
+    if (budgetId) sources.set(idOf(budgetId), round((sources.get(idOf(budgetId)) || 0) + Math.abs(Number(amount || 0))));
+  };
+  const lines = (meta.lines && meta.lines.length) ? meta.lines : (tx.lines || []);
+  if (lines.length) lines.forEach(l => add(l.budgetId, l.amount));
+  else add(meta.sourceBudget || tx.budgetId, je.amount);
+  if (meta.savings && meta.savings.funded) add(meta.savings.funded.budgetId, meta.savings.funded.amount);
+  return sources;
+}
+
+// Part of an affected budget's movement that is a limit, not money: the parents of an expense cascade
+// (or of a funded gain) move by the amount of their children without receiving or spending it.
+// Declared per affected budget (`limit`, see planTransactionDebits); entries journaled before that infer it.
+function cascadeLimit(je, affected) {
+  if (affected.limit !== undefined && affected.limit !== null) return round(affected.limit);
+  const moved = Math.abs(Number(affected.after || 0) - Number(affected.before || 0));
+  return round(Math.max(0, moved - (legacySources(je).get(idOf(affected.budgetId)) || 0)));
+}
+
+// Adjustment leg of the limits of a cascade: limits consumed by a debit, given back by a credit
+function limitLeg(je) {
+  const amount = (je.affected || []).reduce((s, a) => s + (Number(a.after || 0) < Number(a.before || 0) ? 1 : -1) * cascadeLimit(je, a), 0);
+  return { accountType: 'adjustment', accountId: null, amount: round(amount) };
+}
+
+// Counterpart legs of the named rules, computed from the entry itself and not from its budget legs, so that
+// a posting only balances when the budgets moved as the rule says. `adjustment` is only used by the limits of
+// a cascade and by reconciliations; an unknown rule throws.
+function counterpartLegs(je, budgetLegs) {
+  const rule = je.ruleApplied || '';
+  const meta = je.meta || {};
+  const amount = round(je.amount);
+  const openings = round(((meta.openings) || []).reduce((s, o) => s + Number(o.amount || 0), 0));
+
+  if (/^(cascade_|reverse_expense)/.test(rule)) return [{ ...expenseCounterpart(meta), amount }, limitLeg(je)];
+  if (/^rollover_/.test(rule)) {
+    // Swept leftover goes to the savings objective, or the savings wallet; a root envelope is refilled from income
+    const legs = [];
+    if (meta.swept) {
+      legs.push(meta.savingsObjectiveId
+        ? { accountType: 'objective', accountId: meta.savingsObjectiveId, amount: round(meta.swept) }
+        : { accountType: 'savings', accountId: meta.walletId || null, amount: round(meta.swept) });
+    }
+    if (!meta.parentBudget) legs.push({ accountType: 'income', accountId: null, amount: -round(meta.refill) });
+    return legs;
+  }
+  if (/^savings_to_/.test(rule)) {
+    // Savings moved out of the wallet into a budget (budget leg) or an objective
+    const legs = [{ accountType: 'savings', accountId: meta.walletId, amount: -amount }];
+    if (meta.objectiveId) legs.push({ accountType: 'objective', accountId: meta.objectiveId, amount });
+    return legs;
+  }
+  // The salary opens the primary budget (first opening) and flows down to the envelopes it funds
+  if (/^initial_budget_allocation/.test(rule)) return [{ accountType: 'income', accountId: null, amount: -round((meta.openings || [])[0] ? meta.openings[0].amount : 0) }];
+  if (/^budget_opening/.test(rule)) return [{ accountType: 'income', accountId: null, amount: -openings }];
+  // Without parent, the difference comes from / the balance goes back to income
+  if (/^budget_amount_change/.test(rule)) return meta.parentBudget ? [] : [{ accountType: 'income', accountId: null, amount: -amount }];
+  if (/^budget_deletion/.test(rule)) return meta.parentBudget ? [] : [{ accountType: 'income', accountId: null, amount }];
+  // Moves between envelopes: budget legs only
+  if (/^(budget_transfer|budget_template|allocation_weekly_from_month)/.test(rule)) return [];
+  // Reconciliations realign a budget on a computed balance: adjustment is their counterpart
+  if (/^reconcile_/.test(rule)) return [{ accountType: 'adjustment', accountId: null, amount: round(-budgetLegs.reduce((s, l) => s + l.amount, 0)) }];
+  throw new Error(`Règle sans écriture comptable: ${rule || '(aucune)'}`);
+}
+
+// Balanced legs ([{ accountType, accountId, amount }]) of a journal entry:
+// - one leg per affected budget (after - before), plus `meta.openings` for envelopes created by the entry
+// - gains move money from income to the savings wallet and the objectives of its split (`meta.savings`);
+//   gains journaled before the wallet existed went to the pocket (external). In irregular income mode
+//   (`gain_to_budget`) the rest funds the envelope and its parent: the parent's limit is balanced on adjustment
+// - the counterparts of the rule (see counterpartLegs)
+// A 'ledger_repair' entry realigns Budget.currentAmount on the journal: no money moves, no legs.
+function buildPostingEntries(je) {
+  const rule = je.ruleApplied || '';
+  if (rule === 'ledger_repair') return [];
+
+  const byBudget = new Map();
+  const add = (budgetId, amount) => {
+    const key = idOf(budgetId);
+    byBudget.set(key, { accountType: 'budget', accountId: budgetId, amount: round((byBudget.has(key) ? byBudget.get(key).amount : 0) + Number(amount || 0)) });
+  };
+  for (const o of (je.meta && je.meta.openings) || []) add(o.budgetId, o.amount);
+  for (const a of je.affected || []) add(a.budgetId, Number(a.after || 0) - Number(a.before || 0));
+  const budgetLegs = [...byBudget.values()];
+
+  if (/^(gain_to_|reverse_gain)/.test(rule)) {
+    const amount = round(je.amount);
+    const savings = je.meta && je.meta.savings;
+    if (!amount) return [];
+    if (!savings) return [{ accountType: 'income', accountId: null, amount: -amount }, { accountType: 'external', accountId: null, amount }];
+    // The split is stored positive; a reversal (negative amount) withdraws it
+    const sign = amount < 0 ? -1 : 1;
+    const legs = [
+      { accountType: 'income', accountId: null, amount: -amount },
+      { accountType: 'savings', accountId: savings.walletId, amount: round(sign * savings.held) },
+      ...(savings.objectives || []).map(o => ({ accountType: 'objective', accountId: o.objectiveId, amount: round(sign * o.amount) })),
+      ...budgetLegs,
+      limitLeg(je)
+    ];
+    return legs.filter(l => Math.abs(l.amount) > TOLERANCE);
+  }
+
+  return [...budgetLegs, ...counterpartLegs(je, budgetLegs)].filter(l => Math.abs(l.amount) > TOLERANCE);
+}
+
+// Balances per account key from a list of postings
+function sumPostings(postings) {
+  const balances = new Map();
+  for (const p of postings) {
+    for (const e of p.entries || []) {
+      const key = accountKey(e);
+      balances.set(key, round((balances.get(key) || 0) + Number(e.amount || 0)));
+    }
+  }
+  return balances;
+}
+
+module.exports = { ACCOUNT_TYPES, TOLERANCE, accountKey, isBalanced, cascadeLimit, buildPostingEntries, sumPostings };
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { accountKey, isBalanced, buildPostingEntries, sumPostings } = require('./ledgerPostings');
+
+// Amounts are compared to the centime
+const TOLERANCE = 0.01;
+// Entries written within this window with the same content are reported as duplicates
+const DUPLICATE_WINDOW_MS = 2000;
+// Journal entries that re-sync a budget: their `before` is not expected to follow the previous `after`
+const RESYNC_RULES = ['ledger_repair'];
+
+const round = (n) => Math.round(Number(n || 0) * 100) / 100;
+const differs = (a, b) => Math.abs(round(a) - round(b)) > TOLERANCE;
+const idOf = (v) => (v ? v.toString() : null);
+
+// Verifier working on plain documents, so that it runs both inside the API (mongoose models of serve.js)
+// and from scripts/verify_ledger.js (loose models on the same collections).
+// models: { Budget, JournalEntry, Transaction, Day, LedgerPosting, SavingsWallet }
+// (LedgerPosting optional: double-entry checks; SavingsWallet optional: wallet balance against its postings)
+function createLedgerVerifier({ Budget, JournalEntry, Transaction, Day, LedgerPosting = null, SavingsWallet = null }) {
+  // Replay the user's journal and compare it with budgets, transactions and Day totals.
+  // Returns { userId, checked, findings, repairable, repairToken }.
+  async function verifyUser(userId) {
+    const [budgets, entries, transactions, days, postings, wallet] = await Promise.all([
+      Budget.find({ userId }).lean(),
+      JournalEntry.find({ userId }).sort({ createdAt: 1, _id: 1 }).lean(),
+      Transaction.find({ userId }).lean(),
+      Day.find({ userId }).sort({ date: 1 }).lean(),
+      LedgerPosting ? LedgerPosting.find({ userId }).lean() : Promise.resolve(null),
+      SavingsWallet ? SavingsWallet.findOne({ userId }).lean() : Promise.resolve(null)
+    ]);
+    const findings = [];
+    const budgetById = new Map(budgets.map(b => [idOf(b._id), b]));
+
+    // 1) Replay: every `before` must continue the budget's previous `after`; the last `after` is the expected balance
+    const replayed = new Map();
+    const unknownBudgets = new Set();
+    for (const entry of entries) {
+      for (const a of entry.affected || []) {
+        const budgetId = idOf(a.budgetId);
+        if (!budgetById.has(budgetId)) {
+          unknownBudgets.add(budgetId);
+          continue;
+        }
+        const previous = replayed.get(budgetId);
+        if (previous && !RESYNC_RULES.includes(entry.ruleApplied) && differs(previous.after, a.before)) {
+          findings.push({
+            type: 'journal_gap', severity: 'error', budgetId, journalEntryId: idOf(entry._id), previousEntryId: previous.entryId,
+            expected: round(previous.after), actual: round(a.before), diff: round(a.before - previous.after),
+            message: `Mouvement non journalisé sur "${budgetById.get(budgetId).name}" avant l'écriture ${idOf(entry._id)}`
+          });
+        }
+        replayed.set(budgetId, { after: Number(a.after || 0), entryId: idOf(entry._id) });
+      }
+      if (entry.ruleApplied === 'reconcile_primary_current_amount') {
+        findings.push({
+          type: 'silent_reconcile', severity: 'info', journalEntryId: idOf(entry._id), date: entry.createdAt,
+          message: 'Ajustement automatique du budget principal (calculateBudgetsAvailable)'
+        });
+      }
+    }
+    for (const budgetId of unknownBudgets) {
+      findings.push({ type: 'unknown_budget', severity: 'warning', budgetId, message: `Budget ${budgetId} présent dans le journal mais supprimé` });
+    }
+
+    // 2) Budget state against the replay
+    for (const b of budgets) {
+      const budgetId = idOf(b._id);
+      const state = replayed.get(budgetId);
+      if (state) {
+        if (differs(state.after, b.currentAmount)) {
+          findings.push({
+            type: 'budget_drift', severity: 'error', budgetId, expected: round(state.after), actual: round(b.currentAmount),
+            diff: round(Number(b.currentAmount || 0) - state.after), repairable: true,
+            message: `"${b.name}": solde ${round(b.currentAmount)} au lieu de ${round(state.after)} d'après le journal`
+          });
+        }
+      } else if (differs(b.initialAmount, b.currentAmount)) {
+        findings.push({
+          type: 'unjournaled_budget', severity: 'warning', budgetId, expected: round(b.initialAmount), actual: round(b.currentAmount),
+          message: `"${b.name}" a changé sans aucune écriture de journal`
+        });
+      }
+    }
+
+    // 3) Postings per transaction: a live transaction has exactly one posting not compensated, a deleted one none
+    const byTransaction = new Map();
+    for (const entry of entries) {
+      const txId = idOf(entry.transactionId);
+      if (!txId) continue;
+      if (!byTransaction.has(txId)) byTransaction.set(txId, { postings: [], reversals: 0 });
+      const group = byTransaction.get(txId);
+      if (/^reverse_/.test(entry.ruleApplied || '')) group.reversals++;
+      else group.postings.push(idOf(entry._id));
+    }
+    const transactionIds = new Set(transactions.map(t => idOf(t._id)));
+    for (const [txId, group] of byTransaction) {
+      const live = group.postings.length - group.reversals;
+      if (transactionIds.has(txId) && live > 1) {
+        findings.push({ type: 'duplicate_posting', severity: 'error', transactionId: txId, journalEntryIds: group.postings, message: `Transaction ${txId} postée ${live} fois` });
+      } else if (!transactionIds.has(txId) && live > 0) {
+        findings.push({ type: 'orphan_posting', severity: 'warning', transactionId: txId, journalEntryIds: group.postings, message: `Écriture pour la transaction ${txId} supprimée sans compensation` });
+      }
+    }
+    for (const t of transactions) {
+      const group = byTransaction.get(idOf(t._id));
+      if (!group || group.postings.length - group.reversals < 1) {
+        findings.push({ type: 'unposted_transaction', severity: 'warning', transactionId: idOf(t._id), date: t.date, message: `Transaction ${idOf(t._id)} sans écriture de journal` });
+      }
+    }
+
+    // Same content written twice in a row (double submit that bypassed the idempotency checks)
+    const signature = (e) => JSON.stringify([e.ruleApplied, round(e.amount), idOf(e.transactionId), (e.affected || []).map(a => [idOf(a.budgetId), round(a.before), round(a.after)])]);
+    const lastBySignature = new Map();
+    for (const entry of entries) {
+      const sig = signature(entry);
+      const previous = lastBySignature.get(sig);
+      if (previous && new Date(entry.createdAt) - new Date(previous.createdAt) <= DUPLICATE_WINDOW_MS) {
+        findings.push({ type: 'duplicate_entry', severity: 'warning', journalEntryId: idOf(entry._id), duplicateOf: idOf(previous._id), message: `Écriture ${idOf(entry._id)} identique à ${idOf(previous._id)}` });
+      }
+      lastBySignature.set(sig, entry);
+    }
+
+    // 4) Day totals against the transactions, and the pocket chain
+    const totalsByDate = new Map();
+    for (const t of transactions) {
+      if (!totalsByDate.has(t.date)) totalsByDate.set(t.date, { gains: 0, expenses: 0 });
+      const totals = totalsByDate.get(t.date);
+      if (t.type === 'gain') totals.gains += Number(t.amount || 0);
+      if (t.type === 'expense') totals.expenses += Number(t.amount || 0);
+    }
+    let pocket = null;
+    for (const d of days) {
+      const totals = totalsByDate.get(d.date) || { gains: 0, expenses: 0 };
+      // Locked days are reported but never rewritten: the chain continues from their stored pocket
+      if (differs(d.gains, totals.gains) || differs(d.expenses, totals.expenses)) {
+        findings.push({
+          type: 'day_totals', severity: 'error', date: d.date, repairable: !d.locked,
+          expected: { gains: round(totals.gains), expenses: round(totals.expenses) }, actual: { gains: round(d.gains), expenses: round(d.expenses) },
+          message: `Jour ${d.date}: totaux différents des transactions`
+        });
+      }
+      const initialPocket = pocket === null ? Number(d.initialPocket || 0) : pocket;
+      const finalPocket = initialPocket + totals.gains - totals.expenses;
+      if (differs(d.initialPocket, initialPocket) || differs(d.finalPocket, finalPocket)) {
+        findings.push({
+          type: 'day_chain', severity: 'error', date: d.date, repairable: !d.locked,
+          expected: { initialPocket: round(initialPocket), finalPocket: round(finalPocket) }, actual: { initialPocket: round(d.initialPocket), finalPocket: round(d.finalPocket) },
+          message: `Jour ${d.date}: argent en poche incohérent avec la veille`
+        });
+      }
+      pocket = d.locked ? Number(d.finalPocket || 0) : finalPocket;
+    }
+
+    // 5) Double-entry postings: each one balanced, one per money-moving journal entry, budget balances = sum of their legs
+    if (postings) {
+      for (const p of postings) {
+        if (!isBalanced(p.entries)) {
+          findings.push({ type: 'unbalanced_posting', severity: 'error', postingId: idOf(p._id), journalEntryId: idOf(p.journalEntryId), message: `Écriture comptable ${idOf(p._id)} déséquilibrée` });
+        }
+      }
+      const postedEntries = new Set(postings.map(p => idOf(p.journalEntryId)).filter(Boolean));
+      // An entry whose rule has no posting rule (buildPostingEntries throws) cannot be derived either
+      const needsPosting = (e) => { try { return buildPostingEntries(e).length > 0; } catch (_) { return true; } };
+      const unposted = entries.filter(e => !postedEntries.has(idOf(e._id)) && needsPosting(e));
+      if (unposted.length) {
+        // Balances cannot be derived while part of the journal has no posting (scripts/backfill_ledger_postings.js)
+        findings.push({ type: 'unposted_journal_entry', severity: 'warning', journalEntryIds: unposted.map(e => idOf(e._id)), message: `${unposted.length} écriture(s) de journal sans écriture comptable` });
+      } else {
+        const balances = sumPostings(postings);
+        for (const b of budgets) {
+          const derived = balances.get(accountKey({ accountType: 'budget', accountId: b._id })) || 0;
+          if (differs(derived, b.currentAmount)) {
+            findings.push({
+              type: 'posting_drift', severity: 'error', budgetId: idOf(b._id), expected: round(derived), actual: round(b.currentAmount),
+              message: `"${b.name}": solde ${round(b.currentAmount)} au lieu de ${round(derived)} d'après les écritures comptables`
+            });
+          }
+        }
+        if (wallet) {
+          const derived = balances.get(accountKey({ accountType: 'savings', accountId: wallet._id })) || 0;
+          if (differs(derived, wallet.balance)) {
+            findings.push({
+              type: 'savings_drift', severity: 'error', walletId: idOf(wallet._id), expected: round(derived), actual: round(wallet.balance),
+              message: `Épargne: solde ${round(wallet.balance)} au lieu de ${round(derived)} d'après les écritures comptables`
+            });
+          }
+        }
+      }
+    }
+
+    const repairable = findings.filter(f => f.repairable);
+    return {
+      userId: idOf(userId),
+      checked: { budgets: budgets.length, journalEntries: entries.length, transactions: transactions.length, days: days.length, postings: postings ? postings.length : null },
+      ok: !findings.some(f => f.severity === 'error'),
+      findings,
+      repairable: repairable.length,
+      // Ties a repair to the report that was reviewed: any change in the meantime invalidates it
+      repairToken: repairable.length ? crypto.createHash('sha256').update(JSON.stringify(repairable)).digest('hex').slice(0, 32) : null
+    };
+  }
+
+  // Apply the repairable findings of a fresh verification, only when `repairToken` matches it.
+  // Budget drift is corrected towards the journal and recorded as a 'ledger_repair' entry;
+  // Day totals and pockets are recomputed from the transactions. Gaps and duplicates are left for review.
+  async function repairUser(userId, repairToken) {
+    const report = await verifyUser(userId);
+    if (!report.repairToken) return { applied: [], report };
+    if (repairToken !== report.repairToken) {
+      const err = new Error('Le rapport a changé depuis la vérification, relancez-la avant de réparer');
+      err.status = 409;
+      err.code = 'LEDGER_REPAIR_TOKEN_MISMATCH';
+      throw err;
+    }
+
+    const applied = [];
+    for (const f of report.findings.filter(x => x.type === 'budget_drift')) {
+      const updated = await Budget.updateOne(
+        { _id: f.budgetId, currentAmount: { $gte: f.actual - TOLERANCE, $lte: f.actual + TOLERANCE } },
+        { $set: { currentAmount: f.expected } }
+      );
+      if (!updated.modifiedCount) continue; // moved meanwhile: left for the next run
+      const budget = await Budget.findById(f.budgetId).select('_id').lean();
+      await JournalEntry.create({
+        userId,
+        txType: 'adjustment',
+        amount: round(f.expected - f.actual),
+        comment: 'Réparation du grand livre: solde recalé sur le journal',
+        affected: [{ budgetId: budget._id, before: f.actual, after: f.expected }],
+        ruleApplied: 'ledger_repair',
+        meta: { finding: 'budget_drift' },
+        createdAt: new Date()
+      });
+      applied.push({ type: f.type, budgetId: f.budgetId, before: f.actual, after: f.expected });
+    }
+
+    const dayFindings = report.findings.filter(x => x.repairable && (x.type === 'day_totals' || x.type === 'day_chain'));
+    if (dayFindings.length) {
+      const from = dayFindings.map(f => f.date).sort()[0];
+      const days = await Day.find({ userId }).sort({ date: 1 }).lean();
+      const transactions = await Transaction.find({ userId, date: { $gte: from } }).lean();
+      let pocket = null;
+      for (const d of days) {
+        if (d.date < from || d.locked) {
+          pocket = Number(d.finalPocket || 0);
+          continue;
+        }
+        const dayTx = transactions.filter(t => t.date === d.date);
+        const gains = round(dayTx.filter(t => t.type === 'gain').reduce((s, t) => s + Number(t.amount || 0), 0));
+        const expenses = round(dayTx.filter(t => t.type === 'expense').reduce((s, t) => s + Number(t.amount || 0), 0));
+        const initialPocket = pocket === null ? Number(d.initialPocket || 0) : pocket;
+        const finalPocket = round(initialPocket + gains - expenses);
+        if (differs(d.gains, gains) || differs(d.expenses, expenses) || differs(d.initialPocket, initialPocket) || differs(d.finalPocket, finalPocket)) {
+          await Day.updateOne({ _id: d._id }, { $set: { gains, expenses, initialPocket, finalPocket } });
+          applied.push({ type: 'day', date: d.date, before: { gains: d.gains, expenses: d.expenses, initialPocket: d.initialPocket, finalPocket: d.finalPocket }, after: { gains, expenses, initialPocket, finalPocket } });
+        }
+        pocket = finalPocket;
+      }
+    }
+
+    return { applied, report: await verifyUser(userId) };
+  }
+
+  return { verifyUser, repairUser };
+}
+
+module.exports = { createLedgerVerifier };
@@ -0,0 +1,128 @@
+/*
+Backfill of the double-entry postings (LedgerPosting) for journal entries written before they existed
+- Rejoue le journal (JournalEntry) de chaque utilisateur dans l'ordre et crée l'écriture comptable équilibrée
+  de chaque entrée qui n'en a pas (mêmes règles que l'API, voir ledger/ledgerPostings.js)
+- Un budget vu pour la première fois reçoit une écriture d'ouverture (revenus -> budget) égale à son premier `before`,
+  ou à son currentAmount s'il n'apparaît dans aucune entrée, pour que son solde dérivé égale son solde actuel
+- Insertion seulement: aucun document existant n'est modifié
+
+Usage (depuis coach-financier-backend):
+node scripts/backfill_ledger_postings.js [--user <userId>]
+
+Prereqs: MONGODB_URI as usual. The script will prompt (console) before inserting. Run scripts/verify_ledger.js afterwards.
+*/
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { isBalanced, buildPostingEntries } = require('../ledger/ledgerPostings');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/coach-financier';
+
+function openingPosting(userId, budget, amount, createdAt) {
+  return {
+    userId,
+    journalEntryId: null,
+    transactionId: null,
+    ruleApplied: 'budget_opening_backfill',
+    comment: `Ouverture du budget ${budget ? budget.name : ''} (reprise)`.trim(),
+    entries: [{ accountType: 'budget', accountId: budget ? budget._id : null, amount }, { accountType: 'income', accountId: null, amount: -amount }],
+    createdAt
+  };
+}
+
+// Postings missing for one user, in journal order
+async function planUser(models, userId) {
+  const [budgets, entries, existing] = await Promise.all([
+    models.Budget.find({ userId }).lean(),
+    models.JournalEntry.find({ userId }).sort({ createdAt: 1, _id: 1 }).lean(),
+    models.LedgerPosting.find({ userId }).lean()
+  ]);
+  const budgetById = new Map(budgets.map(b => [b._id.toString(), b]));
+  const posted = new Set(existing.map(p => p.journalEntryId && p.journalEntryId.toString()).filter(Boolean));
+  const seen = new Set();
+  for (const p of existing) {
+    for (const e of p.entries || []) if (e.accountType === 'budget' && e.accountId) seen.add(e.accountId.toString());
+  }
+
+  const planned = [];
+  const skipped = [];
+  for (const je of entries) {
+    const opened = new Set(((je.meta && je.meta.openings) || []).map(o => o.budgetId.toString()));
+    for (const a of je.affected || []) {
+      const id = a.budgetId ? a.budgetId.toString() : null;
+      if (!id || seen.has(id)) continue;
+      seen.add(id);
+      const before = Math.round(Number(a.before || 0) * 100) / 100;
+      if (!opened.has(id) && !posted.has(je._id.toString()) && before !== 0) {
+        planned.push(openingPosting(userId, budgetById.get(id) || { _id: a.budgetId }, before, je.createdAt));
+      }
+    }
+    if (posted.has(je._id.toString())) continue;
+    let legs;
+    try {
+      legs = buildPostingEntries(je);
+    } catch (e) {
+      legs = null; // rule without posting rule: reported with the unbalanced ones
+    }
+    if (legs && !legs.length) continue;
+    if (!legs || !isBalanced(legs)) {
+      skipped.push(je._id.toString());
+      continue;
+    }
+    planned.push({ userId, journalEntryId: je._id, transactionId: je.transactionId || null, ruleApplied: je.ruleApplied, comment: je.comment, entries: legs, createdAt: je.createdAt });
+  }
+  for (const b of budgets) {
+    const amount = Math.round(Number(b.currentAmount || 0) * 100) / 100;
+    if (!seen.has(b._id.toString()) && amount !== 0) planned.push(openingPosting(userId, b, amount, b.createdAt || new Date()));
+  }
+  return { planned, skipped };
+}
+
+async function run() {
+  const userArg = process.argv.indexOf('--user');
+  console.log('Connecting to', MONGODB_URI);
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected');
+
+  // Loose models on the API collections (no schema validation, read as stored)
+  const loose = (name, collection) => mongoose.model(`${name}_backfill`, new mongoose.Schema({}, { strict: false }), collection);
+  const models = {
+    User: loose('User', 'users'),
+    Budget: loose('Budget', 'budgets'),
+    JournalEntry: loose('JournalEntry', 'journalentries'),
+    LedgerPosting: loose('LedgerPosting', 'ledgerpostings')
+  };
+
+  const userIds = userArg !== -1
+    ? [new mongoose.Types.ObjectId(process.argv[userArg + 1])]
+    : (await models.User.find({ role: 'user' }).select('_id').lean()).map(u => u._id);
+
+  const plans = [];
+  for (const userId of userIds) {
+    const plan = await planUser(models, userId);
+    if (plan.skipped.length) console.log(`User ${userId}: ${plan.skipped.length} entrée(s) déséquilibrée(s) ou sans règle comptable ignorée(s): ${plan.skipped.join(', ')}`);
+    if (plan.planned.length) plans.push(plan);
+  }
+  const total = plans.reduce((s, p) => s + p.planned.length, 0);
+  if (!total) {
+    console.log('No missing postings found. Nothing to do.');
+    await mongoose.disconnect();
+    return;
+  }
+
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((res) => rl.question(`Insert ${total} posting(s) for ${plans.length} user(s)? (yes/no): `, res));
+  rl.close();
+  if (!/^y(es)?$/i.test(answer.trim())) {
+    console.log('Aborted by user. No changes applied.');
+    await mongoose.disconnect();
+    return;
+  }
+
+  for (const plan of plans) await models.LedgerPosting.insertMany(plan.planned);
+  console.log(`Inserted ${total} posting(s). Run node scripts/verify_ledger.js to check the derived balances.`);
+  await mongoose.disconnect();
+}
+
+run().catch(err => { console.error('Backfill error', err); process.exit(1); });
@@ -0,0 +1,113 @@
+/*
+Ledger integrity check (same verifier as GET /api/admin/ledger/verify)
+- Rejoue le journal (JournalEntry) de chaque utilisateur et le compare aux budgets, transactions et jours
+- Signale les dérives de solde, les trous, les doublons et les totaux de jours incohérents
+- Avec --repair: sauvegarde les budgets et jours concernés dans un fichier JSON puis, après confirmation,
+  applique les réparations (solde recalé sur le journal, jours recalculés depuis les transactions)
+
+Usage (depuis coach-financier-backend):
+node scripts/verify_ledger.js [--user <userId>] [--repair] [--json]
+
+Prereqs: MONGODB_URI as usual. Exit code 2 when errors are found (for cron / CI checks).
+*/
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+const { createLedgerVerifier } = require('../ledger/ledgerVerifier');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/coach-financier';
+
+function parseArgs(argv) {
+  const args = { user: null, repair: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--user') args.user = argv[++i];
+    else if (argv[i] === '--repair') args.repair = true;
+    else if (argv[i] === '--json') args.json = true;
+  }
+  return args;
+}
+
+async function confirm(question) {
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((res) => rl.question(question, res));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  console.log('Connecting to', MONGODB_URI);
+  await mongoose.connect(MONGODB_URI);
+
+  // Loose models on the API collections (no schema validation, read as stored)
+  const loose = (name, collection) => mongoose.model(`${name}_ledger`, new mongoose.Schema({}, { strict: false }), collection);
+  const models = {
+    User: loose('User', 'users'),
+    Budget: loose('Budget', 'budgets'),
+    JournalEntry: loose('JournalEntry', 'journalentries'),
+    Transaction: loose('Transaction', 'transactions'),
+    Day: loose('Day', 'days'),
+    LedgerPosting: loose('LedgerPosting', 'ledgerpostings'),
+    SavingsWallet: loose('SavingsWallet', 'savingswallets')
+  };
+  const verifier = createLedgerVerifier(models);
+
+  const userIds = args.user
+    ? [new mongoose.Types.ObjectId(args.user)]
+    : (await models.User.find({ role: 'user' }).select('_id').lean()).map(u => u._id);
+
+  const reports = [];
+  for (const userId of userIds) {
+    const report = await verifier.verifyUser(userId);
+    reports.push(report);
+    if (!args.json && report.findings.length) {
+      console.log(`\nUser ${report.userId}: ${report.ok ? 'OK' : 'ERREURS'} (${report.findings.length} constat(s), ${report.repairable} réparable(s))`);
+      for (const f of report.findings) console.log(`  [${f.severity}] ${f.type}: ${f.message}`);
+    }
+  }
+  if (args.json) console.log(JSON.stringify(reports, null, 2));
+
+  const withErrors = reports.filter(r => !r.ok);
+  console.log(`\n${reports.length} utilisateur(s) vérifié(s), ${withErrors.length} avec erreurs.`);
+
+  const toRepair = reports.filter(r => r.repairToken);
+  if (args.repair && toRepair.length) {
+    // Backup of every budget / day of the users about to be repaired
+    const backup = [];
+    for (const r of toRepair) {
+      backup.push({
+        userId: r.userId,
+        budgets: await models.Budget.find({ userId: new mongoose.Types.ObjectId(r.userId) }).lean(),
+        days: await models.Day.find({ userId: new mongoose.Types.ObjectId(r.userId) }).lean()
+      });
+    }
+    const ts = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupFile = path.join(__dirname, `ledger_backup_${ts}.json`);
+    fs.writeFileSync(backupFile, JSON.stringify(backup, null, 2));
+    console.log(`Exported budgets and days of ${toRepair.length} user(s) to ${backupFile}`);
+
+    if (!(await confirm(`Apply ${toRepair.reduce((s, r) => s + r.repairable, 0)} repair(s) for ${toRepair.length} user(s)? (yes/no): `))) {
+      console.log('Aborted by user. No changes applied.');
+    } else {
+      for (const r of toRepair) {
+        try {
+          const { applied, report } = await verifier.repairUser(new mongoose.Types.ObjectId(r.userId), r.repairToken);
+          console.log(`User ${r.userId}: ${applied.length} réparation(s) appliquée(s), ${report.ok ? 'OK' : 'erreurs restantes (à revoir manuellement)'}`);
+        } catch (e) {
+          console.log(`User ${r.userId}: réparation ignorée (${e.message})`);
+        }
+      }
+      console.log('Repair completed. Keep the backup file safe.');
+    }
+  } else if (args.repair) {
+    console.log('Nothing to repair.');
+  }
+
+  await mongoose.disconnect();
+  if (withErrors.length && !args.repair) process.exitCode = 2;
+}
+
+run().catch(err => { console.error('Ledger verification error', err); process.exit(1); });
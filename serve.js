@@ -13,6 +13,11 @@ const Joi = require('joi');
 const webpush = require('web-push');
 const PDFDocument = require('pdfkit');
 const ExcelJS = require('exceljs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { createSmsSender } = require('./sms/smsSender');
+const { createLedgerVerifier } = require('./ledger/ledgerVerifier');
+const { ACCOUNT_TYPES, TOLERANCE, isBalanced, cascadeLimit, buildPostingEntries } = require('./ledger/ledgerPostings');
 const app = express();
 
 // Set NODE_ENV early - defaults to 'development' for fallback to MongoMemoryServer
@@ -43,7 +48,8 @@ const allowedOrigins = [
 // Always allow CORS in production (no restriction for now)
 const corsOptions = {
   origin: true,  // Allow all origins
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed']
 };
 
 app.use(cors(corsOptions));
@@ -56,7 +62,8 @@ app.use((req, res, next) => {
       res.setHeader('Access-Control-Allow-Origin', typeof corsOptions.origin === 'boolean' && corsOptions.origin === true ? '*' : (corsOptions.origin || '*'));
     }
     res.setHeader('Access-Control-Allow-Methods', 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,Idempotency-Key');
+    res.setHeader('Access-Control-Expose-Headers', 'Idempotent-Replayed');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
   } catch (e) {}
   if (req.method === 'OPTIONS') return res.sendStatus(204);
@@ -113,24 +120,180 @@ const asyncHandler = (fn) => (req, res, next) => {
 };
 
 // Validation schemas
+const transactionLinesSchema = Joi.array().min(2).max(20).items(Joi.object({
+  budgetId: Joi.string().required(),
+  amount: Joi.number().positive().required(),
+  categoryId: Joi.string().allow(null),
+  comment: Joi.string().max(200)
+})).messages({ 'array.min': 'Une transaction répartie doit avoir au moins 2 lignes' });
+
 const transactionValidationSchema = Joi.object({
-  userId: Joi.string().required().messages({
-    'any.required': 'userId est requis'
-  }),
+  // Optional: the authenticated user is used when omitted
+  userId: Joi.string().optional(),
   type: Joi.string().valid('expense', 'gain').required().messages({
     'any.only': 'type doit être "expense" ou "gain"'
   }),
-  amount: Joi.number().positive().required().messages({
+  // Optional for a split: defaults to the sum of the lines and must match it when given
+  amount: Joi.number().positive().when('lines', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }).messages({
     'number.positive': 'amount doit être positif'
   }),
   comment: Joi.string().max(500).required().messages({
     'string.max': 'comment ne peut pas dépasser 500 caractères'
   }),
-  budgetId: Joi.string().required().messages({
-    'any.required': 'budgetId est requis'
+  budgetId: Joi.string().when('lines', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() }).messages({
+    'any.required': 'budgetId est requis',
+    'any.unknown': 'budgetId est porté par chaque ligne d\'une transaction répartie'
+  }),
+  // Split expense: one line per budget / category, each cascading through its own budget
+  lines: transactionLinesSchema.optional(),
+  categoryId: Joi.string().allow(null).when('lines', { is: Joi.exist(), then: Joi.forbidden() }).optional(),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(40)).max(10).optional(),
+  transactionDate: Joi.date().optional(),
+  // Idempotency key alternative to the Idempotency-Key header
+  clientId: Joi.string().max(200).optional()
+});
+
+// Edit of a posted transaction: at least one field
+const transactionUpdateSchema = Joi.object({
+  type: Joi.string().valid('expense', 'gain').messages({
+    'any.only': 'type doit être "expense" ou "gain"'
+  }),
+  amount: Joi.number().positive().messages({
+    'number.positive': 'amount doit être positif'
+  }),
+  comment: Joi.string().max(500).messages({
+    'string.max': 'comment ne peut pas dépasser 500 caractères'
   }),
-  categoryId: Joi.string().optional(),
-  transactionDate: Joi.date().optional()
+  budgetId: Joi.string(),
+  // Replaces the split lines (budgetId instead turns a split back into a single-budget transaction)
+  lines: transactionLinesSchema,
+  categoryId: Joi.string().allow(null),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(40)).max(10),
+  clientId: Joi.string().max(200)
+}).or('type', 'amount', 'comment', 'budgetId', 'lines', 'categoryId', 'tags').oxor('budgetId', 'lines').messages({
+  'object.missing': 'Aucune modification fournie',
+  'object.oxor': 'budgetId et lines ne peuvent pas être fournis ensemble'
+});
+
+// Query of GET /api/transactions (history & search)
+const transactionSearchSchema = Joi.object({
+  userId: Joi.string().optional(),
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': 'from doit être au format YYYY-MM-DD' }),
+  to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': 'to doit être au format YYYY-MM-DD' }),
+  budgetId: Joi.string().hex().length(24).messages({ 'string.hex': 'budgetId invalide', 'string.length': 'budgetId invalide' }),
+  type: Joi.string().valid('expense', 'gain'),
+  categoryId: Joi.string().hex().length(24).messages({ 'string.hex': 'categoryId invalide', 'string.length': 'categoryId invalide' }),
+  tag: Joi.string().trim().max(40),
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.number().min(0),
+  q: Joi.string().trim().max(200),
+  sort: Joi.string().valid('date', 'amount', 'createdAt').default('date'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().max(500)
+});
+
+// GET /api/ledger/:userId (journal history)
+const ledgerHistorySchema = Joi.object({
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': 'from doit être au format YYYY-MM-DD' }),
+  to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': 'to doit être au format YYYY-MM-DD' }),
+  budgetId: Joi.string().hex().length(24).messages({ 'string.hex': 'budgetId invalide', 'string.length': 'budgetId invalide' }),
+  ruleApplied: Joi.string().trim().max(80),
+  txType: Joi.string().valid('expense', 'gain', 'adjustment'),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().max(500)
+});
+
+// Savings wallet: split rules of the gains and moves out of the wallet
+const savingsRulesSchema = Joi.object({
+  userId: Joi.string().optional(),
+  rules: Joi.array().max(10).unique('objectiveId').items(Joi.object({
+    objectiveId: Joi.string().hex().length(24).required().messages({ 'string.hex': 'objectiveId invalide', 'string.length': 'objectiveId invalide' }),
+    percent: Joi.number().greater(0).max(100).required()
+  })).required().messages({ 'array.unique': 'Un objectif ne peut apparaître qu\'une fois' })
+});
+
+const savingsTransferSchema = Joi.object({
+  userId: Joi.string().optional(),
+  amount: Joi.number().positive().required(),
+  budgetId: Joi.string().hex().length(24).messages({ 'string.hex': 'budgetId invalide', 'string.length': 'budgetId invalide' }),
+  objectiveId: Joi.string().hex().length(24).messages({ 'string.hex': 'objectiveId invalide', 'string.length': 'objectiveId invalide' })
+}).xor('budgetId', 'objectiveId').messages({ 'object.xor': 'Indiquez soit budgetId, soit objectiveId', 'object.missing': 'budgetId ou objectiveId requis' });
+
+// DELETE /api/budgets/:id?reassignTo=<budgetId>
+const budgetDeleteSchema = Joi.object({
+  reassignTo: Joi.string().hex().length(24).messages({ 'string.hex': 'reassignTo invalide', 'string.length': 'reassignTo invalide' })
+});
+
+// Salary revision of the primary budget, effective at the next monthly cycle (0 = no income, e.g. job loss)
+const salaryRevisionSchema = Joi.object({
+  userId: Joi.string().optional(),
+  amount: Joi.number().min(0).required(),
+  reason: Joi.string().trim().max(200).optional()
+});
+
+// Budget templates: preview amounts for a monthly income (GET /api/budget-templates), application to an account
+const budgetTemplateQuerySchema = Joi.object({
+  monthlyAmount: Joi.number().positive().optional()
+});
+const budgetTemplateApplySchema = Joi.object({
+  userId: Joi.string().optional(),
+  // Delete the existing envelopes (balances back to their parent, transactions archived) before applying
+  replace: Joi.boolean().default(false)
+});
+
+// Move money between two envelopes of the same user (POST /api/budgets/transfer)
+const budgetTransferSchema = Joi.object({
+  userId: Joi.string().optional(),
+  fromBudgetId: Joi.string().hex().length(24).required().messages({ 'string.hex': 'fromBudgetId invalide', 'string.length': 'fromBudgetId invalide' }),
+  toBudgetId: Joi.string().hex().length(24).required().invalid(Joi.ref('fromBudgetId')).messages({ 'string.hex': 'toBudgetId invalide', 'string.length': 'toBudgetId invalide', 'any.invalid': 'Les budgets source et destination doivent être différents' }),
+  amount: Joi.number().positive().required(),
+  comment: Joi.string().trim().max(200).optional()
+});
+
+// Batch of queued offline operations (POST /api/sync)
+const SYNC_MAX_OPERATIONS = 100;
+const syncRequestSchema = Joi.object({
+  syncToken: Joi.string().max(200).allow(null, ''),
+  operations: Joi.array().max(SYNC_MAX_OPERATIONS).items(Joi.object({
+    clientId: Joi.string().max(200).required(),
+    type: Joi.string().valid('budget.create', 'transaction.create', 'tontine.contribute').required(),
+    clientTimestamp: Joi.date().optional(),
+    payload: Joi.object().required()
+  })).default([])
+});
+
+// Personal spending categories (POST/PUT /api/categories)
+const categoryValidationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(60).required(),
+  icon: Joi.string().max(16).allow(null, ''),
+  color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null).messages({ 'string.pattern.base': 'color doit être au format #RRGGBB' })
+});
+const categoryUpdateSchema = categoryValidationSchema.fork(['name'], (f) => f.optional()).min(1);
+
+// Auto-categorization rules (POST/PUT /api/category-rules): a category, tags, or both
+const categoryRuleValidationSchema = Joi.object({
+  matchType: Joi.string().valid('keyword', 'regex').default('keyword'),
+  pattern: Joi.string().trim().min(2).max(200).required(),
+  categoryId: Joi.string().allow(null),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(40)).max(10),
+  priority: Joi.number().integer().min(-100).max(100),
+  enabled: Joi.boolean()
+}).or('categoryId', 'tags').messages({ 'object.missing': 'categoryId ou tags est requis' });
+const categoryRuleUpdateSchema = Joi.object({
+  matchType: Joi.string().valid('keyword', 'regex'),
+  pattern: Joi.string().trim().min(2).max(200),
+  categoryId: Joi.string().allow(null),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(40)).max(10),
+  priority: Joi.number().integer().min(-100).max(100),
+  enabled: Joi.boolean()
+}).min(1);
+
+// Re-apply the rules to past transactions (POST /api/category-rules/apply)
+const categoryRuleApplySchema = Joi.object({
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': 'from doit être au format YYYY-MM-DD' }),
+  to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': 'to doit être au format YYYY-MM-DD' }),
+  dryRun: Joi.boolean().default(false)
 });
 
 const dayValidationSchema = Joi.object({
@@ -171,6 +334,24 @@ if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
   console.warn('⚠️ VAPID keys not set. Push notifications will be disabled until VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are configured.');
 }
 
+// Authentication (phone OTP + signed session tokens)
+// Without AUTH_TOKEN_SECRET a random secret is generated: sessions are invalidated on every restart.
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(48).toString('hex');
+if (!process.env.AUTH_TOKEN_SECRET) {
+  console.warn('⚠️ AUTH_TOKEN_SECRET not set. A random secret is used and sessions will not survive a restart.');
+}
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const OTP_TTL_SECONDS = Number(process.env.OTP_TTL_SECONDS || 300);
+const OTP_RESEND_COOLDOWN_SECONDS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS || 60);
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS || 5);
+
+// SMS sender is pluggable (SMS_PROVIDER=console|file|http), see sms/smsSender.js
+const smsSender = createSmsSender();
+if (NODE_ENV === 'production' && smsSender.name !== 'http') {
+  console.warn(`⚠️ SMS_PROVIDER=${smsSender.name} in production: OTP codes will not reach users.`);
+}
+
 // ============================================================================
 // CONNEXION MONGODB (avec fallback vers MongoDB en mémoire pour le dev)
 // ============================================================================
@@ -250,13 +431,32 @@ async function checkTransactionsSupport() {
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
+  // Normalized phone number (digits only), used as login identity
+  phoneNumber: { type: String, unique: true, sparse: true },
   role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  // Admin permission level (only meaningful when role === 'admin'): read-only analyst or operator
+  adminLevel: { type: String, enum: ['analyst', 'operator'], default: 'analyst' },
   preferences: {
     notifications: { type: Boolean, default: true },
     aiAdvice: { type: Boolean, default: true },
     darkMode: { type: Boolean, default: false },
     language: { type: String, default: 'fr' },
-    reminders: { type: Boolean, default: true }
+    reminders: { type: Boolean, default: true },
+    // IANA timezone (e.g. 'Africa/Abidjan', 'Europe/Paris'): defines the user's day, week and month boundaries
+    timezone: { type: String, default: null },
+    // What happens to an envelope's leftover at period rollover (see rolloverBudget)
+    rolloverPolicy: { type: String, enum: ['carry_over', 'sweep_to_savings', 'return_to_parent'], default: 'return_to_parent' },
+    // Optional objective credited by the 'sweep_to_savings' policy (the savings wallet otherwise)
+    rolloverSavingsObjectiveId: { type: mongoose.Schema.Types.ObjectId, ref: 'Objective', default: null },
+    // Day of the month the salary is paid (1-31, clamped to the month's length: 31 = month-end).
+    // Defines the monthly cycle (see getPayCycle); 1 = calendar months
+    payDay: { type: Number, min: 1, max: 31, default: 1 },
+    // 'salary': a fixed monthly salary funds the primary budget (refilled at each monthly rollover).
+    // 'irregular': logged gains fund the envelopes; the daily allowance follows recent income (see computeIrregularAllowance)
+    incomeMode: { type: String, enum: ['salary', 'irregular'], default: 'salary' },
+    // Irregular mode: days of income averaged for the daily allowance, and declared fixed charges per month (rent, school...)
+    incomeWindowDays: { type: Number, min: 7, max: 90, default: 30 },
+    monthlyObligations: { type: Number, min: 0, default: 0 }
   },
   subscription: {
     plan: { type: String, enum: ['free', 'premium'], default: 'free' },
@@ -269,6 +469,9 @@ const userSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+// updatedAt maintained by Mongoose (saves and update queries) for the sync change feed (POST /api/sync)
+const SYNC_TIMESTAMPS = { createdAt: false, updatedAt: true };
+
 // Schéma Budget
 const budgetMongooseSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -282,8 +485,29 @@ const budgetMongooseSchema = new mongoose.Schema({
   currentAmount: { type: Number, required: true },
   createdFrom: { type: String, enum: ['manual','derived'], default: 'manual' },
   immutableInitial: { type: Boolean, default: false },
+  // Period the currentAmount belongs to ('YYYY-MM-DD' daily, 'YYYY-Www' weekly, 'YYYY-MM' monthly).
+  // Left null on creation; the first rollover check claims the current period in the owner's timezone.
+  periodKey: { type: String, default: null },
+  // Envelopes opened by a budget template (see BUDGET_TEMPLATES): percent of the weekly pool (salary / 4) that salary
+  // revisions re-derive (derived weekly budgets without a share count as 100), and the categories the envelope is meant for
+  allocationShare: { type: Number, default: undefined },
+  categoryIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }], default: undefined },
+  // Daily budgets: the weekly envelope they are drawn from (see findParentBudget); null for budgets created before the link
+  parentBudgetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Budget', default: null },
+  // Primary budget only: dated salary amounts (POST /api/salary/revisions). A revision stays pending
+  // (appliedAt null) until the monthly rollover into `effectiveFrom` applies it.
+  salaryHistory: {
+    type: [{
+      amount: { type: Number, required: true },
+      effectiveFrom: { type: String, required: true }, // 'YYYY-MM'
+      reason: { type: String, default: null },
+      requestedAt: { type: Date, default: Date.now },
+      appliedAt: { type: Date, default: null }
+    }],
+    default: undefined
+  },
   createdAt: { type: Date, default: Date.now }
-});
+}, { timestamps: SYNC_TIMESTAMPS });
 
 // Ensure legacy or client-created budgets always have initialAmount/currentAmount
 // before validation so the server invariants (single source-of-truth) hold.
@@ -310,10 +534,24 @@ const objectiveSchema = new mongoose.Schema({
   savedAmount: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
   achieved: { type: Boolean, default: false }
-});
+}, { timestamps: SYNC_TIMESTAMPS });
 
 const Objective = mongoose.model('Objective', objectiveSchema);
 
+// Portefeuille d'épargne (un par utilisateur): reçoit les gains, moins les parts réparties vers des objectifs
+const savingsWalletSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  balance: { type: Number, default: 0 },
+  // Share of each gain credited to an objective; what the rules leave is held in the wallet
+  rules: [{
+    objectiveId: { type: mongoose.Schema.Types.ObjectId, ref: 'Objective', required: true },
+    percent: { type: Number, min: 0, max: 100, required: true }
+  }],
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: SYNC_TIMESTAMPS });
+
+const SavingsWallet = mongoose.model('SavingsWallet', savingsWalletSchema);
+
 // Schéma Tontine (simple MVP)
 const tontineSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -334,10 +572,52 @@ const tontineSchema = new mongoose.Schema({
   }],
   totalAmount: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now }
-});
+}, { timestamps: SYNC_TIMESTAMPS });
 
 const Tontine = mongoose.model('Tontine', tontineSchema);
 
+// Schéma Catégorie de dépense: catégories système (userId null, clé stable) + catégories de l'utilisateur
+const categorySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  key: { type: String, default: null },
+  name: { type: String, required: true, trim: true },
+  icon: { type: String, default: null },
+  color: { type: String, default: null },
+  // Archived categories stay on past transactions but are no longer offered
+  archived: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: SYNC_TIMESTAMPS });
+categorySchema.index({ userId: 1, name: 1 }, { unique: true });
+categorySchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+const Category = mongoose.model('Category', categorySchema);
+
+// Default categories shared by every user, with the keywords of their system auto-categorization rules
+// (matched without accents or case, see matchCategoryRules)
+const SYSTEM_CATEGORIES = [
+  { key: 'transport', name: 'Transport', icon: '🚌', keywords: ['taxi', 'bus', 'moto', 'clando', 'car rapide', 'gbaka', 'woro woro', 'essence', 'carburant', 'ticket'] },
+  { key: 'food', name: 'Alimentation', icon: '🍚', keywords: ['marche', 'riz', 'pain', 'huile', 'poisson', 'viande', 'legumes', 'boutique', 'restaurant', 'maquis', 'dejeuner', 'diner'] },
+  { key: 'rent', name: 'Loyer', icon: '🏠', keywords: ['loyer', 'bailleur', 'location maison', 'caution'] },
+  { key: 'family_support', name: 'Soutien familial', icon: '👪', keywords: ['famille', 'maman', 'papa', 'parents', 'village', 'envoi famille'] },
+  { key: 'airtime', name: 'Crédit téléphone', icon: '📱', keywords: ['credit', 'recharge', 'forfait', 'airtime', 'pass internet', 'orange', 'mtn', 'moov'] }
+];
+
+// Schéma Règle de catégorisation: mot-clé ou regex sur le commentaire -> catégorie et/ou étiquettes.
+// source: 'system' (défauts, userId null), 'user' (créée via l'API), 'learned' (déduite d'une correction manuelle)
+const categoryRuleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+  matchType: { type: String, enum: ['keyword', 'regex'], default: 'keyword' },
+  pattern: { type: String, required: true, trim: true },
+  tags: { type: [String], default: [] },
+  // Higher first; user and learned rules always come before system ones
+  priority: { type: Number, default: 0 },
+  source: { type: String, enum: ['system', 'user', 'learned'], default: 'user' },
+  enabled: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: SYNC_TIMESTAMPS });
+categoryRuleSchema.index({ userId: 1, matchType: 1, pattern: 1 }, { unique: true });
+const CategoryRule = mongoose.model('CategoryRule', categoryRuleSchema);
+
 // Schéma Transaction
 const transactionMongooseSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -347,8 +627,49 @@ const transactionMongooseSchema = new mongoose.Schema({
   comment: { type: String, required: true },
   date: { type: String, required: true }, // Format: YYYY-MM-DD
   time: { type: String, required: true }, // Format: HH:MM
+  // Spending category (system default or user-defined)
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+  // How categoryId was set: 'manual' (chosen by the user) or 'rule' (auto-categorization, may be re-applied)
+  categorySource: { type: String, enum: ['manual', 'rule', null], default: null },
+  tags: { type: [String], default: [] },
+  // Tontine contribution this transaction funds (edited / deleted only through the tontine)
+  tontineId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tontine', default: null },
+  // Objective allocation this transaction funds (POST /api/objectives/:id/allocate, never edited or deleted)
+  objectiveId: { type: mongoose.Schema.Types.ObjectId, ref: 'Objective', default: null },
+  // Budget deleted without reassignment (DELETE /api/budgets/:id): budgetId is cleared, the old envelope kept here
+  archivedBudget: {
+    type: { budgetId: { type: mongoose.Schema.Types.ObjectId }, name: { type: String } },
+    default: null
+  },
+  // Split expense: the parent carries the total (budgetId null), each line its own budget and category.
+  // A line whose budget was deleted without reassignment is archived like a transaction (budgetId null, archivedBudget).
+  lines: {
+    type: [{
+      budgetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Budget', default: null },
+      archivedBudget: {
+        type: { budgetId: { type: mongoose.Schema.Types.ObjectId }, name: { type: String } },
+        default: null
+      },
+      categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+      amount: { type: Number, required: true },
+      comment: { type: String, default: null }
+    }],
+    default: undefined
+  },
+  // Client-generated id (Idempotency-Key / clientId) of the request that created it
+  clientId: { type: String },
   createdAt: { type: Date, default: Date.now }
-});
+}, { timestamps: SYNC_TIMESTAMPS });
+// History & search (GET /api/transactions): one index per sort key, budget filter, full-text on comment
+transactionMongooseSchema.index({ userId: 1, date: -1, time: -1, _id: -1 });
+transactionMongooseSchema.index({ userId: 1, amount: -1, _id: -1 });
+transactionMongooseSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+transactionMongooseSchema.index({ userId: 1, budgetId: 1, date: -1 });
+transactionMongooseSchema.index({ comment: 'text' }, { default_language: 'french' });
+transactionMongooseSchema.index({ userId: 1, updatedAt: 1 });
+transactionMongooseSchema.index({ userId: 1, categoryId: 1, date: -1 });
+transactionMongooseSchema.index({ userId: 1, tags: 1 });
+transactionMongooseSchema.index({ userId: 1, 'lines.budgetId': 1, date: -1 });
 
 // Schéma Jour (historique quotidien verrouillé)
 const dayMongooseSchema = new mongoose.Schema({
@@ -377,13 +698,46 @@ const journalEntrySchema = new mongoose.Schema({
   txType: { type: String, enum: ['expense','gain','adjustment'], required: true },
   amount: { type: Number, required: true },
   comment: { type: String },
-  affected: [{ budgetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Budget' }, before: Number, after: Number }],
+  // `limit`: part of the movement that is a parent's limit in a cascade, not money (see ledger/ledgerPostings.js)
+  affected: [{ budgetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Budget' }, before: Number, after: Number, limit: Number }],
   ruleApplied: { type: String },
+  // Transaction posted (or compensated) by this entry, and the entry it compensates
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+  reversalOf: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry', default: null },
   meta: { type: Object },
   createdAt: { type: Date, default: Date.now }
 });
+journalEntrySchema.index({ transactionId: 1, createdAt: -1 });
+// Journal replay per user (ledger verifier)
+journalEntrySchema.index({ userId: 1, createdAt: 1, _id: 1 });
+// History filtered by budget (GET /api/ledger/:userId)
+journalEntrySchema.index({ userId: 1, 'affected.budgetId': 1, createdAt: -1 });
 const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
 
+// Double-entry posting: balanced legs of one money movement (see ledger/ledgerPostings.js).
+// Written with its journal entry (recordJournalEntry); budget balances are the sums of the budget legs.
+const ledgerPostingSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  journalEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry', default: null },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+  ruleApplied: { type: String },
+  comment: { type: String },
+  entries: [{
+    accountType: { type: String, enum: ACCOUNT_TYPES, required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    amount: { type: Number, required: true }
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+ledgerPostingSchema.pre('validate', function(next) {
+  if (!isBalanced(this.entries)) return next(new Error('Écriture comptable déséquilibrée'));
+  next();
+});
+ledgerPostingSchema.index({ userId: 1, createdAt: 1, _id: 1 });
+ledgerPostingSchema.index({ 'entries.accountType': 1, 'entries.accountId': 1 });
+ledgerPostingSchema.index({ journalEntryId: 1 });
+const LedgerPosting = mongoose.model('LedgerPosting', ledgerPostingSchema);
+
 // Push subscription schema
 const pushSubscriptionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -392,6 +746,68 @@ const pushSubscriptionSchema = new mongoose.Schema({
 });
 const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
 
+// OTP challenge schema: one document per code sent by SMS (only the hash is stored)
+const otpChallengeSchema = new mongoose.Schema({
+  phoneNumber: { type: String, required: true, index: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  consumedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+// Expired challenges are purged by MongoDB
+otpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const OtpChallenge = mongoose.model('OtpChallenge', otpChallengeSchema);
+
+// Auth session schema: one document per refresh token (rotated on each refresh)
+const authSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AuthSession', default: null },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+// Admin audit log: one immutable entry per request on /api/admin/*, or on another user's data (allowed or denied)
+const adminAuditLogSchema = new mongoose.Schema({
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  adminLevel: { type: String },
+  action: { type: String, required: true },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  params: { type: Object },
+  query: { type: Object },
+  body: { type: Object },
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  statusCode: { type: Number },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ adminId: 1, createdAt: -1 });
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+// Idempotency keys of money-moving requests: the first response is stored and replayed on retries
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  key: { type: String, required: true },
+  scope: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'completed'], default: 'pending' },
+  responseStatus: { type: Number },
+  responseBody: { type: Object },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date }
+});
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
 // Supprimer l'ancien indice unique sur 'date' seul et laisser Mongoose créer le nouvel indice composé
 async function fixDayIndexes() {
   try {
@@ -413,9 +829,25 @@ async function fixDayIndexes() {
   }
 }
 
+// Create or refresh the system categories and their keyword rules (idempotent, keyed by `key` / pattern)
+async function ensureSystemCategories() {
+  for (const c of SYSTEM_CATEGORIES) {
+    await Category.updateOne({ key: c.key }, { $set: { name: c.name, icon: c.icon, userId: null }, $setOnInsert: { archived: false } }, { upsert: true });
+    const category = await Category.findOne({ key: c.key }).select('_id');
+    for (const keyword of c.keywords) {
+      await CategoryRule.updateOne(
+        { userId: null, matchType: 'keyword', pattern: keyword },
+        { $set: { categoryId: category._id, source: 'system' }, $setOnInsert: { tags: [], priority: 0, enabled: true } },
+        { upsert: true }
+      );
+    }
+  }
+}
+
 // Appeler la fonction de correction après la connexion
 mongoose.connection.on('connected', () => {
   fixDayIndexes().catch(err => console.error('Erreur fixDayIndexes:', err));
+  ensureSystemCategories().catch(err => console.warn('ensureSystemCategories failed', err));
   // Detect transactions availability (replica set) and set flag
   checkTransactionsSupport().catch(err => console.warn('checkTransactionsSupport failed', err));
 });
@@ -434,9 +866,106 @@ process.on('beforeExit', () => {
 // FONCTIONS UTILITAIRES
 // ============================================================================
 
-// Obtenir la date du jour au format YYYY-MM-DD
-function getTodayDate() {
-  return new Date().toISOString().split('T')[0];
+// Timezone used for users without preferences.timezone
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Timezone of a user document (falls back to DEFAULT_TIMEZONE)
+function getUserTimezone(user) {
+  const tz = user && user.preferences && user.preferences.timezone;
+  return tz && isValidTimeZone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+// Pay day of a user document (preferences.payDay, 1 by default)
+function getUserPayDay(user) {
+  const day = Number(user && user.preferences && user.preferences.payDay);
+  return Number.isInteger(day) && day >= 1 && day <= 31 ? day : 1;
+}
+
+async function loadUserPayDay(userId, session = null) {
+  const query = User.findById(userId).select('preferences.payDay');
+  if (session) query.session(session);
+  return getUserPayDay(await query.exec());
+}
+
+// Income mode of a user document (preferences.incomeMode, 'salary' by default)
+function getUserIncomeMode(user) {
+  return user && user.preferences && user.preferences.incomeMode === 'irregular' ? 'irregular' : 'salary';
+}
+
+async function loadUserIncomeMode(userId, session = null) {
+  const query = User.findById(userId).select('preferences.incomeMode');
+  if (session) query.session(session);
+  return getUserIncomeMode(await query.exec());
+}
+
+// Pay cycle starting in month `key` ('YYYY-MM'): from the pay day (clamped to the month's length)
+// to the day before the next pay day. Returns { key, start, end, days } ('YYYY-MM-DD' dates, real month lengths).
+function payCycleStartingIn(key, payDay = 1) {
+  const [y, m] = key.split('-').map(Number);
+  const startOf = (year, month) => {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1, Math.min(payDay, lastDay)));
+  };
+  const start = startOf(y, m);
+  const next = startOf(m === 12 ? y + 1 : y, m === 12 ? 1 : m + 1);
+  const end = new Date(next.getTime() - 86400000);
+  return { key, start: start.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10), days: Math.round((next - start) / 86400000) };
+}
+
+// Pay cycle containing the day `dateStr`; its key is the month it starts in (the calendar month when payDay is 1)
+function getPayCycle(dateStr, payDay = 1) {
+  const [y, m] = dateStr.split('-').map(Number);
+  const cycle = payCycleStartingIn(dateStr.slice(0, 7), payDay);
+  if (dateStr >= cycle.start) return cycle;
+  return payCycleStartingIn(m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, '0')}`, payDay);
+}
+
+// Format an instant as YYYY-MM-DD in the given timezone
+function formatDateInTimeZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timeZone || DEFAULT_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+// Instant at which the local day `dateStr` (YYYY-MM-DD) starts in the given timezone
+function startOfLocalDay(dateStr, timeZone) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const utcMidnight = Date.UTC(y, m - 1, d);
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timeZone || DEFAULT_TIMEZONE, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }).formatToParts(new Date(utcMidnight));
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  const offset = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - utcMidnight;
+  return new Date(utcMidnight - offset);
+}
+
+// Obtenir la date du jour au format YYYY-MM-DD (dans le fuseau donné, défaut DEFAULT_TIMEZONE)
+function getTodayDate(timeZone) {
+  return formatDateInTimeZone(new Date(), timeZone);
+}
+
+// Obtenir l'heure courante au format HH:MM dans le fuseau donné
+function getCurrentTime(timeZone) {
+  return new Intl.DateTimeFormat('fr-FR', { timeZone: timeZone || DEFAULT_TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(new Date());
+}
+
+// Local clock (timezone, date, time, pay day) of a user. Accepts a user document or a user id.
+async function getUserClock(userOrId) {
+  const user = userOrId && userOrId.preferences ? userOrId : await User.findById(userOrId);
+  const timeZone = getUserTimezone(user);
+  return { timeZone, date: getTodayDate(timeZone), time: getCurrentTime(timeZone), payDay: getUserPayDay(user) };
+}
+
+// Clock of the user a request acts on (avoids reloading req.user)
+function getRequestUserClock(req, userId) {
+  return getUserClock(req.user && sameId(req.user._id, userId) ? req.user : userId);
 }
 
 // Obtenir le numéro de la semaine
@@ -449,10 +978,17 @@ function getWeekNumber(date) {
   return weekNo;
 }
 
-// Helper function to check if user exists
-async function userExists(userIdParam) {
-  const user = await User.findOne({ email: `${userIdParam}@test.local` });
-  return user !== null;
+// Normalize a phone number to digits only (identity key)
+function normalizePhone(phoneNumber) {
+  return String(phoneNumber || '').replace(/\D/g, '');
+}
+
+// Find a user by phone number. Accounts created before `phoneNumber` existed
+// are still matched through their legacy `<digits>@test.local` email.
+async function findUserByPhone(phoneNumber) {
+  const digits = normalizePhone(phoneNumber);
+  if (!digits) return null;
+  return User.findOne({ $or: [{ phoneNumber: digits }, { email: `${digits}@test.local` }] });
 }
 
 // Compute periods elapsed since start date according to frequency
@@ -485,7 +1021,8 @@ async function buildTontineContextForUser(userId) {
 
     if (!tontines.length) return [];
 
-    const today = getTodayDate();
+    const user = await User.findById(userId);
+    const today = getTodayDate(getUserTimezone(user));
     return tontines.map(t => {
       const participants = Number(t.participantsCount || (t.members ? t.members.length : 0) || 0);
       const contribAmount = Number(t.contributionAmount || 0);
@@ -524,7 +1061,8 @@ async function buildTontineContextForUser(userId) {
 async function createUser(userIdParam, name, email) {
   const user = new User({
     name: name || userIdParam,
-    email: email || `${userIdParam}@test.local`,
+    email: email || `${normalizePhone(userIdParam)}@test.local`,
+    phoneNumber: normalizePhone(userIdParam) || undefined,
     role: 'user'
   });
   await user.save();
@@ -541,14 +1079,276 @@ async function resolveUserId(userIdParam) {
     return new mongoose.Types.ObjectId(userIdParam);
   }
 
-  // For string IDs like "user_123", find user (don't create)
-  let user = await User.findOne({ email: `${userIdParam}@test.local` });
+  // Otherwise treat the value as a phone number (don't create)
+  let user = await findUserByPhone(userIdParam);
   if (!user) {
     throw new Error('Utilisateur non trouvé');
   }
   return user._id; // Return ObjectId instance
 }
 
+// Build an error carrying an HTTP status and a stable error code (handled by the global error handler)
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+// Resolve the user a request acts on. The authenticated user is authoritative:
+// a `userId` sent by the client is optional and must designate that same user.
+async function resolveRequestUserId(req, userIdParam) {
+  if (!req.user) throw httpError(401, 'Authentification requise', 'AUTH_REQUIRED');
+  const authUserId = req.user._id;
+  if (!userIdParam) return authUserId;
+  const resolved = await resolveUserId(String(userIdParam)).catch(() => null);
+  if (resolved && isAdmin(req.user) && !sameId(resolved, authUserId)) {
+    authorizeAdminAccess(req, resolved);
+    return resolved;
+  }
+  if (!resolved || resolved.toString() !== authUserId.toString()) {
+    throw httpError(403, 'Accès refusé: cet utilisateur ne correspond pas à la session', 'FORBIDDEN_USER');
+  }
+  return authUserId;
+}
+
+// ============================================================================
+// AUTORISATIONS (propriété des ressources)
+// ============================================================================
+
+function isAdmin(user) {
+  return !!user && user.role === 'admin';
+}
+
+// Admin permissions by adminLevel: analysts are read-only, operators can also write
+const ADMIN_PERMISSIONS = {
+  analyst: ['admin:read'],
+  operator: ['admin:read', 'admin:write']
+};
+
+function hasAdminPermission(user, permission) {
+  return isAdmin(user) && (ADMIN_PERMISSIONS[user.adminLevel || 'analyst'] || []).includes(permission);
+}
+
+// Write one AdminAuditLog entry once the response is sent (status included, so denials are kept too)
+function auditAdminRequest(req, res) {
+  res.on('finish', () => {
+    const entry = new AdminAuditLog({
+      adminId: req.user ? req.user._id : null,
+      adminLevel: req.user && isAdmin(req.user) ? (req.user.adminLevel || 'analyst') : null,
+      action: req.auditAction || `${req.method} ${req.originalUrl.split('?')[0]}`,
+      method: req.method,
+      path: req.originalUrl,
+      params: req.params,
+      query: req.query,
+      body: req.method === 'GET' ? undefined : redactForAudit(req.body),
+      targetUserId: req.auditTargetUserId || null,
+      statusCode: res.statusCode,
+      ip: req.ip
+    });
+    entry.save().catch(err => logger.error('Admin audit log write failed', err && err.message ? err.message : err));
+  });
+}
+
+// An admin acting on another user's data through the regular /api routes: reads need admin:read, anything else
+// admin:write. Audited like /api/admin/* (action 'admin.userData.read' / 'admin.userData.write'), denials included.
+function authorizeAdminAccess(req, targetUserId) {
+  const write = !['GET', 'HEAD'].includes(req.method);
+  if (!req.auditAction) {
+    req.auditAction = `admin.userData.${write ? 'write' : 'read'}`;
+    req.auditTargetUserId = targetUserId || null;
+    auditAdminRequest(req, req.res);
+  }
+  const permission = write ? 'admin:write' : 'admin:read';
+  if (!hasAdminPermission(req.user, permission)) {
+    throw httpError(403, `Permission administrateur insuffisante (${permission})`, 'FORBIDDEN_ADMIN_PERMISSION');
+  }
+}
+
+function sameId(a, b) {
+  return !!a && !!b && a.toString() === b.toString();
+}
+
+// Ownership / membership policies. Each one returns true when `user` may act on `doc`.
+// Admins pass every policy with the permission of their adminLevel (see authorize).
+const POLICIES = {
+  // Budget, Objective, Transaction: document.userId must be the caller
+  owner: {
+    check: (user, doc) => sameId(doc.userId, user._id),
+    code: 'FORBIDDEN_NOT_OWNER',
+    message: 'Accès refusé: cette ressource appartient à un autre utilisateur'
+  },
+  // Tontine: caller must be the owner or one of the members
+  tontineMember: {
+    check: (user, t) => sameId(t.ownerId, user._id) || (t.members || []).some(m => sameId(m.userId, user._id)),
+    code: 'FORBIDDEN_NOT_MEMBER',
+    message: 'Accès refusé: vous n\'êtes pas membre de cette tontine'
+  },
+  // Tontine: caller must be the owner
+  tontineOwner: {
+    check: (user, t) => sameId(t.ownerId, user._id),
+    code: 'FORBIDDEN_NOT_TONTINE_OWNER',
+    message: 'Accès refusé: réservé au créateur de la tontine'
+  }
+};
+
+// Throw a 403 (stable code) unless req.user satisfies `policy` on `doc`
+function authorize(req, policy, doc) {
+  const p = POLICIES[policy];
+  if (!p) throw new Error(`Politique d'autorisation inconnue: ${policy}`);
+  if (!req.user) throw httpError(401, 'Authentification requise', 'AUTH_REQUIRED');
+  if (p.check(req.user, doc)) return;
+  if (isAdmin(req.user)) return authorizeAdminAccess(req, doc.userId || doc.ownerId);
+  throw httpError(403, p.message, p.code);
+}
+
+// Load a document by id (404 when missing or malformed) and apply `policy` to it
+async function loadAuthorized(req, Model, id, policy, notFoundMessage) {
+  const doc = mongoose.isValidObjectId(id) ? await Model.findById(id) : null;
+  if (!doc) throw httpError(404, notFoundMessage || 'Ressource non trouvée', 'NOT_FOUND');
+  authorize(req, policy, doc);
+  return doc;
+}
+
+// Hash a secret (OTP code, refresh token) with the server secret before storing it
+function hashSecret(value) {
+  return crypto.createHmac('sha256', AUTH_TOKEN_SECRET).update(String(value)).digest('hex');
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ sub: user._id.toString(), role: user.role, typ: 'access' }, AUTH_TOKEN_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Create a new session (refresh token) and return the token pair for the user
+async function issueTokens(user, userAgent) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const session = new AuthSession({
+    userId: user._id,
+    tokenHash: hashSecret(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: userAgent || null
+  });
+  await session.save();
+  return { accessToken: signAccessToken(user), refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TOKEN_TTL, session };
+}
+
+// Routes reachable without a session (paths relative to /api)
+const PUBLIC_API_ROUTES = [
+  { method: 'GET', path: /^\/?$/ },
+  { method: 'POST', path: /^\/auth\/(otp\/request|otp\/verify|refresh|logout)$/ },
+  { method: 'POST', path: /^\/register$/ },
+  { method: 'GET', path: /^\/budget-templates$/ },
+  { method: 'GET', path: /^\/check-user\/[^/]+$/ },
+  { method: 'GET', path: /^\/push\/vapidPublicKey$/ },
+  { method: 'POST', path: /^\/seed$/ }
+];
+
+// Auth middleware: verifies the Bearer access token and populates req.user for every /api/* route
+const requireAuth = asyncHandler(async (req, res, next) => {
+  if (PUBLIC_API_ROUTES.some(r => r.method === req.method && r.path.test(req.path))) return next();
+
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return res.status(401).json({ message: 'Authentification requise', code: 'AUTH_REQUIRED' });
+
+  let payload;
+  try {
+    payload = jwt.verify(match[1], AUTH_TOKEN_SECRET);
+  } catch (e) {
+    const code = e.name === 'TokenExpiredError' ? 'AUTH_TOKEN_EXPIRED' : 'AUTH_INVALID_TOKEN';
+    return res.status(401).json({ message: 'Session invalide ou expirée', code });
+  }
+  if (payload.typ !== 'access') return res.status(401).json({ message: 'Session invalide ou expirée', code: 'AUTH_INVALID_TOKEN' });
+
+  const user = await User.findById(payload.sub);
+  if (!user) return res.status(401).json({ message: 'Utilisateur non trouvé', code: 'AUTH_INVALID_TOKEN' });
+  req.user = user;
+  next();
+});
+
+// ============================================================================
+// IDEMPOTENCE (Idempotency-Key / clientId)
+// ============================================================================
+
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+// A pending key older than this is considered abandoned (crashed request) and can be taken over
+const IDEMPOTENCY_PENDING_TIMEOUT_MS = 30 * 1000;
+// How long a retry racing with the original request waits for its response before answering 409
+const IDEMPOTENCY_WAIT_MS = 5000;
+
+function hashIdempotentRequest(scope, payload) {
+  return crypto.createHash('sha256').update(`${scope}:${JSON.stringify(payload || {})}`).digest('hex');
+}
+
+// Claim `key` for a request. Returns { replay: { status, body } } when the key already completed,
+// or { record } when the caller owns the key and must complete or release it.
+// The unique (userId, key) index settles races: the loser waits for the winner's response.
+async function claimIdempotencyKey(userId, key, scope, requestHash) {
+  if (typeof key !== 'string' || !key.length || key.length > 200) {
+    throw httpError(400, 'Idempotency-Key invalide (1 à 200 caractères)', 'IDEMPOTENCY_KEY_INVALID');
+  }
+  const deadline = Date.now() + IDEMPOTENCY_WAIT_MS;
+  for (;;) {
+    try {
+      const record = await IdempotencyKey.create({ userId, key, scope, requestHash, expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 3600 * 1000) });
+      return { record };
+    } catch (e) {
+      if (!e || e.code !== 11000) throw e;
+    }
+    const existing = await IdempotencyKey.findOne({ userId, key });
+    if (!existing) continue; // released in between: try again
+    if (existing.scope !== scope || existing.requestHash !== requestHash) {
+      throw httpError(422, 'Idempotency-Key déjà utilisée pour une autre requête', 'IDEMPOTENCY_KEY_REUSED');
+    }
+    if (existing.status === 'completed') {
+      return { replay: { status: existing.responseStatus, body: existing.responseBody } };
+    }
+    if (Date.now() - existing.createdAt.getTime() > IDEMPOTENCY_PENDING_TIMEOUT_MS) {
+      await IdempotencyKey.deleteOne({ _id: existing._id, status: 'pending' });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw httpError(409, 'Requête identique en cours de traitement, réessayez', 'IDEMPOTENCY_IN_PROGRESS');
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+// Store the first response. Server errors and transient conflicts release the key so the client can retry.
+async function completeIdempotencyKey(record, status, body) {
+  if (status >= 500 || status === 409 || status === 429) {
+    await IdempotencyKey.deleteOne({ _id: record._id, status: 'pending' });
+    return;
+  }
+  await IdempotencyKey.updateOne({ _id: record._id }, { $set: { status: 'completed', responseStatus: status, responseBody: body, completedAt: new Date() } });
+}
+
+// Route middleware for money-moving endpoints. The key comes from the Idempotency-Key header,
+// or the body's clientId. Retries with the same key get the stored response (Idempotent-Replayed: true).
+function idempotent(scope) {
+  return asyncHandler(async (req, res, next) => {
+    const key = req.get('Idempotency-Key') || (req.body && req.body.clientId);
+    if (!key || !req.user) return next();
+
+    const { clientId: _clientId, ...body } = req.body || {};
+    const requestHash = hashIdempotentRequest(scope, { params: req.params, body });
+    const claim = await claimIdempotencyKey(req.user._id, String(key), scope, requestHash);
+    if (claim.replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(claim.replay.status).json(claim.replay.body);
+    }
+
+    // The key is released by the handler's own outcome (its response, or the error handler's), never by the
+    // socket: a client that disconnects mid-flight does not stop the operation, its retry must get the replay
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      completeIdempotencyKey(claim.record, res.statusCode, body).catch(err => logger.warn('completeIdempotencyKey failed', err && err.message ? err.message : err));
+      return json(body);
+    };
+    next();
+  });
+}
+
 // Calculate remaining budget using the single source of truth: `Budget.currentAmount`.
 // Decision-making and 'argent en poche' must rely on `currentAmount` only.
 // Supports optional session for transactional reads.
@@ -573,69 +1373,61 @@ async function calculateRemainingBudget(budget, userId, currentDate, session = n
 // Budget disponible global STRICT: primary monthly currentAmount only.
 // Enforce product rule: budget_dispo = monthly.currentAmount.
 // If no primary monthly budget exists, return 0 (strict enforcement).
-async function calculateBudgetsAvailable(userId, currentDate, session = null) {
+// Pass { reconcile: false } for past months: the stored primary currentAmount belongs to the current month.
+// Irregular income mode: there is no salary to subtract from, the gains fund the primary budget: its live balance.
+async function calculateBudgetsAvailable(userId, currentDate, session = null, { reconcile = true } = {}) {
   const query = Budget.findOne({ userId, frequency: 'monthly', isPrimary: true });
   if (session) query.session(session);
   const primary = await query.exec();
   if (!primary) return 0;
+  if (await loadUserIncomeMode(userId, session) === 'irregular') return Math.max(0, roundAmount(primary.currentAmount));
 
-  // Compute total expenses for the month of currentDate (format YYYY-MM-DD)
+  // Compute total expenses for the pay cycle of currentDate (format YYYY-MM-DD, see getPayCycle)
   try {
     const dateStr = currentDate || getTodayDate();
-    const yearMonth = dateStr.slice(0,7); // 'YYYY-MM'
+    const payDay = await loadUserPayDay(userId, session);
+    const cycle = getPayCycle(dateStr, payDay);
 
-    // Compute positive carry-over from previous month: last Day.finalPocket of previous month
-    // This makes unspent "argent en poche" roll into the next month.
+    // Compute positive carry-over from previous cycle: last Day.finalPocket of previous cycle
+    // This makes unspent "argent en poche" roll into the next cycle.
     let carryOver = 0;
     try {
-      const y = parseInt(dateStr.slice(0, 4), 10);
-      const m = parseInt(dateStr.slice(5, 7), 10);
-      if (!Number.isNaN(y) && !Number.isNaN(m)) {
-        let prevY = y;
-        let prevM = m - 1;
-        if (prevM === 0) {
-          prevM = 12;
-          prevY = y - 1;
-        }
-        const prevYearMonth = `${prevY}-${String(prevM).padStart(2, '0')}`;
-        const lastPrevDay = await Day.findOne({
-          userId,
-          date: { $regex: `^${prevYearMonth}` }
-        }).sort({ date: -1 });
-        if (lastPrevDay && lastPrevDay.finalPocket != null) {
-          carryOver = Math.max(0, Number(lastPrevDay.finalPocket || 0));
-        }
+      const dayBefore = new Date(Date.parse(`${cycle.start}T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+      const previous = getPayCycle(dayBefore, payDay);
+      const lastPrevDay = await Day.findOne({
+        userId,
+        date: { $gte: previous.start, $lte: previous.end }
+      }).sort({ date: -1 });
+      if (lastPrevDay && lastPrevDay.finalPocket != null) {
+        carryOver = Math.max(0, Number(lastPrevDay.finalPocket || 0));
       }
     } catch (e) {
       carryOver = 0;
     }
 
-    const txQuery = { userId, type: 'expense', date: { $regex: `^${yearMonth}` } };
+    const txQuery = { userId, type: 'expense', date: { $gte: cycle.start, $lte: cycle.end } };
     let txs;
     if (session) txs = await Transaction.find(txQuery).session(session);
     else txs = await Transaction.find(txQuery);
     const totalExpenses = txs.reduce((s, t) => s + Number(t.amount || 0), 0);
 
-    // Base salary to subtract from: prefer initialAmount, fallback to amount or currentAmount,
-    // plus positive carry-over from previous month.
-    const base = Number(primary.initialAmount || primary.amount || primary.currentAmount || 0) + carryOver;
+    // Base salary to subtract from: the salary in force that cycle (salaryForMonth), plus positive carry-over from previous cycle.
+    const base = salaryForMonth(primary, cycle.key) + carryOver;
     const available = Math.max(0, Math.round((base - totalExpenses) * 100) / 100);
 
     // Reconcile stored primary.currentAmount with computed available when they differ.
     try {
       const stored = Number(primary.currentAmount || 0);
       const diff = Math.abs(stored - available);
-      if (diff > 0.01) {
+      if (reconcile && diff > 0.01) {
         // create a JournalEntry recording the adjustment
         const jeData = { userId, txType: 'adjustment', amount: Math.round((available - stored) * 100) / 100, comment: 'Réconciliation automatique primary currentAmount', affected: [{ budgetId: primary._id, before: stored, after: available }], ruleApplied: 'reconcile_primary_current_amount' };
         if (session) {
           await Budget.updateOne({ _id: primary._id }, { $set: { currentAmount: available } }).session(session);
-          const je = new JournalEntry(jeData);
-          await je.save({ session });
+          await recordJournalEntry(new JournalEntry(jeData), session);
         } else {
           await Budget.updateOne({ _id: primary._id }, { $set: { currentAmount: available } });
-          const je = new JournalEntry(jeData);
-          await je.save();
+          await recordJournalEntry(new JournalEntry(jeData));
         }
       }
     } catch (e) {
@@ -649,25 +1441,47 @@ async function calculateBudgetsAvailable(userId, currentDate, session = null) {
   }
 }
 
-// Validate budget hierarchy with DB lookups. Enforces monthly -> weekly -> daily caps.
-async function validateBudgetHierarchy(userId, frequency, amount) {
+// Monthly base of the hierarchy caps: the salary of the primary budget, or in irregular income mode the monthly
+// income estimated from recent gains (the declared income of the primary budget until gains are logged).
+// Returns { amount, label } (label used in the error messages).
+async function getMonthlyHierarchyBase(userId, primary) {
+  const salary = { amount: Number(primary.initialAmount || primary.amount || 0), label: 'mensuel' };
+  const user = await User.findById(userId);
+  if (getUserIncomeMode(user) !== 'irregular') return salary;
+  const allowance = await computeIrregularAllowance(user, (await getUserClock(user)).date);
+  return allowance.incomeTotal > 0 ? { amount: allowance.monthlyEstimate, label: 'revenu mensuel estimé' } : salary;
+}
+
+// Validate budget hierarchy with DB lookups. Enforces monthly -> weekly -> daily caps (see getMonthlyHierarchyBase):
+// the weekly envelopes together within base / 4, a daily budget within base / 28 and its weekly parent / 7.
+// `budget`: the budget being changed, left out of the weekly total and whose own parent caps a daily amount
+// (a new daily budget is drawn from findPocketEnvelope).
+async function validateBudgetHierarchy(userId, frequency, amount, { budget = null } = {}) {
   const numAmount = Number(amount || 0);
   if (!(numAmount > 0)) return { valid: false, message: 'Le montant du budget doit être positif' };
 
   // Primary monthly budget (source of truth)
   const primary = await Budget.findOne({ userId, isPrimary: true, frequency: 'monthly' });
+  const { amount: monthlyBase, label: baseLabel } = primary && (frequency === 'weekly' || frequency === 'daily')
+    ? await getMonthlyHierarchyBase(userId, primary)
+    : { amount: 0, label: 'mensuel' };
   if (frequency === 'weekly' && primary) {
-    const maxWeekly = Number(primary.initialAmount || primary.amount || 0) / 4;
-    if (numAmount > maxWeekly) return { valid: false, message: `Budget hebdomadaire ne peut pas dépasser ${Math.floor(maxWeekly)} XOF (mensuel / 4)` };
+    const maxWeekly = monthlyBase / 4;
+    if (numAmount > maxWeekly) return { valid: false, message: `Budget hebdomadaire ne peut pas dépasser ${Math.floor(maxWeekly)} XOF (${baseLabel} / 4)` };
+    const others = await Budget.find({ userId, frequency: 'weekly', isPrimary: false, ...(budget ? { _id: { $ne: budget._id } } : {}) }).select('amount');
+    const allocated = roundAmount(others.reduce((s, b) => s + Number(b.amount || 0), 0));
+    if (allocated + numAmount > maxWeekly) {
+      return { valid: false, message: `Les budgets hebdomadaires ne peuvent pas dépasser ${Math.floor(maxWeekly)} XOF au total (${baseLabel} / 4): ${allocated} XOF déjà alloués aux autres enveloppes` };
+    }
   }
   if (frequency === 'daily' && primary) {
-    const maxDaily = Number(primary.initialAmount || primary.amount || 0) / 28;
-    if (numAmount > maxDaily) return { valid: false, message: `Budget journalier ne peut pas dépasser ${Math.floor(maxDaily)} XOF (mensuel / 28)` };
+    const maxDaily = monthlyBase / 28;
+    if (numAmount > maxDaily) return { valid: false, message: `Budget journalier ne peut pas dépasser ${Math.floor(maxDaily)} XOF (${baseLabel} / 28)` };
   }
 
-  // If daily and a weekly budget exists, ensure daily <= weekly/7
+  // If daily and its weekly parent exists, ensure daily <= weekly/7
   if (frequency === 'daily') {
-    const weekly = await Budget.findOne({ userId, frequency: 'weekly' });
+    const weekly = budget ? await findParentBudget(budget) : await findPocketEnvelope(userId);
     if (weekly) {
       const maxDailyFromWeekly = Number(weekly.amount || weekly.initialAmount || 0) / 7;
       if (numAmount > maxDailyFromWeekly) return { valid: false, message: `Budget journalier ne peut pas dépasser ${Math.floor(maxDailyFromWeekly)} XOF (hebdomadaire / 7)` };
@@ -682,24 +1496,27 @@ async function validateBudgetHierarchy(userId, frequency, amount) {
 // - weekly baseline = salary_monthly / 4
 // - daily baseline = weekly / 7 (not returned here)
 // - argent_en_poche = weekly_baseline - (sum of this week's daily and weekly expenses)
-// - gains DO NOT increase argent_en_poche
+// - in salary mode gains DO NOT increase argent_en_poche; in irregular income mode they fund the envelopes
+//   (see planGainFunding), so they do
 async function computeArgentEnPoche(userId, currentDate) {
   // find primary monthly salary budget
-  // Argent en poche is the weekly budget's currentAmount (server-authoritative)
-  const weeklyBudget = await Budget.findOne({ userId, frequency: 'weekly' });
+  // Argent en poche is the currentAmount of the weekly envelope the daily budget is drawn from (server-authoritative)
+  const weeklyBudget = await findPocketEnvelope(userId);
   if (!weeklyBudget) {
     // Fallback: if no weekly budget exists, try deriving from primary monthly baseline
+    // (irregular income mode: what the gains put in the primary budget)
     const salaryBudget = await Budget.findOne({ userId, isPrimary: true, frequency: 'monthly' });
     if (!salaryBudget) return 0;
+    if (await loadUserIncomeMode(userId) === 'irregular') return Math.max(0, Math.round(salaryBudget.currentAmount || 0));
     return Math.max(0, Math.round((salaryBudget.initialAmount || 0) / 4));
   }
   return Math.max(0, Math.round(weeklyBudget.currentAmount || 0));
 }
 
 // Compute intelligent dynamic limits (monthly -> weekly -> daily) based on
-// the budget still disponible and the remaining days in a 30‑day cycle.
+// the budget still disponible and the remaining days of the user's pay cycle (getPayCycle, real month lengths).
 // This does not modify the DB, it only returns recommendations used by the frontend.
-function computeDynamicLimits(budgetsAvailable, currentDate) {
+function computeDynamicLimits(budgetsAvailable, currentDate, timeZone, payDay = 1) {
   const available = Math.max(0, Number(budgetsAvailable || 0));
   if (!available) {
     return {
@@ -711,18 +1528,10 @@ function computeDynamicLimits(budgetsAvailable, currentDate) {
     };
   }
 
-  const dateStr = currentDate || getTodayDate(); // 'YYYY-MM-DD'
-  let dayOfMonth = 1;
-  try {
-    const parts = dateStr.split('-').map((p) => parseInt(p, 10));
-    if (parts.length === 3 && !Number.isNaN(parts[2])) {
-      dayOfMonth = parts[2];
-    }
-  } catch (_) {}
-
-  const DAYS_IN_CYCLE = 30;
-  const dayIndex = Math.min(DAYS_IN_CYCLE, Math.max(1, dayOfMonth));
-  const daysLeft = Math.max(1, DAYS_IN_CYCLE - dayIndex + 1);
+  const dateStr = currentDate || getTodayDate(timeZone); // 'YYYY-MM-DD' in the user's timezone
+  const cycle = getPayCycle(dateStr, payDay);
+  // Today included, up to the day before the next pay day
+  const daysLeft = Math.max(1, Math.round((Date.parse(`${cycle.end}T00:00:00Z`) - Date.parse(`${dateStr}T00:00:00Z`)) / 86400000) + 1);
   const weeksLeft = Math.max(1, Math.ceil(daysLeft / 7));
 
   const dailyLimit = Math.floor(available / daysLeft);
@@ -737,748 +1546,2558 @@ function computeDynamicLimits(budgetsAvailable, currentDate) {
   };
 }
 
-// Build a monthly financial report (bilan) for a given user and month (YYYY-MM)
-async function buildMonthlyReport(userId, month) {
-  const monthStr = month || getTodayDate().slice(0, 7); // 'YYYY-MM'
+// ============================================================================
+// REVENUS IRRÉGULIERS (preferences.incomeMode = 'irregular')
+// ============================================================================
 
-  const user = await User.findById(userId);
-  if (!user) throw new Error('Utilisateur non trouvé');
+const INCOME_MODES = ['salary', 'irregular'];
+const DEFAULT_INCOME_WINDOW_DAYS = 30;
 
-  // Primary monthly budget (salary)
-  const primary = await Budget.findOne({ userId, frequency: 'monthly', isPrimary: true });
+// Daily cost of a tontine contribution (tontine.frequency is free text: daily / weekly / monthly, or French; monthly by default)
+function tontineDailyObligation(tontine) {
+  const frequency = normalizeMatchText(tontine.frequency);
+  const amount = Number(tontine.contributionAmount || 0);
+  if (/^(daily|quotidien|journalier|jour)/.test(frequency)) return amount;
+  if (/^(weekly|hebdo|semaine)/.test(frequency)) return amount / 7;
+  return amount / 30;
+}
 
-  // Transactions of the month
-  const txQuery = { userId, date: { $regex: `^${monthStr}` } };
-  const txs = await Transaction.find(txQuery).sort({ date: 1, createdAt: 1 });
+// Daily allowance of the irregular income mode on `currentDate` (user's local day):
+// - average daily income: the gains of the last preferences.incomeWindowDays days (today included),
+//   averaged over the days the account has existed when it is younger than the window
+// - daily obligations: preferences.monthlyObligations / 30, plus the contributions of the running tontines the user is a member of
+// - dailyAllowance = average - obligations (never negative); monthlyEstimate = average * 30
+async function computeIrregularAllowance(user, currentDate) {
+  const prefs = user.preferences || {};
+  const windowDays = Number.isInteger(prefs.incomeWindowDays) ? prefs.incomeWindowDays : DEFAULT_INCOME_WINDOW_DAYS;
+  const dayMs = 86400000;
+  const windowStart = new Date(Date.parse(`${currentDate}T00:00:00Z`) - (windowDays - 1) * dayMs).toISOString().slice(0, 10);
+  const signup = user.createdAt ? formatDateInTimeZone(user.createdAt, getUserTimezone(user)) : windowStart;
+  const from = signup > windowStart && signup <= currentDate ? signup : windowStart;
+  const days = Math.round((Date.parse(`${currentDate}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / dayMs) + 1;
+
+  const gains = await Transaction.find({ userId: user._id, type: 'gain', date: { $gte: from, $lte: currentDate } }).select('amount');
+  const incomeTotal = roundAmount(gains.reduce((s, t) => s + Number(t.amount || 0), 0));
+  const averageDailyIncome = roundAmount(incomeTotal / days);
+
+  const tontines = await Tontine.find({ 'members.userId': user._id });
+  const running = tontines.filter(t => (!t.startDate || t.startDate <= currentDate) && (!t.endDate || t.endDate >= currentDate));
+  const monthlyDeclared = Number(prefs.monthlyObligations || 0);
+  const tontinesDaily = roundAmount(running.reduce((s, t) => s + tontineDailyObligation(t), 0));
+  const dailyObligations = roundAmount(monthlyDeclared / 30 + tontinesDaily);
 
-  let totalIncome = 0;
-  let totalExpenses = 0;
-  const byBudget = new Map();
+  return {
+    windowDays: days,
+    from,
+    to: currentDate,
+    incomeTotal,
+    averageDailyIncome,
+    obligations: { monthlyDeclared, tontinesDaily, daily: dailyObligations },
+    dailyAllowance: Math.max(0, Math.floor(averageDailyIncome - dailyObligations)),
+    monthlyEstimate: Math.round(averageDailyIncome * 30)
+  };
+}
 
-  for (const t of txs) {
-    if (t.type === 'gain') totalIncome += Number(t.amount || 0);
-    if (t.type === 'expense') totalExpenses += Number(t.amount || 0);
+// Safe-to-spend explanation of the dashboard in irregular income mode: today's share of the daily allowance,
+// capped by the argent en poche (what the gains actually put in the envelopes)
+function buildSafeToSpend(allowance, spentToday, argentEnPoche) {
+  const leftToday = Math.max(0, allowance.dailyAllowance - spentToday);
+  const safeToSpend = Math.max(0, Math.min(leftToday, argentEnPoche));
+  const parts = [
+    `Vos gains des ${allowance.windowDays} derniers jours (${allowance.incomeTotal} XOF) font en moyenne ${allowance.averageDailyIncome} XOF par jour.`,
+    allowance.obligations.daily > 0
+      ? `Après vos charges fixes (${allowance.obligations.daily} XOF par jour), vous pouvez dépenser ${allowance.dailyAllowance} XOF par jour.`
+      : `Sans charges fixes déclarées, vous pouvez dépenser ${allowance.dailyAllowance} XOF par jour.`,
+    spentToday > 0 ? `Vous avez déjà dépensé ${spentToday} XOF aujourd'hui.` : null,
+    safeToSpend < leftToday ? `Vos budgets ne contiennent que ${argentEnPoche} XOF: enregistrez vos gains pour les alimenter.` : null,
+    `Vous pouvez encore dépenser ${safeToSpend} XOF aujourd'hui sans risque.`
+  ];
+  return { mode: 'irregular', ...allowance, spentToday, safeToSpend, explanation: parts.filter(Boolean).join(' ') };
+}
 
-    const key = t.budgetId ? String(t.budgetId) : 'none';
-    if (!byBudget.has(key)) {
-      byBudget.set(key, { budgetId: key, totalIncome: 0, totalExpenses: 0, transactions: [] });
-    }
-    const agg = byBudget.get(key);
-    if (t.type === 'gain') agg.totalIncome += Number(t.amount || 0);
-    if (t.type === 'expense') agg.totalExpenses += Number(t.amount || 0);
-    agg.transactions.push({
-      date: t.date,
-      type: t.type,
-      amount: t.amount,
-      comment: t.comment || '',
-      budgetId: t.budgetId ? String(t.budgetId) : null
-    });
-  }
+// ============================================================================
+// CATÉGORISATION AUTOMATIQUE (règles sur le commentaire)
+// ============================================================================
 
-  const net = totalIncome - totalExpenses;
+// Lowercase, accents stripped, whitespace collapsed: "Crédit  Orange" -> "credit orange"
+function normalizeMatchText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
 
-  // Daily history (Day collection) for the month
-  const days = await Day.find({
-    userId,
-    date: { $regex: `^${monthStr}` }
-  }).sort({ date: 1 });
+function normalizeTags(tags) {
+  return Array.from(new Set((tags || []).map(t => String(t).trim().toLowerCase()).filter(Boolean))).slice(0, 10);
+}
 
-  const dailyHistory = days.map(d => ({
-    date: d.date,
-    initialPocket: d.initialPocket,
-    budgetsAvailable: d.budgetsAvailable,
-    gains: d.gains,
-    expenses: d.expenses,
-    finalPocket: d.finalPocket
-  }));
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-  const startingBalance = dailyHistory.length ? dailyHistory[0].initialPocket : 0;
-  const endingBalance = dailyHistory.length ? dailyHistory[dailyHistory.length - 1].finalPocket : 0;
+// Regex rules run on every new comment in the request thread, so only patterns with bounded backtracking are
+// accepted (see unsafeRegexReason) and they only see the start of the comment.
+const RULE_REGEX_MAX_REPEATS = 3;
+const RULE_MATCH_MAX_LENGTH = 120;
+
+// Why a regex pattern could backtrack catastrophically, or null: backreferences and lookarounds, a repeated group
+// that itself repeats or alternates ("(a+)+", "(a|ab)*"), more than RULE_REGEX_MAX_REPEATS repetitions
+function unsafeRegexReason(pattern) {
+  const groups = [{ repeats: false, alternates: false }];
+  let repeatCount = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    let closed = null;
+    if (c === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return 'références arrière non autorisées';
+      i++;
+    } else if (c === '[') {
+      while (i + 1 < pattern.length && pattern[i + 1] !== ']') i += pattern[i + 1] === '\\' ? 2 : 1;
+      i++;
+    } else if (c === '(') {
+      if (/^\(\?(=|!|<=|<!)/.test(pattern.slice(i))) return 'assertions (?= (?! (?<= (?<! non autorisées';
+      groups.push({ repeats: false, alternates: false });
+      continue;
+    } else if (c === ')') {
+      closed = groups.length > 1 ? groups.pop() : null;
+    } else if (c === '|') {
+      groups[groups.length - 1].alternates = true;
+      continue;
+    } else if ('*+?{'.includes(c)) {
+      continue; // nothing to repeat: RegExp refuses it
+    }
+    const current = groups[groups.length - 1];
+    if (closed && closed.repeats) current.repeats = true;
+    // Quantifier on the atom ending at i; '?', '{0,1}' and '{1}' do not repeat it
+    const q = /^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/.exec(pattern.slice(i + 1));
+    if (!q) continue;
+    i += q[0].length;
+    const max = q[0][0] === '{' ? (q[2] ? (q[3] === '' ? Infinity : Number(q[3])) : Number(q[1])) : (q[0][0] === '?' ? 1 : Infinity);
+    if (max <= 1) continue;
+    if (closed && (closed.repeats || closed.alternates)) return 'quantificateur sur un groupe qui se répète ou contient une alternative';
+    current.repeats = true;
+    if (++repeatCount > RULE_REGEX_MAX_REPEATS) return `au plus ${RULE_REGEX_MAX_REPEATS} répétitions (*, +, {n,m})`;
+  }
+  return null;
+}
 
-  // Current remaining monthly budget (includes carry-over logic)
-  const anyDayInMonth = `${monthStr}-15`;
-  const monthlyAvailable = await calculateBudgetsAvailable(userId, anyDayInMonth);
+// Compile a rule pattern into a test on the comment. Keywords match whole words of the normalized
+// comment; regexes are case-insensitive and tried on the raw and the normalized comment (first
+// RULE_MATCH_MAX_LENGTH characters). Throws on an invalid or unsafe regex.
+function compileRulePattern(matchType, pattern) {
+  if (matchType === 'regex') {
+    const re = new RegExp(pattern, 'i');
+    const unsafe = unsafeRegexReason(pattern);
+    if (unsafe) throw new Error(unsafe);
+    const head = (text) => text.slice(0, RULE_MATCH_MAX_LENGTH);
+    return (raw, normalized) => re.test(head(raw)) || re.test(head(normalized));
+  }
+  const re = new RegExp(`(^|[^a-z0-9])${escapeRegex(normalizeMatchText(pattern))}($|[^a-z0-9])`);
+  return (raw, normalized) => re.test(normalized);
+}
 
-  // Attach human-readable budget info
-  const budgetIds = Array.from(byBudget.keys()).filter(k => k !== 'none');
-  const budgets = budgetIds.length ? await Budget.find({ _id: { $in: budgetIds } }) : [];
-  const budgetMap = new Map();
-  for (const b of budgets) budgetMap.set(String(b._id), b);
+// Throws 400 INVALID_RULE_PATTERN when a regex rule does not compile or could backtrack catastrophically
+function assertValidRulePattern(matchType, pattern) {
+  try {
+    compileRulePattern(matchType, pattern);
+  } catch (e) {
+    throw httpError(400, `Expression régulière invalide: ${e.message}`, 'INVALID_RULE_PATTERN');
+  }
+}
 
-  const breakdownByBudget = Array.from(byBudget.values()).map(entry => {
-    const b = entry.budgetId && entry.budgetId !== 'none' ? budgetMap.get(entry.budgetId) : null;
-    return {
-      budgetId: entry.budgetId === 'none' ? null : entry.budgetId,
-      budgetName: b ? b.name : 'Sans budget',
-      frequency: b ? b.frequency : null,
-      totalIncome: entry.totalIncome,
-      totalExpenses: entry.totalExpenses
-    };
-  });
+// Enabled rules for `userId` in evaluation order: the user's own (user + learned) before the system
+// defaults, then by priority and by longest pattern. Rules pointing to an archived category are skipped.
+async function loadCategoryRules(userId) {
+  const rules = await CategoryRule.find({ userId: { $in: [null, userId] }, enabled: true });
+  const categoryIds = rules.filter(r => r.categoryId).map(r => r.categoryId);
+  const active = new Set((await Category.find({ _id: { $in: categoryIds }, archived: { $ne: true } }).select('_id')).map(c => c._id.toString()));
 
-  return {
-    user: {
-      id: user._id.toString(),
-      name: user.name,
-      email: user.email
-    },
-    month: monthStr,
-    salaryBase: primary ? Number(primary.initialAmount || primary.amount || primary.currentAmount || 0) : 0,
-    totals: {
-      totalIncome,
-      totalExpenses,
-      net,
-      startingBalance,
-      endingBalance,
-      monthlyAvailable
-    },
-    breakdownByBudget,
-    dailyHistory,
-    transactions: txs.map(t => ({
-      date: t.date,
-      type: t.type,
-      amount: t.amount,
-      comment: t.comment || '',
-      budgetId: t.budgetId ? String(t.budgetId) : null
-    }))
-  };
+  const compiled = [];
+  for (const rule of rules) {
+    if (rule.categoryId && !active.has(rule.categoryId.toString()) && !(rule.tags || []).length) continue;
+    try {
+      compiled.push({ rule, categoryId: rule.categoryId && active.has(rule.categoryId.toString()) ? rule.categoryId : null, test: compileRulePattern(rule.matchType, rule.pattern) });
+    } catch (e) {
+      logger.warn('Invalid category rule skipped', { ruleId: rule._id.toString(), error: e.message });
+    }
+  }
+  return compiled.sort((a, b) =>
+    (a.rule.userId ? 0 : 1) - (b.rule.userId ? 0 : 1) ||
+    (b.rule.priority || 0) - (a.rule.priority || 0) ||
+    b.rule.pattern.length - a.rule.pattern.length);
 }
 
-// Générer un conseil IA basique (à améliorer avec une vraie IA)
-function generateAIAdvice(todayData, transactions) {
-  const { gains, expenses, budgetsAvailable } = todayData;
-  
-  if (gains > expenses) {
-    return `Excellent travail ! Vos gains d'aujourd'hui (${gains}€) dépassent vos dépenses (${expenses}€). Continuez à prioriser les dépenses essentielles sur votre budget mensuel pour préserver vos revenus hebdomadaires pour les imprévus.`;
-  } else if (expenses > budgetsAvailable * 0.5) {
-    return `Attention, vous avez déjà utilisé plus de 50% de vos budgets disponibles aujourd'hui. Pensez à limiter les dépenses non essentielles pour le reste de la journée.`;
-  } else if (transactions.length === 0) {
-    return `Aucune transaction aujourd'hui. N'oubliez pas d'enregistrer toutes vos dépenses et gains pour un suivi précis de vos finances.`;
-  } else {
-    return `Vous gérez bien vos budgets. Il vous reste ${budgetsAvailable.toFixed(2)}€ disponibles dans vos différentes sources de revenus.`;
+// Category of the first matching rule that has one, tags of every matching rule
+function matchCategoryRules(compiledRules, comment) {
+  const normalized = normalizeMatchText(comment);
+  let categoryId = null;
+  let ruleId = null;
+  const tags = [];
+  for (const c of compiledRules) {
+    if (!c.test(String(comment || ''), normalized)) continue;
+    if (!categoryId && c.categoryId) {
+      categoryId = c.categoryId;
+      ruleId = c.rule._id;
+    }
+    tags.push(...(c.rule.tags || []));
   }
+  return { categoryId, ruleId, tags: normalizeTags(tags) };
+}
+
+// A manual category correction becomes a 'learned' keyword rule on the whole comment, so the next
+// "crédit Orange" lands in the same category. Long free-text comments are not learned.
+const LEARNED_RULE_MAX_LENGTH = 60;
+async function learnCategoryRule(userId, comment, categoryId) {
+  const pattern = normalizeMatchText(comment);
+  if (pattern.length < 2 || pattern.length > LEARNED_RULE_MAX_LENGTH) return null;
+  return CategoryRule.findOneAndUpdate(
+    { userId, matchType: 'keyword', pattern },
+    { $set: { categoryId, enabled: true }, $setOnInsert: { source: 'learned', tags: [], priority: 0 } },
+    { upsert: true, new: true }
+  );
+}
+
+function formatCategoryRule(r) {
+  return { id: r._id.toString(), categoryId: r.categoryId ? r.categoryId.toString() : null, matchType: r.matchType, pattern: r.pattern, tags: r.tags || [], priority: r.priority || 0, source: r.source, system: !r.userId, enabled: r.enabled !== false, updatedAt: r.updatedAt || r.createdAt };
 }
 
 // ============================================================================
-// ROUTES API - UTILISATEUR
+// TRANSACTIONS: CASCADE, COMPENSATION ET JOURNÉES
 // ============================================================================
 
-// GET /api - API Health Check
-app.get('/api', (req, res) => {
-  res.json({
-    status: 'ok',
-    message: 'API Coach Financier running',
-    timestamp: new Date().toISOString(),
-    environment: NODE_ENV
+// Budgets debited by an expense: the envelope itself and its immediate parent
+// (daily -> weekly, weekly -> monthly primary; never the grandparent)
+async function getCascadeBudgets(targetBudget, session = null) {
+  const parent = await findParentBudget(targetBudget, session);
+  return parent ? [targetBudget, parent] : [targetBudget];
+}
+
+// Debits ([{ budgetId, amount, limit }]) a new transaction will apply. Gains debit no envelope.
+// The parents of the cascade only consume a limit (`limit`: the whole amount), the envelope spends the money.
+async function planTransactionDebits(type, budgetId, amount, session = null) {
+  if (type !== 'expense') return [];
+  const query = Budget.findById(budgetId);
+  if (session) query.session(session);
+  const target = await query.exec();
+  if (!target) throw httpError(404, 'Budget non trouvé');
+  const budgets = await getCascadeBudgets(target, session);
+  return budgets.map((b, i) => ({ budgetId: b._id, amount: Number(amount || 0), limit: i ? Number(amount || 0) : 0 }));
+}
+
+// Debits of a split expense: each line's cascade, merged per budget so that every envelope is
+// checked once against the whole split and appears once in the journal entry
+async function planSplitDebits(lines, session = null) {
+  const merged = new Map();
+  for (const line of lines) {
+    for (const d of await planTransactionDebits('expense', line.budgetId, line.amount, session)) {
+      const id = d.budgetId.toString();
+      merged.set(id, merged.has(id) ? { budgetId: d.budgetId, amount: roundAmount(merged.get(id).amount + d.amount), limit: roundAmount(merged.get(id).limit + d.limit) } : d);
+    }
+  }
+  return [...merged.values()];
+}
+
+// Debits of the posting `next` describes (split lines, single budget, or nothing for a gain)
+function planPostingDebits(next, session = null) {
+  return next.lines && next.lines.length
+    ? planSplitDebits(next.lines, session)
+    : planTransactionDebits(next.type, next.budgetId, next.amount, session);
+}
+
+// Journal entry posting `next` ({ type, amount, comment, budgetId, lines }) for transaction `txId`.
+// `affected`: the budgets debited by an expense, or credited by a gain funding the envelopes (see planGainFunding)
+function buildPostingEntry(userId, txId, next, affected, ruleSuffix = '', meta = {}) {
+  if (next.type !== 'expense') {
+    const funded = meta.savings && meta.savings.funded;
+    return new JournalEntry({ userId, txType: 'gain', amount: next.amount, comment: next.comment, affected: funded ? affected : [], ruleApplied: funded ? `gain_to_budget${ruleSuffix}` : 'gain_to_savings', transactionId: txId, meta });
+  }
+  const split = next.lines && next.lines.length;
+  return new JournalEntry({
+    userId,
+    txType: 'expense',
+    amount: next.amount,
+    comment: next.comment,
+    affected,
+    ruleApplied: `${split ? 'cascade_split_expense' : 'cascade_expense'}${ruleSuffix}`,
+    transactionId: txId,
+    meta: split
+      ? { ...meta, lines: next.lines.map(l => ({ budgetId: l.budgetId, categoryId: l.categoryId || null, amount: l.amount })) }
+      : { sourceBudget: next.budgetId, ...meta }
   });
-});
+}
 
-// GET /api/check-user/:phoneNumber - Vérifier si un utilisateur existe
-app.get('/api/check-user/:phoneNumber', asyncHandler(async (req, res) => {
-  const { phoneNumber } = req.params;
-  const userEmail = `${phoneNumber.replace(/\D/g, '')}@test.local`;
-  logger.info(`Incoming check-user request for ${phoneNumber}`);
-  logger.debug('Computed userEmail for check-user', { userEmail });
+// Budget / category / amount parts of a transaction: its split lines, or the transaction itself
+function transactionParts(tx) {
+  if (tx.lines && tx.lines.length) return tx.lines.map(l => ({ budgetId: l.budgetId, categoryId: l.categoryId || null, amount: Number(l.amount || 0) }));
+  return [{ budgetId: tx.budgetId || null, categoryId: tx.categoryId || null, amount: Number(tx.amount || 0) }];
+}
+
+// Live posting of a transaction: its latest journal entry that is not a compensation
+async function findPostingEntry(tx, session = null) {
+  const query = JournalEntry.findOne({ transactionId: tx._id, ruleApplied: { $not: /^reverse_/ } }).sort({ createdAt: -1, _id: -1 });
+  if (session) query.session(session);
+  return query.exec();
+}
+
+// Movements ([{ budgetId, amount }]) of a journal entry's affected budgets in direction `sign`
+// (1: credited, -1: debited), without the budgets deleted since then: a deleted budget already gave its
+// balance back to its parent (DELETE /api/budgets/:id), there is nothing left to compensate
+async function getPostedMovements(postingEntry, sign, session = null) {
+  const movements = (postingEntry.affected || [])
+    .map(a => ({ budgetId: a.budgetId, amount: roundAmount(sign * (Number(a.after || 0) - Number(a.before || 0))), limit: cascadeLimit(postingEntry, a) }))
+    .filter(m => m.amount > 0);
+  const query = Budget.find({ _id: { $in: movements.map(m => m.budgetId) } }).select('_id');
+  if (session) query.session(session);
+  const live = new Set((await query.exec()).map(b => b._id.toString()));
+  return movements.filter(m => live.has(m.budgetId.toString()));
+}
+
+// Debits a posted transaction actually applied, read from its journal entry so the compensation
+// restores exactly what was cascaded. Legacy entries (no transactionId) fall back to the current cascade.
+async function getPostedDebits(tx, postingEntry, session = null) {
+  if (tx.type !== 'expense') return [];
+  if (postingEntry) return getPostedMovements(postingEntry, -1, session);
+  if (!tx.budgetId) return [];
+  const query = Budget.findById(tx.budgetId);
+  if (session) query.session(session);
+  const target = await query.exec();
+  if (!target) return [];
+  const budgets = await getCascadeBudgets(target, session);
+  return budgets.map((b, i) => ({ budgetId: b._id, amount: Number(tx.amount || 0), limit: i ? Number(tx.amount || 0) : 0 }));
+}
+
+// Apply credits (compensations) then debits (new postings) to budget currentAmounts.
+// Returns { credited, debited } as journal `affected` lists (with the `limit` of each movement, when given).
+// Rejects (400) when a budget would go negative.
+// With a session everything runs in the caller's transaction; without, debits use conditional updates
+// and every applied movement is reverted on conflict (409).
+async function applyBudgetMovements(credits, debits, session = null) {
+  const ids = [...new Set([...credits, ...debits].map(m => m.budgetId.toString()))];
+  const query = Budget.find({ _id: { $in: ids } });
+  if (session) query.session(session);
+  const budgets = new Map((await query.exec()).map(b => [b._id.toString(), b]));
+  const balances = new Map([...budgets].map(([id, b]) => [id, Number(b.currentAmount || 0)]));
+
+  const step = (movement, sign) => {
+    const id = movement.budgetId.toString();
+    if (!budgets.has(id)) throw httpError(404, 'Budget non trouvé');
+    const before = balances.get(id);
+    const after = roundAmount(before + sign * Number(movement.amount || 0));
+    if (after < 0) throw httpError(400, `Opération rejetée — le budget "${budgets.get(id).name}" serait négatif (${after})`);
+    balances.set(id, after);
+    return { budgetId: budgets.get(id)._id, before, after, ...(movement.limit !== undefined ? { limit: roundAmount(movement.limit) } : {}) };
+  };
+  const credited = credits.map(c => step(c, 1));
+  const debited = debits.map(d => step(d, -1));
+
+  if (session) {
+    for (const [id, amount] of balances) {
+      if (amount !== Number(budgets.get(id).currentAmount || 0)) {
+        await Budget.updateOne({ _id: id }, { $set: { currentAmount: amount } }).session(session);
+      }
+    }
+    return { credited, debited };
+  }
+
+  const applied = [];
   try {
-    const exists = await User.findOne({ email: userEmail });
-    logger.debug('check-user DB result', { exists: !!exists });
-    res.json({
-      phoneNumber: phoneNumber,
-      exists: !!exists,
-      message: exists ? 'Compte trouvé' : 'Aucun compte trouvé'
-    });
-  } catch (err) {
-    console.error('Error in /api/check-user', err && err.stack ? err.stack : err);
-    // rethrow to be handled by global error handler
-    throw err;
+    for (const c of credits) {
+      await Budget.updateOne({ _id: c.budgetId }, { $inc: { currentAmount: Number(c.amount) } });
+      applied.push({ budgetId: c.budgetId, amount: Number(c.amount) });
+    }
+    for (const d of debits) {
+      const u = await Budget.findOneAndUpdate({ _id: d.budgetId, currentAmount: { $gte: Number(d.amount) } }, { $inc: { currentAmount: -Number(d.amount) } }, { new: true });
+      if (!u) throw httpError(409, 'Conflit de disponibilité lors de la mise à jour des budgets, réessayez', 'BUDGET_CONFLICT');
+      applied.push({ budgetId: d.budgetId, amount: -Number(d.amount) });
+    }
+  } catch (e) {
+    for (const a of applied.reverse()) {
+      try { await Budget.updateOne({ _id: a.budgetId }, { $inc: { currentAmount: -a.amount } }); } catch (__) {}
+    }
+    throw e;
   }
-}));
+  return { credited, debited };
+}
 
-// GET /api/user-by-phone/:phoneNumber - Retourne l'utilisateur complet par numéro
-app.get('/api/user-by-phone/:phoneNumber', asyncHandler(async (req, res) => {
-  const { phoneNumber } = req.params;
-  const userEmail = `${phoneNumber.replace(/\D/g, '')}@test.local`;
+// Rules whose posting opens a budget (its first legs). Budgets whose first posting is another rule were opened before
+// the postings existed: their balance cannot be derived until scripts/backfill_ledger_postings.js posts their opening.
+const OPENING_POSTING_RULES = /^(budget_opening|initial_budget_allocation|budget_template|allocation_weekly_from_month)/;
+
+// Balances derived from the postings of the budgets among `entries`' budget legs: Map(budgetId -> balance),
+// without the budgets that have no opening posting
+async function derivePostedBalances(entries, session) {
+  const ids = [...new Set(entries.filter(e => e.accountType === 'budget' && e.accountId).map(e => e.accountId.toString()))]
+    .map(id => new mongoose.Types.ObjectId(id));
+  if (!ids.length) return new Map();
+  const sums = await LedgerPosting.aggregate([
+    { $match: { 'entries.accountType': 'budget', 'entries.accountId': { $in: ids } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.accountType': 'budget', 'entries.accountId': { $in: ids } } },
+    { $group: { _id: '$entries.accountId', total: { $sum: '$entries.amount' }, firstRule: { $first: '$ruleApplied' } } }
+  ]).session(session);
+  return new Map(sums.filter(x => OPENING_POSTING_RULES.test(x.firstRule || '')).map(x => [x._id.toString(), roundAmount(x.total)]));
+}
 
-  const user = await User.findOne({ email: userEmail });
-  if (!user) {
-    return res.status(404).json({ message: 'Utilisateur non trouvé' });
+// Save a journal entry and its double-entry posting in the same session (see ledger/ledgerPostings.js).
+// Entries that move no money get no posting; an unknown rule or a posting that does not balance is refused.
+// In a session the balance of each budget it moves is then derived from the postings and written as its cached
+// currentAmount; it must equal the balance the entry recorded (`after`), otherwise 500 LEDGER_POSTING_MISMATCH and
+// the operation is rolled back. Budgets without opening posting keep their cached balance (see OPENING_POSTING_RULES).
+// The fallback path cannot read a consistent state and leaves it to the verifier (posting_drift).
+// Returns the posting, or null.
+async function recordJournalEntry(je, session = null) {
+  const entries = buildPostingEntries(je);
+  await je.save({ session });
+  if (!entries.length) return null;
+  const posting = new LedgerPosting({ userId: je.userId, journalEntryId: je._id, transactionId: je.transactionId || null, ruleApplied: je.ruleApplied, comment: je.comment, entries, createdAt: je.createdAt });
+  try {
+    await posting.save({ session });
+  } catch (e) {
+    if (!session) await je.deleteOne().catch(() => {});
+    throw e;
   }
-
-  res.json({
-    success: true,
-    user: {
-      id: user._id.toString(),
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      subscription: user.subscription || null
+  if (session) {
+    const recorded = new Map((je.affected || []).map(a => [a.budgetId.toString(), roundAmount(a.after)]));
+    for (const [budgetId, balance] of await derivePostedBalances(entries, session)) {
+      const budget = await Budget.findById(budgetId).select('name currentAmount').session(session);
+      if (!budget) continue;
+      const expected = recorded.has(budgetId) ? recorded.get(budgetId) : roundAmount(budget.currentAmount);
+      if (Math.abs(expected - balance) > TOLERANCE) {
+        throw httpError(500, `Solde comptable incohérent pour le budget "${budget.name}": lancez la vérification du grand livre`, 'LEDGER_POSTING_MISMATCH');
+      }
+      if (roundAmount(budget.currentAmount) !== balance) await Budget.updateOne({ _id: budget._id }, { $set: { currentAmount: balance } }).session(session);
     }
-  });
-}));
+  }
+  return posting;
+}
 
-// POST /api/subscribe - Créer / activer un abonnement pour un utilisateur
-app.post('/api/subscribe', asyncHandler(async (req, res) => {
-  const { userId, plan, paymentMethod } = req.body;
-  if (!userId || !plan) {
-    return res.status(400).json({ message: 'userId et plan sont requis' });
+// Run `work(session)` inside a MongoDB transaction when supported, otherwise with session = null (fallback path)
+async function runLedgerOperation(work) {
+  if (!TRANSACTIONS_SUPPORTED) return work(null);
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (e) {
+    try { await session.abortTransaction(); } catch (__) {}
+    throw e;
+  } finally {
+    session.endSession();
   }
+}
 
-  if (!['free', 'premium'].includes(plan)) {
-    return res.status(400).json({ message: 'Plan invalide' });
+// Claim a transaction for an edit/delete (optimistic lock on its version) so two concurrent
+// changes never compensate the same posting twice
+async function claimTransaction(tx, session = null) {
+  const claimed = await Transaction.findOneAndUpdate({ _id: tx._id, __v: tx.__v }, { $inc: { __v: 1 } }, { new: true, ...(session ? { session } : {}) });
+  if (!claimed) throw httpError(409, 'Transaction modifiée entre-temps, réessayez', 'TRANSACTION_CONFLICT');
+  return claimed;
+}
+
+// Category usable by `userId`: a system category or one of the user's own (archived ones are refused)
+async function resolveCategoryForUser(userId, categoryId) {
+  const category = mongoose.isValidObjectId(categoryId) ? await Category.findById(categoryId) : null;
+  if (!category || category.archived) throw httpError(404, 'Catégorie non trouvée', 'CATEGORY_NOT_FOUND');
+  if (category.userId && !sameId(category.userId, userId)) throw httpError(403, 'Catégorie n\'appartient pas à l\'utilisateur', 'FORBIDDEN_NOT_OWNER');
+  return category;
+}
+
+function formatCategory(c) {
+  return { id: c._id.toString(), key: c.key || null, name: c.name, icon: c.icon || null, color: c.color || null, system: !c.userId, archived: !!c.archived, updatedAt: c.updatedAt || c.createdAt };
+}
+
+function formatTransaction(tx) {
+  return { id: tx._id.toString(), userId: tx.userId.toString(), budgetId: tx.budgetId ? tx.budgetId.toString() : null, categoryId: tx.categoryId ? tx.categoryId.toString() : null, categorySource: tx.categorySource || null, tags: tx.tags || [], lines: tx.lines && tx.lines.length ? tx.lines.map(l => ({ budgetId: l.budgetId ? l.budgetId.toString() : null, categoryId: l.categoryId ? l.categoryId.toString() : null, amount: l.amount, comment: l.comment || null, archivedBudget: l.archivedBudget && l.archivedBudget.budgetId ? { budgetId: l.archivedBudget.budgetId.toString(), name: l.archivedBudget.name } : null })) : null, type: tx.type, amount: tx.amount, comment: tx.comment, date: tx.date, time: tx.time, tontineId: tx.tontineId ? tx.tontineId.toString() : null, objectiveId: tx.objectiveId ? tx.objectiveId.toString() : null, archivedBudget: tx.archivedBudget && tx.archivedBudget.budgetId ? { budgetId: tx.archivedBudget.budgetId.toString(), name: tx.archivedBudget.name } : null, clientId: tx.clientId || null, createdAt: tx.createdAt, updatedAt: tx.updatedAt };
+}
+
+// Undo movements applied by applyBudgetMovements on the fallback path (best-effort)
+async function revertBudgetMovements(credits, debits) {
+  for (const c of credits) {
+    try { await Budget.updateOne({ _id: c.budgetId }, { $inc: { currentAmount: -Number(c.amount) } }); } catch (__) {}
   }
+  for (const d of debits) {
+    try { await Budget.updateOne({ _id: d.budgetId }, { $inc: { currentAmount: Number(d.amount) } }); } catch (__) {}
+  }
+}
 
-  const resolvedUserId = await resolveUserId(userId).catch(() => null);
-  if (!resolvedUserId) {
-    return res.status(404).json({ message: 'Utilisateur non trouvé' });
+// Compensating journal entry for the live posting of a transaction (`affected`: the budgets it gave back to or took back from)
+function buildReversalEntry(tx, postingEntry, affected, ruleSuffix = '') {
+  return new JournalEntry({
+    userId: tx.userId,
+    txType: tx.type === 'gain' ? 'gain' : 'adjustment',
+    amount: -Number(tx.amount || 0),
+    comment: `Annulation: ${tx.comment}`,
+    affected,
+    ruleApplied: `${tx.type === 'gain' ? 'reverse_gain' : 'reverse_expense'}${ruleSuffix}`,
+    transactionId: tx._id,
+    reversalOf: postingEntry ? postingEntry._id : null,
+    meta: { ...(tx.tontineId ? { tontineId: tx.tontineId } : {}), ...(tx.objectiveId ? { objectiveId: tx.objectiveId } : {}), ...(postingEntry && postingEntry.meta && postingEntry.meta.savings ? { savings: postingEntry.meta.savings } : {}), transaction: { type: tx.type, amount: tx.amount, budgetId: tx.budgetId, lines: tx.lines && tx.lines.length ? tx.lines : undefined, comment: tx.comment, date: tx.date, time: tx.time } }
+  });
+}
+
+// Recompute one Day from its transactions: initialPocket is the previous Day's finalPocket.
+// budgetsAvailable is only reconciled against the primary budget for the current month (`currentDate`).
+async function recomputeDay(userId, date, session = null, currentDate = date) {
+  const withSession = (q) => (session ? q.session(session) : q);
+  const dayTransactions = await withSession(Transaction.find({ userId, date }));
+  const gains = dayTransactions.filter(t => t.type === 'gain').reduce((s, t) => s + t.amount, 0);
+  const expenses = dayTransactions.filter(t => t.type === 'expense').reduce((s, t) => s + t.amount, 0);
+  const previousDay = await withSession(Day.findOne({ userId, date: { $lt: date } }).sort({ date: -1 }));
+  const existing = await withSession(Day.findOne({ userId, date }));
+  const initialPocket = previousDay ? previousDay.finalPocket : (existing ? existing.initialPocket : 0);
+  const payDay = await loadUserPayDay(userId, session);
+  const reconcile = getPeriodKey('monthly', date, payDay) === getPeriodKey('monthly', String(currentDate), payDay);
+  const budgetsAvailable = await calculateBudgetsAvailable(userId, date, session, { reconcile });
+  const finalPocket = initialPocket + gains - expenses;
+  await Day.updateOne({ userId, date }, { $set: { initialPocket, budgetsAvailable, gains, expenses, finalPocket } }, { upsert: true, ...(session ? { session } : {}) });
+  return { date, initialPocket, budgetsAvailable, gains, expenses, finalPocket };
+}
+
+// Recompute `date`, then carry its finalPocket forward through every later Day
+// (each later initialPocket is the previous finalPocket; their own gains/expenses are unchanged)
+async function recomputeDayChain(userId, date, session = null, currentDate = date) {
+  const first = await recomputeDay(userId, date, session, currentDate);
+  const query = Day.find({ userId, date: { $gt: date } }).sort({ date: 1 });
+  if (session) query.session(session);
+  const laterDays = await query.exec();
+  let pocket = first.finalPocket;
+  for (const d of laterDays) {
+    const finalPocket = pocket + Number(d.gains || 0) - Number(d.expenses || 0);
+    if (d.initialPocket !== pocket || d.finalPocket !== finalPocket) {
+      await Day.updateOne({ _id: d._id }, { $set: { initialPocket: pocket, finalPocket } }, session ? { session } : {});
+    }
+    pocket = finalPocket;
   }
+  return first;
+}
 
-  const user = await User.findById(resolvedUserId);
-  if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+// A posting on `date` rewrites that Day and, through the pocket chain, every later one: refuse if any is locked
+async function assertDayChainOpen(userId, date) {
+  const locked = await Day.findOne({ userId, date: { $gte: date }, locked: true }).sort({ date: 1 });
+  if (locked) {
+    const message = locked.date === date ? 'Le jour est verrouillé, aucune modification possible' : `Le jour ${locked.date} est verrouillé, aucune modification antérieure possible`;
+    throw httpError(403, message, 'DAY_LOCKED');
+  }
+}
 
-  const now = new Date();
-  const periodDays = plan === 'premium' ? 30 : 0;
-  const endDate = periodDays > 0 ? new Date(now.getTime() + periodDays * 24 * 60 * 60 * 1000) : null;
+// Whether 'YYYY-MM-DD' is a day of the calendar: Date rolls 2026-02-30 over to March 2, the UTC round-trip does not match
+function isCalendarDate(value) {
+  const [y, m, d] = value.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
 
-  user.subscription = {
-    plan,
-    startDate: now,
-    endDate: endDate,
-    isActive: plan === 'premium',
-    daysRemaining: periodDays,
-    paymentMethod: paymentMethod || null
-  };
+// Date (and time) a new transaction is booked on, in the user's timezone.
+// 'YYYY-MM-DD' is taken as a local day (current time kept); a full datetime is converted to the user's timezone.
+// Impossible dates are refused, future dates too, and so are dates in a closed period (monthly periods before the current one).
+function resolveTransactionDate(rawDate, clock) {
+  if (rawDate === undefined || rawDate === null || rawDate === '') return { date: clock.date, time: clock.time };
+  let date = clock.date;
+  let time = clock.time;
+  if (typeof rawDate === 'string' && /^\d{4}-\d{2}-\d{2}/.test(rawDate) && !isCalendarDate(rawDate.slice(0, 10))) {
+    throw httpError(400, 'transactionDate invalide', 'TRANSACTION_DATE_INVALID');
+  }
+  if (typeof rawDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(rawDate)) {
+    date = rawDate;
+  } else {
+    const d = new Date(rawDate);
+    if (Number.isNaN(d.getTime())) throw httpError(400, 'transactionDate invalide', 'TRANSACTION_DATE_INVALID');
+    date = formatDateInTimeZone(d, clock.timeZone);
+    time = new Intl.DateTimeFormat('fr-FR', { timeZone: clock.timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(d);
+  }
+  if (date > clock.date) throw httpError(400, 'La date de transaction ne peut pas être dans le futur', 'TRANSACTION_DATE_FUTURE');
+  if (getPeriodKey('monthly', date, clock.payDay) < getPeriodKey('monthly', clock.date, clock.payDay)) {
+    throw httpError(403, 'Période clôturée: impossible d\'enregistrer une transaction sur une période précédente', 'PERIOD_CLOSED');
+  }
+  return { date, time };
+}
 
-  await user.save();
+// Savings wallet of a user, created on first use
+function getSavingsWallet(userId, session = null) {
+  return SavingsWallet.findOneAndUpdate({ userId }, { $setOnInsert: { balance: 0, rules: [] } }, { upsert: true, new: true, ...(session ? { session } : {}) });
+}
 
-  res.status(201).json({ success: true, subscription: user.subscription });
-}));
+// Split of a gain by the wallet rules: each rule's share goes to its objective (when it still exists),
+// the rest is held in the wallet, or funds the budget `fundBudgetId` (irregular income mode, see planGainFunding).
+// Returns the journal `meta.savings`: { walletId, held, objectives: [{ objectiveId, amount }], funded?: { budgetId, amount } }
+async function planGainSavings(userId, amount, session = null, fundBudgetId = null) {
+  const wallet = await getSavingsWallet(userId, session);
+  const query = Objective.find({ _id: { $in: wallet.rules.map(r => r.objectiveId) }, userId }).select('_id');
+  if (session) query.session(session);
+  const existing = new Set((await query.exec()).map(o => o._id.toString()));
+  const objectives = [];
+  for (const rule of wallet.rules) {
+    const share = roundAmount(Number(amount) * rule.percent / 100);
+    if (existing.has(rule.objectiveId.toString()) && share > 0) objectives.push({ objectiveId: rule.objectiveId, amount: share });
+  }
+  const rest = roundAmount(Number(amount) - objectives.reduce((sum, o) => sum + o.amount, 0));
+  if (fundBudgetId) return { walletId: wallet._id, held: 0, objectives, funded: { budgetId: fundBudgetId, amount: rest } };
+  return { walletId: wallet._id, held: rest, objectives };
+}
 
-// POST /api/unsubscribe - Annuler l'abonnement
-app.post('/api/unsubscribe', asyncHandler(async (req, res) => {
-  const { userId } = req.body;
-  if (!userId) return res.status(400).json({ message: 'userId requis' });
+// Savings split of a posting ({ type, amount, budgetId }): null for an expense. In irregular income mode
+// the gain funds the budget it is logged on instead of the wallet.
+async function planPostingSavings(userId, posting, session = null) {
+  if (posting.type !== 'gain') return null;
+  const irregular = await loadUserIncomeMode(userId, session) === 'irregular';
+  return planGainSavings(userId, posting.amount, session, irregular ? posting.budgetId : null);
+}
 
-  const resolvedUserId = await resolveUserId(userId).catch(() => null);
-  if (!resolvedUserId) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+// Credits of a gain funding the envelopes (`savings.funded`): the budget it is logged on and its parent,
+// mirroring the expense cascade so that later expenses find the money at both levels
+async function planGainFunding(savings, session = null) {
+  if (!savings || !savings.funded || !(savings.funded.amount > 0)) return [];
+  const query = Budget.findById(savings.funded.budgetId);
+  if (session) query.session(session);
+  const target = await query.exec();
+  if (!target) throw httpError(404, 'Budget non trouvé');
+  const budgets = await getCascadeBudgets(target, session);
+  return budgets.map((b, i) => ({ budgetId: b._id, amount: savings.funded.amount, limit: i ? savings.funded.amount : 0 }));
+}
 
-  const user = await User.findById(resolvedUserId);
-  if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+// Credits a posted gain applied to the envelopes, withdrawn by its compensation
+async function getPostedFunding(tx, postingEntry, session = null) {
+  if (tx.type !== 'gain' || !postingEntry || !/^gain_to_budget/.test(postingEntry.ruleApplied || '')) return [];
+  return getPostedMovements(postingEntry, 1, session);
+}
 
-  if (!user.subscription) {
-    return res.status(400).json({ message: 'Aucun abonnement actif' });
+// Apply (sign 1) or undo (sign -1) the split of a gain. Undoing is refused (400) when the held part
+// has already been moved out of the wallet.
+async function applyGainSavings(savings, sign, session = null) {
+  const opts = session ? { session } : {};
+  const held = sign * Number(savings.held || 0);
+  const filter = held < 0 ? { _id: savings.walletId, balance: { $gte: -held } } : { _id: savings.walletId };
+  const wallet = await SavingsWallet.findOneAndUpdate(filter, { $inc: { balance: held } }, { new: true, ...opts });
+  if (!wallet) throw httpError(400, 'Épargne insuffisante: ce gain a déjà été transféré depuis le portefeuille d\'épargne', 'SAVINGS_INSUFFICIENT');
+  for (const o of savings.objectives || []) {
+    await creditObjective(o.objectiveId, sign * Number(o.amount), session);
   }
+  return wallet;
+}
 
-  user.subscription.isActive = false;
-  user.subscription.endDate = new Date();
-  user.subscription.daysRemaining = 0;
-  user.subscription.plan = 'free';
+// Add `amount` (negative to withdraw) to an objective's savedAmount; reaching the target marks it achieved
+async function creditObjective(objectiveId, amount, session = null) {
+  const opts = session ? { session } : {};
+  await Objective.updateOne({ _id: objectiveId }, { $inc: { savedAmount: amount } }, opts);
+  if (amount > 0) await Objective.updateOne({ _id: objectiveId, achieved: false, $expr: { $gte: ['$savedAmount', '$targetAmount'] } }, { $set: { achieved: true } }, opts);
+}
 
-  await user.save();
-  res.json({ success: true, subscription: user.subscription });
-}));
+// ============================================================================
+// ROLLOVER DES PÉRIODES (daily / weekly / monthly)
+// ============================================================================
 
-// GET /api/subscription/:userId - Récupérer l'abonnement d'un utilisateur
-app.get('/api/subscription/:userId', asyncHandler(async (req, res) => {
-  const { userId } = req.params;
-  const resolvedUserId = await resolveUserId(userId).catch(() => null);
-  if (!resolvedUserId) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+const ROLLOVER_POLICIES = ['carry_over', 'sweep_to_savings', 'return_to_parent'];
 
-  const user = await User.findById(resolvedUserId);
-  if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+function roundAmount(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
 
-  res.json({ success: true, subscription: user.subscription || null });
-}));
+// Period key of a date for a budget frequency: 'YYYY-MM-DD' (daily), ISO week 'YYYY-Www' (weekly), 'YYYY-MM' (monthly)
+function getPeriodKey(frequency, dateStr, payDay = 1) {
+  const d = dateStr || getTodayDate();
+  if (frequency === 'monthly') return getPayCycle(d, payDay).key;
+  if (frequency === 'weekly') {
+    const [y, m, day] = d.split('-').map(Number);
+    const dt = new Date(Date.UTC(y, m - 1, day));
+    dt.setUTCDate(dt.getUTCDate() + 4 - (dt.getUTCDay() || 7));
+    const yearStart = new Date(Date.UTC(dt.getUTCFullYear(), 0, 1));
+    const week = Math.ceil((((dt - yearStart) / 86400000) + 1) / 7);
+    return `${dt.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+  return d.slice(0, 10);
+}
 
-// GET /api/days/:userId - Récupérer les données du jour
-app.get('/api/days/:userId', asyncHandler(async (req, res) => {
-  try {
-    let { userId } = req.params;
-    userId = await resolveUserId(userId); // Convert string ID to ObjectId if needed
-    const currentDate = getTodayDate();
-    
-    // Récupérer l'utilisateur
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ message: 'Utilisateur non trouvé' });
-    }
-    
-    // Récupérer ou créer le jour actuel
-    let today = await Day.findOne({ userId, date: currentDate });
-    
-    if (!today) {
-      // Récupérer le dernier jour pour l'argent en poche initial
-      const lastDay = await Day.findOne({ userId })
-        .sort({ date: -1 })
-        .limit(1);
-      
+// Parent envelope in the monthly -> weekly -> daily hierarchy (same resolution as the expense cascade): the primary
+// monthly budget for a weekly one, the linked envelope (parentBudgetId) for a daily one, findPocketEnvelope when unlinked
+async function findParentBudget(budget, session = null) {
+  let query = null;
+  if (budget.frequency === 'daily') {
+    if (!budget.parentBudgetId) return findPocketEnvelope(budget.userId, session);
+    query = Budget.findOne({ _id: budget.parentBudgetId, userId: budget.userId });
+  } else if (budget.frequency === 'weekly') query = Budget.findOne({ userId: budget.userId, frequency: 'monthly', isPrimary: true });
+  if (!query) return null;
+  if (session) query.session(session);
+  return query.exec();
+}
 
-      const initialPocket = lastDay ? lastDay.finalPocket : 0;
-      const budgetsAvailable = await calculateBudgetsAvailable(userId, currentDate);
+// Daily budgets drawn from the weekly budget `budget`: linked to it, or unlinked while it is the pocket envelope
+async function findChildBudgets(budget, session = null) {
+  if (budget.frequency !== 'weekly') return [];
+  const query = Budget.find({ userId: budget.userId, frequency: 'daily', parentBudgetId: { $in: [budget._id, null] } });
+  if (session) query.session(session);
+  const dailies = await query.exec();
+  const pocket = dailies.some(d => !d.parentBudgetId) ? await findPocketEnvelope(budget.userId, session) : null;
+  return dailies.filter(d => d.parentBudgetId || (pocket && sameId(pocket._id, budget._id)));
+}
 
-      // Créer le nouveau jour: initialPocket is taken from lastDay.finalPocket.
-      // At new day start there are no additional gains/expenses accounted yet.
-      today = new Day({
-        userId,
-        date: currentDate,
-        initialPocket,
-        budgetsAvailable,
-        gains: 0,
-        expenses: 0,
-        finalPocket: initialPocket,
-        locked: false
-      });
-      
-      await today.save();
-    }
-    
-    // Récupérer les budgets avec montants restants
-    const budgets = await Budget.find({ userId });
-    const budgetsWithRemaining = await Promise.all(
-      budgets.map(async (budget) => {
-        const remaining = await calculateRemainingBudget(budget, userId, currentDate);
-        
-        return {
-          id: budget._id.toString(),
-          name: budget.name,
-          amount: budget.amount,
-          frequency: budget.frequency,
-          remainingToday: budget.frequency === 'daily' ? remaining : undefined,
-          remainingThisWeek: budget.frequency === 'weekly' ? remaining : undefined,
-          remainingThisMonth: budget.frequency === 'monthly' ? remaining : undefined
-        };
-      })
-    );
-    
-    // Récupérer les transactions du jour
-    const transactions = await Transaction.find({
-      userId,
-      date: currentDate
-    }).sort({ createdAt: 1 });
-    
-    const formattedTransactions = transactions.map(t => ({
-      id: t._id.toString(),
-      type: t.type,
-      amount: t.amount,
-      comment: t.comment,
-      budgetId: t.budgetId?.toString(),
-      time: t.time
-    }));
-    
-    // Récupérer l'historique (7 derniers jours)
-    const history = await Day.find({
-      userId,
-      date: { $lt: currentDate }
-    })
-    .sort({ date: -1 })
-    .limit(7);
-    
-    const formattedHistory = history.map(day => ({
-      date: day.date,
-      initialPocket: day.initialPocket,
-      budgetsAvailable: day.budgetsAvailable,
-      gains: day.gains,
-      expenses: day.expenses,
-      finalPocket: day.finalPocket,
-      locked: day.locked
-    }));
-    
-    // Générer conseil IA
-    const aiAdvice = generateAIAdvice(today, formattedTransactions);
-    
-    res.json({
-      user: {
-        id: user._id.toString(),
-        name: user.name,
-        role: user.role
-      },
-      budgets: budgetsWithRemaining,
-      today: {
-        date: today.date,
-        initialPocket: today.initialPocket,
-        budgetsAvailable: today.budgetsAvailable,
-        gains: today.gains,
-        expenses: today.expenses,
-        finalPocket: today.finalPocket,
-        locked: today.locked
-      },
-      transactions: formattedTransactions,
-      history: formattedHistory,
-      aiAdvice
-    });
-    
-  } catch (error) {
-    console.error('Erreur GET /api/days:', error);
-    return res.status(500).json({ message: 'Erreur serveur', error: error.message });
-  }
-}));
+// Salary of the primary budget in force for `month` ('YYYY-MM'): the latest salaryHistory entry effective
+// by then (pending revisions included, they apply at the rollover into their month). Months before the
+// history use its first amount; budgets without history use initialAmount.
+function salaryForMonth(primary, month) {
+  const history = [...(primary.salaryHistory || [])].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  if (!history.length) return Number(primary.initialAmount || primary.amount || primary.currentAmount || 0);
+  const applicable = history.filter(h => h.effectiveFrom <= month);
+  return Number((applicable.length ? applicable[applicable.length - 1] : history[0]).amount || 0);
+}
 
-// =====================
-// OBJECTIVES CRUD
-// =====================
-// GET /api/objectives/:userId
-app.get('/api/objectives/:userId', asyncHandler(async (req, res) => {
-  const { userId } = req.params;
-  const resolvedUserId = await resolveUserId(userId);
-  const objectives = await Objective.find({ userId: resolvedUserId }).sort({ createdAt: -1 });
-  res.json({ success: true, objectives: objectives.map(o => ({ id: o._id.toString(), name: o.name || null, targetAmount: o.targetAmount, targetDate: o.targetDate, achieved: o.achieved, savedAmount: o.savedAmount || 0 })) });
-}));
+// Daily allocation drawn from a weekly envelope: weekly / 7 rounded down, the cap of validateBudgetHierarchy
+function dailyAllocationOf(weeklyAmount) {
+  return Math.floor(Number(weeklyAmount || 0) / 7);
+}
 
-// POST /api/objectives - create
-app.post('/api/objectives', asyncHandler(async (req, res) => {
-  const { userId, name, targetAmount, targetDate } = req.body;
-  if (!userId || !targetAmount || !targetDate) return res.status(400).json({ message: 'userId, targetAmount et targetDate requis' });
-  const resolvedUserId = await resolveUserId(userId);
-  const obj = new Objective({ userId: resolvedUserId, name: name || null, targetAmount, targetDate, savedAmount: 0 });
-  await obj.save();
-  res.status(201).json({ success: true, objective: { id: obj._id.toString(), name: obj.name, targetAmount: obj.targetAmount, targetDate: obj.targetDate, savedAmount: obj.savedAmount } });
-}));
+// Derived daily budgets re-derived from the new amount (`weekly`, one per envelope) of the envelope each one
+// is drawn from: its parentBudgetId, the first envelope when unlinked. Returns [{ budgetId, amount }].
+async function planDerivedDailies(userId, envelopes, weekly, session = null) {
+  const byEnvelope = new Map(envelopes.map((e, i) => [String(e._id), weekly[i]]));
+  const query = Budget.find({ userId, frequency: 'daily', createdFrom: 'derived' }).sort({ createdAt: 1, _id: 1 });
+  if (session) query.session(session);
+  const dailies = await query.exec();
+  return dailies
+    .map(d => ({ budgetId: d._id, weekly: d.parentBudgetId ? byEnvelope.get(String(d.parentBudgetId)) : weekly[0] }))
+    .filter(d => d.weekly !== undefined)
+    .map(d => ({ budgetId: d.budgetId, amount: dailyAllocationOf(d.weekly) }));
+}
 
-// PUT /api/objectives/:id
-app.put('/api/objectives/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { targetAmount, targetDate, achieved } = req.body;
-  const obj = await Objective.findById(id);
-  if (!obj) return res.status(404).json({ message: 'Objectif non trouvé' });
-  if (targetAmount) obj.targetAmount = targetAmount;
-  if (targetDate) obj.targetDate = targetDate;
-  if (typeof achieved === 'boolean') obj.achieved = achieved;
-  await obj.save();
-  res.json({ success: true, objective: obj });
-}));
+// Apply the salary revisions due at the rollover of the primary budget into `toPeriod`: the new salary becomes
+// its amount / initialAmount (so the refill uses it) and the derived weekly and daily allocations are
+// re-derived like at registration (planAllocationAmounts, planDerivedDailies). Mutates `primary`.
+// Returns { previous, salary, weekly, daily, envelopes: [{ budgetId, amount }] } or null.
+async function applySalaryRevision(primary, toPeriod, session = null) {
+  const due = (primary.salaryHistory || []).filter(h => !h.appliedAt && h.effectiveFrom <= toPeriod);
+  if (!due.length) return null;
+  const opts = session ? { session } : {};
+  const previous = Number(primary.initialAmount || primary.amount || 0);
+  const salary = salaryForMonth(primary, toPeriod);
+  const envelopes = await findDerivedEnvelopes(primary.userId, session);
+  const { weekly, daily } = planAllocationAmounts(salary, envelopes.map(allocationShareOf));
+  const dailies = await planDerivedDailies(primary.userId, envelopes, weekly, session);
+
+  await Budget.updateOne(
+    { _id: primary._id },
+    { $set: { amount: salary, initialAmount: salary, 'salaryHistory.$[due].appliedAt': new Date() } },
+    { arrayFilters: [{ 'due.appliedAt': null, 'due.effectiveFrom': { $lte: toPeriod } }], ...opts }
+  );
+  for (const [i, envelope] of envelopes.entries()) {
+    await Budget.updateOne({ _id: envelope._id }, { $set: { amount: weekly[i], initialAmount: weekly[i] } }, opts);
+  }
+  for (const d of dailies) {
+    await Budget.updateOne({ _id: d.budgetId }, { $set: { amount: d.amount, initialAmount: d.amount } }, opts);
+  }
+  primary.amount = salary;
+  primary.initialAmount = salary;
+  return { previous, salary, weekly: weekly[0] || 0, daily: dailies.length ? dailies[0].amount : daily, envelopes: envelopes.map((e, i) => ({ budgetId: e._id, amount: weekly[i] })) };
+}
 
-// POST /api/objectives/:id/allocate - allouer un montant depuis un budget vers un objectif
-app.post('/api/objectives/:id/allocate', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  let { userId, budgetId, amount } = req.body;
-  if (!userId || !budgetId || !amount) return res.status(400).json({ message: 'userId, budgetId et amount requis' });
-  amount = Number(amount);
-  if (amount <= 0) return res.status(400).json({ message: 'Montant invalide' });
+// Compute a rollover without touching the DB.
+// - refill: the period allocation (`amount`, or the salary `initialAmount` for the primary budget),
+//   drawn from the parent and capped by what the parent holds (monthly -> weekly -> daily rules of /api/register)
+// - leftover (currentAmount at the boundary) follows the user's policy:
+//   carry_over       leftover stays in the envelope on top of the refill
+//   sweep_to_savings leftover leaves the envelopes for savings (see creditSweptLeftover)
+//   return_to_parent leftover goes back to the parent before the refill is drawn
+// Root envelopes (primary monthly, or budgets without parent) have nowhere to return to: return_to_parent carries over.
+// In irregular income mode no salary refills the primary budget: only the gains fund it (see planGainFunding).
+function planBudgetRollover(budget, parent, policy, incomeMode = 'salary') {
+  const leftover = Math.max(0, roundAmount(budget.currentAmount));
+  const allocation = budget.isPrimary
+    ? (incomeMode === 'irregular' ? 0 : Number(budget.initialAmount || budget.amount || 0))
+    : Number(budget.amount || budget.initialAmount || 0);
+  const effectivePolicy = (!parent && policy === 'return_to_parent') ? 'carry_over' : policy;
+
+  let parentAvailable = parent ? Math.max(0, roundAmount(parent.currentAmount)) : Infinity;
+  if (parent && effectivePolicy === 'return_to_parent') parentAvailable = roundAmount(parentAvailable + leftover);
+
+  const refill = roundAmount(Math.min(allocation, parentAvailable));
+  const newCurrent = effectivePolicy === 'carry_over' ? roundAmount(leftover + refill) : refill;
+  const parentDelta = parent ? roundAmount((effectivePolicy === 'return_to_parent' ? leftover : 0) - refill) : 0;
 
-  userId = await resolveUserId(userId);
-  const obj = await Objective.findById(id);
-  if (!obj) return res.status(404).json({ message: 'Objectif non trouvé' });
+  return {
+    policy: effectivePolicy,
+    leftover,
+    refill,
+    shortfall: roundAmount(allocation - refill),
+    swept: effectivePolicy === 'sweep_to_savings' ? leftover : 0,
+    newCurrent,
+    parentDelta,
+    ruleApplied: `rollover_${effectivePolicy}`
+  };
+}
 
-  // Verify budget exists and belongs to user
-  const budget = await Budget.findById(budgetId);
-  if (!budget) return res.status(404).json({ message: 'Budget non trouvé' });
-  if (budget.userId.toString() !== userId.toString()) return res.status(403).json({ message: 'Budget n\'appartient pas à l\'utilisateur' });
+// Credit a leftover swept by 'sweep_to_savings': the objective of preferences.rolloverSavingsObjectiveId, or the
+// savings wallet when none is set (or it no longer exists). Returns the journal meta of the destination.
+async function creditSweptLeftover(userId, amount, savingsObjectiveId, session = null) {
+  const opts = session ? { session } : {};
+  if (savingsObjectiveId) {
+    const r = await Objective.updateOne({ _id: savingsObjectiveId, userId }, { $inc: { savedAmount: amount } }, opts);
+    if (r.matchedCount) return { savingsObjectiveId };
+  }
+  const wallet = await getSavingsWallet(userId, session);
+  await SavingsWallet.updateOne({ _id: wallet._id }, { $inc: { balance: amount } }, opts);
+  return { walletId: wallet._id };
+}
 
-  const currentDate = getTodayDate();
-  const remaining = await calculateRemainingBudget(budget, userId, currentDate);
-  if (amount > remaining) return res.status(400).json({ message: `Dépassement du budget "${budget.name}". Reste: ${remaining}€` });
+// Roll one budget into the period of `currentDate`. Returns a summary, or null if nothing to do.
+// The periodKey acts as a claim so concurrent runners never roll the same period twice.
+async function rolloverBudget(budget, user, currentDate) {
+  const toPeriod = getPeriodKey(budget.frequency, currentDate, getUserPayDay(user));
+  if (!budget.periodKey) {
+    // Legacy budget without period: start tracking from now, no refill
+    await Budget.updateOne({ _id: budget._id, periodKey: null }, { $set: { periodKey: toPeriod } });
+    return null;
+  }
+  if (budget.periodKey >= toPeriod) return null;
+
+  const fromPeriod = budget.periodKey;
+  const prefs = (user && user.preferences) || {};
+  const policy = ROLLOVER_POLICIES.includes(prefs.rolloverPolicy) ? prefs.rolloverPolicy : 'return_to_parent';
+  const savingsObjectiveId = prefs.rolloverSavingsObjectiveId || null;
+  const incomeMode = getUserIncomeMode(user);
+
+  const buildJournal = (b, parent, plan, sweep) => {
+    const affected = [{ budgetId: b._id, before: Number(b.currentAmount || 0), after: plan.newCurrent }];
+    if (parent && plan.parentDelta) affected.push({ budgetId: parent._id, before: Number(parent.currentAmount || 0), after: roundAmount(Number(parent.currentAmount || 0) + plan.parentDelta) });
+    return new JournalEntry({
+      userId: b.userId,
+      txType: 'adjustment',
+      amount: plan.refill,
+      comment: `Rollover ${b.frequency} ${b.name}: ${fromPeriod} -> ${toPeriod}`,
+      affected,
+      ruleApplied: plan.ruleApplied,
+      meta: { frequency: b.frequency, fromPeriod, toPeriod, policy: plan.policy, leftover: plan.leftover, refill: plan.refill, shortfall: plan.shortfall, swept: plan.swept, savingsObjectiveId: (sweep && sweep.savingsObjectiveId) || null, ...(sweep && sweep.walletId ? { walletId: sweep.walletId } : {}), parentBudget: parent ? parent._id : null, ...(plan.salaryRevision ? { salaryRevision: plan.salaryRevision } : {}) }
+    });
+  };
 
-  // Create transaction
-  const currentTime = new Date().toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
-  // Perform deduction from budget(s) and record transaction + journal entry.
   if (TRANSACTIONS_SUPPORTED) {
     const session = await mongoose.startSession();
     try {
       session.startTransaction();
-      // create transaction in-session
-      const transaction = new Transaction({ userId, budgetId, type: 'expense', amount, comment: `Allocation vers objectif ${obj._id.toString()}`, date: currentDate, time: currentTime });
-      await transaction.save({ session });
-
-      // prepare cascade similar to /api/transactions
-      const toUpdate = [];
-      toUpdate.push(budget);
-      if (budget.frequency === 'daily') {
-        const weekly = await Budget.findOne({ userId, frequency: 'weekly' }).session(session);
-        if (weekly) toUpdate.push(weekly);
-        const monthlyPrimary = await Budget.findOne({ userId, frequency: 'monthly', isPrimary: true }).session(session);
-        if (monthlyPrimary) toUpdate.push(monthlyPrimary);
-      } else if (budget.frequency === 'weekly') {
-        const monthlyPrimary = await Budget.findOne({ userId, frequency: 'monthly', isPrimary: true }).session(session);
-        if (monthlyPrimary) toUpdate.push(monthlyPrimary);
-      }
-
-      const affected = [];
-      for (const b of toUpdate) {
-        const before = Number(b.currentAmount || 0);
-        const after = before - Number(amount || 0);
-        if (after < 0) {
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({ message: `Allocation rejetée — le budget "${b.name}" serait négatif (${after})` });
-        }
-        affected.push({ budgetId: b._id, before, after, name: b.name });
-      }
-
-      for (const a of affected) {
-        await Budget.updateOne({ _id: a.budgetId }, { $set: { currentAmount: a.after } }).session(session);
+      const fresh = await Budget.findOne({ _id: budget._id, periodKey: fromPeriod }).session(session);
+      if (!fresh) {
+        await session.abortTransaction();
+        session.endSession();
+        return null; // already rolled by another runner
       }
+      const salaryRevision = fresh.isPrimary ? await applySalaryRevision(fresh, toPeriod, session) : null;
+      const parent = fresh.isPrimary ? null : await findParentBudget(fresh, session);
+      const plan = { ...planBudgetRollover(fresh, parent, policy, incomeMode), salaryRevision };
 
-      const je = new JournalEntry({ userId, txType: 'expense', amount, comment: `Allocation vers objectif ${obj._id.toString()}`, affected: affected.map(a => ({ budgetId: a.budgetId, before: a.before, after: a.after })), ruleApplied: 'allocate_to_objective' });
-      await je.save({ session });
-
-      // Update Day totals within session
-      const todayTransactions = await Transaction.find({ userId, date: currentDate }).session(session);
-      const totalGains = todayTransactions.filter(t => t.type === 'gain').reduce((sum, t) => sum + t.amount, 0);
-      const totalExpenses = todayTransactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
-      const lastDay = await Day.findOne({ userId }).sort({ date: -1 }).limit(1).session(session);
-      const initialPocket = lastDay ? lastDay.finalPocket : 0;
-      const budgetsAvailable = await calculateBudgetsAvailable(userId, currentDate, session);
-      const finalPocket = initialPocket + totalGains - totalExpenses;
-      await Day.updateOne({ userId, date: currentDate }, { $set: { initialPocket, budgetsAvailable, gains: totalGains, expenses: totalExpenses, finalPocket } }, { upsert: true, session });
-
-      // Update objective savedAmount and save within session
-      obj.savedAmount = (obj.savedAmount || 0) + amount;
-      if (obj.savedAmount >= obj.targetAmount) obj.achieved = true;
-      await obj.save({ session });
+      await Budget.updateOne({ _id: fresh._id }, { $set: { currentAmount: plan.newCurrent, periodKey: toPeriod } }).session(session);
+      if (parent && plan.parentDelta) await Budget.updateOne({ _id: parent._id }, { $inc: { currentAmount: plan.parentDelta } }).session(session);
+      const sweep = plan.swept ? await creditSweptLeftover(fresh.userId, plan.swept, savingsObjectiveId, session) : null;
+      await recordJournalEntry(buildJournal(fresh, parent, plan, sweep), session);
 
       await session.commitTransaction();
       session.endSession();
-
-      return res.json({ success: true, objective: { id: obj._id.toString(), name: obj.name || null, targetAmount: obj.targetAmount, targetDate: obj.targetDate, savedAmount: obj.savedAmount, achieved: obj.achieved } });
+      return { budgetId: fresh._id.toString(), name: fresh.name, frequency: fresh.frequency, fromPeriod, toPeriod, ...plan };
     } catch (e) {
       try { await session.abortTransaction(); } catch (__) {}
       try { session.endSession(); } catch (__) {}
-      console.error('Erreur allocation objective transactionnelle:', e);
-      return res.status(500).json({ message: 'Erreur serveur lors de l allocation vers objectif', error: e.message });
+      throw e;
     }
-  } else {
-    // Fallback: conditional updates similar to transactions fallback
-    const toUpdate = [];
-    toUpdate.push(budget);
-    if (budget.frequency === 'daily') {
-      const weekly = await Budget.findOne({ userId, frequency: 'weekly' });
-      if (weekly) toUpdate.push(weekly);
-      const monthlyPrimary = await Budget.findOne({ userId, frequency: 'monthly', isPrimary: true });
-      if (monthlyPrimary) toUpdate.push(monthlyPrimary);
-    } else if (budget.frequency === 'weekly') {
-      const monthlyPrimary = await Budget.findOne({ userId, frequency: 'monthly', isPrimary: true });
-      if (monthlyPrimary) toUpdate.push(monthlyPrimary);
-    }
-
-    const affected = [];
-    for (const b of toUpdate) {
-      const before = Number(b.currentAmount || 0);
-      const after = before - Number(amount || 0);
-      if (after < 0) return res.status(400).json({ message: `Allocation rejetée — le budget "${b.name}" serait négatif (${after})` });
-      affected.push({ budgetId: b._id, before, after });
-    }
-
-    const updated = [];
-    try {
-      for (const a of affected) {
-        const u = await Budget.findOneAndUpdate({ _id: a.budgetId, currentAmount: { $gte: Number(amount || 0) } }, { $inc: { currentAmount: -Number(amount || 0) } }, { new: true });
-        if (!u) throw new Error('Conflit de disponibilité budget');
-        updated.push(a.budgetId);
-      }
-
-      const transaction = new Transaction({ userId, budgetId, type: 'expense', amount, comment: `Allocation vers objectif ${obj._id.toString()}`, date: currentDate, time: currentTime });
-      await transaction.save();
-      const je = new JournalEntry({ userId, txType: 'expense', amount, comment: `Allocation vers objectif ${obj._id.toString()}`, affected: affected.map(a => ({ budgetId: a.budgetId, before: a.before, after: a.after })), ruleApplied: 'allocate_to_objective_fallback' });
-      await je.save();
-
-      // Recompute Day totals
-      const todayTransactions = await Transaction.find({ userId, date: currentDate });
-      const totalGains = todayTransactions.filter(t => t.type === 'gain').reduce((sum, t) => sum + t.amount, 0);
-      const totalExpenses = todayTransactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
-      const lastDay = await Day.findOne({ userId }).sort({ date: -1 }).limit(1);
-      const initialPocket = lastDay ? lastDay.finalPocket : 0;
-      const budgetsAvailable = await calculateBudgetsAvailable(userId, currentDate);
-      const finalPocket = initialPocket + totalGains - totalExpenses;
-      await Day.updateOne({ userId, date: currentDate }, { $set: { initialPocket, budgetsAvailable, gains: totalGains, expenses: totalExpenses, finalPocket } }, { upsert: true });
+  }
 
-      // Update objective
-      obj.savedAmount = (obj.savedAmount || 0) + amount;
-      if (obj.savedAmount >= obj.targetAmount) obj.achieved = true;
-      await obj.save();
+  // Fallback: claim the period first, then apply conditional updates (revert the claim on conflict)
+  const claimed = await Budget.findOneAndUpdate({ _id: budget._id, periodKey: fromPeriod }, { $set: { periodKey: toPeriod } });
+  if (!claimed) return null;
+  const salaryRevision = claimed.isPrimary ? await applySalaryRevision(claimed, toPeriod) : null;
+  const parent = claimed.isPrimary ? null : await findParentBudget(claimed);
+  const plan = { ...planBudgetRollover(claimed, parent, policy, incomeMode), salaryRevision };
+  try {
+    if (parent && plan.parentDelta) {
+      const cond = plan.parentDelta < 0 ? { _id: parent._id, currentAmount: { $gte: -plan.parentDelta } } : { _id: parent._id };
+      const u = await Budget.findOneAndUpdate(cond, { $inc: { currentAmount: plan.parentDelta } });
+      if (!u) throw new Error('Conflit de disponibilité budget parent');
+    }
+    await Budget.updateOne({ _id: claimed._id }, { $set: { currentAmount: plan.newCurrent } });
+  } catch (e) {
+    await Budget.updateOne({ _id: claimed._id, periodKey: toPeriod }, { $set: { periodKey: fromPeriod } }).catch(() => {});
+    throw e;
+  }
+  const sweep = plan.swept ? await creditSweptLeftover(claimed.userId, plan.swept, savingsObjectiveId) : null;
+  await recordJournalEntry(buildJournal(claimed, parent, { ...plan, ruleApplied: `${plan.ruleApplied}_fallback` }, sweep));
+  return { budgetId: claimed._id.toString(), name: claimed.name, frequency: claimed.frequency, fromPeriod, toPeriod, ...plan };
+}
 
-      return res.json({ success: true, objective: { id: obj._id.toString(), name: obj.name || null, targetAmount: obj.targetAmount, targetDate: obj.targetDate, savedAmount: obj.savedAmount, achieved: obj.achieved } });
-    } catch (e) {
-      for (const bid of updated) {
-        try { await Budget.updateOne({ _id: bid }, { $inc: { currentAmount: Number(amount || 0) } }); } catch (__) {}
+// Roll every budget of a user into the current periods, top-down so parents are refilled before children draw
+async function rolloverUserBudgets(userId, currentDate) {
+  const user = await User.findById(userId);
+  if (!user) return [];
+  const date = currentDate || getTodayDate(getUserTimezone(user));
+  const results = [];
+  for (const frequency of ['monthly', 'weekly', 'daily']) {
+    const budgets = await Budget.find({ userId, frequency }).sort({ isPrimary: -1, createdAt: 1 });
+    for (const b of budgets) {
+      try {
+        const r = await rolloverBudget(b, user, date);
+        if (r) results.push(r);
+      } catch (e) {
+        logger.warn('rolloverBudget failed', { budgetId: b._id.toString(), error: e && e.message ? e.message : e });
       }
-      console.error('Erreur allocation objective (fallback):', e);
-      return res.status(500).json({ message: 'Erreur lors de l allocation vers objectif', error: e.message });
     }
   }
-}));
+  if (results.length) logger.info(`Rollover: ${results.length} budget(s) rolled for user ${userId.toString()}`);
+  return results;
+}
 
-// DELETE /api/objectives/:id
-app.delete('/api/objectives/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const obj = await Objective.findById(id);
-  if (!obj) return res.status(404).json({ message: 'Objectif non trouvé' });
-  await Objective.deleteOne({ _id: id });
-  res.json({ success: true });
-}));
+// Best-effort rollover before serving a user's budgets (never fails the request)
+async function ensureUserRollover(userId) {
+  try {
+    return await rolloverUserBudgets(userId);
+  } catch (e) {
+    logger.warn('ensureUserRollover failed', e && e.message ? e.message : e);
+    return [];
+  }
+}
 
-// =====================
-// TONTINES (MVP)
-// =====================
-// POST /api/tontines - create tontine
-app.post('/api/tontines', asyncHandler(async (req, res) => {
-  const { userId, name, contributionAmount, startDate, endDate, frequency, budgetId, clientId, participantsCount, myPosition } = req.body;
-  console.log('POST /api/tontines payload:', { userId, name, contributionAmount, startDate, endDate, frequency, budgetId, clientId, participantsCount, myPosition });
-  if (!userId || !name || !contributionAmount) return res.status(400).json({ message: 'userId, name et contributionAmount requis' });
-  const resolvedUserId = await resolveUserId(userId);
+// Scheduled run over every user that owns budgets (idempotent thanks to periodKey)
+async function runScheduledRollovers() {
+  const userIds = await Budget.distinct('userId');
+  for (const userId of userIds) {
+    await ensureUserRollover(userId);
+  }
+}
 
-  // If clientId provided, avoid duplicate creations
-  if (clientId) {
-    const existing = await Tontine.findOne({ clientId, ownerId: resolvedUserId });
-    if (existing) {
-      return res.status(200).json({ success: true, tontine: { id: existing._id.toString(), name: existing.name, contributionAmount: existing.contributionAmount, startDate: existing.startDate || null, endDate: existing.endDate || null, frequency: existing.frequency || null, budgetId: existing.budgetId || null } });
+// Build a monthly financial report (bilan) for a given user and month (YYYY-MM).
+// The month is the user's pay cycle starting in it (preferences.payDay, see getPayCycle).
+async function buildMonthlyReport(userId, month) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error('Utilisateur non trouvé');
+
+  const payDay = getUserPayDay(user);
+  const today = getTodayDate(getUserTimezone(user));
+  const monthStr = month || getPeriodKey('monthly', today, payDay); // 'YYYY-MM'
+  const cycle = payCycleStartingIn(monthStr, payDay);
+
+  // Primary monthly budget (salary)
+  const primary = await Budget.findOne({ userId, frequency: 'monthly', isPrimary: true });
+
+  // Transactions of the cycle
+  const txQuery = { userId, date: { $gte: cycle.start, $lte: cycle.end } };
+  const txs = await Transaction.find(txQuery).sort({ date: 1, createdAt: 1 });
+
+  let totalIncome = 0;
+  let totalExpenses = 0;
+  const byBudget = new Map();
+  const byCategory = new Map();
+
+  for (const t of txs) {
+    if (t.type === 'gain') totalIncome += Number(t.amount || 0);
+    if (t.type === 'expense') totalExpenses += Number(t.amount || 0);
+
+    // A split transaction counts each line under its own budget and category
+    for (const part of transactionParts(t)) {
+      const categoryKey = part.categoryId ? String(part.categoryId) : 'none';
+      if (!byCategory.has(categoryKey)) byCategory.set(categoryKey, { totalIncome: 0, totalExpenses: 0 });
+      const cat = byCategory.get(categoryKey);
+      if (t.type === 'gain') cat.totalIncome += part.amount;
+      if (t.type === 'expense') cat.totalExpenses += part.amount;
+
+      const key = part.budgetId ? String(part.budgetId) : 'none';
+      if (!byBudget.has(key)) {
+        byBudget.set(key, { budgetId: key, totalIncome: 0, totalExpenses: 0, transactions: [] });
+      }
+      const agg = byBudget.get(key);
+      if (t.type === 'gain') agg.totalIncome += part.amount;
+      if (t.type === 'expense') agg.totalExpenses += part.amount;
+      agg.transactions.push({
+        date: t.date,
+        type: t.type,
+        amount: part.amount,
+        comment: t.comment || '',
+        budgetId: part.budgetId ? String(part.budgetId) : null,
+        categoryId: part.categoryId ? String(part.categoryId) : null
+      });
     }
   }
 
-  const members = [{ userId: resolvedUserId, contributed: 0, position: myPosition ? Number(myPosition) : 1 }];
-  const t = new Tontine({ name, ownerId: resolvedUserId, contributionAmount, participantsCount: participantsCount ? Number(participantsCount) : (members.length), members, totalAmount: 0, clientId: clientId || null, startDate: startDate || null, endDate: endDate || null, frequency: frequency || null, budgetId: budgetId || null });
-  await t.save();
-  console.log('Tontine saved with budgetId:', t.budgetId);
-  res.status(201).json({ success: true, tontine: { id: t._id.toString(), name: t.name, contributionAmount: t.contributionAmount, startDate: t.startDate || null, endDate: t.endDate || null, frequency: t.frequency || null, budgetId: t.budgetId ? t.budgetId.toString() : null } });
-}));
+  const net = totalIncome - totalExpenses;
 
-// GET /api/tontines/:userId - list tontines where user is owner or member
-app.get('/api/tontines/:userId', asyncHandler(async (req, res) => {
-  const { userId } = req.params;
-  const resolvedUserId = await resolveUserId(userId);
-  const tontines = await Tontine.find({ $or: [{ ownerId: resolvedUserId }, { 'members.userId': resolvedUserId }] });
-  const results = tontines.map(t => {
-    const participants = t.participantsCount || t.members.length || 0;
-    const totalNeeded = participants > 0 ? participants * (t.contributionAmount || 0) : 0;
-    const overallPercent = totalNeeded > 0 ? Math.min(100, Math.round(((t.totalAmount || 0) / totalNeeded) * 100)) : 0;
-    const member = t.members.find(m => m.userId.toString() === resolvedUserId.toString()) || {};
-    const myPercent = (t.contributionAmount && member.contributed) ? Math.min(100, Math.round((member.contributed / t.contributionAmount) * 100)) : 0;
-    const elapsed = periodsElapsedSince(t.startDate || getTodayDate(), t.frequency || 'monthly');
-    const currentReceiverIndex = participants > 0 ? ((elapsed % participants) + 1) : 1;
-    const myPosition = member.position || null;
-    const turnsUntilMe = (myPosition && participants) ? ((myPosition - currentReceiverIndex + participants) % participants) : null;
-    return {
-      id: t._id.toString(), name: t.name, contributionAmount: t.contributionAmount, totalAmount: t.totalAmount,
-      startDate: t.startDate || null, endDate: t.endDate || null, frequency: t.frequency || null, budgetId: t.budgetId ? t.budgetId.toString() : null,
-      clientId: t.clientId || null, members: t.members.map(m => ({ userId: m.userId.toString(), contributed: m.contributed, position: m.position })),
-      participantsCount: participants, overallPercent, myPercent, currentReceiverIndex, myPosition, turnsUntilMe
-    };
-  });
-  res.json({ success: true, tontines: results });
-}));
+  // Daily history (Day collection) for the month
+  const days = await Day.find({
+    userId,
+    date: { $gte: cycle.start, $lte: cycle.end }
+  }).sort({ date: 1 });
 
-// POST /api/tontines/:id/join
-app.post('/api/tontines/:id/join', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { userId, position } = req.body;
-  if (!userId) return res.status(400).json({ message: 'userId requis' });
-  const resolvedUserId = await resolveUserId(userId);
-  const tontine = await Tontine.findById(id);
-  if (!tontine) return res.status(404).json({ message: 'Tontine non trouvée' });
-  if (tontine.members.find(m => m.userId.toString() === resolvedUserId.toString())) return res.status(400).json({ message: 'Déjà membre' });
-  // assign position: provided or next available
-  let assignedPos = position ? Number(position) : (tontine.members.length + 1);
-  // ensure no duplicate positions
-  const used = new Set(tontine.members.map(m => Number(m.position || 0)));
-  while (used.has(assignedPos)) assignedPos++;
-  tontine.members.push({ userId: resolvedUserId, contributed: 0, position: assignedPos });
-  // bump participantsCount if present
-  tontine.participantsCount = Math.max(tontine.participantsCount || 0, tontine.members.length);
-  await tontine.save();
-  res.json({ success: true, position: assignedPos });
+  const dailyHistory = days.map(d => ({
+    date: d.date,
+    initialPocket: d.initialPocket,
+    budgetsAvailable: d.budgetsAvailable,
+    gains: d.gains,
+    expenses: d.expenses,
+    finalPocket: d.finalPocket
+  }));
+
+  const startingBalance = dailyHistory.length ? dailyHistory[0].initialPocket : 0;
+  const endingBalance = dailyHistory.length ? dailyHistory[dailyHistory.length - 1].finalPocket : 0;
+
+  // Current remaining monthly budget (includes carry-over logic).
+  // Past months are read only: reconciling would rewrite today's primary budget from an old period.
+  const isCurrentMonth = monthStr === getPeriodKey('monthly', today, payDay);
+  // Irregular income mode has no salary to recompute a past month from: its last recorded day tells what was left
+  const incomeMode = getUserIncomeMode(user);
+  const monthlyAvailable = incomeMode === 'irregular' && !isCurrentMonth
+    ? (dailyHistory.length ? Number(dailyHistory[dailyHistory.length - 1].budgetsAvailable || 0) : 0)
+    : await calculateBudgetsAvailable(userId, cycle.start, null, { reconcile: isCurrentMonth });
+
+  // Attach human-readable budget info
+  const budgetIds = Array.from(byBudget.keys()).filter(k => k !== 'none');
+  const budgets = budgetIds.length ? await Budget.find({ _id: { $in: budgetIds } }) : [];
+  const budgetMap = new Map();
+  for (const b of budgets) budgetMap.set(String(b._id), b);
+
+  const breakdownByBudget = Array.from(byBudget.values()).map(entry => {
+    const b = entry.budgetId && entry.budgetId !== 'none' ? budgetMap.get(entry.budgetId) : null;
+    return {
+      budgetId: entry.budgetId === 'none' ? null : entry.budgetId,
+      budgetName: b ? b.name : 'Sans budget',
+      frequency: b ? b.frequency : null,
+      totalIncome: entry.totalIncome,
+      totalExpenses: entry.totalExpenses
+    };
+  });
+
+  // Per-category totals, biggest spending first; share is the part of the month's expenses
+  const categoryIds = Array.from(byCategory.keys()).filter(k => k !== 'none');
+  const categories = categoryIds.length ? await Category.find({ _id: { $in: categoryIds } }) : [];
+  const categoryMap = new Map(categories.map(c => [String(c._id), c]));
+  const categoryName = (id) => (id && categoryMap.has(String(id)) ? categoryMap.get(String(id)).name : 'Non catégorisé');
+
+  const breakdownByCategory = Array.from(byCategory.entries()).map(([key, entry]) => ({
+    categoryId: key === 'none' ? null : key,
+    categoryName: categoryName(key === 'none' ? null : key),
+    totalIncome: entry.totalIncome,
+    totalExpenses: entry.totalExpenses,
+    share: totalExpenses > 0 ? Math.round((entry.totalExpenses / totalExpenses) * 1000) / 10 : 0
+  })).sort((a, b) => b.totalExpenses - a.totalExpenses);
+
+  return {
+    user: {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email
+    },
+    month: monthStr,
+    period: { start: cycle.start, end: cycle.end, days: cycle.days, payDay },
+    incomeMode,
+    salaryBase: primary ? salaryForMonth(primary, monthStr) : 0,
+    totals: {
+      totalIncome,
+      totalExpenses,
+      net,
+      startingBalance,
+      endingBalance,
+      monthlyAvailable
+    },
+    breakdownByBudget,
+    breakdownByCategory,
+    dailyHistory,
+    transactions: txs.map(t => ({
+      date: t.date,
+      type: t.type,
+      amount: t.amount,
+      comment: t.comment || '',
+      budgetId: t.budgetId ? String(t.budgetId) : null,
+      categoryId: t.categoryId ? String(t.categoryId) : null,
+      categoryName: categoryName(t.categoryId),
+      lines: t.lines && t.lines.length
+        ? t.lines.map(l => ({ budgetId: l.budgetId ? String(l.budgetId) : null, categoryId: l.categoryId ? String(l.categoryId) : null, categoryName: categoryName(l.categoryId), amount: l.amount }))
+        : null
+    }))
+  };
+}
+
+// Générer un conseil IA basique (à améliorer avec une vraie IA)
+function generateAIAdvice(todayData, transactions) {
+  const { gains, expenses, budgetsAvailable } = todayData;
+  
+  if (gains > expenses) {
+    return `Excellent travail ! Vos gains d'aujourd'hui (${gains}€) dépassent vos dépenses (${expenses}€). Continuez à prioriser les dépenses essentielles sur votre budget mensuel pour préserver vos revenus hebdomadaires pour les imprévus.`;
+  } else if (expenses > budgetsAvailable * 0.5) {
+    return `Attention, vous avez déjà utilisé plus de 50% de vos budgets disponibles aujourd'hui. Pensez à limiter les dépenses non essentielles pour le reste de la journée.`;
+  } else if (transactions.length === 0) {
+    return `Aucune transaction aujourd'hui. N'oubliez pas d'enregistrer toutes vos dépenses et gains pour un suivi précis de vos finances.`;
+  } else {
+    return `Vous gérez bien vos budgets. Il vous reste ${budgetsAvailable.toFixed(2)}€ disponibles dans vos différentes sources de revenus.`;
+  }
+}
+
+// ============================================================================
+// ROUTES API - UTILISATEUR
+// ============================================================================
+
+// Every /api/* route requires a session, except the few listed in PUBLIC_API_ROUTES
+app.use('/api', requireAuth);
+
+// GET /api - API Health Check
+app.get('/api', (req, res) => {
+  res.json({
+    status: 'ok',
+    message: 'API Coach Financier running',
+    timestamp: new Date().toISOString(),
+    environment: NODE_ENV
+  });
+});
+
+// ============================================================================
+// ROUTES API - AUTHENTIFICATION (OTP par SMS)
+// ============================================================================
+
+// Stricter rate limit on OTP endpoints (brute force / SMS flooding)
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.OTP_RATE_LIMIT_MAX || 10),
+  message: { message: 'Trop de demandes de code, veuillez réessayer plus tard', code: 'OTP_RATE_LIMITED' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// POST /api/auth/otp/request - Envoyer un code de connexion par SMS
+app.post('/api/auth/otp/request', otpLimiter, asyncHandler(async (req, res) => {
+  const phoneNumber = normalizePhone(req.body && req.body.phoneNumber);
+  if (!phoneNumber) return res.status(400).json({ message: 'phoneNumber requis', code: 'PHONE_REQUIRED' });
+
+  const user = await findUserByPhone(phoneNumber);
+  if (!user) return res.status(404).json({ message: 'Aucun compte trouvé', code: 'USER_NOT_FOUND' });
+
+  const last = await OtpChallenge.findOne({ phoneNumber }).sort({ createdAt: -1 });
+  if (last && (Date.now() - last.createdAt.getTime()) < OTP_RESEND_COOLDOWN_SECONDS * 1000) {
+    const retryAfter = Math.ceil((OTP_RESEND_COOLDOWN_SECONDS * 1000 - (Date.now() - last.createdAt.getTime())) / 1000);
+    return res.status(429).json({ message: `Veuillez patienter ${retryAfter}s avant de demander un nouveau code`, code: 'OTP_COOLDOWN', retryAfter });
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const challenge = new OtpChallenge({
+    phoneNumber,
+    codeHash: hashSecret(`${phoneNumber}:${code}`),
+    expiresAt: new Date(Date.now() + OTP_TTL_SECONDS * 1000)
+  });
+  await challenge.save();
+
+  try {
+    await smsSender.send(phoneNumber, `Votre code Coach Financier: ${code}. Il expire dans ${Math.round(OTP_TTL_SECONDS / 60)} minutes.`);
+  } catch (e) {
+    await OtpChallenge.deleteOne({ _id: challenge._id }).catch(() => {});
+    logger.error('OTP SMS send failed', e && e.message ? e.message : e);
+    return res.status(502).json({ message: 'Impossible d\'envoyer le SMS, réessayez', code: 'SMS_SEND_FAILED' });
+  }
+
+  res.json({ success: true, expiresIn: OTP_TTL_SECONDS });
 }));
 
-// POST /api/tontines/:id/contribute
-app.post('/api/tontines/:id/contribute', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { userId, amount } = req.body;
-  if (!userId || !amount) return res.status(400).json({ message: 'userId et amount requis' });
-  const resolvedUserId = await resolveUserId(userId);
-  const tontine = await Tontine.findById(id);
-  if (!tontine) return res.status(404).json({ message: 'Tontine non trouvée' });
-  const member = tontine.members.find(m => m.userId.toString() === resolvedUserId.toString());
-  if (!member) return res.status(400).json({ message: 'Utilisateur non membre' });
-  member.contributed = (member.contributed || 0) + Number(amount);
-  tontine.totalAmount = (tontine.totalAmount || 0) + Number(amount);
-  await tontine.save();
-  // Optionally create a Transaction record if tontine linked to a budget
-  if (tontine.budgetId) {
-    try {
-      const now = new Date();
-      const tr = new Transaction({ userId: resolvedUserId, budgetId: tontine.budgetId, type: 'expense', amount: Number(amount), comment: `Tontine: ${tontine.name}`, date: getTodayDate(), time: now.toTimeString().slice(0,5) });
-      await tr.save();
-      console.log('✅ Tontine transaction saved:', tr._id ? tr._id.toString() : '<no-id>', { userId: tr.userId, budgetId: tr.budgetId, date: tr.date, time: tr.time, amount: tr.amount });
-      var createdTontineTransactionId = tr._id ? tr._id.toString() : null;
-
-      // Recompute today's totals and Day finalPocket for user
-      const currentDate = getTodayDate();
-      const todayTransactions = await Transaction.find({ userId: resolvedUserId, date: currentDate });
-      const totalGains = todayTransactions.filter(t => t.type === 'gain').reduce((sum, t) => sum + t.amount, 0);
-      const totalExpenses = todayTransactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
-      const lastDay = await Day.findOne({ userId: resolvedUserId }).sort({ date: -1 }).limit(1);
-      const initialPocket = lastDay ? lastDay.finalPocket : 0;
-      const budgetsAvailable = await calculateBudgetsAvailable(resolvedUserId, currentDate);
-      const finalPocket = initialPocket + totalGains - totalExpenses;
-      await Day.updateOne({ userId: resolvedUserId, date: currentDate }, { $set: { initialPocket, budgetsAvailable, gains: totalGains, expenses: totalExpenses, finalPocket } }, { upsert: true });
-    } catch (e) {
-      console.warn('Erreur création transaction pour tontine:', e.message || e);
-    }
+// POST /api/auth/otp/verify - Vérifier le code et ouvrir une session
+app.post('/api/auth/otp/verify', otpLimiter, asyncHandler(async (req, res) => {
+  const phoneNumber = normalizePhone(req.body && req.body.phoneNumber);
+  const code = String((req.body && req.body.code) || '').trim();
+  if (!phoneNumber || !code) return res.status(400).json({ message: 'phoneNumber et code requis', code: 'OTP_FIELDS_REQUIRED' });
+
+  const challenge = await OtpChallenge.findOne({ phoneNumber, consumedAt: null, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 });
+  if (!challenge) return res.status(401).json({ message: 'Code expiré ou inexistant', code: 'OTP_EXPIRED' });
+  if (challenge.attempts >= OTP_MAX_ATTEMPTS) return res.status(429).json({ message: 'Trop de tentatives, demandez un nouveau code', code: 'OTP_TOO_MANY_ATTEMPTS' });
+
+  const expected = Buffer.from(challenge.codeHash, 'hex');
+  const received = Buffer.from(hashSecret(`${phoneNumber}:${code}`), 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    await OtpChallenge.updateOne({ _id: challenge._id }, { $inc: { attempts: 1 } });
+    return res.status(401).json({ message: 'Code invalide', code: 'OTP_INVALID' });
+  }
+
+  // Consume atomically so the same code cannot open two sessions
+  const consumed = await OtpChallenge.findOneAndUpdate({ _id: challenge._id, consumedAt: null }, { $set: { consumedAt: new Date() } });
+  if (!consumed) return res.status(401).json({ message: 'Code déjà utilisé', code: 'OTP_EXPIRED' });
+
+  const user = await findUserByPhone(phoneNumber);
+  if (!user) return res.status(404).json({ message: 'Aucun compte trouvé', code: 'USER_NOT_FOUND' });
+  // Backfill phoneNumber on legacy accounts identified by their @test.local email
+  if (!user.phoneNumber) {
+    user.phoneNumber = phoneNumber;
+    await user.save();
+  }
+
+  const tokens = await issueTokens(user, req.headers['user-agent']);
+  res.json({
+    success: true,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    tokenType: tokens.tokenType,
+    expiresIn: tokens.expiresIn,
+    user: { id: user._id.toString(), name: user.name, role: user.role }
+  });
+}));
+
+// POST /api/auth/refresh - Échanger un refresh token contre une nouvelle paire (rotation)
+app.post('/api/auth/refresh', asyncHandler(async (req, res) => {
+  const refreshToken = req.body && req.body.refreshToken;
+  if (!refreshToken) return res.status(400).json({ message: 'refreshToken requis', code: 'REFRESH_TOKEN_REQUIRED' });
+
+  const session = await AuthSession.findOne({ tokenHash: hashSecret(refreshToken) });
+  if (!session || session.expiresAt < new Date()) return res.status(401).json({ message: 'Session invalide ou expirée', code: 'AUTH_INVALID_TOKEN' });
+  if (session.revokedAt) {
+    // A rotated token is being replayed: assume theft and close every session of the user
+    await AuthSession.updateMany({ userId: session.userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    logger.warn('Refresh token reuse detected, all sessions revoked', { userId: session.userId.toString() });
+    return res.status(401).json({ message: 'Session invalide ou expirée', code: 'AUTH_TOKEN_REUSED' });
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) return res.status(401).json({ message: 'Utilisateur non trouvé', code: 'AUTH_INVALID_TOKEN' });
+
+  const tokens = await issueTokens(user, req.headers['user-agent']);
+  const rotated = await AuthSession.findOneAndUpdate({ _id: session._id, revokedAt: null }, { $set: { revokedAt: new Date(), replacedBy: tokens.session._id } });
+  if (!rotated) {
+    // Concurrent refresh with the same token: keep only one winner
+    await AuthSession.deleteOne({ _id: tokens.session._id });
+    return res.status(401).json({ message: 'Session invalide ou expirée', code: 'AUTH_TOKEN_REUSED' });
   }
 
-  res.json({ success: true, totalAmount: tontine.totalAmount, transactionId: typeof createdTontineTransactionId !== 'undefined' ? createdTontineTransactionId : null });
+  res.json({ success: true, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken, tokenType: tokens.tokenType, expiresIn: tokens.expiresIn });
 }));
 
-// GET /api/tontines/id/:id
-app.get('/api/tontines/id/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const t = await Tontine.findById(id);
-  if (!t) return res.status(404).json({ message: 'Tontine non trouvée' });
-  const participants = t.participantsCount || t.members.length || 0;
-  const totalNeeded = participants > 0 ? participants * (t.contributionAmount || 0) : 0;
-  const overallPercent = totalNeeded > 0 ? Math.min(100, Math.round(((t.totalAmount || 0) / totalNeeded) * 100)) : 0;
-  res.json({ success: true, tontine: { id: t._id.toString(), name: t.name, contributionAmount: t.contributionAmount, totalAmount: t.totalAmount, members: t.members.map(m => ({ userId: m.userId.toString(), contributed: m.contributed, position: m.position })), participantsCount: participants, overallPercent } });
+// POST /api/auth/logout - Révoquer la session liée au refresh token
+app.post('/api/auth/logout', asyncHandler(async (req, res) => {
+  const refreshToken = req.body && req.body.refreshToken;
+  if (!refreshToken) return res.status(400).json({ message: 'refreshToken requis', code: 'REFRESH_TOKEN_REQUIRED' });
+  await AuthSession.updateOne({ tokenHash: hashSecret(refreshToken), revokedAt: null }, { $set: { revokedAt: new Date() } });
+  res.json({ success: true });
 }));
 
-// GET /api/tontines/:id/percent/:userId - percent until user's turn and related metrics
-app.get('/api/tontines/:id/percent/:userId', asyncHandler(async (req, res) => {
-  const { id, userId } = req.params;
-  const resolvedUserId = await resolveUserId(userId);
-  const t = await Tontine.findById(id);
-  if (!t) return res.status(404).json({ message: 'Tontine non trouvée' });
-  const participants = t.participantsCount || t.members.length || 0;
-  const elapsed = periodsElapsedSince(t.startDate || getTodayDate(), t.frequency || 'monthly');
-  const currentReceiverIndex = participants > 0 ? ((elapsed % participants) + 1) : 1;
-  const member = t.members.find(m => m.userId.toString() === resolvedUserId.toString()) || null;
-  const myPosition = member ? (member.position || null) : null;
-  const turnsUntilMe = (myPosition && participants) ? ((myPosition - currentReceiverIndex + participants) % participants) : null;
-  const percentUntilMyTurn = turnsUntilMe != null && participants ? Math.round(((participants - turnsUntilMe) / participants) * 100) : null;
-  res.json({ success: true, percentUntilMyTurn, turnsUntilMe, currentReceiverIndex, myPosition, participantsCount: participants });
+// GET /api/auth/me - Utilisateur de la session courante
+app.get('/api/auth/me', asyncHandler(async (req, res) => {
+  const user = req.user;
+  res.json({ success: true, user: { id: user._id.toString(), name: user.name, phoneNumber: user.phoneNumber || null, role: user.role, subscription: user.subscription || null } });
 }));
 
-// =====================
-// USER PREFERENCES
-// =====================
-// PUT /api/users/:userId/preferences
-app.put('/api/users/:userId/preferences', asyncHandler(async (req, res) => {
-  const { userId } = req.params;
-  const prefs = req.body;
-  const resolvedUserId = await resolveUserId(userId);
+// GET /api/check-user/:phoneNumber - Vérifier si un utilisateur existe
+app.get('/api/check-user/:phoneNumber', asyncHandler(async (req, res) => {
+  const { phoneNumber } = req.params;
+  logger.info(`Incoming check-user request for ${phoneNumber}`);
+  try {
+    const exists = await findUserByPhone(phoneNumber);
+    logger.debug('check-user DB result', { exists: !!exists });
+    res.json({
+      phoneNumber: phoneNumber,
+      exists: !!exists,
+      message: exists ? 'Compte trouvé' : 'Aucun compte trouvé'
+    });
+  } catch (err) {
+    console.error('Error in /api/check-user', err && err.stack ? err.stack : err);
+    // rethrow to be handled by global error handler
+    throw err;
+  }
+}));
+
+// GET /api/user-by-phone/:phoneNumber - Retourne l'utilisateur complet par numéro (celui de la session uniquement)
+app.get('/api/user-by-phone/:phoneNumber', asyncHandler(async (req, res) => {
+  const { phoneNumber } = req.params;
+
+  const user = await findUserByPhone(phoneNumber);
+  if (!user) {
+    return res.status(404).json({ message: 'Utilisateur non trouvé' });
+  }
+  if (user._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({ message: 'Accès refusé: cet utilisateur ne correspond pas à la session', code: 'FORBIDDEN_USER' });
+  }
+
+  res.json({
+    success: true,
+    user: {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      subscription: user.subscription || null
+    }
+  });
+}));
+
+// POST /api/subscribe - Créer / activer un abonnement pour un utilisateur
+app.post('/api/subscribe', asyncHandler(async (req, res) => {
+  const { userId, plan, paymentMethod } = req.body;
+  if (!plan) {
+    return res.status(400).json({ message: 'plan est requis' });
+  }
+
+  if (!['free', 'premium'].includes(plan)) {
+    return res.status(400).json({ message: 'Plan invalide' });
+  }
+
+  const resolvedUserId = await resolveRequestUserId(req, userId);
+
   const user = await User.findById(resolvedUserId);
   if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
-  user.preferences = { ...user.preferences.toObject?.() || user.preferences || {}, ...prefs };
+
+  const now = new Date();
+  const periodDays = plan === 'premium' ? 30 : 0;
+  const endDate = periodDays > 0 ? new Date(now.getTime() + periodDays * 24 * 60 * 60 * 1000) : null;
+
+  user.subscription = {
+    plan,
+    startDate: now,
+    endDate: endDate,
+    isActive: plan === 'premium',
+    daysRemaining: periodDays,
+    paymentMethod: paymentMethod || null
+  };
+
   await user.save();
-  res.json({ success: true, preferences: user.preferences });
-}));
 
-// GET /api/dashboard/:userId - Récupérer le résumé calculé (solde, wallets, transactions, objectifs, conseil IA)
-app.get('/api/dashboard/:userId', asyncHandler(async (req, res) => {
-  let { userId } = req.params;
-  userId = await resolveUserId(userId);
+  res.status(201).json({ success: true, subscription: user.subscription });
+}));
 
-  const currentDate = getTodayDate();
+// POST /api/unsubscribe - Annuler l'abonnement
+app.post('/api/unsubscribe', asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+  const resolvedUserId = await resolveRequestUserId(req, userId);
 
-  const user = await User.findById(userId);
+  const user = await User.findById(resolvedUserId);
   if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
 
-  // Get today's Day record (budgetsAvailable, gains, expenses)
-  const today = await Day.findOne({ userId, date: currentDate });
-  const budgetsAvailable = today ? today.budgetsAvailable : await calculateBudgetsAvailable(userId, currentDate);
+  if (!user.subscription) {
+    return res.status(400).json({ message: 'Aucun abonnement actif' });
+  }
 
-  // derniers jours pour solde précédent
-  const lastDay = await Day.findOne({ userId }).sort({ date: -1 }).limit(1);
-  const previousBalance = lastDay ? lastDay.finalPocket : 0;
+  user.subscription.isActive = false;
+  user.subscription.endDate = new Date();
+  user.subscription.daysRemaining = 0;
+  user.subscription.plan = 'free';
+
+  await user.save();
+  res.json({ success: true, subscription: user.subscription });
+}));
+
+// GET /api/subscription/:userId - Récupérer l'abonnement d'un utilisateur
+app.get('/api/subscription/:userId', asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const resolvedUserId = await resolveRequestUserId(req, userId);
+
+  const user = await User.findById(resolvedUserId);
+  if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+
+  res.json({ success: true, subscription: user.subscription || null });
+}));
+
+// GET /api/days/:userId - Récupérer les données du jour
+app.get('/api/days/:userId', asyncHandler(async (req, res) => {
+  let { userId } = req.params;
+  userId = await resolveRequestUserId(req, userId); // Convert string ID to ObjectId if needed
+  await ensureUserRollover(userId);
+  try {
+    const { date: currentDate } = await getRequestUserClock(req, userId);
+    
+    // Récupérer l'utilisateur
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'Utilisateur non trouvé' });
+    }
+    
+    // Récupérer ou créer le jour actuel
+    let today = await Day.findOne({ userId, date: currentDate });
+    
+    if (!today) {
+      // Récupérer le dernier jour pour l'argent en poche initial
+      const lastDay = await Day.findOne({ userId })
+        .sort({ date: -1 })
+        .limit(1);
+      
+
+      const initialPocket = lastDay ? lastDay.finalPocket : 0;
+      const budgetsAvailable = await calculateBudgetsAvailable(userId, currentDate);
+
+      // Créer le nouveau jour: initialPocket is taken from lastDay.finalPocket.
+      // At new day start there are no additional gains/expenses accounted yet.
+      today = new Day({
+        userId,
+        date: currentDate,
+        initialPocket,
+        budgetsAvailable,
+        gains: 0,
+        expenses: 0,
+        finalPocket: initialPocket,
+        locked: false
+      });
+      
+      await today.save();
+    }
+    
+    // Récupérer les budgets avec montants restants
+    const budgets = await Budget.find({ userId });
+    const budgetsWithRemaining = await Promise.all(
+      budgets.map(async (budget) => {
+        const remaining = await calculateRemainingBudget(budget, userId, currentDate);
+        
+        return {
+          id: budget._id.toString(),
+          name: budget.name,
+          amount: budget.amount,
+          frequency: budget.frequency,
+          remainingToday: budget.frequency === 'daily' ? remaining : undefined,
+          remainingThisWeek: budget.frequency === 'weekly' ? remaining : undefined,
+          remainingThisMonth: budget.frequency === 'monthly' ? remaining : undefined
+        };
+      })
+    );
+    
+    // Récupérer les transactions du jour
+    const transactions = await Transaction.find({
+      userId,
+      date: currentDate
+    }).sort({ createdAt: 1 });
+    
+    const formattedTransactions = transactions.map(t => ({
+      id: t._id.toString(),
+      type: t.type,
+      amount: t.amount,
+      comment: t.comment,
+      budgetId: t.budgetId?.toString(),
+      time: t.time
+    }));
+    
+    // Récupérer l'historique (7 derniers jours)
+    const history = await Day.find({
+      userId,
+      date: { $lt: currentDate }
+    })
+    .sort({ date: -1 })
+    .limit(7);
+    
+    const formattedHistory = history.map(day => ({
+      date: day.date,
+      initialPocket: day.initialPocket,
+      budgetsAvailable: day.budgetsAvailable,
+      gains: day.gains,
+      expenses: day.expenses,
+      finalPocket: day.finalPocket,
+      locked: day.locked
+    }));
+    
+    // Générer conseil IA
+    const aiAdvice = generateAIAdvice(today, formattedTransactions);
+    
+    res.json({
+      user: {
+        id: user._id.toString(),
+        name: user.name,
+        role: user.role
+      },
+      budgets: budgetsWithRemaining,
+      today: {
+        date: today.date,
+        initialPocket: today.initialPocket,
+        budgetsAvailable: today.budgetsAvailable,
+        gains: today.gains,
+        expenses: today.expenses,
+        finalPocket: today.finalPocket,
+        locked: today.locked
+      },
+      transactions: formattedTransactions,
+      history: formattedHistory,
+      aiAdvice
+    });
+    
+  } catch (error) {
+    console.error('Erreur GET /api/days:', error);
+    return res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+}));
+
+// =====================
+// OBJECTIVES CRUD
+// =====================
+// GET /api/objectives/:userId
+app.get('/api/objectives/:userId', asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const resolvedUserId = await resolveRequestUserId(req, userId);
+  const objectives = await Objective.find({ userId: resolvedUserId }).sort({ createdAt: -1 });
+  res.json({ success: true, objectives: objectives.map(o => ({ id: o._id.toString(), name: o.name || null, targetAmount: o.targetAmount, targetDate: o.targetDate, achieved: o.achieved, savedAmount: o.savedAmount || 0 })) });
+}));
+
+// POST /api/objectives - create
+app.post('/api/objectives', asyncHandler(async (req, res) => {
+  const { userId, name, targetAmount, targetDate } = req.body;
+  if (!targetAmount || !targetDate) return res.status(400).json({ message: 'targetAmount et targetDate requis' });
+  const resolvedUserId = await resolveRequestUserId(req, userId);
+  const obj = new Objective({ userId: resolvedUserId, name: name || null, targetAmount, targetDate, savedAmount: 0 });
+  await obj.save();
+  res.status(201).json({ success: true, objective: { id: obj._id.toString(), name: obj.name, targetAmount: obj.targetAmount, targetDate: obj.targetDate, savedAmount: obj.savedAmount } });
+}));
+
+// PUT /api/objectives/:id
+app.put('/api/objectives/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { targetAmount, targetDate, achieved } = req.body;
+  const obj = await loadAuthorized(req, Objective, id, 'owner', 'Objectif non trouvé');
+  if (targetAmount) obj.targetAmount = targetAmount;
+  if (targetDate) obj.targetDate = targetDate;
+  if (typeof achieved === 'boolean') obj.achieved = achieved;
+  await obj.save();
+  res.json({ success: true, objective: obj });
+}));
+
+// POST /api/objectives/:id/allocate - allouer un montant depuis un budget vers un objectif
+app.post('/api/objectives/:id/allocate', idempotent('objectives.allocate'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  let { userId, budgetId, amount } = req.body;
+  if (!budgetId || !amount) return res.status(400).json({ message: 'budgetId et amount requis' });
+  amount = Number(amount);
+  if (amount <= 0) return res.status(400).json({ message: 'Montant invalide' });
+
+  userId = await resolveRequestUserId(req, userId);
+  await ensureUserRollover(userId);
+  const obj = await loadAuthorized(req, Objective, id, 'owner', 'Objectif non trouvé');
+
+  // Verify budget exists and belongs to the same user as the objective
+  const budget = await loadAuthorized(req, Budget, budgetId, 'owner', 'Budget non trouvé');
+  if (!sameId(budget.userId, obj.userId) || !sameId(budget.userId, userId)) return res.status(403).json({ message: 'Budget n\'appartient pas à l\'utilisateur', code: 'FORBIDDEN_NOT_OWNER' });
+
+  const { date: currentDate, time: currentTime } = await getRequestUserClock(req, userId);
+  const remaining = await calculateRemainingBudget(budget, userId, currentDate);
+  if (amount > remaining) return res.status(400).json({ message: `Dépassement du budget "${budget.name}". Reste: ${remaining}€` });
+
+  // Posted like an expense (same cascade, journal entry and Day chain as /api/transactions), the objective
+  // being the counterpart account; savedAmount moves in the same operation
+  await assertDayChainOpen(userId, currentDate);
+  let saved = obj;
+  const tx = await postTransaction(userId, {
+    budgetId: budget._id, type: 'expense', amount, comment: `Allocation vers objectif ${obj._id.toString()}`, date: currentDate, time: currentTime, objectiveId: obj._id
+  }, currentDate, {
+    meta: { objectiveId: obj._id },
+    within: async (_tx, session, onRevert) => {
+      await creditObjective(obj._id, amount, session);
+      onRevert(() => creditObjective(obj._id, -amount));
+      saved = await Objective.findById(obj._id, null, session ? { session } : {});
+    }
+  });
+
+  res.json({ success: true, transactionId: tx._id.toString(), objective: { id: saved._id.toString(), name: saved.name || null, targetAmount: saved.targetAmount, targetDate: saved.targetDate, savedAmount: saved.savedAmount, achieved: saved.achieved } });
+}));
+
+// DELETE /api/objectives/:id
+app.delete('/api/objectives/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const obj = await loadAuthorized(req, Objective, id, 'owner', 'Objectif non trouvé');
+  await Objective.deleteOne({ _id: id });
+  res.json({ success: true });
+}));
+
+// =====================
+// SAVINGS WALLET
+// =====================
+function formatSavingsWallet(wallet) {
+  return { id: wallet._id.toString(), balance: wallet.balance, rules: wallet.rules.map(r => ({ objectiveId: r.objectiveId.toString(), percent: r.percent })), heldPercent: roundAmount(100 - wallet.rules.reduce((sum, r) => sum + r.percent, 0)), updatedAt: wallet.updatedAt };
+}
+
+// GET /api/savings/:userId - solde du portefeuille d'épargne et règles de répartition des gains
+app.get('/api/savings/:userId', asyncHandler(async (req, res) => {
+  const userId = await resolveRequestUserId(req, req.params.userId);
+  const wallet = await getSavingsWallet(userId);
+  res.json({ success: true, savings: formatSavingsWallet(wallet) });
+}));
+
+// PUT /api/savings/rules - répartition des prochains gains: [{ objectiveId, percent }], le reste est conservé dans le portefeuille
+app.put('/api/savings/rules', asyncHandler(async (req, res) => {
+  const { error, value } = savingsRulesSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
+  }
+  const userId = await resolveRequestUserId(req, value.userId);
+  const total = roundAmount(value.rules.reduce((sum, r) => sum + r.percent, 0));
+  if (total > 100) return res.status(400).json({ message: `La somme des pourcentages (${total}%) dépasse 100%`, code: 'SAVINGS_RULES_OVER_100' });
+  for (const rule of value.rules) {
+    const obj = await loadAuthorized(req, Objective, rule.objectiveId, 'owner', 'Objectif non trouvé');
+    if (!sameId(obj.userId, userId)) return res.status(403).json({ message: 'Objectif n\'appartient pas à l\'utilisateur', code: 'FORBIDDEN_NOT_OWNER' });
+  }
+
+  await getSavingsWallet(userId);
+  const wallet = await SavingsWallet.findOneAndUpdate({ userId }, { $set: { rules: value.rules } }, { new: true });
+  res.json({ success: true, savings: formatSavingsWallet(wallet) });
+}));
+
+// POST /api/savings/transfer - déplacer de l'épargne vers un budget (budgetId) ou un objectif (objectiveId), journalisé
+app.post('/api/savings/transfer', idempotent('savings.transfer'), asyncHandler(async (req, res) => {
+  const { error, value } = savingsTransferSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
+  }
+  const userId = await resolveRequestUserId(req, value.userId);
+  await ensureUserRollover(userId);
+  const amount = roundAmount(value.amount);
+  const target = value.budgetId
+    ? await loadAuthorized(req, Budget, value.budgetId, 'owner', 'Budget non trouvé')
+    : await loadAuthorized(req, Objective, value.objectiveId, 'owner', 'Objectif non trouvé');
+  if (!sameId(target.userId, userId)) return res.status(403).json({ message: 'Destination n\'appartient pas à l\'utilisateur', code: 'FORBIDDEN_NOT_OWNER' });
+  const { _id: walletId } = await getSavingsWallet(userId);
+
+  const credits = value.budgetId ? [{ budgetId: target._id, amount }] : [];
+  let debitedWallet = false;
+  let credited = false;
+  try {
+    const result = await runLedgerOperation(async (session) => {
+      const opts = session ? { session } : {};
+      const wallet = await SavingsWallet.findOneAndUpdate({ _id: walletId, balance: { $gte: amount } }, { $inc: { balance: -amount } }, { new: true, ...opts });
+      if (!wallet) throw httpError(400, 'Épargne insuffisante pour ce transfert', 'SAVINGS_INSUFFICIENT');
+      debitedWallet = !session;
+      let affected = [];
+      if (value.budgetId) {
+        affected = (await applyBudgetMovements(credits, [], session)).credited;
+      } else {
+        await creditObjective(target._id, amount, session);
+      }
+      credited = !session;
+      const je = new JournalEntry({
+        userId,
+        txType: 'adjustment',
+        amount,
+        comment: value.budgetId ? `Épargne vers le budget ${target.name}` : `Épargne vers l'objectif ${target.name || target._id.toString()}`,
+        affected,
+        ruleApplied: `${value.budgetId ? 'savings_to_budget' : 'savings_to_objective'}${session ? '' : '_fallback'}`,
+        meta: { walletId, walletBefore: roundAmount(wallet.balance + amount), walletAfter: wallet.balance, ...(value.objectiveId ? { objectiveId: target._id } : {}) }
+      });
+      await recordJournalEntry(je, session);
+      return { wallet, je };
+    });
+
+    let destination;
+    if (value.budgetId) {
+      const b = await Budget.findById(target._id);
+      destination = { budget: { id: b._id.toString(), name: b.name, amount: b.amount, frequency: b.frequency, currentAmount: b.currentAmount } };
+    } else {
+      const o = await Objective.findById(target._id);
+      destination = { objective: { id: o._id.toString(), name: o.name || null, targetAmount: o.targetAmount, targetDate: o.targetDate, savedAmount: o.savedAmount, achieved: o.achieved } };
+    }
+    res.json({ success: true, journalEntryId: result.je._id.toString(), savings: formatSavingsWallet(result.wallet), ...destination });
+  } catch (e) {
+    // Fallback path: give back what was moved before the failure
+    if (credited) {
+      if (value.budgetId) await revertBudgetMovements(credits, []);
+      else await creditObjective(target._id, -amount).catch(() => {});
+    }
+    if (debitedWallet) await SavingsWallet.updateOne({ _id: walletId }, { $inc: { balance: amount } }).catch(() => {});
+    throw e;
+  }
+}));
+
+// =====================
+// TONTINES (MVP)
+// =====================
+// POST /api/tontines - create tontine
+app.post('/api/tontines', asyncHandler(async (req, res) => {
+  const { userId, name, contributionAmount, startDate, endDate, frequency, budgetId, clientId, participantsCount, myPosition } = req.body;
+  console.log('POST /api/tontines payload:', { userId, name, contributionAmount, startDate, endDate, frequency, budgetId, clientId, participantsCount, myPosition });
+  if (!name || !contributionAmount) return res.status(400).json({ message: 'name et contributionAmount requis' });
+  const resolvedUserId = await resolveRequestUserId(req, userId);
+  if (budgetId) {
+    const linkedBudget = await loadAuthorized(req, Budget, budgetId, 'owner', 'Budget non trouvé');
+    if (!sameId(linkedBudget.userId, resolvedUserId)) return res.status(403).json({ message: 'Budget n\'appartient pas à l\'utilisateur', code: 'FORBIDDEN_NOT_OWNER' });
+  }
+
+  // If clientId provided, avoid duplicate creations
+  if (clientId) {
+    const existing = await Tontine.findOne({ clientId, ownerId: resolvedUserId });
+    if (existing) {
+      return res.status(200).json({ success: true, tontine: { id: existing._id.toString(), name: existing.name, contributionAmount: existing.contributionAmount, startDate: existing.startDate || null, endDate: existing.endDate || null, frequency: existing.frequency || null, budgetId: existing.budgetId || null } });
+    }
+  }
+
+  const members = [{ userId: resolvedUserId, contributed: 0, position: myPosition ? Number(myPosition) : 1 }];
+  const t = new Tontine({ name, ownerId: resolvedUserId, contributionAmount, participantsCount: participantsCount ? Number(participantsCount) : (members.length), members, totalAmount: 0, clientId: clientId || null, startDate: startDate || null, endDate: endDate || null, frequency: frequency || null, budgetId: budgetId || null });
+  await t.save();
+  console.log('Tontine saved with budgetId:', t.budgetId);
+  res.status(201).json({ success: true, tontine: { id: t._id.toString(), name: t.name, contributionAmount: t.contributionAmount, startDate: t.startDate || null, endDate: t.endDate || null, frequency: t.frequency || null, budgetId: t.budgetId ? t.budgetId.toString() : null } });
+}));
+
+// GET /api/tontines/:userId - list tontines where user is owner or member
+app.get('/api/tontines/:userId', asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const resolvedUserId = await resolveRequestUserId(req, userId);
+  const tontines = await Tontine.find({ $or: [{ ownerId: resolvedUserId }, { 'members.userId': resolvedUserId }] });
+  const results = tontines.map(t => {
+    const participants = t.participantsCount || t.members.length || 0;
+    const totalNeeded = participants > 0 ? participants * (t.contributionAmount || 0) : 0;
+    const overallPercent = totalNeeded > 0 ? Math.min(100, Math.round(((t.totalAmount || 0) / totalNeeded) * 100)) : 0;
+    const member = t.members.find(m => m.userId.toString() === resolvedUserId.toString()) || {};
+    const myPercent = (t.contributionAmount && member.contributed) ? Math.min(100, Math.round((member.contributed / t.contributionAmount) * 100)) : 0;
+    const elapsed = periodsElapsedSince(t.startDate || getTodayDate(), t.frequency || 'monthly');
+    const currentReceiverIndex = participants > 0 ? ((elapsed % participants) + 1) : 1;
+    const myPosition = member.position || null;
+    const turnsUntilMe = (myPosition && participants) ? ((myPosition - currentReceiverIndex + participants) % participants) : null;
+    return {
+      id: t._id.toString(), name: t.name, contributionAmount: t.contributionAmount, totalAmount: t.totalAmount,
+      startDate: t.startDate || null, endDate: t.endDate || null, frequency: t.frequency || null, budgetId: t.budgetId ? t.budgetId.toString() : null,
+      clientId: t.clientId || null, members: t.members.map(m => ({ userId: m.userId.toString(), contributed: m.contributed, position: m.position })),
+      participantsCount: participants, overallPercent, myPercent, currentReceiverIndex, myPosition, turnsUntilMe
+    };
+  });
+  res.json({ success: true, tontines: results });
+}));
+
+// POST /api/tontines/:id/join
+app.post('/api/tontines/:id/join', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { userId, position } = req.body;
+  const tontine = mongoose.isValidObjectId(id) ? await Tontine.findById(id) : null;
+  if (!tontine) return res.status(404).json({ message: 'Tontine non trouvée' });
+  let resolvedUserId = req.user._id;
+  if (userId) {
+    const target = await resolveUserId(String(userId)).catch(() => null);
+    if (!target) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+    // Enrolling another user is reserved to the tontine owner
+    if (!sameId(target, req.user._id)) authorize(req, 'tontineOwner', tontine);
+    resolvedUserId = target;
+  }
+  if (tontine.members.find(m => m.userId.toString() === resolvedUserId.toString())) return res.status(400).json({ message: 'Déjà membre' });
+  // assign position: provided or next available
+  let assignedPos = position ? Number(position) : (tontine.members.length + 1);
+  // ensure no duplicate positions
+  const used = new Set(tontine.members.map(m => Number(m.position || 0)));
+  while (used.has(assignedPos)) assignedPos++;
+  tontine.members.push({ userId: resolvedUserId, contributed: 0, position: assignedPos });
+  // bump participantsCount if present
+  tontine.participantsCount = Math.max(tontine.participantsCount || 0, tontine.members.length);
+  await tontine.save();
+  res.json({ success: true, position: assignedPos });
+}));
+
+// Record a member's contribution to a tontine. Returns { status, body }
+// (shared by POST /api/tontines/:id/contribute and POST /api/sync)
+// The contribution is funded by `budgetId` when given, otherwise by the tontine's linked budget when it
+// belongs to the contributor: it is then posted like an expense (cascade, journal, Day chain) in the same
+// operation as the member / tontine totals, and rejected when the budget cannot cover it.
+async function contributeToTontine(req, id, input) {
+  const { userId, amount, budgetId } = input;
+  if (!amount) return { status: 400, body: { message: 'amount requis' } };
+  if (!(Number(amount) > 0)) return { status: 400, body: { message: 'amount doit être positif' } };
+  const resolvedUserId = await resolveRequestUserId(req, userId);
+  const tontine = await loadAuthorized(req, Tontine, id, 'tontineMember', 'Tontine non trouvée');
+  const member = tontine.members.find(m => m.userId.toString() === resolvedUserId.toString());
+  if (!member) return { status: 400, body: { message: 'Utilisateur non membre' } };
+
+  let fundingBudget = null;
+  if (budgetId) {
+    fundingBudget = await loadAuthorized(req, Budget, budgetId, 'owner', 'Budget non trouvé');
+    if (!sameId(fundingBudget.userId, resolvedUserId)) return { status: 403, body: { message: 'Budget n\'appartient pas à l\'utilisateur', code: 'FORBIDDEN_NOT_OWNER' } };
+  } else if (tontine.budgetId) {
+    const linked = await Budget.findById(tontine.budgetId);
+    if (linked && sameId(linked.userId, resolvedUserId)) fundingBudget = linked;
+  }
+
+  const value = Number(amount);
+  const addContribution = async (session) => {
+    const updated = await Tontine.findOneAndUpdate(
+      { _id: tontine._id, 'members.userId': resolvedUserId },
+      { $inc: { 'members.$.contributed': value, totalAmount: value } },
+      { new: true, ...(session ? { session } : {}) }
+    );
+    if (!updated) throw httpError(400, 'Utilisateur non membre');
+    return updated;
+  };
+  const removeContribution = () => Tontine.updateOne(
+    { _id: tontine._id, 'members.userId': resolvedUserId },
+    { $inc: { 'members.$.contributed': -value, totalAmount: -value } }
+  );
+
+  if (!fundingBudget) {
+    // Paid from outside the envelopes: only the double-entry posting records the movement
+    const updated = await runLedgerOperation(async (session) => {
+      const t = await addContribution(session);
+      try {
+        await new LedgerPosting({
+          userId: resolvedUserId, ruleApplied: 'tontine_contribution_external', comment: `Tontine: ${tontine.name}`,
+          entries: [{ accountType: 'external', amount: -value }, { accountType: 'tontine', accountId: tontine._id, amount: value }]
+        }).save({ session });
+      } catch (e) {
+        if (!session) await removeContribution().catch(() => {});
+        throw e;
+      }
+      return t;
+    });
+    return { status: 200, body: { success: true, totalAmount: updated.totalAmount, transactionId: null } };
+  }
+
+  await ensureUserRollover(resolvedUserId);
+  const { date: currentDate, time: currentTime } = await getRequestUserClock(req, resolvedUserId);
+  await assertDayChainOpen(resolvedUserId, currentDate);
+  let updated = null;
+  const tx = await postTransaction(resolvedUserId, {
+    budgetId: fundingBudget._id, type: 'expense', amount: value, comment: `Tontine: ${tontine.name}`, date: currentDate, time: currentTime, tontineId: tontine._id
+  }, currentDate, {
+    meta: { tontineId: tontine._id },
+    within: async (_tx, session, onRevert) => {
+      updated = await addContribution(session);
+      onRevert(removeContribution);
+    }
+  });
+
+  return { status: 200, body: { success: true, totalAmount: updated.totalAmount, transactionId: tx._id.toString(), budgetId: fundingBudget._id.toString() } };
+}
+
+// POST /api/tontines/:id/contribute
+app.post('/api/tontines/:id/contribute', idempotent('tontines.contribute'), asyncHandler(async (req, res) => {
+  const { status, body } = await contributeToTontine(req, req.params.id, req.body);
+  res.status(status).json(body);
+}));
+
+// DELETE /api/tontines/:id/contributions/:transactionId - annuler une contribution payée depuis un budget:
+// recrédite la cascade, journalise la compensation et retire le montant des totaux de la tontine dans la même opération
+app.delete('/api/tontines/:id/contributions/:transactionId', idempotent('tontines.contribution.reverse'), asyncHandler(async (req, res) => {
+  const tontine = await loadAuthorized(req, Tontine, req.params.id, 'tontineMember', 'Tontine non trouvée');
+  const original = await loadAuthorized(req, Transaction, req.params.transactionId, 'owner', 'Transaction non trouvée');
+  if (!original.tontineId || !sameId(original.tontineId, tontine._id)) return res.status(404).json({ message: 'Contribution non trouvée pour cette tontine', code: 'TONTINE_CONTRIBUTION_NOT_FOUND' });
+  const userId = original.userId;
+  await assertDayChainOpen(userId, original.date);
+  const { date: currentDate } = await getRequestUserClock(req, userId);
+
+  const result = await runLedgerOperation(async (session) => {
+    const opts = session ? { session } : {};
+    const tx = await claimTransaction(original, session);
+    const value = Number(tx.amount);
+    const posting = await findPostingEntry(tx, session);
+    const credits = await getPostedDebits(tx, posting, session);
+    const { credited } = await applyBudgetMovements(credits, [], session);
+
+    let updated = null;
+    const saved = [];
+    try {
+      updated = await Tontine.findOneAndUpdate(
+        { _id: tontine._id, members: { $elemMatch: { userId, contributed: { $gte: value } } } },
+        { $inc: { 'members.$.contributed': -value, totalAmount: -value } },
+        { new: true, ...opts }
+      );
+      if (!updated) throw httpError(409, 'La contribution du membre est inférieure au montant à annuler', 'TONTINE_CONTRIBUTION_CONFLICT');
+      const reversal = buildReversalEntry(tx, posting, credited, session ? '' : '_fallback');
+      saved.push(reversal, await recordJournalEntry(reversal, session));
+      await Transaction.deleteOne({ _id: tx._id }, opts);
+    } catch (e) {
+      if (!session) {
+        await revertBudgetMovements(credits, []);
+        if (updated) {
+          await Tontine.updateOne({ _id: tontine._id, 'members.userId': userId }, { $inc: { 'members.$.contributed': value, totalAmount: value } }).catch(() => {});
+        }
+        for (const doc of saved.filter(Boolean).reverse()) {
+          try { await doc.deleteOne(); } catch (__) {}
+        }
+      }
+      throw e;
+    }
+    const dayTotals = await recomputeDayChain(userId, tx.date, session, currentDate);
+    return { tontine: updated, reversalId: saved[0]._id, restored: credited, day: dayTotals };
+  });
+
+  const member = result.tontine.members.find(m => sameId(m.userId, userId));
+  res.json({ success: true, message: 'Contribution annulée', totalAmount: result.tontine.totalAmount, contributed: member ? member.contributed : 0, reversalId: result.reversalId.toString(), restored: result.restored.map(a => ({ budgetId: a.budgetId.toString(), before: a.before, after: a.after })), day: result.day });
+}));
+
+// GET /api/tontines/id/:id
+app.get('/api/tontines/id/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const t = await loadAuthorized(req, Tontine, id, 'tontineMember', 'Tontine non trouvée');
+  const participants = t.participantsCount || t.members.length || 0;
+  const totalNeeded = participants > 0 ? participants * (t.contributionAmount || 0) : 0;
+  const overallPercent = totalNeeded > 0 ? Math.min(100, Math.round(((t.totalAmount || 0) / totalNeeded) * 100)) : 0;
+  res.json({ success: true, tontine: { id: t._id.toString(), name: t.name, contributionAmount: t.contributionAmount, totalAmount: t.totalAmount, members: t.members.map(m => ({ userId: m.userId.toString(), contributed: m.contributed, position: m.position })), participantsCount: participants, overallPercent } });
+}));
+
+// GET /api/tontines/:id/percent/:userId - percent until user's turn and related metrics
+app.get('/api/tontines/:id/percent/:userId', asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+  const resolvedUserId = await resolveRequestUserId(req, userId);
+  const t = await loadAuthorized(req, Tontine, id, 'tontineMember', 'Tontine non trouvée');
+  const participants = t.participantsCount || t.members.length || 0;
+  const elapsed = periodsElapsedSince(t.startDate || getTodayDate(), t.frequency || 'monthly');
+  const currentReceiverIndex = participants > 0 ? ((elapsed % participants) + 1) : 1;
+  const member = t.members.find(m => m.userId.toString() === resolvedUserId.toString()) || null;
+  const myPosition = member ? (member.position || null) : null;
+  const turnsUntilMe = (myPosition && participants) ? ((myPosition - currentReceiverIndex + participants) % participants) : null;
+  const percentUntilMyTurn = turnsUntilMe != null && participants ? Math.round(((participants - turnsUntilMe) / participants) * 100) : null;
+  res.json({ success: true, percentUntilMyTurn, turnsUntilMe, currentReceiverIndex, myPosition, participantsCount: participants });
+}));
+
+// =====================
+// USER PREFERENCES
+// =====================
+// PUT /api/users/:userId/preferences
+app.put('/api/users/:userId/preferences', asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const prefs = req.body;
+  const resolvedUserId = await resolveRequestUserId(req, userId);
+  const user = await User.findById(resolvedUserId);
+  if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+  if (typeof prefs.rolloverPolicy !== 'undefined' && !ROLLOVER_POLICIES.includes(prefs.rolloverPolicy)) {
+    return res.status(400).json({ message: `rolloverPolicy doit être: ${ROLLOVER_POLICIES.join(', ')}` });
+  }
+  if (prefs.timezone && (typeof prefs.timezone !== 'string' || !isValidTimeZone(prefs.timezone))) {
+    return res.status(400).json({ message: 'Fuseau horaire invalide (format IANA attendu, ex: Africa/Abidjan)' });
+  }
+  if (prefs.rolloverSavingsObjectiveId) {
+    const objective = await loadAuthorized(req, Objective, prefs.rolloverSavingsObjectiveId, 'owner', 'Objectif non trouvé');
+    if (!sameId(objective.userId, resolvedUserId)) return res.status(403).json({ message: 'Objectif n\'appartient pas à l\'utilisateur', code: 'FORBIDDEN_NOT_OWNER' });
+  }
+  if (typeof prefs.payDay !== 'undefined' && !(Number.isInteger(prefs.payDay) && prefs.payDay >= 1 && prefs.payDay <= 31)) {
+    return res.status(400).json({ message: 'payDay doit être un entier entre 1 et 31 (31 = fin de mois)' });
+  }
+  if (typeof prefs.incomeMode !== 'undefined' && !INCOME_MODES.includes(prefs.incomeMode)) {
+    return res.status(400).json({ message: `incomeMode doit être: ${INCOME_MODES.join(', ')}` });
+  }
+  if (typeof prefs.incomeWindowDays !== 'undefined' && !(Number.isInteger(prefs.incomeWindowDays) && prefs.incomeWindowDays >= 7 && prefs.incomeWindowDays <= 90)) {
+    return res.status(400).json({ message: 'incomeWindowDays doit être un entier entre 7 et 90' });
+  }
+  if (typeof prefs.monthlyObligations !== 'undefined' && !(typeof prefs.monthlyObligations === 'number' && prefs.monthlyObligations >= 0)) {
+    return res.status(400).json({ message: 'monthlyObligations doit être un montant positif ou nul' });
+  }
+  const payDayChanged = typeof prefs.payDay !== 'undefined' && prefs.payDay !== getUserPayDay(user);
+  // Close the periods due under the old cycle before switching
+  if (payDayChanged) await ensureUserRollover(resolvedUserId);
+  user.preferences = { ...user.preferences.toObject?.() || user.preferences || {}, ...prefs };
+  await user.save();
+  if (payDayChanged) {
+    // The current monthly period is re-keyed on the new cycle: its next rollover happens on the next pay day
+    const { date, payDay } = await getUserClock(user);
+    await Budget.updateMany({ userId: resolvedUserId, frequency: 'monthly', periodKey: { $ne: null } }, { $set: { periodKey: getPeriodKey('monthly', date, payDay) } });
+  }
+  res.json({ success: true, preferences: user.preferences });
+}));
+
+// GET /api/dashboard/:userId - Récupérer le résumé calculé (solde, wallets, transactions, objectifs, conseil IA)
+app.get('/api/dashboard/:userId', asyncHandler(async (req, res) => {
+  let { userId } = req.params;
+  userId = await resolveRequestUserId(req, userId);
+  await ensureUserRollover(userId);
+
+  const { date: currentDate, timeZone, payDay } = await getRequestUserClock(req, userId);
+
+  const user = await User.findById(userId);
+  if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+
+  // Get today's Day record (budgetsAvailable, gains, expenses)
+  const today = await Day.findOne({ userId, date: currentDate });
+  const budgetsAvailable = today ? today.budgetsAvailable : await calculateBudgetsAvailable(userId, currentDate);
+
+  // derniers jours pour solde précédent
+  const lastDay = await Day.findOne({ userId }).sort({ date: -1 }).limit(1);
+  const previousBalance = lastDay ? lastDay.finalPocket : 0;
+
+  // Récupérer budgets et calculer les remaining par wallet
+  const budgets = await Budget.find({ userId });
+  const wallets = await Promise.all(budgets.map(async (b) => {
+    const remaining = await calculateRemainingBudget(b, userId, currentDate);
+    return {
+      id: b._id.toString(),
+      name: b.name,
+      amount: b.amount,
+      frequency: b.frequency,
+      remaining,
+      isPrimary: !!b.isPrimary
+    };
+  }));
+
+  // Transactions du jour
+  const todayTransactions = await Transaction.find({ userId, date: currentDate }).sort({ createdAt: 1 });
+
+  // Calcul des gains par fréquence (selon budget frequency)
+  const gainsByFreq = { daily: 0, weekly: 0, monthly: 0 };
+  let totalExpenses = 0;
+  for (const t of todayTransactions) {
+    if (t.type === 'gain') {
+      if (t.budgetId) {
+        const b = budgets.find(x => x._id.toString() === t.budgetId.toString());
+        if (b) gainsByFreq[b.frequency] = (gainsByFreq[b.frequency] || 0) + t.amount;
+        else gainsByFreq.daily += t.amount; // fallback
+      } else {
+        gainsByFreq.daily += t.amount;
+      }
+    } else if (t.type === 'expense') {
+      totalExpenses += t.amount;
+    }
+  }
+
+  // Total gains (used for AI advice and Day calculations) — gains do not affect argent_en_poche
+  const totalGains = (gainsByFreq.daily || 0) + (gainsByFreq.weekly || 0) + (gainsByFreq.monthly || 0);
+
+  // Argent en poche (strict product rule): weekly remaining derived from primary monthly salary
+  // Gains from other sources DO NOT increase argent en poche
+  const argent_en_poche = await computeArgentEnPoche(userId, currentDate);
+
+  // Dynamic intelligent limits (month -> week -> day) based on remaining monthly budget
+  const dynamicLimits = computeDynamicLimits(budgetsAvailable, currentDate, timeZone, payDay);
+
+  // Irregular income mode: safe-to-spend from the recent income minus the obligations, with its explanation
+  const incomeMode = getUserIncomeMode(user);
+  const safeToSpend = incomeMode === 'irregular'
+    ? buildSafeToSpend(await computeIrregularAllowance(user, currentDate), totalExpenses, argent_en_poche)
+    : null;
+
+  // Analyse des seuils hebdomadaires et mensuels pour le conseil IA
+  let weeklyExpenses = 0;
+  try {
+    // currentDate is the user's local day; work on UTC calendar dates to stay independent of the server timezone
+    const current = new Date(`${currentDate}T00:00:00Z`);
+    const weekStart = new Date(current);
+    weekStart.setUTCDate(current.getUTCDate() - 6); // 7 derniers jours, aujourd'hui inclus
+    const weekStartStr = weekStart.toISOString().slice(0, 10);
+    const weekDays = await Day.find({
+      userId,
+      date: { $gte: weekStartStr, $lte: currentDate }
+    });
+    weeklyExpenses = weekDays.reduce((sum, d) => sum + (d.expenses || 0), 0);
+  } catch (e) {
+    weeklyExpenses = 0;
+  }
+
+  // Baseline mensuelle issue du budget primaire (salaire principal; aucune en mode revenus irréguliers)
+  const primaryMonthly = budgets.find(b => b.isPrimary && b.frequency === 'monthly') || null;
+  let monthlyBaseline = null;
+  let monthlyUsed = null;
+  let monthlyUsageRatio = null;
+  if (primaryMonthly && incomeMode === 'salary') {
+    monthlyBaseline = Number(primaryMonthly.initialAmount || primaryMonthly.amount || 0) || null;
+    if (monthlyBaseline && typeof budgetsAvailable === 'number') {
+      monthlyUsed = Math.max(0, monthlyBaseline - budgetsAvailable);
+      monthlyUsageRatio = monthlyUsed / monthlyBaseline;
+    }
+  }
+
+  // Objectifs
+  const objectives = await Objective.find({ userId });
+  const objectivesFormatted = objectives.map(o => ({
+    id: o._id.toString(),
+    name: o.name || null,
+    targetAmount: o.targetAmount,
+    targetDate: o.targetDate,
+    achieved: o.achieved,
+    savedAmount: o.savedAmount || 0,
+    progressPercent: Math.min(100, Math.round(((o.savedAmount || 0) / o.targetAmount) * 100))
+  }));
+
+  // Épargne accumulée par les gains (portefeuille créé au premier gain)
+  const savingsWallet = await SavingsWallet.findOne({ userId });
+
+  // AI advice: single short actionable advice based on today's balance, expenses, budget overruns and active objective
+  let aiAdvice = '';
+  const activeObjective = objectives.find(o => !o.achieved) || null;
+  const { monthlyAvailable, weeklyLimit, dailyLimit, daysLeft, weeksLeft } = dynamicLimits || {};
+  // Detect any budget overrun (unbounded remaining < 0)
+  let budgetOverrun = false;
+  for (const w of wallets) {
+    const bSpent = todayTransactions.filter(t => t.type === 'expense')
+      .flatMap(transactionParts).filter(p => String(p.budgetId) === String(w.id)).reduce((s, p) => s + p.amount, 0);
+    const bGains = todayTransactions.filter(t => t.type === 'gain' && String(t.budgetId) === String(w.id)).reduce((s, t) => s + t.amount, 0);
+    const unbounded = (w.amount || 0) + bGains - bSpent;
+    if (unbounded < 0) { budgetOverrun = true; break; }
+  }
+
+  if (argent_en_poche <= 0) {
+    aiAdvice = `Votre argent en poche est épuisé. Réduisez immédiatement les dépenses non-essentielles.`;
+  } else if (budgetOverrun) {
+    aiAdvice = 'Un de vos budgets est dépassé aujourd\'hui — réduisez ou réallouez des dépenses.';
+  } else if (safeToSpend && totalExpenses > safeToSpend.dailyAllowance) {
+    aiAdvice = `Aujourd'hui vos dépenses (${totalExpenses} XOF) dépassent ce que vos revenus récents permettent (${safeToSpend.dailyAllowance} XOF par jour). Ralentissez jusqu'à vos prochains gains.`;
+  } else if (monthlyUsageRatio != null && monthlyUsageRatio > 0.9) {
+    // Plus de 90% du budget mensuel déjà utilisé
+    const remaining = Math.max(0, (monthlyBaseline || 0) - (monthlyUsed || 0));
+    aiAdvice = `Attention, vous avez déjà utilisé plus de 90% de votre budget mensuel principal. Il ne vous reste que ${remaining} XOF pour finir le mois. Réduisez fortement les dépenses non essentielles.`;
+  } else if (weeklyLimit && weeklyExpenses > weeklyLimit) {
+    const diffWeek = weeklyExpenses - weeklyLimit;
+    aiAdvice = `Sur les 7 derniers jours, vos dépenses (${weeklyExpenses} XOF) dépassent le seuil conseillé hebdomadaire de ${weeklyLimit} XOF (écart de ${diffWeek} XOF). Ralentissez les dépenses cette semaine pour rester dans le budget du mois.`;
+  } else if (dailyLimit && totalExpenses > dailyLimit) {
+    const diffDay = totalExpenses - dailyLimit;
+    const remainingDays = daysLeft || 1;
+    aiAdvice = `Aujourd'hui vos dépenses (${totalExpenses} XOF) dépassent le seuil conseillé de ${dailyLimit} XOF pour respecter votre budget du mois (écart de ${diffDay} XOF). Pour les ${remainingDays} prochains jours, essayez de rester autour de ${Math.floor((monthlyAvailable || 0) / remainingDays)} XOF par jour.`;
+  } else if (activeObjective && argent_en_poche < activeObjective.targetAmount * 0.2) {
+    aiAdvice = `Pensez à augmenter vos gains ou réduire dépenses pour progresser vers l\'objectif ${activeObjective.targetAmount} XOF.`;
+  } else if (totalExpenses > totalGains) {
+    const diff = totalExpenses - totalGains;
+    aiAdvice = `Vos dépenses dépassent vos gains d\'aujourd\'hui de ${diff} XOF — réduisez les non-essentiels.`;
+  } else {
+    aiAdvice = 'Bonne gestion aujourd\'hui — vos gains couvrent vos dépenses.';
+  }
+
+  res.json({
+    success: true,
+    user: { id: user._id.toString(), name: user.name, email: user.email, subscription: user.subscription || null },
+    argent_en_poche,
+    budgetsAvailable,
+     dynamicLimits,
+    wallets,
+    transactions: todayTransactions.map(t => ({ id: t._id.toString(), type: t.type, amount: t.amount, comment: t.comment, time: t.time, budgetId: t.budgetId ? t.budgetId.toString() : null })),
+    objectives: objectivesFormatted,
+    savings: { balance: savingsWallet ? savingsWallet.balance : 0 },
+    incomeMode,
+    safeToSpend,
+    aiAdvice
+  });
+}));
+
+// GET /api/reports/monthly/:userId - Rapport mensuel (JSON, PDF ou Excel)
+// Query params:
+//   month=YYYY-MM (optionnel, défaut: cycle courant; cycle de paie commençant ce mois-là, voir preferences.payDay)
+//   format=json|pdf|excel (optionnel, défaut: json)
+app.get('/api/reports/monthly/:userId', asyncHandler(async (req, res) => {
+  let { userId } = req.params;
+  userId = await resolveRequestUserId(req, userId);
+
+  const { month, format } = req.query;
+  const { date: localToday, payDay } = await getRequestUserClock(req, userId);
+  const monthStr = typeof month === 'string' && month.match(/^\d{4}-\d{2}$/) ? month : getPeriodKey('monthly', localToday, payDay);
+  const fmt = (format || 'json').toString().toLowerCase();
+
+  const report = await buildMonthlyReport(userId, monthStr);
+
+  if (fmt === 'pdf') {
+    const doc = new PDFDocument({ margin: 40 });
+    const filename = `finavi-rapport-${monthStr}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    doc.fontSize(18).text('Bilan Financier Personnel', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(12).text(`Utilisateur : ${report.user.name} (${report.user.email})`);
+    doc.text(`Mois : ${report.month} (du ${report.period.start} au ${report.period.end})`);
+    doc.moveDown();
+
+    doc.fontSize(14).text('Résumé global');
+    doc.fontSize(12).text(`Revenus totaux : ${report.totals.totalIncome} XOF`);
+    doc.text(`Dépenses totales : ${report.totals.totalExpenses} XOF`);
+    doc.text(`Solde net : ${report.totals.net} XOF`);
+    doc.text(`Solde début de mois : ${report.totals.startingBalance} XOF`);
+    doc.text(`Solde fin de mois : ${report.totals.endingBalance} XOF`);
+    doc.text(`Budget mensuel restant (fin de mois) : ${report.totals.monthlyAvailable} XOF`);
+    doc.moveDown();
+
+    doc.fontSize(14).text('Par budget');
+    report.breakdownByBudget.forEach(b => {
+      doc.fontSize(12).text(`- ${b.budgetName} [${b.frequency || 'n/a'}] : +${b.totalIncome} / -${b.totalExpenses} XOF`);
+    });
+    doc.moveDown();
+
+    doc.fontSize(14).text('Par catégorie');
+    report.breakdownByCategory.forEach(c => {
+      doc.fontSize(12).text(`- ${c.categoryName} : -${c.totalExpenses} XOF (${c.share}%)`);
+    });
+    doc.moveDown();
+
+    doc.fontSize(14).text('Historique journalier');
+    report.dailyHistory.forEach(d => {
+      doc.fontSize(10).text(`${d.date} | gains: ${d.gains} XOF, dépenses: ${d.expenses} XOF, fin de journée: ${d.finalPocket} XOF`);
+    });
+
+    doc.end();
+    doc.pipe(res);
+    return;
+  }
+
+  if (fmt === 'excel' || fmt === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheetSummary = workbook.addWorksheet('Résumé');
+    const sheetBudgets = workbook.addWorksheet('Par budget');
+    const sheetCategories = workbook.addWorksheet('Par catégorie');
+    const sheetDays = workbook.addWorksheet('Jours');
+
+    sheetSummary.addRow(['Bilan Financier Personnel']);
+    sheetSummary.addRow([`Utilisateur : ${report.user.name} (${report.user.email})`]);
+    sheetSummary.addRow([`Mois : ${report.month} (du ${report.period.start} au ${report.period.end})`]);
+    sheetSummary.addRow([]);
+    sheetSummary.addRow(['Revenus totaux', report.totals.totalIncome]);
+    sheetSummary.addRow(['Dépenses totales', report.totals.totalExpenses]);
+    sheetSummary.addRow(['Solde net', report.totals.net]);
+    sheetSummary.addRow(['Solde début de mois', report.totals.startingBalance]);
+    sheetSummary.addRow(['Solde fin de mois', report.totals.endingBalance]);
+    sheetSummary.addRow(['Budget mensuel restant', report.totals.monthlyAvailable]);
+
+    sheetBudgets.addRow(['Budget', 'Fréquence', 'Revenus', 'Dépenses']);
+    report.breakdownByBudget.forEach(b => {
+      sheetBudgets.addRow([b.budgetName, b.frequency || '', b.totalIncome, b.totalExpenses]);
+    });
+
+    sheetCategories.addRow(['Catégorie', 'Revenus', 'Dépenses', 'Part des dépenses (%)']);
+    report.breakdownByCategory.forEach(c => {
+      sheetCategories.addRow([c.categoryName, c.totalIncome, c.totalExpenses, c.share]);
+    });
+
+    sheetDays.addRow(['Date', 'Gains', 'Dépenses', 'Fin de journée']);
+    report.dailyHistory.forEach(d => {
+      sheetDays.addRow([d.date, d.gains, d.expenses, d.finalPocket]);
+    });
+
+    const filename = `finavi-rapport-${monthStr}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await workbook.xlsx.write(res);
+    res.end();
+    return;
+  }
+
+  // Default: JSON
+  res.json({ success: true, report });
+}));
+
+// =====================
+// MODÈLES DE BUDGETS
+// =====================
+// Répartitions guidées du salaire, à l'inscription (budgetTemplate) ou plus tard (POST /api/budget-templates/:key/apply).
+// Chaque enveloppe hebdomadaire reçoit `share` % de la réserve hebdomadaire (salaire / 4) et le budget journalier
+// (salaire hebdomadaire / 7 de la première enveloppe) en est tiré, ce qui respecte les plafonds de validateBudgetHierarchy.
+// categories: clés de SYSTEM_CATEGORIES ou catégories personnelles { name, icon } créées au besoin.
+const BUDGET_TEMPLATES = [
+  {
+    key: 'pocket',
+    name: 'Argent de poche',
+    description: 'Une seule enveloppe hebdomadaire et un budget journalier',
+    envelopes: [{ name: 'ARGENT PAR SEMAINE', share: 100, categories: [] }]
+  },
+  {
+    key: '50_30_20',
+    name: '50 / 30 / 20',
+    description: '50 % pour les besoins, 30 % pour les envies, 20 % mis de côté',
+    envelopes: [
+      { name: 'Besoins', share: 50, categories: ['food', 'rent', 'transport'] },
+      { name: 'Envies', share: 30, categories: ['airtime'] },
+      { name: 'Épargne', share: 20, categories: [] }
+    ]
+  },
+  {
+    key: 'essentials',
+    name: 'Dépenses essentielles',
+    description: 'Une enveloppe pour la nourriture, le loyer, le transport et la famille',
+    envelopes: [
+      { name: 'Nourriture', share: 35, categories: ['food'] },
+      { name: 'Loyer', share: 30, categories: ['rent'] },
+      { name: 'Transport', share: 20, categories: ['transport'] },
+      { name: 'Famille', share: 15, categories: ['family_support'] }
+    ]
+  },
+  {
+    key: 'student',
+    name: 'Étudiant',
+    description: 'Nourriture, transport, études et crédit téléphone',
+    envelopes: [
+      { name: 'Nourriture', share: 40, categories: ['food'] },
+      { name: 'Transport', share: 20, categories: ['transport'] },
+      { name: 'Études', share: 25, categories: [{ name: 'Études', icon: '📚' }] },
+      { name: 'Crédit téléphone', share: 15, categories: ['airtime'] }
+    ]
+  }
+];
+const DEFAULT_BUDGET_TEMPLATE = 'pocket';
+const TEMPLATE_DAILY_BUDGET_NAME = 'ARGENT PAR jour';
+
+function findBudgetTemplate(key) {
+  const template = BUDGET_TEMPLATES.find(t => t.key === key);
+  if (!template) throw httpError(404, `Modèle de budgets inconnu: ${key}`, 'BUDGET_TEMPLATE_NOT_FOUND');
+  return template;
+}
+
+// Weekly envelope amounts for a monthly base and their shares (% of base / 4), and the daily budget drawn
+// from the first envelope (weekly / 7). Returns { weekly: [amount per share], daily }.
+function planAllocationAmounts(monthlyBase, shares) {
+  const pool = Math.floor(Number(monthlyBase || 0) / 4);
+  const weekly = shares.map(share => Math.floor(pool * share / 100));
+  return { weekly, daily: weekly.length ? dailyAllocationOf(weekly[0]) : 0 };
+}
+
+// Envelopes re-derived from the salary (registration or template), oldest first: the first one feeds the daily budget
+async function findDerivedEnvelopes(userId, session = null) {
+  const query = Budget.find({ userId, frequency: 'weekly', isPrimary: false, createdFrom: 'derived' }).sort({ createdAt: 1, _id: 1 });
+  if (session) query.session(session);
+  return query.exec();
+}
+
+// Envelope a new daily budget is drawn from, whose balance is the argent en poche: the first derived
+// envelope, or the oldest weekly budget of an account without one
+async function findPocketEnvelope(userId, session = null) {
+  const [first] = await findDerivedEnvelopes(userId, session);
+  if (first) return first;
+  const query = Budget.findOne({ userId, frequency: 'weekly', isPrimary: false }).sort({ createdAt: 1, _id: 1 });
+  if (session) query.session(session);
+  return query.exec();
+}
+
+// Budgets derived before templates existed hold the whole weekly pool
+function allocationShareOf(budget) {
+  return budget.allocationShare == null ? 100 : Number(budget.allocationShare);
+}
+
+function formatBudgetTemplate(template, monthlyAmount) {
+  const amounts = monthlyAmount ? planAllocationAmounts(monthlyAmount, template.envelopes.map(e => e.share)) : null;
+  return {
+    key: template.key,
+    name: template.name,
+    description: template.description,
+    envelopes: template.envelopes.map((e, i) => ({
+      name: e.name,
+      share: e.share,
+      categories: e.categories.map(c => (typeof c === 'string' ? SYSTEM_CATEGORIES.find(s => s.key === c).name : c.name)),
+      ...(amounts ? { weeklyAmount: amounts.weekly[i] } : {})
+    })),
+    daily: { name: TEMPLATE_DAILY_BUDGET_NAME, ...(amounts ? { amount: amounts.daily } : {}) }
+  };
+}
+
+// Category ids of each envelope of the template: system categories by key, personal ones found by name
+// (brought back if archived) or created for the user
+async function resolveTemplateCategories(userId, template, session = null) {
+  const opts = session ? { session } : {};
+  const result = [];
+  for (const envelope of template.envelopes) {
+    const ids = [];
+    for (const c of envelope.categories) {
+      if (typeof c === 'string') {
+        const system = await Category.findOne({ key: c }, '_id', opts);
+        if (system) ids.push(system._id);
+        continue;
+      }
+      let category = await Category.findOne({ userId, name: c.name }, null, opts);
+      if (!category) {
+        [category] = await Category.create([{ userId, name: c.name, icon: c.icon }], opts);
+      } else if (category.archived) {
+        category.archived = false;
+        await category.save(opts);
+      }
+      ids.push(category._id);
+    }
+    result.push(ids);
+  }
+  return result;
+}
+
+// Unsaved envelopes of a template for a monthly base: the weekly envelopes then the daily budget
+async function buildTemplateBudgets(userId, template, monthlyBase, session = null) {
+  const { weekly, daily } = planAllocationAmounts(monthlyBase, template.envelopes.map(e => e.share));
+  const categoryIds = await resolveTemplateCategories(userId, template, session);
+  const envelopes = template.envelopes.map((e, i) => new Budget({
+    userId, name: e.name, amount: weekly[i], frequency: 'weekly', isPrimary: false, initialAmount: weekly[i], currentAmount: weekly[i],
+    createdFrom: 'derived', immutableInitial: false, allocationShare: e.share, categoryIds: categoryIds[i]
+  }));
+  const dailyBudget = new Budget({
+    userId, name: TEMPLATE_DAILY_BUDGET_NAME, amount: daily, frequency: 'daily', isPrimary: false, initialAmount: daily, currentAmount: daily,
+    createdFrom: 'derived', immutableInitial: false, parentBudgetId: envelopes.length ? envelopes[0]._id : null
+  });
+  return { envelopes, daily: dailyBudget, weeklyTotal: weekly.reduce((s, a) => s + a, 0) };
+}
+
+// GET /api/budget-templates - Modèles disponibles (public, pour l'inscription); ?monthlyAmount= donne les montants prévus
+app.get('/api/budget-templates', asyncHandler(async (req, res) => {
+  const { error, value } = budgetTemplateQuerySchema.validate(req.query, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
+  }
+  res.json({ success: true, defaultTemplate: DEFAULT_BUDGET_TEMPLATE, templates: BUDGET_TEMPLATES.map(t => formatBudgetTemplate(t, value.monthlyAmount)) });
+}));
+
+// POST /api/budget-templates/:key/apply - Appliquer un modèle à un compte existant
+// Les enveloppes sont financées par le budget principal (journalisé 'budget_template'). Avec replace, les budgets
+// existants (hors principal) sont d'abord supprimés comme par DELETE /api/budgets/:id: leur solde revient au parent
+// et leurs transactions sont archivées, dans la même opération que la création. Sans replace, un compte qui a déjà
+// des enveloppes est refusé (409).
+app.post('/api/budget-templates/:key/apply', idempotent('budgetTemplates.apply'), asyncHandler(async (req, res) => {
+  const { error, value } = budgetTemplateApplySchema.validate(req.body || {}, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
+  }
+  const template = findBudgetTemplate(req.params.key);
+  const userId = await resolveRequestUserId(req, value.userId);
+  await ensureUserRollover(userId);
+  const primary = await findPrimaryBudget(userId);
+
+  const existing = await Budget.find({ userId, isPrimary: { $ne: true } });
+  if (existing.length && !value.replace) {
+    return res.status(409).json({ message: 'Ce compte a déjà des budgets. Utilisez replace pour les remplacer.', code: 'BUDGETS_EXIST' });
+  }
+  // Checked before anything is deleted: what the weekly and daily budgets give back plus the primary must fund the envelopes
+  const { amount: salary } = await getMonthlyHierarchyBase(userId, primary);
+  const { weekly } = planAllocationAmounts(salary, template.envelopes.map(e => e.share));
+  const weeklyTotal = weekly.reduce((s, a) => s + a, 0);
+  const available = roundAmount(Number(primary.currentAmount || 0) + existing
+    .filter(b => b.frequency === 'weekly' || b.frequency === 'daily')
+    .reduce((s, b) => s + Math.max(0, Number(b.currentAmount || 0)), 0));
+  if (available < weeklyTotal) {
+    return res.status(400).json({ message: `Solde insuffisant sur le budget principal: ${weeklyTotal} XOF nécessaires, ${available} XOF disponibles`, code: 'TEMPLATE_INSUFFICIENT' });
+  }
+
+  // Deletions and openings are one operation: on the fallback path a failure restores the deleted budgets.
+  // Children first, so that each balance goes back up to a parent that still exists.
+  const order = { daily: 0, weekly: 1, monthly: 2 };
+  const toReplace = [...existing].sort((a, b2) => (order[a.frequency] ?? 3) - (order[b2.frequency] ?? 3));
+
+  const result = await runLedgerOperation(async (session) => {
+    const opts = session ? { session } : {};
+    const deletions = [];
+    const saved = [];
+    let debits = [];
+    let je = null;
+    try {
+      for (const b of toReplace) deletions.push(await deleteBudgetInLedger(b._id, null, session));
+      const planned = await buildTemplateBudgets(userId, template, salary, session);
+      debits = [{ budgetId: primary._id, amount: planned.weeklyTotal }];
+      const { debited } = await applyBudgetMovements([], debits, session);
+      for (const b of [...planned.envelopes, planned.daily]) {
+        await b.save(opts);
+        saved.push(b);
+      }
+      // The daily budget is drawn from the first envelope
+      await Budget.updateOne({ _id: planned.envelopes[0]._id }, { $inc: { currentAmount: -planned.daily.amount } }, opts);
+      je = new JournalEntry({
+        userId,
+        txType: 'adjustment',
+        amount: planned.weeklyTotal,
+        comment: template.name,
+        affected: [
+          ...debited,
+          ...planned.envelopes.map((e, i) => ({ budgetId: e._id, before: e.amount, after: i === 0 ? e.amount - planned.daily.amount : e.amount })),
+          { budgetId: planned.daily._id, before: planned.daily.amount, after: planned.daily.amount }
+        ],
+        ruleApplied: `budget_template${session ? '' : '_fallback'}`,
+        meta: {
+          template: template.key,
+          openings: [...planned.envelopes, planned.daily].map(b => ({ budgetId: b._id, amount: b.amount }))
+        }
+      });
+      await recordJournalEntry(je, session);
+      return { je, planned, replaced: deletions.map(d => ({ id: d.budget._id.toString(), name: d.budget.name, frequency: d.budget.frequency })) };
+    } catch (e) {
+      if (!session) {
+        if (je) {
+          await LedgerPosting.deleteOne({ journalEntryId: je._id }).catch(() => {});
+          await je.deleteOne().catch(() => {});
+        }
+        await Budget.deleteMany({ _id: { $in: saved.map(b => b._id) } }).catch(() => {});
+        await revertBudgetMovements([], debits);
+        for (const deletion of deletions.reverse()) await restoreDeletedBudget(deletion);
+      }
+      throw e;
+    }
+  });
+
+  const { planned, replaced } = result;
+  res.status(201).json({
+    success: true,
+    message: `Modèle « ${template.name} » appliqué`,
+    journalEntryId: result.je._id.toString(),
+    template: formatBudgetTemplate(template, salary),
+    replaced,
+    budgets: [...planned.envelopes, planned.daily].map(b => ({
+      id: b._id.toString(), name: b.name, amount: b.amount, frequency: b.frequency, categoryIds: (b.categoryIds || []).map(String)
+    }))
+  });
+}));
+
+// POST /api/register - Enregistrer un nouvel utilisateur
+app.post('/api/register', asyncHandler(async (req, res) => {
+  const { phoneNumber, firstName, lastName } = req.body;
+  // Optional: primary income to seed the main budget and whether to create default budgets (budgetTemplate: see BUDGET_TEMPLATES)
+  const { primaryIncomeAmount, primaryIncomeFrequency, createDefaultBudgets, budgetTemplate, timezone } = req.body;
+  logger.info('Incoming register request');
+  logger.debug('register request body', { body: req.body });
+
+  if (!phoneNumber || !firstName || !lastName) {
+    logger.warn('register validation failed - missing fields', { phoneNumber, firstName, lastName });
+    return res.status(400).json({ 
+      message: 'Numéro de téléphone, prénom et nom sont requis' 
+    });
+  }
+  if (timezone && !isValidTimeZone(timezone)) {
+    return res.status(400).json({ message: 'Fuseau horaire invalide (format IANA attendu, ex: Africa/Abidjan)' });
+  }
+  if (budgetTemplate && !BUDGET_TEMPLATES.some(t => t.key === budgetTemplate)) {
+    return res.status(400).json({ message: `Modèle de budgets inconnu: ${budgetTemplate}`, code: 'BUDGET_TEMPLATE_NOT_FOUND' });
+  }
+  const template = createDefaultBudgets || budgetTemplate ? findBudgetTemplate(budgetTemplate || DEFAULT_BUDGET_TEMPLATE) : null;
+  
+  // Vérifier si l'utilisateur n'existe pas déjà
+  // The @test.local email is only kept as a legacy placeholder; identity is the phone number.
+  const userEmail = `${normalizePhone(phoneNumber)}@test.local`;
+  const existingUser = await findUserByPhone(phoneNumber);
+  
+  if (existingUser) {
+    return res.status(409).json({ 
+      message: 'Un compte existe déjà avec ce numéro de téléphone' 
+    });
+  }
+  
+  // Créer le nouvel utilisateur
+  let userId;
+  try {
+    userId = await createUser(phoneNumber, `${firstName} ${lastName}`, userEmail);
+  } catch (err) {
+    console.error('Error creating user in /api/register', err && err.stack ? err.stack : err);
+    throw err;
+  }
+  if (timezone) {
+    await User.updateOne({ _id: userId }, { $set: { 'preferences.timezone': timezone } });
+  }
+
+  // Create default budgets: monthly (primary) + the weekly envelopes of the template + daily, with proper cascade allocation.
+  // User can customize names/amounts after login.
+  const createdBudgets = [];
+  if (template) {
+    const monthlyAmount = primaryIncomeAmount ? Number(primaryIncomeAmount) : 125000;
+
+    // 1. Create monthly (primary) with full amount
+    const monthly = new Budget({ userId, name: 'Salaire Principal', amount: monthlyAmount, frequency: 'monthly', isPrimary: true, initialAmount: monthlyAmount, currentAmount: monthlyAmount, createdFrom: 'derived', immutableInitial: true });
+    await monthly.save();
+
+    // 2. Weekly envelopes allocated from monthly, 3. daily allocated from the first envelope
+    const planned = await buildTemplateBudgets(userId, template, monthlyAmount);
+    for (const b of [...planned.envelopes, planned.daily]) await b.save();
+    const first = planned.envelopes[0];
+    await Budget.updateOne({ _id: monthly._id }, { $set: { currentAmount: monthlyAmount - planned.weeklyTotal } });
+    await Budget.updateOne({ _id: first._id }, { $set: { currentAmount: first.amount - planned.daily.amount } });
+    for (const b of [monthly, ...planned.envelopes, planned.daily]) {
+      createdBudgets.push({ id: b._id.toString(), name: b.name, amount: b.amount, frequency: b.frequency, categoryIds: (b.categoryIds || []).map(String) });
+    }
+
+    // Write JournalEntry recording the allocations
+    const je = new JournalEntry({
+      userId,
+      txType: 'adjustment',
+      amount: 0,
+      comment: `Budget initial setup: monthly primary + ${template.key} envelopes + daily allocations`,
+      affected: [
+        { budgetId: monthly._id, before: monthlyAmount, after: monthlyAmount - planned.weeklyTotal },
+        ...planned.envelopes.map(e => ({ budgetId: e._id, before: e.amount, after: e === first ? e.amount - planned.daily.amount : e.amount })),
+        { budgetId: planned.daily._id, before: planned.daily.amount, after: planned.daily.amount }
+      ],
+      ruleApplied: 'initial_budget_allocation',
+      // Envelopes opened by this entry: the salary enters the monthly budget and flows down (see ledger/ledgerPostings.js)
+      meta: { template: template.key, openings: [monthly, ...planned.envelopes, planned.daily].map(b => ({ budgetId: b._id, amount: b.amount })) }
+    });
+    await recordJournalEntry(je);
+  }
+  
+  res.status(201).json({
+    success: true,
+    message: 'Compte créé avec succès',
+    userId: userId,
+    user: {
+      id: userId,
+      name: `${firstName} ${lastName}`,
+      email: userEmail
+    },
+    budgetTemplate: template ? template.key : null,
+    budgets: createdBudgets
+  });
+}));
+
+// GET /api/budgets/:userId - Récupérer les budgets d'un utilisateur
+app.get('/api/budgets/:userId', asyncHandler(async (req, res) => {
+  let { userId } = req.params;
+  userId = await resolveRequestUserId(req, userId);
+  await ensureUserRollover(userId);
 
-  // Récupérer budgets et calculer les remaining par wallet
   const budgets = await Budget.find({ userId });
-  const wallets = await Promise.all(budgets.map(async (b) => {
+  const { date: currentDate } = await getRequestUserClock(req, userId);
+
+  const budgetsWithRemaining = await Promise.all(budgets.map(async (b) => {
     const remaining = await calculateRemainingBudget(b, userId, currentDate);
     return {
       id: b._id.toString(),
@@ -1486,716 +4105,1493 @@ app.get('/api/dashboard/:userId', asyncHandler(async (req, res) => {
       amount: b.amount,
       frequency: b.frequency,
       remaining,
-      isPrimary: !!b.isPrimary
+      categoryIds: (b.categoryIds || []).map(String),
+      parentBudgetId: b.parentBudgetId ? b.parentBudgetId.toString() : null
     };
   }));
 
-  // Transactions du jour
-  const todayTransactions = await Transaction.find({ userId, date: currentDate }).sort({ createdAt: 1 });
-
-  // Calcul des gains par fréquence (selon budget frequency)
-  const gainsByFreq = { daily: 0, weekly: 0, monthly: 0 };
-  let totalExpenses = 0;
-  for (const t of todayTransactions) {
-    if (t.type === 'gain') {
-      if (t.budgetId) {
-        const b = budgets.find(x => x._id.toString() === t.budgetId.toString());
-        if (b) gainsByFreq[b.frequency] = (gainsByFreq[b.frequency] || 0) + t.amount;
-        else gainsByFreq.daily += t.amount; // fallback
-      } else {
-        gainsByFreq.daily += t.amount;
-      }
-    } else if (t.type === 'expense') {
-      totalExpenses += t.amount;
-    }
-  }
+  res.json({ success: true, budgets: budgetsWithRemaining });
+}));
 
-  // Total gains (used for AI advice and Day calculations) — gains do not affect argent_en_poche
-  const totalGains = (gainsByFreq.daily || 0) + (gainsByFreq.weekly || 0) + (gainsByFreq.monthly || 0);
+// Create a budget for the request's user. Returns { status, body } (shared by POST /api/budgets and POST /api/sync)
+async function createBudget(req, input) {
+  const { userId, name, amount, frequency, clientId, isPrimary } = input;
 
-  // Argent en poche (strict product rule): weekly remaining derived from primary monthly salary
-  // Gains from other sources DO NOT increase argent en poche
-  const argent_en_poche = await computeArgentEnPoche(userId, currentDate);
+  if (!name || typeof amount === 'undefined' || !frequency) {
+    return { status: 400, body: { message: 'name, amount, frequency sont requis' } };
+  }
 
-  // Dynamic intelligent limits (month -> week -> day) based on remaining monthly budget
-  const dynamicLimits = computeDynamicLimits(budgetsAvailable, currentDate);
+  const numericAmount = Number(amount || 0);
+  if (!(numericAmount > 0)) {
+    return { status: 400, body: { message: 'Le montant du budget doit être supérieur à 0' } };
+  }
 
-  // Analyse des seuils hebdomadaires et mensuels pour le conseil IA
-  let weeklyExpenses = 0;
-  try {
-    const current = new Date(currentDate);
-    const weekStart = new Date(current);
-    weekStart.setDate(current.getDate() - 6); // 7 derniers jours, aujourd'hui inclus
-    const weekStartStr = weekStart.toISOString().slice(0, 10);
-    const weekDays = await Day.find({
-      userId,
-      date: { $gte: weekStartStr, $lte: currentDate }
-    });
-    weeklyExpenses = weekDays.reduce((sum, d) => sum + (d.expenses || 0), 0);
-  } catch (e) {
-    weeklyExpenses = 0;
+  if (!['daily', 'weekly', 'monthly'].includes(frequency)) {
+    return { status: 400, body: { message: 'frequency doit être: daily, weekly, ou monthly' } };
   }
 
-  // Baseline mensuelle issue du budget primaire (salaire principal)
-  const primaryMonthly = budgets.find(b => b.isPrimary && b.frequency === 'monthly') || null;
-  let monthlyBaseline = null;
-  let monthlyUsed = null;
-  let monthlyUsageRatio = null;
-  if (primaryMonthly) {
-    monthlyBaseline = Number(primaryMonthly.initialAmount || primaryMonthly.amount || 0) || null;
-    if (monthlyBaseline && typeof budgetsAvailable === 'number') {
-      monthlyUsed = Math.max(0, monthlyBaseline - budgetsAvailable);
-      monthlyUsageRatio = monthlyUsed / monthlyBaseline;
+  const resolvedUserId = await resolveRequestUserId(req, userId);
+
+  // Enforce single immutable primary salary budget per user
+  if (isPrimary) {
+    const existingPrimary = await Budget.findOne({ userId: resolvedUserId, isPrimary: true });
+    if (existingPrimary) {
+      return { status: 400, body: { message: 'Un budget principal existe déjà et ne peut pas être recréé ou modifié' } };
+    }
+    if (frequency !== 'monthly') {
+      return { status: 400, body: { message: 'Le budget principal doit être mensuel' } };
     }
   }
 
-  // Objectifs
-  const objectives = await Objective.find({ userId });
-  const objectivesFormatted = objectives.map(o => ({
-    id: o._id.toString(),
-    name: o.name || null,
-    targetAmount: o.targetAmount,
-    targetDate: o.targetDate,
-    achieved: o.achieved,
-    savedAmount: o.savedAmount || 0,
-    progressPercent: Math.min(100, Math.round(((o.savedAmount || 0) / o.targetAmount) * 100))
-  }));
-
-  // AI advice: single short actionable advice based on today's balance, expenses, budget overruns and active objective
-  let aiAdvice = '';
-  const activeObjective = objectives.find(o => !o.achieved) || null;
-  const { monthlyAvailable, weeklyLimit, dailyLimit, daysLeft, weeksLeft } = dynamicLimits || {};
-  // Detect any budget overrun (unbounded remaining < 0)
-  let budgetOverrun = false;
-  for (const w of wallets) {
-    const bSpent = todayTransactions.filter(t => t.type === 'expense' && String(t.budgetId) === String(w.id)).reduce((s, t) => s + t.amount, 0);
-    const bGains = todayTransactions.filter(t => t.type === 'gain' && String(t.budgetId) === String(w.id)).reduce((s, t) => s + t.amount, 0);
-    const unbounded = (w.amount || 0) + bGains - bSpent;
-    if (unbounded < 0) { budgetOverrun = true; break; }
+  // Validate budget hierarchy constraints (server-side, enforced)
+  if (!isPrimary) {
+    const validation = await validateBudgetHierarchy(resolvedUserId, frequency, numericAmount);
+    if (!validation.valid) {
+      return { status: 400, body: { message: validation.message } };
+    }
   }
 
-  if (argent_en_poche <= 0) {
-    aiAdvice = `Votre argent en poche est épuisé. Réduisez immédiatement les dépenses non-essentielles.`;
-  } else if (budgetOverrun) {
-    aiAdvice = 'Un de vos budgets est dépassé aujourd\'hui — réduisez ou réallouez des dépenses.';
-  } else if (monthlyUsageRatio != null && monthlyUsageRatio > 0.9) {
-    // Plus de 90% du budget mensuel déjà utilisé
-    const remaining = Math.max(0, (monthlyBaseline || 0) - (monthlyUsed || 0));
-    aiAdvice = `Attention, vous avez déjà utilisé plus de 90% de votre budget mensuel principal. Il ne vous reste que ${remaining} XOF pour finir le mois. Réduisez fortement les dépenses non essentielles.`;
-  } else if (weeklyLimit && weeklyExpenses > weeklyLimit) {
-    const diffWeek = weeklyExpenses - weeklyLimit;
-    aiAdvice = `Sur les 7 derniers jours, vos dépenses (${weeklyExpenses} XOF) dépassent le seuil conseillé hebdomadaire de ${weeklyLimit} XOF (écart de ${diffWeek} XOF). Ralentissez les dépenses cette semaine pour rester dans le budget du mois.`;
-  } else if (dailyLimit && totalExpenses > dailyLimit) {
-    const diffDay = totalExpenses - dailyLimit;
-    const remainingDays = daysLeft || 1;
-    aiAdvice = `Aujourd'hui vos dépenses (${totalExpenses} XOF) dépassent le seuil conseillé de ${dailyLimit} XOF pour respecter votre budget du mois (écart de ${diffDay} XOF). Pour les ${remainingDays} prochains jours, essayez de rester autour de ${Math.floor((monthlyAvailable || 0) / remainingDays)} XOF par jour.`;
-  } else if (activeObjective && argent_en_poche < activeObjective.targetAmount * 0.2) {
-    aiAdvice = `Pensez à augmenter vos gains ou réduire dépenses pour progresser vers l\'objectif ${activeObjective.targetAmount} XOF.`;
-  } else if (totalExpenses > totalGains) {
-    const diff = totalExpenses - totalGains;
-    aiAdvice = `Vos dépenses dépassent vos gains d\'aujourd\'hui de ${diff} XOF — réduisez les non-essentiels.`;
-  } else {
-    aiAdvice = 'Bonne gestion aujourd\'hui — vos gains couvrent vos dépenses.';
+  // idempotent create if clientId provided
+  if (clientId) {
+    const existing = await Budget.findOne({ clientId, userId: resolvedUserId });
+    if (existing) {
+      return { status: 200, body: { success: true, budget: { id: existing._id.toString(), name: existing.name, amount: existing.amount, frequency: existing.frequency } } };
+    }
   }
 
-  res.json({
-    success: true,
-    user: { id: user._id.toString(), name: user.name, email: user.email, subscription: user.subscription || null },
-    argent_en_poche,
-    budgetsAvailable,
-     dynamicLimits,
-    wallets,
-    transactions: todayTransactions.map(t => ({ id: t._id.toString(), type: t.type, amount: t.amount, comment: t.comment, time: t.time, budgetId: t.budgetId ? t.budgetId.toString() : null })),
-    objectives: objectivesFormatted,
-    aiAdvice
+  const budget = new Budget({
+    userId: resolvedUserId,
+    name,
+    amount: numericAmount,
+    frequency,
+    clientId: clientId || null,
+    isPrimary: !!isPrimary,
+    initialAmount: numericAmount,
+    currentAmount: numericAmount,
+    createdFrom: isPrimary ? 'derived' : 'manual',
+    immutableInitial: !!isPrimary
   });
-}));
-
-// GET /api/reports/monthly/:userId - Rapport mensuel (JSON, PDF ou Excel)
-// Query params:
-//   month=YYYY-MM (optionnel, défaut: mois courant)
-//   format=json|pdf|excel (optionnel, défaut: json)
-app.get('/api/reports/monthly/:userId', asyncHandler(async (req, res) => {
-  let { userId } = req.params;
-  userId = await resolveUserId(userId);
+  if (frequency === 'daily' && !isPrimary) {
+    const pocket = await findPocketEnvelope(resolvedUserId);
+    budget.parentBudgetId = pocket ? pocket._id : null;
+  }
 
-  const { month, format } = req.query;
-  const monthStr = typeof month === 'string' && month.match(/^\d{4}-\d{2}$/) ? month : getTodayDate().slice(0, 7);
-  const fmt = (format || 'json').toString().toLowerCase();
+  // If creating a weekly budget (non-primary), allocate it from the primary monthly budget
+  if (!isPrimary && frequency === 'weekly') {
+    if (TRANSACTIONS_SUPPORTED) {
+      const session = await mongoose.startSession();
+      try {
+        session.startTransaction();
+        // load primary monthly in-session
+        const primary = await Budget.findOne({ userId: resolvedUserId, frequency: 'monthly', isPrimary: true }).session(session);
+        if (!primary) {
+          await session.abortTransaction();
+          session.endSession();
+          return { status: 400, body: { message: 'Aucun budget mensuel principal trouvé pour allouer le budget hebdomadaire' } };
+        }
+        const before = Number(primary.currentAmount || 0);
+        const after = before - numericAmount;
+        if (after < 0) {
+          await session.abortTransaction();
+          session.endSession();
+          return { status: 400, body: { message: `Allocation impossible — le budget mensuel principal serait négatif (${after})` } };
+        }
+        // save the new budget and update primary
+        await budget.save({ session });
+        await Budget.updateOne({ _id: primary._id }, { $set: { currentAmount: after } }).session(session);
+        const je = new JournalEntry({ userId: resolvedUserId, txType: 'expense', amount: numericAmount, comment: `Allocation automatique budget hebdo ${name}`, affected: [{ budgetId: primary._id, before, after }, { budgetId: budget._id, before: numericAmount, after: numericAmount }], ruleApplied: 'allocation_weekly_from_month', meta: { openings: [{ budgetId: budget._id, amount: numericAmount }] } });
+        await recordJournalEntry(je, session);
+        await session.commitTransaction();
+        session.endSession();
+        return { status: 201, body: { success: true, budget: { id: budget._id.toString(), name: budget.name, amount: budget.amount, frequency: budget.frequency } } };
+      } catch (e) {
+        try { await session.abortTransaction(); } catch (__) {}
+        try { session.endSession(); } catch (__) {}
+        console.error('Erreur allocation budget hebdo transactionnelle:', e);
+        return { status: 500, body: { message: 'Erreur serveur lors de la création du budget', error: e.message } };
+      }
+    } else {
+      // Fallback: conditional update on primary
+      const primary = await Budget.findOne({ userId: resolvedUserId, frequency: 'monthly', isPrimary: true });
+      if (!primary) return { status: 400, body: { message: 'Aucun budget mensuel principal trouvé pour allouer le budget hebdomadaire' } };
+      const before = Number(primary.currentAmount || 0);
+      const after = before - numericAmount;
+      if (after < 0) return { status: 400, body: { message: `Allocation impossible — le budget mensuel principal serait négatif (${after})` } };
+      // apply conditional update
+      const updated = await Budget.findOneAndUpdate({ _id: primary._id, currentAmount: { $gte: numericAmount } }, { $inc: { currentAmount: -numericAmount } }, { new: true });
+      if (!updated) return { status: 409, body: { message: 'Conflit de disponibilité lors de l allocation du budget hebdomadaire' } };
+      await budget.save();
+      const je = new JournalEntry({ userId: resolvedUserId, txType: 'expense', amount: numericAmount, comment: `Allocation automatique budget hebdo ${name} (fallback)`, affected: [{ budgetId: primary._id, before, after }, { budgetId: budget._id, before: numericAmount, after: numericAmount }], ruleApplied: 'allocation_weekly_from_month_fallback', meta: { openings: [{ budgetId: budget._id, amount: numericAmount }] } });
+      await recordJournalEntry(je);
+      return { status: 201, body: { success: true, budget: { id: budget._id.toString(), name: budget.name, amount: budget.amount, frequency: budget.frequency } } };
+    }
+  }
 
-  const report = await buildMonthlyReport(userId, monthStr);
+  // Default save for other budgets: the envelope is opened from income
+  await budget.save();
+  await recordJournalEntry(new JournalEntry({ userId: resolvedUserId, txType: 'adjustment', amount: numericAmount, comment: `Ouverture du budget ${name}`, affected: [{ budgetId: budget._id, before: numericAmount, after: numericAmount }], ruleApplied: 'budget_opening', meta: { openings: [{ budgetId: budget._id, amount: numericAmount }] } }));
 
-  if (fmt === 'pdf') {
-    const doc = new PDFDocument({ margin: 40 });
-    const filename = `finavi-rapport-${monthStr}.pdf`;
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  return { status: 201, body: { success: true, budget: { id: budget._id.toString(), name: budget.name, amount: budget.amount, frequency: budget.frequency } } };
+}
 
-    doc.fontSize(18).text('Bilan Financier Personnel', { align: 'center' });
-    doc.moveDown();
-    doc.fontSize(12).text(`Utilisateur : ${report.user.name} (${report.user.email})`);
-    doc.text(`Mois : ${report.month}`);
-    doc.moveDown();
+// POST /api/budgets - Créer un nouveau budget
+app.post('/api/budgets', idempotent('budgets.create'), asyncHandler(async (req, res) => {
+  const { status, body } = await createBudget(req, req.body);
+  res.status(status).json(body);
+}));
 
-    doc.fontSize(14).text('Résumé global');
-    doc.fontSize(12).text(`Revenus totaux : ${report.totals.totalIncome} XOF`);
-    doc.text(`Dépenses totales : ${report.totals.totalExpenses} XOF`);
-    doc.text(`Solde net : ${report.totals.net} XOF`);
-    doc.text(`Solde début de mois : ${report.totals.startingBalance} XOF`);
-    doc.text(`Solde fin de mois : ${report.totals.endingBalance} XOF`);
-    doc.text(`Budget mensuel restant (fin de mois) : ${report.totals.monthlyAvailable} XOF`);
-    doc.moveDown();
+// POST /api/budgets/rollover - Appliquer immédiatement les rollovers de période en retard pour l'utilisateur
+app.post('/api/budgets/rollover', asyncHandler(async (req, res) => {
+  const resolvedUserId = await resolveRequestUserId(req, req.body && req.body.userId);
+  const rollovers = await rolloverUserBudgets(resolvedUserId);
+  res.json({ success: true, rollovers });
+}));
 
-    doc.fontSize(14).text('Par budget');
-    report.breakdownByBudget.forEach(b => {
-      doc.fontSize(12).text(`- ${b.budgetName} [${b.frequency || 'n/a'}] : +${b.totalIncome} / -${b.totalExpenses} XOF`);
+// POST /api/budgets/transfer - Déplacer de l'argent d'un budget vers un autre (ex: reliquat hebdomadaire vers le journalier)
+// Au-delà de son montant, le budget destination doit rester dans les plafonds de validateBudgetHierarchy; la source ne peut pas devenir négative.
+app.post('/api/budgets/transfer', idempotent('budgets.transfer'), asyncHandler(async (req, res) => {
+  const { error, value } = budgetTransferSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
     });
-    doc.moveDown();
+  }
+  const userId = await resolveRequestUserId(req, value.userId);
+  await ensureUserRollover(userId);
+  const from = await loadAuthorized(req, Budget, value.fromBudgetId, 'owner', 'Budget source non trouvé');
+  const to = await loadAuthorized(req, Budget, value.toBudgetId, 'owner', 'Budget destination non trouvé');
+  if (!sameId(from.userId, userId) || !sameId(to.userId, userId)) return res.status(403).json({ message: 'Budget n\'appartient pas à l\'utilisateur', code: 'FORBIDDEN_NOT_OWNER' });
+
+  const amount = roundAmount(value.amount);
+  if (amount > Number(from.currentAmount || 0)) {
+    return res.status(400).json({ message: `Solde insuffisant sur "${from.name}". Reste: ${roundAmount(from.currentAmount)}`, code: 'TRANSFER_INSUFFICIENT' });
+  }
+  // Refilling the destination up to its own amount is always allowed; above it the hierarchy caps apply
+  const toAfter = roundAmount(Number(to.currentAmount || 0) + amount);
+  if (toAfter > Number(to.amount || 0)) {
+    const validation = await validateBudgetHierarchy(userId, to.frequency, toAfter, { budget: to });
+    if (!validation.valid) return res.status(400).json({ message: validation.message, code: 'TRANSFER_HIERARCHY' });
+  }
 
-    doc.fontSize(14).text('Historique journalier');
-    report.dailyHistory.forEach(d => {
-      doc.fontSize(10).text(`${d.date} | gains: ${d.gains} XOF, dépenses: ${d.expenses} XOF, fin de journée: ${d.finalPocket} XOF`);
+  const credits = [{ budgetId: to._id, amount }];
+  const debits = [{ budgetId: from._id, amount }];
+  const je = await runLedgerOperation(async (session) => {
+    const { credited, debited } = await applyBudgetMovements(credits, debits, session);
+    const entry = new JournalEntry({
+      userId,
+      txType: 'adjustment',
+      amount,
+      comment: value.comment || `Transfert de ${from.name} vers ${to.name}`,
+      affected: [...debited, ...credited],
+      ruleApplied: `budget_transfer${session ? '' : '_fallback'}`,
+      meta: { fromBudgetId: from._id, toBudgetId: to._id }
     });
+    try {
+      await recordJournalEntry(entry, session);
+    } catch (e) {
+      if (!session) await revertBudgetMovements(credits, debits);
+      throw e;
+    }
+    return entry;
+  });
 
-    doc.end();
-    doc.pipe(res);
-    return;
-  }
-
-  if (fmt === 'excel' || fmt === 'xlsx') {
-    const workbook = new ExcelJS.Workbook();
-    const sheetSummary = workbook.addWorksheet('Résumé');
-    const sheetBudgets = workbook.addWorksheet('Par budget');
-    const sheetDays = workbook.addWorksheet('Jours');
+  const budgets = await Budget.find({ _id: { $in: [from._id, to._id] } });
+  const format = (b) => ({ id: b._id.toString(), name: b.name, amount: b.amount, frequency: b.frequency, currentAmount: b.currentAmount });
+  res.json({
+    success: true,
+    journalEntryId: je._id.toString(),
+    from: format(budgets.find(b => sameId(b._id, from._id))),
+    to: format(budgets.find(b => sameId(b._id, to._id)))
+  });
+}));
 
-    sheetSummary.addRow(['Bilan Financier Personnel']);
-    sheetSummary.addRow([`Utilisateur : ${report.user.name} (${report.user.email})`]);
-    sheetSummary.addRow([`Mois : ${report.month}`]);
-    sheetSummary.addRow([]);
-    sheetSummary.addRow(['Revenus totaux', report.totals.totalIncome]);
-    sheetSummary.addRow(['Dépenses totales', report.totals.totalExpenses]);
-    sheetSummary.addRow(['Solde net', report.totals.net]);
-    sheetSummary.addRow(['Solde début de mois', report.totals.startingBalance]);
-    sheetSummary.addRow(['Solde fin de mois', report.totals.endingBalance]);
-    sheetSummary.addRow(['Budget mensuel restant', report.totals.monthlyAvailable]);
+// GET /api/budgets/id/:id - Récupérer un budget par id
+app.get('/api/budgets/id/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const budget = await loadAuthorized(req, Budget, id, 'owner', 'Budget non trouvé');
+  res.json({ success: true, budget });
+}));
 
-    sheetBudgets.addRow(['Budget', 'Fréquence', 'Revenus', 'Dépenses']);
-    report.breakdownByBudget.forEach(b => {
-      sheetBudgets.addRow([b.budgetName, b.frequency || '', b.totalIncome, b.totalExpenses]);
-    });
+// PUT /api/budgets/:id - Mettre à jour un budget
+// Changer `amount` ré-alloue la différence: le budget (currentAmount, initialAmount) et son parent
+// (findParentBudget: hebdo pour un journalier, mensuel principal pour un hebdo) bougent du même delta,
+// dans une seule opération journalisée ('budget_amount_change'). Sans parent, la différence vient du revenu.
+app.put('/api/budgets/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, amount } = req.body; // frequency is intentionally not updatable
 
-    sheetDays.addRow(['Date', 'Gains', 'Dépenses', 'Fin de journée']);
-    report.dailyHistory.forEach(d => {
-      sheetDays.addRow([d.date, d.gains, d.expenses, d.finalPocket]);
-    });
+  const budget = await loadAuthorized(req, Budget, id, 'owner', 'Budget non trouvé');
 
-    const filename = `finavi-rapport-${monthStr}.xlsx`;
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  if (name) budget.name = name;
+  if (typeof amount === 'undefined' || roundAmount(amount) === roundAmount(budget.amount)) {
+    await budget.save();
+    return res.json({ success: true, budget });
+  }
 
-    await workbook.xlsx.write(res);
-    res.end();
-    return;
+  const numericAmount = roundAmount(amount || 0);
+  if (!(numericAmount > 0)) return res.status(400).json({ message: 'Le montant du budget doit être supérieur à 0' });
+  if (budget.isPrimary) return res.status(400).json({ message: 'Le montant du budget principal ne peut pas être modifié directement: demandez une révision de salaire (POST /api/salary/revisions)', code: 'PRIMARY_BUDGET_IMMUTABLE' });
+
+  // Validate budget hierarchy constraints when changing amount
+  const validation = await validateBudgetHierarchy(budget.userId, budget.frequency, numericAmount, { budget });
+  if (!validation.valid) {
+    return res.status(400).json({ message: validation.message });
   }
+  await ensureUserRollover(budget.userId);
+
+  const previousAmount = roundAmount(budget.amount);
+  const delta = roundAmount(numericAmount - previousAmount);
+  const result = await runLedgerOperation(async (session) => {
+    const parent = await findParentBudget(budget, session);
+    const own = { budgetId: budget._id, amount: Math.abs(delta) };
+    const fromParent = parent ? [{ budgetId: parent._id, amount: Math.abs(delta) }] : [];
+    const credits = delta > 0 ? [own] : fromParent;
+    const debits = delta > 0 ? fromParent : [own];
+    const { credited, debited } = await applyBudgetMovements(credits, debits, session);
+    let updated = null;
+    try {
+      // Conditional on the amount read above: two concurrent changes never re-allocate the same delta twice
+      updated = await Budget.findOneAndUpdate(
+        { _id: budget._id, amount: budget.amount },
+        { $set: { name: budget.name, amount: numericAmount, initialAmount: numericAmount } },
+        { new: true, ...(session ? { session } : {}) }
+      );
+      if (!updated) throw httpError(409, 'Budget modifié entre-temps, réessayez', 'BUDGET_CONFLICT');
+      const je = new JournalEntry({
+        userId: budget.userId,
+        txType: 'adjustment',
+        amount: delta,
+        comment: `Montant du budget ${budget.name}: ${previousAmount} → ${numericAmount}`,
+        affected: [...debited, ...credited],
+        ruleApplied: `budget_amount_change${session ? '' : '_fallback'}`,
+        meta: { previousAmount, newAmount: numericAmount, ...(parent ? { parentBudget: parent._id } : {}) }
+      });
+      await recordJournalEntry(je, session);
+      return { budget: updated, journalEntryId: je._id };
+    } catch (e) {
+      if (!session) {
+        await revertBudgetMovements(credits, debits);
+        if (updated) await Budget.updateOne({ _id: budget._id }, { $set: { amount: budget.amount, initialAmount: budget.initialAmount } }).catch(() => {});
+      }
+      throw e;
+    }
+  });
 
-  // Default: JSON
-  res.json({ success: true, report });
+  res.json({ success: true, budget: result.budget, journalEntryId: result.journalEntryId.toString() });
 }));
 
-// POST /api/register - Enregistrer un nouvel utilisateur
-app.post('/api/register', asyncHandler(async (req, res) => {
-  const { phoneNumber, firstName, lastName } = req.body;
-  // Optional: primary income to seed the main budget and whether to create default budgets
-  const { primaryIncomeAmount, primaryIncomeFrequency, createDefaultBudgets } = req.body;
-  logger.info('Incoming register request');
-  logger.debug('register request body', { body: req.body });
+// Delete a budget inside a ledger operation (see runLedgerOperation): its balance goes back to its parent, its
+// transactions, split lines and tontine links move to `target` or are archived / unlinked, journaled as 'budget_deletion'.
+// A weekly budget that still funds daily budgets is refused (409 BUDGET_HAS_CHILDREN): delete them first.
+// Returns { je, refund, parent, counts }.
+async function deleteBudgetInLedger(budgetId, target, session = null) {
+  const opts = session ? { session } : {};
+  const current = await Budget.findById(budgetId, null, opts);
+  if (!current) throw httpError(404, 'Budget non trouvé');
+  const children = await findChildBudgets(current, session);
+  if (children.length) {
+    throw httpError(409, `Le budget "${current.name}" finance encore ${children.map(c => `"${c.name}"`).join(', ')}: supprimez d'abord ${children.length > 1 ? 'ces budgets' : 'ce budget'}`, 'BUDGET_HAS_CHILDREN');
+  }
+  const parent = await findParentBudget(current, session);
+  const refund = roundAmount(current.currentAmount);
+  const debits = refund > 0 ? [{ budgetId: current._id, amount: refund }] : [];
+  const credits = refund > 0 && parent ? [{ budgetId: parent._id, amount: refund }] : [];
+  const { credited, debited } = await applyBudgetMovements(credits, debits, session);
+  let je = null;
+  try {
+    // Transactions, split lines and tontine links follow the reassignment, or are archived / unlinked
+    const txFilter = { userId: current.userId, budgetId: current._id };
+    const transactions = target
+      ? await Transaction.updateMany(txFilter, { $set: { budgetId: target._id } }, opts)
+      : await Transaction.updateMany(txFilter, { $set: { budgetId: null, archivedBudget: { budgetId: current._id, name: current.name } } }, opts);
+    const lines = await Transaction.updateMany(
+      { userId: current.userId, 'lines.budgetId': current._id },
+      { $set: target ? { 'lines.$[line].budgetId': target._id } : { 'lines.$[line].budgetId': null, 'lines.$[line].archivedBudget': { budgetId: current._id, name: current.name } } },
+      { arrayFilters: [{ 'line.budgetId': current._id }], ...opts }
+    );
+    const tontineIds = (await Tontine.find({ budgetId: current._id }, '_id', opts)).map(t => t._id);
+    const tontines = await Tontine.updateMany({ _id: { $in: tontineIds } }, { $set: { budgetId: target ? target._id : null } }, opts);
 
-  if (!phoneNumber || !firstName || !lastName) {
-    logger.warn('register validation failed - missing fields', { phoneNumber, firstName, lastName });
-    return res.status(400).json({ 
-      message: 'Numéro de téléphone, prénom et nom sont requis' 
+    je = new JournalEntry({
+      userId: current.userId,
+      txType: 'adjustment',
+      amount: refund,
+      comment: `Suppression du budget ${current.name}`,
+      affected: [...debited, ...credited],
+      ruleApplied: `budget_deletion${session ? '' : '_fallback'}`,
+      meta: {
+        deletedBudget: { budgetId: current._id, name: current.name, frequency: current.frequency },
+        ...(parent ? { parentBudget: parent._id } : {}),
+        ...(target ? { reassignedTo: target._id } : {}),
+        transactions: transactions.modifiedCount, splitTransactions: lines.modifiedCount, tontines: tontines.modifiedCount
+      }
     });
+    await recordJournalEntry(je, session);
+    await Budget.deleteOne({ _id: current._id }, opts);
+    return { je, refund, parent, counts: je.meta, budget: current, tontineIds };
+  } catch (e) {
+    // Fallback path: money and journal are restored; links already moved are left as they are, a retry finishes the deletion
+    if (!session) {
+      await revertBudgetMovements(credits, debits);
+      if (je) {
+        await LedgerPosting.deleteOne({ journalEntryId: je._id }).catch(() => {});
+        await je.deleteOne().catch(() => {});
+      }
+    }
+    throw e;
   }
-  
-  // Vérifier si l'utilisateur n'existe pas déjà
-  const userEmail = `${phoneNumber.replace(/\D/g, '')}@test.local`;
-  const existingUser = await User.findOne({ email: userEmail });
-  
-  if (existingUser) {
-    return res.status(409).json({ 
-      message: 'Un compte existe déjà avec ce numéro de téléphone' 
+}
+
+// Undo a deleteBudgetInLedger without target on the fallback path (best-effort): the budget comes back with
+// its balance, the parent gives the refund back, what was archived or unlinked is relinked and the entry removed
+async function restoreDeletedBudget({ budget, refund, parent, je, tontineIds }) {
+  const id = budget._id;
+  const steps = [
+    () => new Budget(budget.toObject()).save(),
+    () => (refund > 0 && parent ? revertBudgetMovements([{ budgetId: parent._id, amount: refund }], []) : null),
+    () => Transaction.updateMany({ userId: budget.userId, 'archivedBudget.budgetId': id }, { $set: { budgetId: id, archivedBudget: null } }),
+    () => Transaction.updateMany(
+      { userId: budget.userId, 'lines.archivedBudget.budgetId': id },
+      { $set: { 'lines.$[line].budgetId': id, 'lines.$[line].archivedBudget': null } },
+      { arrayFilters: [{ 'line.archivedBudget.budgetId': id }] }
+    ),
+    () => Tontine.updateMany({ _id: { $in: tontineIds } }, { $set: { budgetId: id } }),
+    () => LedgerPosting.deleteOne({ journalEntryId: je._id }),
+    () => je.deleteOne()
+  ];
+  for (const step of steps) {
+    try { await step(); } catch (__) {}
+  }
+}
+
+// DELETE /api/budgets/:id - Supprimer un budget
+// Query: reassignTo (optionnel) - budget qui reprend les transactions (et lignes de dépenses réparties) et les tontines liées.
+// Sans reassignTo, les transactions et les lignes réparties sont archivées (budgetId vidé, archivedBudget = { budgetId, name })
+// et les tontines déliées.
+// Le solde restant retourne au budget parent (findParentBudget, au revenu sans parent) dans une seule opération
+// journalisée ('budget_deletion'). Le budget principal ne peut pas être supprimé, ni un budget hebdo dont un budget
+// journalier est encore tiré (409 BUDGET_HAS_CHILDREN).
+app.delete('/api/budgets/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { error, value } = budgetDeleteSchema.validate(req.query, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
     });
   }
-  
-  // Créer le nouvel utilisateur
-  let userId;
-  try {
-    userId = await createUser(phoneNumber, `${firstName} ${lastName}`, userEmail);
-  } catch (err) {
-    console.error('Error creating user in /api/register', err && err.stack ? err.stack : err);
-    throw err;
+  const budget = await loadAuthorized(req, Budget, id, 'owner', 'Budget non trouvé');
+  if (budget.isPrimary) return res.status(400).json({ message: 'Le budget principal ne peut pas être supprimé', code: 'PRIMARY_BUDGET' });
+
+  let target = null;
+  if (value.reassignTo) {
+    if (sameId(value.reassignTo, budget._id)) return res.status(400).json({ message: 'Impossible de réaffecter vers le budget supprimé', code: 'REASSIGN_SAME_BUDGET' });
+    target = await loadAuthorized(req, Budget, value.reassignTo, 'owner', 'Budget de réaffectation non trouvé');
+    if (!sameId(target.userId, budget.userId)) return res.status(403).json({ message: 'Budget n\'appartient pas à l\'utilisateur', code: 'FORBIDDEN_NOT_OWNER' });
   }
+  await ensureUserRollover(budget.userId);
 
-  // Create default budgets: monthly (primary) + weekly + daily with proper cascade allocation.
-  // User can customize names/amounts after login.
-  const createdBudgets = [];
-  if (createDefaultBudgets) {
-    const monthlyAmount = primaryIncomeAmount ? Number(primaryIncomeAmount) : 125000;
-    const weeklyAmount = Math.round(monthlyAmount / 4);
-    const dailyAmount = Math.round(weeklyAmount / 5); // ~5 working days per week
+  const result = await runLedgerOperation(session => deleteBudgetInLedger(budget._id, target, session));
 
-    // 1. Create monthly (primary) with full amount
-    const monthly = new Budget({ userId, name: 'Salaire Principal', amount: monthlyAmount, frequency: 'monthly', isPrimary: true, initialAmount: monthlyAmount, currentAmount: monthlyAmount, createdFrom: 'derived', immutableInitial: true });
-    await monthly.save();
-    createdBudgets.push({ id: monthly._id.toString(), name: monthly.name, amount: monthly.amount, frequency: monthly.frequency });
-
-    // 2. Create weekly with allocation from monthly
-    const weekly = new Budget({ userId, name: 'ARGENT PAR SEMAINE', amount: weeklyAmount, frequency: 'weekly', isPrimary: false, initialAmount: weeklyAmount, currentAmount: weeklyAmount, createdFrom: 'derived', immutableInitial: false });
-    await weekly.save();
-    // Deduct weekly from monthly
-    await Budget.updateOne({ _id: monthly._id }, { $set: { currentAmount: monthlyAmount - weeklyAmount } });
-    createdBudgets.push({ id: weekly._id.toString(), name: weekly.name, amount: weekly.amount, frequency: weekly.frequency });
-    
-    // 3. Create daily with allocation from weekly
-    const daily = new Budget({ userId, name: 'ARGENT PAR jour', amount: dailyAmount, frequency: 'daily', isPrimary: false, initialAmount: dailyAmount, currentAmount: dailyAmount, createdFrom: 'derived', immutableInitial: false });
-    await daily.save();
-    // Deduct daily from weekly
-    await Budget.updateOne({ _id: weekly._id }, { $set: { currentAmount: weeklyAmount - dailyAmount } });
-    createdBudgets.push({ id: daily._id.toString(), name: daily.name, amount: daily.amount, frequency: daily.frequency });
+  res.json({
+    success: true,
+    message: 'Budget supprimé',
+    journalEntryId: result.je._id.toString(),
+    refund: { amount: result.refund, budgetId: result.parent ? result.parent._id.toString() : null },
+    reassignedTo: target ? target._id.toString() : null,
+    transactions: result.counts.transactions,
+    splitTransactions: result.counts.splitTransactions,
+    tontines: result.counts.tontines
+  });
+}));
 
-    // Write JournalEntry recording the allocations
-    const je = new JournalEntry({
-      userId,
-      txType: 'adjustment',
-      amount: 0,
-      comment: 'Budget initial setup: monthly primary + weekly + daily allocations',
-      affected: [
-        { budgetId: monthly._id, before: monthlyAmount, after: monthlyAmount - weeklyAmount },
-        { budgetId: weekly._id, before: weeklyAmount, after: weeklyAmount - dailyAmount },
-        { budgetId: daily._id, before: dailyAmount, after: dailyAmount }
-      ],
-      ruleApplied: 'initial_budget_allocation'
+// GET /api/budgets/:id/remaining - Récupérer le montant restant calculé pour un budget
+app.get('/api/budgets/:id/remaining', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { date } = req.query; // optionnel: YYYY-MM-DD
+  const budget = await loadAuthorized(req, Budget, id, 'owner', 'Budget non trouvé');
+
+  const userId = budget.userId.toString();
+  const currentDate = date || (await getRequestUserClock(req, budget.userId)).date;
+  const remaining = await calculateRemainingBudget(budget, userId, currentDate);
+  res.json({ success: true, remaining });
+}));
+
+// =====================
+// SALAIRE (BUDGET PRINCIPAL)
+// =====================
+// Le budget principal reste non modifiable directement: une révision de salaire est enregistrée dans son
+// historique et s'applique au prochain cycle mensuel (rollover), qui re-dérive aussi les budgets hebdo / journalier.
+function formatSalaryEntry(h) {
+  return { amount: h.amount, effectiveFrom: h.effectiveFrom, reason: h.reason || null, requestedAt: h.requestedAt, appliedAt: h.appliedAt || null, status: h.appliedAt ? 'applied' : 'pending' };
+}
+
+async function findPrimaryBudget(userId) {
+  const primary = await Budget.findOne({ userId, isPrimary: true, frequency: 'monthly' });
+  if (!primary) throw httpError(404, 'Aucun budget principal trouvé', 'PRIMARY_BUDGET_NOT_FOUND');
+  return primary;
+}
+
+function formatSalary(primary, month) {
+  const history = (primary.salaryHistory || []).map(formatSalaryEntry).sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  return {
+    budgetId: primary._id.toString(),
+    current: salaryForMonth(primary, month),
+    history: history.filter(h => h.status === 'applied'),
+    pending: history.find(h => h.status === 'pending') || null
+  };
+}
+
+// GET /api/salary/:userId - salaire en vigueur, historique daté et révision en attente
+app.get('/api/salary/:userId', asyncHandler(async (req, res) => {
+  const userId = await resolveRequestUserId(req, req.params.userId);
+  await ensureUserRollover(userId);
+  const primary = await findPrimaryBudget(userId);
+  const { date, payDay } = await getRequestUserClock(req, userId);
+  res.json({ success: true, salary: formatSalary(primary, getPeriodKey('monthly', date, payDay)) });
+}));
+
+// POST /api/salary/revisions - demander une révision de salaire (augmentation, perte d'emploi, nouvel employeur)
+// Effective au cycle de paie suivant; remplace une révision encore en attente.
+app.post('/api/salary/revisions', asyncHandler(async (req, res) => {
+  const { error, value } = salaryRevisionSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
     });
-    await je.save();
   }
-  
+  const userId = await resolveRequestUserId(req, value.userId);
+  await ensureUserRollover(userId);
+  const primary = await findPrimaryBudget(userId);
+  const { date, timeZone, payDay } = await getRequestUserClock(req, userId);
+  const month = getPeriodKey('monthly', date, payDay);
+  const amount = roundAmount(value.amount);
+
+  const applied = (primary.salaryHistory || []).filter(h => h.appliedAt);
+  const current = salaryForMonth({ ...primary.toObject(), salaryHistory: applied }, month);
+  if (amount === current) return res.status(400).json({ message: `Le salaire en vigueur est déjà de ${current}`, code: 'SALARY_UNCHANGED' });
+
+  const [y, m] = month.split('-').map(Number);
+  const effectiveFrom = m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+  // Budgets created before the history: the salary they were opened with becomes its first entry
+  const history = applied.length ? applied : [{ amount: Number(primary.initialAmount || primary.amount || 0), effectiveFrom: getPeriodKey('monthly', formatDateInTimeZone(primary.createdAt, timeZone), payDay), requestedAt: primary.createdAt, appliedAt: primary.createdAt }];
+  primary.salaryHistory = [...history, { amount, effectiveFrom, reason: value.reason || null, requestedAt: new Date(), appliedAt: null }];
+  await primary.save();
+
+  const envelopes = await findDerivedEnvelopes(userId);
+  const { weekly, daily } = planAllocationAmounts(amount, envelopes.map(allocationShareOf));
+  const dailies = await planDerivedDailies(userId, envelopes, weekly);
   res.status(201).json({
     success: true,
-    message: 'Compte créé avec succès',
-    userId: userId,
-    user: {
-      id: userId,
-      name: `${firstName} ${lastName}`,
-      email: userEmail
-    }
+    message: `Révision enregistrée: ${current} → ${amount} à partir de ${effectiveFrom}`,
+    salary: formatSalary(primary, month),
+    // Allocations re-derived at the rollover into effectiveFrom (budgets créés à l'inscription ou par un modèle)
+    derived: { weekly: weekly[0] || 0, daily: dailies.length ? dailies[0].amount : daily, envelopes: envelopes.map((e, i) => ({ budgetId: e._id.toString(), name: e.name, amount: weekly[i] })) }
   });
 }));
 
-// GET /api/budgets/:userId - Récupérer les budgets d'un utilisateur
-app.get('/api/budgets/:userId', asyncHandler(async (req, res) => {
-  let { userId } = req.params;
-  userId = await resolveUserId(userId);
+// DELETE /api/salary/revisions/pending - annuler la révision en attente
+app.delete('/api/salary/revisions/pending', asyncHandler(async (req, res) => {
+  const userId = await resolveRequestUserId(req, req.body && req.body.userId);
+  const primary = await findPrimaryBudget(userId);
+  const updated = await Budget.findOneAndUpdate(
+    { _id: primary._id, salaryHistory: { $elemMatch: { appliedAt: null } } },
+    { $pull: { salaryHistory: { appliedAt: null } } },
+    { new: true }
+  );
+  if (!updated) return res.status(404).json({ message: 'Aucune révision de salaire en attente', code: 'SALARY_REVISION_NOT_FOUND' });
+  const { date, payDay } = await getRequestUserClock(req, userId);
+  res.json({ success: true, salary: formatSalary(updated, getPeriodKey('monthly', date, payDay)) });
+}));
 
-  const budgets = await Budget.find({ userId });
-  const currentDate = getTodayDate();
+// Total of a split: only expenses can be split and `amount`, when given, must equal the sum of the lines
+function splitTotal(type, lines, amount) {
+  if (type !== 'expense') throw httpError(400, 'Seules les dépenses peuvent être réparties sur plusieurs budgets', 'SPLIT_EXPENSE_ONLY');
+  const total = roundAmount(lines.reduce((sum, l) => sum + Number(l.amount), 0));
+  if (typeof amount !== 'undefined' && roundAmount(amount) !== total) {
+    throw httpError(400, `Le montant (${amount}) ne correspond pas à la somme des lignes (${total})`, 'SPLIT_AMOUNT_MISMATCH');
+  }
+  return total;
+}
 
-  const budgetsWithRemaining = await Promise.all(budgets.map(async (b) => {
-    const remaining = await calculateRemainingBudget(b, userId, currentDate);
+// Save a new transaction and post it: cascade, journal entry and Day chain run in one MongoDB transaction
+// when supported, otherwise with conditional per-budget updates rolled back on conflict (see applyBudgetMovements).
+// `within(tx, session, onRevert)` runs extra writes in the same operation (e.g. tontine totals) and registers
+// with `onRevert(fn)` how to undo each of them on the fallback path. Returns the transaction.
+async function postTransaction(userId, fields, currentDate, { meta = {}, within = null } = {}) {
+  const posting = { type: fields.type, amount: fields.amount, comment: fields.comment, budgetId: fields.budgetId || null, lines: fields.lines };
+  return runLedgerOperation(async (session) => {
+    const suffix = session ? '' : '_fallback';
+    const debits = await planPostingDebits(posting, session);
+    // A gain is credited to the savings wallet (and the objectives of its split rules),
+    // or to the envelopes in irregular income mode
+    const savings = await planPostingSavings(userId, posting, session);
+    const funding = await planGainFunding(savings, session);
+    const { credited, debited } = await applyBudgetMovements(funding, debits, session);
+    const saved = [];
+    const reverts = [];
+    let savingsApplied = false;
+    try {
+      if (savings) {
+        await applyGainSavings(savings, 1, session);
+        savingsApplied = true;
+      }
+      const tx = new Transaction({ userId, ...fields });
+      await tx.save({ session });
+      saved.push(tx);
+      const je = buildPostingEntry(userId, tx._id, posting, [...credited, ...debited], suffix, savings ? { ...meta, savings } : meta);
+      saved.push(je, await recordJournalEntry(je, session));
+      if (within) await within(tx, session, (fn) => reverts.push(fn));
+      await recomputeDayChain(userId, fields.date, session, currentDate);
+      return tx;
+    } catch (e) {
+      if (!session) {
+        for (const revert of reverts.reverse()) {
+          try { await revert(); } catch (__) {}
+        }
+        await revertBudgetMovements(funding, debits);
+        if (savingsApplied) await applyGainSavings(savings, -1).catch(() => {});
+        for (const doc of saved.filter(Boolean).reverse()) {
+          try { await doc.deleteOne(); } catch (__) {}
+        }
+      }
+      throw e;
+    }
+  });
+}
+
+// Check the lines of a split expense (budgets and categories owned by `userId`, see splitTotal)
+// and auto-categorize the lines without a category. Returns { lines, amount }.
+async function prepareSplitLines(req, userId, type, lines, amount, comment) {
+  const total = splitTotal(type, lines, amount);
+  const rules = await loadCategoryRules(userId);
+  const prepared = [];
+  for (const line of lines) {
+    const budget = await loadAuthorized(req, Budget, line.budgetId, 'owner', 'Budget non trouvé');
+    if (!sameId(budget.userId, userId)) throw httpError(403, 'Budget n\'appartient pas à l\'utilisateur', 'FORBIDDEN_NOT_OWNER');
+    if (line.categoryId) await resolveCategoryForUser(userId, line.categoryId);
+    const categoryId = line.categoryId || matchCategoryRules(rules, line.comment || comment).categoryId;
+    prepared.push({ budgetId: budget._id, categoryId: categoryId || null, amount: Number(line.amount), comment: line.comment || null });
+  }
+  return { lines: prepared, amount: total };
+}
+
+// Post a transaction for the request's user through the cascade. Returns { status, body }
+// (shared by POST /api/transactions and POST /api/sync). `clientId` defaults to input.clientId.
+async function createTransaction(req, input, clientId = input.clientId) {
+  // Validation avec Joi
+  const { error, value } = transactionValidationSchema.validate(input, { abortEarly: false });
+  if (error) {
     return {
-      id: b._id.toString(),
-      name: b.name,
-      amount: b.amount,
-      frequency: b.frequency,
-      remaining
+      status: 400,
+      body: {
+        message: 'Erreur de validation',
+        errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+      }
     };
-  }));
+  }
 
-  res.json({ success: true, budgets: budgetsWithRemaining });
+  let { userId, type, amount, comment, budgetId, categoryId, lines } = value;
+  userId = await resolveRequestUserId(req, userId); // Convert string ID to ObjectId if needed
+  if (categoryId) await resolveCategoryForUser(userId, categoryId);
+  // Auto-categorization: rules fill the category when none was chosen and always contribute tags
+  // (a split is categorized per line, see prepareSplitLines)
+  const match = matchCategoryRules(await loadCategoryRules(userId), comment);
+  const categorySource = lines ? null : (categoryId ? 'manual' : (match.categoryId ? 'rule' : null));
+  categoryId = lines ? null : (categoryId || match.categoryId);
+  const tags = normalizeTags([...(value.tags || []), ...match.tags]);
+  await ensureUserRollover(userId);
+  const clock = await getRequestUserClock(req, userId);
+  const currentDate = clock.date;
+  // Backdated postings land on their own Day (raw body value: Joi turns 'YYYY-MM-DD' into a UTC Date)
+  const { date: transactionDate, time: transactionTime } = resolveTransactionDate(input.transactionDate, clock);
+
+  // Vérifier que le jour (et les jours suivants, recalculés en chaîne) ne sont pas verrouillés
+  await assertDayChainOpen(userId, transactionDate);
+  
+  // Ensure the target budget(s) exist and belong to the user (availability is enforced inside transaction or fallback)
+  if (lines) {
+    ({ lines, amount } = await prepareSplitLines(req, userId, type, lines, amount, comment));
+  } else {
+    const bcheck = await loadAuthorized(req, Budget, budgetId, 'owner', 'Budget non trouvé');
+    if (!sameId(bcheck.userId, userId)) return { status: 403, body: { message: 'Budget n\'appartient pas à l\'utilisateur', code: 'FORBIDDEN_NOT_OWNER' } };
+  }
+
+  // Envelopes hold live balances: a backdated expense debits their current amounts.
+  // A split is checked and debited as a whole: every line passes the negative-balance check or none is applied.
+  const transaction = await postTransaction(userId, {
+    budgetId: budgetId || null, lines, categoryId: categoryId || null, categorySource, tags, type, amount, comment, date: transactionDate, time: transactionTime, clientId
+  }, currentDate, { meta: type === 'expense' ? { transactionDate } : {} });
+
+  return { status: 201, body: { message: TRANSACTIONS_SUPPORTED ? 'Transaction créée avec succès' : 'Transaction créée avec succès (fallback)', transaction: formatTransaction(transaction) } };
+}
+
+// POST /api/transactions - Ajouter une transaction (avec validation)
+// Split expense: `lines: [{ budgetId, amount, categoryId?, comment? }]` instead of budgetId (amount = sum of the lines)
+app.post('/api/transactions', idempotent('transactions.create'), asyncHandler(async (req, res) => {
+  const { status, body } = await createTransaction(req, req.body, req.get('Idempotency-Key') || req.body.clientId);
+  res.status(status).json(body);
 }));
 
-// POST /api/budgets - Créer un nouveau budget
-app.post('/api/budgets', asyncHandler(async (req, res) => {
-  const { userId, name, amount, frequency, clientId, isPrimary } = req.body;
+// GET /api/transactions/id/:id - debug endpoint to fetch a transaction by id
+app.get('/api/transactions/id/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const tx = await loadAuthorized(req, Transaction, id, 'owner', 'Transaction non trouvée');
+  res.json({ success: true, transaction: formatTransaction(tx) });
+}));
+
+// Keyset pagination for GET /api/transactions: sort fields per sort key (_id breaks ties)
+const TRANSACTION_SORT_FIELDS = {
+  date: ['date', 'time', '_id'],
+  amount: ['amount', '_id'],
+  createdAt: ['createdAt', '_id']
+};
+
+// Expected type of each cursor value: anything else (an object smuggling a query operator...) is refused
+const TRANSACTION_CURSOR_CHECKS = {
+  date: v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v),
+  time: v => typeof v === 'string',
+  amount: v => typeof v === 'number' && Number.isFinite(v),
+  createdAt: v => typeof v === 'string' && !Number.isNaN(Date.parse(v)),
+  _id: v => typeof v === 'string' && mongoose.isValidObjectId(v)
+};
+
+// Opaque cursor = base64url JSON of the last row's sort values
+function encodeTransactionCursor(tx, fields) {
+  const values = fields.map(f => (f === '_id' ? tx._id.toString() : (tx[f] instanceof Date ? tx[f].toISOString() : tx[f])));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
 
-  if (!userId || !name || typeof amount === 'undefined' || !frequency) {
-    return res.status(400).json({ message: 'userId, name, amount, frequency sont requis' });
+// Filter selecting the rows strictly after the cursor in the requested order
+function transactionCursorFilter(cursor, fields, order) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    values = null;
+  }
+  if (!Array.isArray(values) || values.length !== fields.length || !fields.every((f, i) => TRANSACTION_CURSOR_CHECKS[f](values[i]))) {
+    throw httpError(400, 'Curseur de pagination invalide', 'INVALID_CURSOR');
   }
+  const revive = (f, v) => (f === '_id' ? new mongoose.Types.ObjectId(v) : (f === 'createdAt' ? new Date(v) : v));
+  const op = order === 'asc' ? '$gt' : '$lt';
+  return {
+    $or: fields.map((f, i) => {
+      const clause = {};
+      for (let j = 0; j < i; j++) clause[fields[j]] = revive(fields[j], values[j]);
+      clause[f] = { [op]: revive(f, values[i]) };
+      return clause;
+    })
+  };
+}
 
-  const numericAmount = Number(amount || 0);
-  if (!(numericAmount > 0)) {
-    return res.status(400).json({ message: 'Le montant du budget doit être supérieur à 0' });
+// GET /api/transactions - Historique et recherche (filtres, tri, pagination par curseur)
+// Query: from, to (YYYY-MM-DD), budgetId, type, categoryId, tag, minAmount, maxAmount, q (texte du commentaire),
+//        sort (date|amount|createdAt), order (asc|desc), limit (≤ 200), cursor (nextCursor de la page précédente)
+app.get('/api/transactions', asyncHandler(async (req, res) => {
+  const { error, value } = transactionSearchSchema.validate(req.query, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
   }
+  const userId = await resolveRequestUserId(req, value.userId);
 
-  if (!['daily', 'weekly', 'monthly'].includes(frequency)) {
-    return res.status(400).json({ message: 'frequency doit être: daily, weekly, ou monthly' });
+  const filter = { userId };
+  if (value.from || value.to) {
+    filter.date = {};
+    if (value.from) filter.date.$gte = value.from;
+    if (value.to) filter.date.$lte = value.to;
+  }
+  // Budget and category also match the lines of split transactions
+  const and = [];
+  if (value.budgetId) {
+    const budgetId = new mongoose.Types.ObjectId(value.budgetId);
+    and.push({ $or: [{ budgetId }, { 'lines.budgetId': budgetId }] });
+  }
+  if (value.type) filter.type = value.type;
+  if (value.categoryId) {
+    const categoryId = new mongoose.Types.ObjectId(value.categoryId);
+    and.push({ $or: [{ categoryId }, { 'lines.categoryId': categoryId }] });
   }
+  if (value.tag) filter.tags = value.tag.toLowerCase();
+  if (typeof value.minAmount !== 'undefined' || typeof value.maxAmount !== 'undefined') {
+    filter.amount = {};
+    if (typeof value.minAmount !== 'undefined') filter.amount.$gte = value.minAmount;
+    if (typeof value.maxAmount !== 'undefined') filter.amount.$lte = value.maxAmount;
+  }
+  if (value.q) filter.$text = { $search: value.q };
 
-  const resolvedUserId = await resolveUserId(userId);
+  const fields = TRANSACTION_SORT_FIELDS[value.sort];
+  const direction = value.order === 'asc' ? 1 : -1;
+  // $text must stay top-level: the cursor condition goes in $and next to it
+  if (value.cursor) and.push(transactionCursorFilter(value.cursor, fields, value.order));
+  const query = and.length ? { ...filter, $and: and } : filter;
+  const sort = {};
+  for (const f of fields) sort[f] = direction;
 
-  // Enforce single immutable primary salary budget per user
-  if (isPrimary) {
-    const existingPrimary = await Budget.findOne({ userId: resolvedUserId, isPrimary: true });
-    if (existingPrimary) {
-      return res.status(400).json({ message: 'Un budget principal existe déjà et ne peut pas être recréé ou modifié' });
-    }
-    if (frequency !== 'monthly') {
-      return res.status(400).json({ message: 'Le budget principal doit être mensuel' });
-    }
+  // One extra row tells whether another page exists
+  const rows = await Transaction.find(query).sort(sort).limit(value.limit + 1);
+  const hasMore = rows.length > value.limit;
+  const page = hasMore ? rows.slice(0, value.limit) : rows;
+
+  res.json({
+    success: true,
+    transactions: page.map(formatTransaction),
+    nextCursor: hasMore ? encodeTransactionCursor(page[page.length - 1], fields) : null,
+    hasMore
+  });
+}));
+
+// PUT /api/transactions/:id - Corriger une transaction: compense l'écriture d'origine puis reposte la version corrigée
+// (une correction de catégorie / d'étiquettes seule met simplement la transaction à jour)
+app.put('/api/transactions/:id', idempotent('transactions.update'), asyncHandler(async (req, res) => {
+  const { error, value } = transactionUpdateSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
   }
 
-  // Validate budget hierarchy constraints (server-side, enforced)
-  if (!isPrimary) {
-    const validation = await validateBudgetHierarchy(resolvedUserId, frequency, numericAmount);
-    if (!validation.valid) {
-      return res.status(400).json({ message: validation.message });
+  const original = await loadAuthorized(req, Transaction, req.params.id, 'owner', 'Transaction non trouvée');
+  const userId = original.userId;
+  const wasSplit = !!(original.lines && original.lines.length);
+  if (value.categoryId) await resolveCategoryForUser(userId, value.categoryId);
+  if (typeof value.categoryId !== 'undefined' && wasSplit && !value.budgetId) {
+    return res.status(400).json({ message: 'La catégorie d\'une transaction répartie se corrige sur ses lignes', code: 'SPLIT_CATEGORY_ON_LINES' });
+  }
+
+  // Category / tags only: no money moves, so no compensation and the day may be locked
+  if (['type', 'amount', 'comment', 'budgetId', 'lines'].every(f => typeof value[f] === 'undefined')) {
+    const $set = {};
+    if (typeof value.categoryId !== 'undefined') Object.assign($set, { categoryId: value.categoryId, categorySource: value.categoryId ? 'manual' : null });
+    if (value.tags) $set.tags = normalizeTags(value.tags);
+    const updated = await Transaction.findOneAndUpdate({ _id: original._id }, { $set }, { new: true });
+    if (value.categoryId && !sameId(value.categoryId, original.categoryId)) {
+      await learnCategoryRule(userId, original.comment, value.categoryId)
+        .catch(err => logger.warn('learnCategoryRule failed', { error: err.message }));
     }
+    return res.json({ success: true, message: 'Transaction recatégorisée', transaction: formatTransaction(updated) });
   }
 
-  // idempotent create if clientId provided
-  if (clientId) {
-    const existing = await Budget.findOne({ clientId, userId: resolvedUserId });
-    if (existing) {
-      return res.status(200).json({ success: true, budget: { id: existing._id.toString(), name: existing.name, amount: existing.amount, frequency: existing.frequency } });
+  if (original.tontineId) return res.status(409).json({ message: 'Cette transaction est une contribution de tontine: annulez-la via DELETE /api/tontines/:id/contributions/:transactionId', code: 'TONTINE_CONTRIBUTION' });
+  if (original.objectiveId) return res.status(409).json({ message: 'Cette transaction est une allocation vers un objectif et ne peut pas être modifiée', code: 'OBJECTIVE_ALLOCATION' });
+  await assertDayChainOpen(userId, original.date);
+  if (value.budgetId) {
+    const budget = await loadAuthorized(req, Budget, value.budgetId, 'owner', 'Budget non trouvé');
+    if (!sameId(budget.userId, userId)) return res.status(403).json({ message: 'Budget n\'appartient pas à l\'utilisateur', code: 'FORBIDDEN_NOT_OWNER' });
+  }
+  const { date: currentDate } = await getRequestUserClock(req, userId);
+
+  // Split lines: new lines replace the old ones, a budgetId turns the split into a single-budget
+  // transaction, otherwise the current lines stay and the total must still match them
+  const nextType = value.type || original.type;
+  const nextComment = typeof value.comment !== 'undefined' ? value.comment : original.comment;
+  let lineUpdate = {};
+  if (value.lines) {
+    lineUpdate = await prepareSplitLines(req, userId, nextType, value.lines, value.amount, nextComment);
+  } else if (wasSplit && !value.budgetId) {
+    lineUpdate = { lines: original.lines, amount: splitTotal(nextType, original.lines, value.amount) };
+  }
+  const split = !!lineUpdate.lines;
+
+  // Category: an explicit value is a manual correction (learned as a rule); a new comment re-runs the rules
+  // unless the user picked the category. Tags are replaced when given.
+  const categoryUpdate = {};
+  if (split) {
+    Object.assign(categoryUpdate, { categoryId: null, categorySource: null });
+  } else if (typeof value.categoryId !== 'undefined') {
+    categoryUpdate.categoryId = value.categoryId;
+    categoryUpdate.categorySource = value.categoryId ? 'manual' : null;
+  } else if (typeof value.comment !== 'undefined' && (original.categorySource === 'rule' || !original.categoryId)) {
+    const match = matchCategoryRules(await loadCategoryRules(userId), value.comment);
+    categoryUpdate.categoryId = match.categoryId;
+    categoryUpdate.categorySource = match.categoryId ? 'rule' : null;
+  }
+  if (value.tags) categoryUpdate.tags = normalizeTags(value.tags);
+
+  const result = await runLedgerOperation(async (session) => {
+    const suffix = session ? '' : '_fallback';
+    const tx = await claimTransaction(original, session);
+    const next = {
+      type: nextType,
+      amount: split ? lineUpdate.amount : (typeof value.amount !== 'undefined' ? value.amount : tx.amount),
+      comment: nextComment,
+      budgetId: split ? null : (value.budgetId || tx.budgetId),
+      ...(split || wasSplit ? { lines: split ? lineUpdate.lines : [] } : {}),
+      ...categoryUpdate
+    };
+
+    const posting = await findPostingEntry(tx, session);
+    // Compensation first (budgets debited by the expense come back, envelopes funded by the gain give it back),
+    // then the new posting, so that each journal entry continues the previous balances
+    const credits = await getPostedDebits(tx, posting, session);
+    const unfunding = await getPostedFunding(tx, posting, session);
+    const compensated = await applyBudgetMovements(credits, unfunding, session);
+    // Savings split of a gain: the new one is credited before the old one is withdrawn
+    const previousSavings = tx.type === 'gain' && posting && posting.meta ? posting.meta.savings : null;
+    const nextSavings = await planPostingSavings(userId, next, session);
+    const funding = await planGainFunding(nextSavings, session);
+    const debits = await planPostingDebits(next, session);
+    let posted;
+    try {
+      posted = await applyBudgetMovements(funding, debits, session);
+    } catch (e) {
+      if (!session) await revertBudgetMovements(credits, unfunding);
+      throw e;
     }
+    const savingsApplied = [];
+
+    try {
+      for (const [savings, sign] of [[nextSavings, 1], [previousSavings, -1]]) {
+        if (!savings) continue;
+        await applyGainSavings(savings, sign, session);
+        savingsApplied.push([savings, sign]);
+      }
+      const reversal = buildReversalEntry(tx, posting, [...compensated.credited, ...compensated.debited], suffix);
+      await recordJournalEntry(reversal, session);
+      const je = buildPostingEntry(userId, tx._id, next, [...posted.credited, ...posted.debited], suffix, { correctionOf: posting ? posting._id : null, ...(nextSavings ? { savings: nextSavings } : {}) });
+      await recordJournalEntry(je, session);
+
+      const updated = await Transaction.findOneAndUpdate({ _id: tx._id }, { $set: next }, { new: true, ...(session ? { session } : {}) });
+      const dayTotals = await recomputeDayChain(userId, tx.date, session, currentDate);
+      return { transaction: updated, reversalId: reversal._id, journalEntryId: je._id, day: dayTotals };
+    } catch (e) {
+      if (!session) {
+        await revertBudgetMovements(funding, debits);
+        await revertBudgetMovements(credits, unfunding);
+        for (const [savings, sign] of savingsApplied.reverse()) await applyGainSavings(savings, -sign).catch(() => {});
+      }
+      throw e;
+    }
+  });
+
+  if (value.categoryId && !sameId(value.categoryId, original.categoryId)) {
+    await learnCategoryRule(userId, result.transaction.comment, value.categoryId)
+      .catch(err => logger.warn('learnCategoryRule failed', { error: err.message }));
   }
 
-  const budget = new Budget({
-    userId: resolvedUserId,
-    name,
-    amount: numericAmount,
-    frequency,
-    clientId: clientId || null,
-    isPrimary: !!isPrimary,
-    initialAmount: numericAmount,
-    currentAmount: numericAmount,
-    createdFrom: isPrimary ? 'derived' : 'manual',
-    immutableInitial: !!isPrimary
+  res.json({ success: true, message: 'Transaction corrigée', transaction: formatTransaction(result.transaction), reversalId: result.reversalId.toString(), journalEntryId: result.journalEntryId.toString(), day: result.day });
+}));
+
+// DELETE /api/transactions/:id - Annuler une transaction: recrédite les budgets débités et journalise la compensation
+app.delete('/api/transactions/:id', idempotent('transactions.delete'), asyncHandler(async (req, res) => {
+  const original = await loadAuthorized(req, Transaction, req.params.id, 'owner', 'Transaction non trouvée');
+  const userId = original.userId;
+  if (original.tontineId) return res.status(409).json({ message: 'Cette transaction est une contribution de tontine: annulez-la via DELETE /api/tontines/:id/contributions/:transactionId', code: 'TONTINE_CONTRIBUTION' });
+  if (original.objectiveId) return res.status(409).json({ message: 'Cette transaction est une allocation vers un objectif et ne peut pas être modifiée', code: 'OBJECTIVE_ALLOCATION' });
+  await assertDayChainOpen(userId, original.date);
+  const { date: currentDate } = await getRequestUserClock(req, userId);
+
+  const result = await runLedgerOperation(async (session) => {
+    const tx = await claimTransaction(original, session);
+    const posting = await findPostingEntry(tx, session);
+    const credits = await getPostedDebits(tx, posting, session);
+    const unfunding = await getPostedFunding(tx, posting, session);
+    const { credited, debited } = await applyBudgetMovements(credits, unfunding, session);
+    const savings = tx.type === 'gain' && posting && posting.meta ? posting.meta.savings : null;
+
+    let reversal;
+    let savingsWithdrawn = false;
+    try {
+      if (savings) {
+        await applyGainSavings(savings, -1, session);
+        savingsWithdrawn = true;
+      }
+      reversal = buildReversalEntry(tx, posting, [...credited, ...debited], session ? '' : '_fallback');
+      await recordJournalEntry(reversal, session);
+      await Transaction.deleteOne({ _id: tx._id }, session ? { session } : {});
+    } catch (e) {
+      if (!session) {
+        await revertBudgetMovements(credits, unfunding);
+        if (savingsWithdrawn) await applyGainSavings(savings, 1).catch(() => {});
+      }
+      throw e;
+    }
+    const dayTotals = await recomputeDayChain(userId, tx.date, session, currentDate);
+    return { reversalId: reversal._id, restored: [...credited, ...debited], day: dayTotals };
+  });
+
+  res.json({ success: true, message: 'Transaction annulée', reversalId: result.reversalId.toString(), restored: result.restored.map(a => ({ budgetId: a.budgetId.toString(), before: a.before, after: a.after })), day: result.day });
+}));
+
+// ============================================================================
+// ROUTES API - HISTORIQUE DU JOURNAL (GRAND LIVRE)
+// ============================================================================
+
+// Human-readable label of each journal rule ('_fallback' variants share the label of their rule)
+const LEDGER_RULE_LABELS = {
+  cascade_expense: 'Dépense',
+  cascade_split_expense: 'Dépense répartie sur plusieurs budgets',
+  gain_to_savings: 'Gain versé à l\'épargne',
+  gain_to_budget: 'Gain versé aux budgets (revenus irréguliers)',
+  reverse_expense: 'Annulation d\'une dépense',
+  reverse_gain: 'Annulation d\'un gain',
+  rollover_carry_over: 'Nouvelle période: reliquat conservé',
+  rollover_sweep_to_savings: 'Nouvelle période: reliquat mis de côté',
+  rollover_return_to_parent: 'Nouvelle période: reliquat rendu au budget parent',
+  reconcile_primary_current_amount: 'Réconciliation automatique',
+  initial_budget_allocation: 'Répartition initiale du salaire à l\'inscription',
+  allocation_weekly_from_month: 'Allocation d\'un budget hebdomadaire depuis le salaire',
+  budget_opening: 'Ouverture du budget',
+  allocate_to_objective: 'Allocation vers un objectif',
+  budget_transfer: 'Transfert entre budgets',
+  budget_amount_change: 'Modification du montant d\'un budget',
+  budget_deletion: 'Suppression d\'un budget',
+  budget_template: 'Application d\'un modèle de budgets',
+  savings_to_budget: 'Épargne transférée vers un budget',
+  savings_to_objective: 'Épargne transférée vers un objectif',
+  ledger_repair: 'Correction du solde par le support'
+};
+
+// Entry of GET /api/ledger: movements with budget names, and a sentence explaining why the balances changed
+function formatLedgerEntry(je, budgetNames, timeZone) {
+  const base = String(je.ruleApplied || '').replace(/_fallback$/, '');
+  const meta = je.meta || {};
+  let label = LEDGER_RULE_LABELS[base] || 'Mouvement';
+  if (base.startsWith('cascade_') && meta.objectiveId) label = 'Allocation vers un objectif';
+  else if (base.startsWith('cascade_') && meta.tontineId) label = 'Contribution à une tontine';
+  if (base.startsWith('cascade_') && meta.correctionOf) label = `${label} (version corrigée)`;
+
+  const sources = new Set([meta.sourceBudget, ...(meta.lines || []).map(l => l.budgetId)].filter(Boolean).map(String));
+  const movements = (je.affected || []).map(a => {
+    const budgetId = a.budgetId ? a.budgetId.toString() : null;
+    return {
+      budgetId,
+      budgetName: budgetNames.get(budgetId) || 'Budget supprimé',
+      before: a.before,
+      after: a.after,
+      delta: roundAmount(Number(a.after || 0) - Number(a.before || 0)),
+      // Budget debited only through the cascade of a child envelope
+      cascade: base.startsWith('cascade_') && sources.size > 0 && !sources.has(budgetId)
+    };
   });
+  const signed = (n) => `${n > 0 ? '+' : ''}${roundAmount(n)}`;
+  const changes = movements.filter(m => m.delta !== 0)
+    .map(m => `${m.budgetName} ${signed(m.delta)}${m.cascade ? ' (budget parent)' : ''}`);
+  // Savings wallet and objectives moved by a gain split, a transfer out of the wallet or a swept leftover
+  if (meta.savings) {
+    const sign = Number(je.amount) < 0 ? -1 : 1;
+    if (meta.savings.held) changes.push(`Épargne ${signed(sign * meta.savings.held)}`);
+    for (const o of meta.savings.objectives || []) changes.push(`Objectif ${signed(sign * o.amount)}`);
+  } else if (base.startsWith('savings_to_')) {
+    changes.push(`Épargne ${signed(-je.amount)}`);
+    if (meta.objectiveId) changes.push(`Objectif ${signed(je.amount)}`);
+  } else if (meta.swept) {
+    changes.push(`${meta.savingsObjectiveId ? 'Objectif' : 'Épargne'} ${signed(meta.swept)}`);
+  }
+  const subject = je.comment && !['reconcile_primary_current_amount', 'initial_budget_allocation'].includes(base) ? ` « ${je.comment} »` : '';
 
-  // If creating a weekly budget (non-primary), allocate it from the primary monthly budget
-  if (!isPrimary && frequency === 'weekly') {
-    if (TRANSACTIONS_SUPPORTED) {
-      const session = await mongoose.startSession();
-      try {
-        session.startTransaction();
-        // load primary monthly in-session
-        const primary = await Budget.findOne({ userId: resolvedUserId, frequency: 'monthly', isPrimary: true }).session(session);
-        if (!primary) {
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({ message: 'Aucun budget mensuel principal trouvé pour allouer le budget hebdomadaire' });
-        }
-        const before = Number(primary.currentAmount || 0);
-        const after = before - numericAmount;
-        if (after < 0) {
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({ message: `Allocation impossible — le budget mensuel principal serait négatif (${after})` });
-        }
-        // save the new budget and update primary
-        await budget.save({ session });
-        await Budget.updateOne({ _id: primary._id }, { $set: { currentAmount: after } }).session(session);
-        const je = new JournalEntry({ userId: resolvedUserId, txType: 'expense', amount: numericAmount, comment: `Allocation automatique budget hebdo ${name}`, affected: [{ budgetId: primary._id, before, after }, { budgetId: budget._id, before: numericAmount, after: numericAmount }], ruleApplied: 'allocation_weekly_from_month' });
-        await je.save({ session });
-        await session.commitTransaction();
-        session.endSession();
-        return res.status(201).json({ success: true, budget: { id: budget._id.toString(), name: budget.name, amount: budget.amount, frequency: budget.frequency } });
-      } catch (e) {
-        try { await session.abortTransaction(); } catch (__) {}
-        try { session.endSession(); } catch (__) {}
-        console.error('Erreur allocation budget hebdo transactionnelle:', e);
-        return res.status(500).json({ message: 'Erreur serveur lors de la création du budget', error: e.message });
-      }
-    } else {
-      // Fallback: conditional update on primary
-      const primary = await Budget.findOne({ userId: resolvedUserId, frequency: 'monthly', isPrimary: true });
-      if (!primary) return res.status(400).json({ message: 'Aucun budget mensuel principal trouvé pour allouer le budget hebdomadaire' });
-      const before = Number(primary.currentAmount || 0);
-      const after = before - numericAmount;
-      if (after < 0) return res.status(400).json({ message: `Allocation impossible — le budget mensuel principal serait négatif (${after})` });
-      // apply conditional update
-      const updated = await Budget.findOneAndUpdate({ _id: primary._id, currentAmount: { $gte: numericAmount } }, { $inc: { currentAmount: -numericAmount } }, { new: true });
-      if (!updated) return res.status(409).json({ message: 'Conflit de disponibilité lors de l allocation du budget hebdomadaire' });
-      await budget.save();
-      const je = new JournalEntry({ userId: resolvedUserId, txType: 'expense', amount: numericAmount, comment: `Allocation automatique budget hebdo ${name} (fallback)`, affected: [{ budgetId: primary._id, before, after }], ruleApplied: 'allocation_weekly_from_month_fallback' });
-      await je.save();
-      return res.status(201).json({ success: true, budget: { id: budget._id.toString(), name: budget.name, amount: budget.amount, frequency: budget.frequency } });
+  return {
+    id: je._id.toString(),
+    createdAt: je.createdAt,
+    date: formatDateInTimeZone(je.createdAt, timeZone),
+    txType: je.txType,
+    amount: je.amount,
+    comment: je.comment || null,
+    ruleApplied: je.ruleApplied || null,
+    label,
+    explanation: `${label}${subject}${changes.length ? `: ${changes.join(', ')}` : ' (aucun budget modifié)'}`,
+    movements,
+    transactionId: je.transactionId ? je.transactionId.toString() : null,
+    reversalOf: je.reversalOf ? je.reversalOf.toString() : null
+  };
+}
+
+// GET /api/ledger/:userId - Historique du journal (allocations, cascades, réconciliations...), le plus récent d'abord
+// Query: budgetId, ruleApplied (avec ou sans suffixe _fallback), txType (expense|gain|adjustment),
+//        from, to (YYYY-MM-DD, jours locaux de l'utilisateur), limit (≤ 200), cursor (nextCursor de la page précédente)
+app.get('/api/ledger/:userId', asyncHandler(async (req, res) => {
+  const { error, value } = ledgerHistorySchema.validate(req.query, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
+  }
+  const userId = await resolveRequestUserId(req, req.params.userId);
+  const { timeZone } = await getRequestUserClock(req, userId);
+
+  const filter = { userId };
+  if (value.budgetId) filter['affected.budgetId'] = new mongoose.Types.ObjectId(value.budgetId);
+  if (value.ruleApplied) {
+    const rule = value.ruleApplied.replace(/_fallback$/, '');
+    filter.ruleApplied = { $in: [rule, `${rule}_fallback`] };
+  }
+  if (value.txType) filter.txType = value.txType;
+  if (value.from || value.to) {
+    filter.createdAt = {};
+    if (value.from) filter.createdAt.$gte = startOfLocalDay(value.from, timeZone);
+    if (value.to) {
+      const [y, m, d] = value.to.split('-').map(Number);
+      filter.createdAt.$lt = startOfLocalDay(new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10), timeZone);
     }
   }
+  const fields = ['createdAt', '_id'];
+  const query = value.cursor ? { ...filter, $and: [transactionCursorFilter(value.cursor, fields, 'desc')] } : filter;
 
-  // Default save for other budgets
-  await budget.save();
+  // One extra row tells whether another page exists
+  const rows = await JournalEntry.find(query).sort({ createdAt: -1, _id: -1 }).limit(value.limit + 1).lean();
+  const hasMore = rows.length > value.limit;
+  const page = hasMore ? rows.slice(0, value.limit) : rows;
 
-  res.status(201).json({ success: true, budget: { id: budget._id.toString(), name: budget.name, amount: budget.amount, frequency: budget.frequency } });
-}));
+  const budgetIds = [...new Set(page.flatMap(je => (je.affected || []).map(a => String(a.budgetId))))].filter(id => mongoose.isValidObjectId(id));
+  const budgets = budgetIds.length ? await Budget.find({ _id: { $in: budgetIds } }).select('name') : [];
+  const budgetNames = new Map(budgets.map(b => [b._id.toString(), b.name]));
 
-// GET /api/budgets/id/:id - Récupérer un budget par id
-app.get('/api/budgets/id/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const budget = await Budget.findById(id);
-  if (!budget) return res.status(404).json({ message: 'Budget non trouvé' });
-  res.json({ success: true, budget });
+  res.json({
+    success: true,
+    entries: page.map(je => formatLedgerEntry(je, budgetNames, timeZone)),
+    nextCursor: hasMore ? encodeTransactionCursor(page[page.length - 1], fields) : null,
+    hasMore
+  });
 }));
 
-// PUT /api/budgets/:id - Mettre à jour un budget
-app.put('/api/budgets/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { name, amount } = req.body; // frequency is intentionally not updatable
+// ============================================================================
+// ROUTES API - CATÉGORIES
+// ============================================================================
 
-  const budget = await Budget.findById(id);
-  if (!budget) return res.status(404).json({ message: 'Budget non trouvé' });
+// GET /api/categories - Catégories système + catégories de l'utilisateur (?includeArchived=true pour les archivées)
+app.get('/api/categories', asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const filter = { $or: [{ userId: null }, { userId }] };
+  if (req.query.includeArchived !== 'true') filter.archived = { $ne: true };
+  const categories = await Category.find(filter).sort({ userId: 1, name: 1 });
+  res.json({ success: true, categories: categories.map(formatCategory) });
+}));
 
-  if (name) budget.name = name;
-  if (typeof amount !== 'undefined') {
-    const numericAmount = Number(amount || 0);
-    if (!(numericAmount > 0)) return res.status(400).json({ message: 'Le montant du budget doit être supérieur à 0' });
-    if (budget.isPrimary) return res.status(400).json({ message: 'Le montant du budget principal ne peut pas être modifié' });
-    
-    // Validate budget hierarchy constraints when changing amount
-    const validation = await validateBudgetHierarchy(budget.userId, budget.frequency, numericAmount);
-    if (!validation.valid) {
-      return res.status(400).json({ message: validation.message });
-    }
-    
-    budget.amount = numericAmount;
+// POST /api/categories - Créer une catégorie personnelle
+app.post('/api/categories', asyncHandler(async (req, res) => {
+  const { error, value } = categoryValidationSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
+  }
+  const userId = req.user._id;
+  const clash = await Category.findOne({ userId: { $in: [null, userId] }, name: value.name, archived: { $ne: true } });
+  if (clash) return res.status(409).json({ message: 'Une catégorie porte déjà ce nom', code: 'CATEGORY_NAME_TAKEN' });
+
+  // An archived category with the same name is brought back instead of duplicated
+  let category = await Category.findOne({ userId, name: value.name, archived: true });
+  if (category) {
+    Object.assign(category, value, { archived: false });
+    await category.save();
+  } else {
+    category = await Category.create({ ...value, userId });
   }
+  res.status(201).json({ success: true, category: formatCategory(category) });
+}));
 
-  await budget.save();
-  res.json({ success: true, budget });
+// PUT /api/categories/:id - Renommer / changer l'icône ou la couleur (catégories système non modifiables)
+app.put('/api/categories/:id', asyncHandler(async (req, res) => {
+  const { error, value } = categoryUpdateSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
+  }
+  const category = mongoose.isValidObjectId(req.params.id) ? await Category.findById(req.params.id) : null;
+  if (!category) return res.status(404).json({ message: 'Catégorie non trouvée' });
+  if (!category.userId) return res.status(403).json({ message: 'Les catégories système ne peuvent pas être modifiées', code: 'FORBIDDEN_SYSTEM_CATEGORY' });
+  authorize(req, 'owner', category);
+
+  if (value.name && value.name !== category.name) {
+    const clash = await Category.findOne({ _id: { $ne: category._id }, userId: { $in: [null, category.userId] }, name: value.name, archived: { $ne: true } });
+    if (clash) return res.status(409).json({ message: 'Une catégorie porte déjà ce nom', code: 'CATEGORY_NAME_TAKEN' });
+    // The archived one keeps its name (unique per user): it is brought back by POST /api/categories with that name
+    const archived = await Category.findOne({ _id: { $ne: category._id }, userId: category.userId, name: value.name, archived: true });
+    if (archived) return res.status(409).json({ message: 'Une catégorie archivée porte déjà ce nom: recréez-la pour la réactiver', code: 'CATEGORY_NAME_ARCHIVED', categoryId: archived._id.toString() });
+  }
+  Object.assign(category, value);
+  await category.save();
+  res.json({ success: true, category: formatCategory(category) });
 }));
 
-// DELETE /api/budgets/:id - Supprimer un budget
-app.delete('/api/budgets/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const budget = await Budget.findById(id);
-  if (!budget) return res.status(404).json({ message: 'Budget non trouvé' });
+// DELETE /api/categories/:id - Archiver une catégorie personnelle (les transactions gardent leur catégorie)
+app.delete('/api/categories/:id', asyncHandler(async (req, res) => {
+  const category = mongoose.isValidObjectId(req.params.id) ? await Category.findById(req.params.id) : null;
+  if (!category) return res.status(404).json({ message: 'Catégorie non trouvée' });
+  if (!category.userId) return res.status(403).json({ message: 'Les catégories système ne peuvent pas être supprimées', code: 'FORBIDDEN_SYSTEM_CATEGORY' });
+  authorize(req, 'owner', category);
 
-  // Supprimer les transactions associées ? ici on conserve historique mais on retire le budget
-  await Budget.deleteOne({ _id: id });
-  res.json({ success: true, message: 'Budget supprimé' });
+  category.archived = true;
+  await category.save();
+  res.json({ success: true, message: 'Catégorie archivée', category: formatCategory(category) });
 }));
 
-// GET /api/budgets/:id/remaining - Récupérer le montant restant calculé pour un budget
-app.get('/api/budgets/:id/remaining', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { date } = req.query; // optionnel: YYYY-MM-DD
-  const budget = await Budget.findById(id);
-  if (!budget) return res.status(404).json({ message: 'Budget non trouvé' });
+// Load a rule the caller may modify: 404 when missing, 403 for system rules or another user's rule
+async function loadEditableCategoryRule(req) {
+  const rule = mongoose.isValidObjectId(req.params.id) ? await CategoryRule.findById(req.params.id) : null;
+  if (!rule) throw httpError(404, 'Règle non trouvée', 'NOT_FOUND');
+  if (!rule.userId) throw httpError(403, 'Les règles système ne peuvent pas être modifiées', 'FORBIDDEN_SYSTEM_RULE');
+  authorize(req, 'owner', rule);
+  return rule;
+}
 
-  const userId = budget.userId.toString();
-  const currentDate = date || getTodayDate();
-  const remaining = await calculateRemainingBudget(budget, userId, currentDate);
-  res.json({ success: true, remaining });
+// GET /api/category-rules - Règles système + règles de l'utilisateur, dans l'ordre d'évaluation
+app.get('/api/category-rules', asyncHandler(async (req, res) => {
+  const rules = await CategoryRule.find({ userId: { $in: [null, req.user._id] } });
+  rules.sort((a, b) => (a.userId ? 0 : 1) - (b.userId ? 0 : 1) || (b.priority || 0) - (a.priority || 0) || b.pattern.length - a.pattern.length);
+  res.json({ success: true, rules: rules.map(formatCategoryRule) });
 }));
 
-// POST /api/transactions - Ajouter une transaction (avec validation)
-app.post('/api/transactions', asyncHandler(async (req, res) => {
-  // Validation avec Joi
-  const { error, value } = transactionValidationSchema.validate(req.body, { abortEarly: false });
+// POST /api/category-rules - Créer une règle (mot-clé ou regex -> catégorie et/ou étiquettes)
+app.post('/api/category-rules', asyncHandler(async (req, res) => {
+  const { error, value } = categoryRuleValidationSchema.validate(req.body, { abortEarly: false });
   if (error) {
     return res.status(400).json({
       message: 'Erreur de validation',
       errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
     });
   }
+  const userId = req.user._id;
+  assertValidRulePattern(value.matchType, value.pattern);
+  if (value.categoryId) await resolveCategoryForUser(userId, value.categoryId);
+  // Keywords are stored normalized so that "Crédit" and "credit" are the same rule
+  const pattern = value.matchType === 'keyword' ? normalizeMatchText(value.pattern) : value.pattern;
 
-  let { userId, type, amount, comment, budgetId } = value;
-  userId = await resolveUserId(userId); // Convert string ID to ObjectId if needed
-  const currentDate = getTodayDate();
-  const currentTime = new Date().toLocaleTimeString('fr-FR', {
-    hour: '2-digit',
-    minute: '2-digit'
-  });
-  
-  // Vérifier que le jour n'est pas verrouillé
-  const today = await Day.findOne({ userId, date: currentDate });
-  if (today && today.locked) {
-    return res.status(403).json({ message: 'Le jour est verrouillé, aucune modification possible' });
-  }
-  
-  // For expense ensure the target budget exists (we will enforce availability inside transaction or fallback)
-  if (type === 'expense') {
-    const bcheck = await Budget.findById(budgetId);
-    if (!bcheck) return res.status(404).json({ message: 'Budget non trouvé' });
+  try {
+    const rule = await CategoryRule.create({ ...value, pattern, tags: normalizeTags(value.tags), userId, source: 'user' });
+    res.status(201).json({ success: true, rule: formatCategoryRule(rule) });
+  } catch (e) {
+    if (e && e.code === 11000) return res.status(409).json({ message: 'Une règle existe déjà pour ce motif', code: 'CATEGORY_RULE_EXISTS' });
+    throw e;
   }
+}));
 
-  // If the server supports multi-document transactions, use them. Otherwise use a safer fallback.
-  if (TRANSACTIONS_SUPPORTED) {
-    const session = await mongoose.startSession();
-    try {
-      session.startTransaction();
+// PUT /api/category-rules/:id - Modifier une règle de l'utilisateur (une règle apprise devient une règle utilisateur)
+app.put('/api/category-rules/:id', asyncHandler(async (req, res) => {
+  const { error, value } = categoryRuleUpdateSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
+  }
+  const rule = await loadEditableCategoryRule(req);
+  const matchType = value.matchType || rule.matchType;
+  const pattern = typeof value.pattern !== 'undefined' ? value.pattern : rule.pattern;
+  assertValidRulePattern(matchType, pattern);
+  if (value.categoryId) await resolveCategoryForUser(rule.userId, value.categoryId);
+
+  Object.assign(rule, value, { matchType, pattern: matchType === 'keyword' ? normalizeMatchText(pattern) : pattern, source: 'user' });
+  if (value.tags) rule.tags = normalizeTags(value.tags);
+  if (!rule.categoryId && !(rule.tags || []).length) return res.status(400).json({ message: 'categoryId ou tags est requis' });
+  try {
+    await rule.save();
+  } catch (e) {
+    if (e && e.code === 11000) return res.status(409).json({ message: 'Une règle existe déjà pour ce motif', code: 'CATEGORY_RULE_EXISTS' });
+    throw e;
+  }
+  res.json({ success: true, rule: formatCategoryRule(rule) });
+}));
 
-      // Create the Transaction record (in-session)
-      const transaction = new Transaction({ userId, budgetId: budgetId || null, type, amount, comment, date: currentDate, time: currentTime });
-      await transaction.save({ session });
+// DELETE /api/category-rules/:id - Supprimer une règle de l'utilisateur (les transactions déjà catégorisées ne changent pas)
+app.delete('/api/category-rules/:id', asyncHandler(async (req, res) => {
+  const rule = await loadEditableCategoryRule(req);
+  await rule.deleteOne();
+  res.json({ success: true, message: 'Règle supprimée' });
+}));
 
-      // Determine affected budgets and perform cascade (all reads/updates in-session)
-      const affected = [];
-      const loadAndPrepare = async (bId) => {
-        if (!bId) return null;
-        const b = await Budget.findById(bId).session(session);
-        return b;
-      };
+// POST /api/category-rules/apply - Réappliquer les règles à l'historique
+// Body: { from?, to? (YYYY-MM-DD), dryRun? }. Only transactions without a manual category are touched:
+// their category is replaced by the rules' result (or cleared) and rule tags are added to their tags.
+app.post('/api/category-rules/apply', asyncHandler(async (req, res) => {
+  const { error, value } = categoryRuleApplySchema.validate(req.body || {}, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path[0], message: d.message }))
+    });
+  }
+  const userId = req.user._id;
+  const rules = await loadCategoryRules(userId);
+
+  // Transactions categorized before the rules existed (categorySource null with a category) count as manual
+  const filter = { userId, $or: [{ categorySource: 'rule' }, { categoryId: null }] };
+  if (value.from || value.to) filter.date = { ...(value.from ? { $gte: value.from } : {}), ...(value.to ? { $lte: value.to } : {}) };
+
+  let scanned = 0;
+  let updated = 0;
+  let ops = [];
+  const flush = async () => {
+    if (ops.length && !value.dryRun) await Transaction.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
 
-      const targetBudget = budgetId ? await loadAndPrepare(budgetId) : null;
-      if (type === 'expense') {
-        if (!targetBudget) {
-          await session.abortTransaction();
-          return res.status(404).json({ message: 'Budget non trouvé' });
-        }
+  for await (const tx of Transaction.find(filter).select('_id comment categoryId categorySource tags').cursor()) {
+    scanned++;
+    const match = matchCategoryRules(rules, tx.comment);
+    const tags = normalizeTags([...(tx.tags || []), ...match.tags]);
+    const sameCategory = match.categoryId ? sameId(match.categoryId, tx.categoryId) : !tx.categoryId;
+    if (sameCategory && tags.length === (tx.tags || []).length) continue;
+    updated++;
+    ops.push({ updateOne: { filter: { _id: tx._id }, update: { $set: { categoryId: match.categoryId, categorySource: match.categoryId ? 'rule' : null, tags } } } });
+    if (ops.length >= 500) await flush();
+  }
+  await flush();
 
-        const toUpdate = [];
-        toUpdate.push(targetBudget);
-        // Cascade to immediate parent only (not grandparents)
-        if (targetBudget.frequency === 'daily') {
-          const weekly = await Budget.findOne({ userId, frequency: 'weekly' }).session(session);
-          if (weekly) toUpdate.push(weekly);
-          // Note: do NOT cascade to monthly when daily expense
-        } else if (targetBudget.frequency === 'weekly') {
-          const monthlyPrimary = await Budget.findOne({ userId, frequency: 'monthly', isPrimary: true }).session(session);
-          if (monthlyPrimary) toUpdate.push(monthlyPrimary);
-        }
+  res.json({ success: true, dryRun: value.dryRun, scanned, updated });
+}));
 
-        for (const b of toUpdate) {
-          const before = Number(b.currentAmount || 0);
-          const after = before - Number(amount || 0);
-          if (after < 0) {
-            await session.abortTransaction();
-            return res.status(400).json({ message: `Opération rejetée — le budget "${b.name}" serait négatif (${after})` });
-          }
-          affected.push({ budgetId: b._id, before, after });
-        }
+// ============================================================================
+// SYNCHRONISATION HORS-LIGNE
+// ============================================================================
 
-        for (const a of affected) {
-          await Budget.updateOne({ _id: a.budgetId }, { $set: { currentAmount: a.after } }).session(session);
-        }
+// Max transactions returned by one change feed (the client pages the rest with the returned syncToken)
+const SYNC_FEED_LIMIT = 500;
+// The next feed starts this long before it was read: updatedAt is set when a write is issued, and a ledger
+// operation still in flight at read time commits later with an older updatedAt. Rows may be sent twice, the client dedupes by id.
+const SYNC_OVERLAP_MS = 2 * 60 * 1000;
+
+// Sync token = base64url JSON { since, after? }: since is the server time (ms) the change feed was read at, minus
+// SYNC_OVERLAP_MS (null for the full snapshot); a truncated feed adds after = [updatedAt ms, _id] of the last transaction sent, a keyset like
+// encodeTransactionCursor, so rows sharing one updatedAt (bulk updates) are paged instead of sent again.
+// Tokens holding only the ms (older clients) are still accepted.
+function encodeSyncToken(since, after = null) {
+  const payload = { since: since ? since.getTime() : null };
+  if (after) payload.after = [after.updatedAt ? after.updatedAt.getTime() : null, after._id.toString()];
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
 
-        const je = new JournalEntry({ userId, txType: 'expense', amount, comment, affected: affected.map(a => ({ budgetId: a.budgetId, before: a.before, after: a.after })), ruleApplied: 'cascade_expense', meta: { sourceBudget: budgetId } });
-        await je.save({ session });
-      } else if (type === 'gain') {
-        const je = new JournalEntry({ userId, txType: 'gain', amount, comment, affected: [], ruleApplied: 'gain_to_savings' });
-        await je.save({ session });
-      }
+function decodeSyncToken(token) {
+  if (!token) return { since: null, after: null };
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (e) {
+    parsed = null;
+  }
+  if (typeof parsed === 'number') parsed = { since: parsed };
+  const validSince = (ms) => ms === null || (Number.isFinite(ms) && ms > 0);
+  const after = parsed && parsed.after;
+  const valid = parsed && typeof parsed === 'object' && validSince(parsed.since)
+    && (!after || (Array.isArray(after) && after.length === 2 && validSince(after[0]) && mongoose.isValidObjectId(after[1])));
+  if (!valid) throw httpError(400, 'syncToken invalide', 'INVALID_SYNC_TOKEN');
+  return {
+    since: parsed.since ? new Date(parsed.since) : null,
+    after: after ? { updatedAt: after[0] ? new Date(after[0]) : null, _id: new mongoose.Types.ObjectId(after[1]) } : null
+  };
+}
 
-      // Update Day document totals (reads use session)
-      const todayTransactions = await Transaction.find({ userId, date: currentDate }).session(session);
-      const totalGains = todayTransactions.filter(t => t.type === 'gain').reduce((s, t) => s + t.amount, 0);
-      const totalExpenses = todayTransactions.filter(t => t.type === 'expense').reduce((s, t) => s + t.amount, 0);
-      const lastDay = await Day.findOne({ userId }).sort({ date: -1 }).limit(1).session(session);
-      const initialPocket = lastDay ? lastDay.finalPocket : 0;
-      const budgetsAvailable = await calculateBudgetsAvailable(userId, currentDate, session);
-      const finalPocket = initialPocket + totalGains - totalExpenses;
+// Transactions strictly after the keyset `after` in the feed order (updatedAt, _id); rows without updatedAt come first
+function syncFeedAfterFilter(after) {
+  if (!after.updatedAt) return { $or: [{ updatedAt: null, _id: { $gt: after._id } }, { updatedAt: { $ne: null } }] };
+  return { $or: [{ updatedAt: { $gt: after.updatedAt } }, { updatedAt: after.updatedAt, _id: { $gt: after._id } }] };
+}
 
-      await Day.updateOne({ userId, date: currentDate }, { $set: { initialPocket, budgetsAvailable, gains: totalGains, expenses: totalExpenses, finalPocket } }, { upsert: true, session });
+// Operation types accepted by POST /api/sync. Each reuses its endpoint's logic and idempotency scope,
+// so an operation already sent online with the same clientId is replayed, not applied twice.
+// `body` is what the endpoint would receive (references resolved, without clientId).
+const SYNC_OPERATIONS = {
+  'budget.create': {
+    scope: 'budgets.create',
+    params: () => ({}),
+    run: (req, op, body) => createBudget(req, { ...body, clientId: op.clientId })
+  },
+  'transaction.create': {
+    scope: 'transactions.create',
+    params: () => ({}),
+    run: (req, op, body) => createTransaction(req, body, op.clientId)
+  },
+  'tontine.contribute': {
+    scope: 'tontines.contribute',
+    params: (op, refs) => ({ id: refs.tontineId }),
+    run: (req, op, body, refs) => contributeToTontine(req, refs.tontineId, body)
+  }
+};
 
-      await session.commitTransaction();
-      session.endSession();
+// Resolve references to objects created offline (budgetClientId, also on split lines, tontineClientId), either earlier in
+// the batch or in a previous sync. Returns { body, refs } or throws when the referenced op was rejected.
+async function resolveSyncReferences(req, op, createdInBatch) {
+  const { budgetClientId, tontineId, tontineClientId, ...body } = op.payload;
+  const refs = { tontineId };
+  const lookup = async (clientId, Model, filter) => {
+    const inBatch = createdInBatch.get(clientId);
+    if (inBatch === null) throw httpError(409, `Opération dépendante rejetée (${clientId})`, 'DEPENDENCY_REJECTED');
+    if (inBatch) return inBatch;
+    const doc = await Model.findOne({ clientId, ...filter });
+    if (!doc) throw httpError(404, `Référence client inconnue (${clientId})`, 'UNKNOWN_CLIENT_REFERENCE');
+    return doc._id.toString();
+  };
+  if (budgetClientId && !body.budgetId) body.budgetId = await lookup(budgetClientId, Budget, { userId: req.user._id });
+  if (Array.isArray(body.lines)) {
+    body.lines = await Promise.all(body.lines.map(async ({ budgetClientId: lineClientId, ...line }) => (
+      lineClientId && !line.budgetId ? { ...line, budgetId: await lookup(lineClientId, Budget, { userId: req.user._id }) } : line
+    )));
+  }
+  if (op.type === 'tontine.contribute' && !refs.tontineId) {
+    if (!tontineClientId) throw httpError(400, 'tontineId ou tontineClientId requis', 'VALIDATION_ERROR');
+    refs.tontineId = await lookup(tontineClientId, Tontine, { $or: [{ ownerId: req.user._id }, { 'members.userId': req.user._id }] });
+  }
+  // Offline transactions are dated by the client clock (never in the future)
+  if (op.type === 'transaction.create' && !body.transactionDate && op.clientTimestamp) {
+    body.transactionDate = new Date(Math.min(new Date(op.clientTimestamp).getTime(), Date.now())).toISOString();
+  }
+  return { body, refs };
+}
 
-      res.status(201).json({ message: 'Transaction créée avec succès', transaction: { id: transaction._id.toString(), type: transaction.type, amount: transaction.amount, comment: transaction.comment, time: transaction.time } });
-    } catch (err) {
-      try { await session.abortTransaction(); } catch (__) {}
-      try { session.endSession(); } catch (__) {}
-      console.error('Erreur transactionnelle POST /api/transactions:', err);
-      return res.status(500).json({ message: 'Erreur serveur lors de l\'enregistrement de la transaction', error: err.message });
+// Apply one queued operation. Never throws: the outcome is reported in the per-operation result.
+async function applySyncOperation(req, op, createdInBatch) {
+  const result = { clientId: op.clientId, type: op.type };
+  const def = SYNC_OPERATIONS[op.type];
+  let claim = null;
+  try {
+    const { body, refs } = await resolveSyncReferences(req, op, createdInBatch);
+    const requestHash = hashIdempotentRequest(def.scope, { params: def.params(op, refs), body });
+    claim = await claimIdempotencyKey(req.user._id, op.clientId, def.scope, requestHash);
+    const replayed = !!claim.replay;
+    let response = claim.replay;
+    if (!response) {
+      response = await def.run(req, op, body, refs);
+      await completeIdempotencyKey(claim.record, response.status, response.body);
+      claim = null;
     }
-  } else {
-    // Fallback when transactions are not available: perform conditional per-budget updates and rollback on failure.
-    if (type === 'expense') {
-      // Load budgets deterministically
-      const targetBudget = await Budget.findById(budgetId);
-      if (!targetBudget) return res.status(404).json({ message: 'Budget non trouvé' });
-
-      const toUpdate = [];
-      toUpdate.push(targetBudget);
-      // Cascade to immediate parent only (not grandparents)
-      if (targetBudget.frequency === 'daily') {
-        const weekly = await Budget.findOne({ userId, frequency: 'weekly' });
-        if (weekly) toUpdate.push(weekly);
-        // Note: do NOT cascade to monthly when daily expense
-      } else if (targetBudget.frequency === 'weekly') {
-        const monthlyPrimary = await Budget.findOne({ userId, frequency: 'monthly', isPrimary: true });
-        if (monthlyPrimary) toUpdate.push(monthlyPrimary);
-      }
-
-      // Check availability using currentAmount snapshot
-      const affected = [];
-      for (const b of toUpdate) {
-        const before = Number(b.currentAmount || 0);
-        const after = before - Number(amount || 0);
-        if (after < 0) return res.status(400).json({ message: `Opération rejetée — le budget "${b.name}" serait négatif (${after})` });
-        affected.push({ budgetId: b._id, before, after });
-      }
+    Object.assign(result, {
+      status: response.status >= 400 ? 'rejected' : (replayed ? 'duplicate' : 'applied'),
+      httpStatus: response.status,
+      response: response.body
+    });
+    if (response.status >= 400) Object.assign(result, { code: response.body.code || 'REJECTED', message: response.body.message });
+  } catch (e) {
+    const status = e && e.status && e.status < 500 ? e.status : 500;
+    if (status === 500) logger.error('sync operation failed', { clientId: op.clientId, type: op.type, error: e && e.message ? e.message : e });
+    Object.assign(result, { status: status === 500 ? 'error' : 'rejected', httpStatus: status, code: (e && e.code) || (status === 500 ? 'SERVER_ERROR' : 'REJECTED'), message: status === 500 ? 'Erreur serveur' : e.message });
+    // Same storage rule as the HTTP endpoints (server errors and conflicts stay retryable)
+    if (claim && claim.record) await completeIdempotencyKey(claim.record, status, { message: result.message, code: result.code }).catch(() => {});
+  }
 
-      // Apply updates one by one using conditional atomic updates
-      const updated = [];
-      try {
-        for (const a of affected) {
-          const u = await Budget.findOneAndUpdate({ _id: a.budgetId, currentAmount: { $gte: Number(amount || 0) } }, { $inc: { currentAmount: -Number(amount || 0) } }, { new: true });
-          if (!u) throw new Error('Conflit de disponibilité budget');
-          updated.push(a.budgetId);
-        }
+  const body = result.response || {};
+  const serverId = (body.budget && body.budget.id) || (body.transaction && body.transaction.id) || body.transactionId || null;
+  result.serverId = serverId;
+  if (op.type === 'budget.create') createdInBatch.set(op.clientId, result.status === 'rejected' || result.status === 'error' ? null : serverId);
+  return result;
+}
 
-        // Persist Transaction and JournalEntry
-        const transaction = new Transaction({ userId, budgetId: budgetId || null, type, amount, comment, date: currentDate, time: currentTime });
-        await transaction.save();
-        const je = new JournalEntry({ userId, txType: 'expense', amount, comment, affected: affected.map(a => ({ budgetId: a.budgetId, before: a.before, after: a.after })), ruleApplied: 'cascade_expense_fallback', meta: { sourceBudget: budgetId } });
-        await je.save();
-
-        // Recompute Day totals (best-effort)
-        const todayTransactions = await Transaction.find({ userId, date: currentDate });
-        const totalGains = todayTransactions.filter(t => t.type === 'gain').reduce((s, t) => s + t.amount, 0);
-        const totalExpenses = todayTransactions.filter(t => t.type === 'expense').reduce((s, t) => s + t.amount, 0);
-        const lastDay = await Day.findOne({ userId }).sort({ date: -1 }).limit(1);
-        const initialPocket = lastDay ? lastDay.finalPocket : 0;
-        const budgetsAvailable = await calculateBudgetsAvailable(userId, currentDate);
-        const finalPocket = initialPocket + totalGains - totalExpenses;
-        await Day.updateOne({ userId, date: currentDate }, { $set: { initialPocket, budgetsAvailable, gains: totalGains, expenses: totalExpenses, finalPocket } }, { upsert: true });
-
-        return res.status(201).json({ message: 'Transaction créée avec succès (fallback)', transaction: { id: transaction._id.toString(), type: transaction.type, amount: transaction.amount, comment: transaction.comment, time: transaction.time } });
-      } catch (e) {
-        // revert applied updates
-        for (const bid of updated) {
-          try { await Budget.updateOne({ _id: bid }, { $inc: { currentAmount: Number(amount || 0) } }); } catch (__) {}
-        }
-        return res.status(409).json({ message: 'Conflit de disponibilité lors de la mise à jour des budgets, réessayez' });
-      }
-    } else if (type === 'gain') {
-      // Gains fallback: save transaction and journal entry
-      const transaction = new Transaction({ userId, budgetId: budgetId || null, type, amount, comment, date: currentDate, time: currentTime });
-      await transaction.save();
-      const je = new JournalEntry({ userId, txType: 'gain', amount, comment, affected: [], ruleApplied: 'gain_to_savings' });
-      await je.save();
-
-      // update Day totals
-      const todayTransactions = await Transaction.find({ userId, date: currentDate });
-      const totalGains = todayTransactions.filter(t => t.type === 'gain').reduce((s, t) => s + t.amount, 0);
-      const totalExpenses = todayTransactions.filter(t => t.type === 'expense').reduce((s, t) => s + t.amount, 0);
-      const lastDay = await Day.findOne({ userId }).sort({ date: -1 }).limit(1);
-      const initialPocket = lastDay ? lastDay.finalPocket : 0;
-      const budgetsAvailable = await calculateBudgetsAvailable(userId, currentDate);
-      const finalPocket = initialPocket + totalGains - totalExpenses;
-      await Day.updateOne({ userId, date: currentDate }, { $set: { initialPocket, budgetsAvailable, gains: totalGains, expenses: totalExpenses, finalPocket } }, { upsert: true });
+// Everything the user's devices need to refresh since `since` (null = full snapshot). `after` resumes a truncated
+// transaction feed (see decodeSyncToken); the other collections are sent again in full on each page.
+async function buildSyncChanges(userId, since, after = null) {
+  const changed = (base) => (since
+    ? { $and: [base, { $or: [{ updatedAt: { $gt: since } }, { updatedAt: { $exists: false }, createdAt: { $gt: since } }] }] }
+    : base);
+
+  const budgets = await Budget.find(changed({ userId }));
+  const categories = await Category.find(changed({ $or: [{ userId }, { userId: null }] }));
+  const objectives = await Objective.find(changed({ userId }));
+  const tontines = await Tontine.find(changed({ $or: [{ ownerId: userId }, { 'members.userId': userId }] }));
+  const txFilter = after ? { $and: [changed({ userId }), syncFeedAfterFilter(after)] } : changed({ userId });
+  const transactions = await Transaction.find(txFilter).sort({ updatedAt: 1, _id: 1 }).limit(SYNC_FEED_LIMIT + 1);
+  const truncated = transactions.length > SYNC_FEED_LIMIT;
+  if (truncated) transactions.pop();
+
+  // Deleted transactions: compensated since `since` and gone from the collection
+  let deletedTransactions = [];
+  let deletedBudgets = [];
+  if (since) {
+    const reversedIds = await JournalEntry.distinct('transactionId', { userId, ruleApplied: /^reverse_/, createdAt: { $gt: since } });
+    const stillThere = new Set((await Transaction.find({ _id: { $in: reversedIds } }).select('_id')).map(t => t._id.toString()));
+    deletedTransactions = reversedIds.filter(id => id && !stillThere.has(id.toString())).map(id => id.toString());
+    // Deleted budgets: journaled by DELETE /api/budgets/:id
+    const deletions = await JournalEntry.distinct('meta.deletedBudget.budgetId', { userId, ruleApplied: /^budget_deletion/, createdAt: { $gt: since } });
+    deletedBudgets = deletions.filter(Boolean).map(id => id.toString());
+  }
 
-      return res.status(201).json({ message: 'Transaction (gain) créée avec succès (fallback)' });
+  return {
+    truncated,
+    lastTransaction: transactions.length ? transactions[transactions.length - 1] : null,
+    changes: {
+      budgets: budgets.map(b => ({ id: b._id.toString(), clientId: b.clientId || null, name: b.name, amount: b.amount, frequency: b.frequency, isPrimary: !!b.isPrimary, initialAmount: b.initialAmount, currentAmount: b.currentAmount, updatedAt: b.updatedAt || b.createdAt })),
+      transactions: transactions.map(formatTransaction),
+      categories: categories.map(formatCategory),
+      objectives: objectives.map(o => ({ id: o._id.toString(), name: o.name || null, targetAmount: o.targetAmount, targetDate: o.targetDate, savedAmount: o.savedAmount, achieved: o.achieved, updatedAt: o.updatedAt || o.createdAt })),
+      tontines: tontines.map(t => ({ id: t._id.toString(), clientId: t.clientId || null, name: t.name, contributionAmount: t.contributionAmount, totalAmount: t.totalAmount, frequency: t.frequency || null, startDate: t.startDate || null, endDate: t.endDate || null, budgetId: t.budgetId ? t.budgetId.toString() : null, members: t.members.map(m => ({ userId: m.userId.toString(), contributed: m.contributed, position: m.position })), updatedAt: t.updatedAt || t.createdAt })),
+      deleted: { transactions: deletedTransactions, budgets: deletedBudgets }
     }
+  };
+}
+
+// POST /api/sync - Appliquer un lot d'opérations hors-ligne puis renvoyer les changements serveur
+// Body: { syncToken?, operations: [{ clientId, type: 'budget.create'|'transaction.create'|'tontine.contribute', clientTimestamp?, payload }] }
+// Operations are applied one by one in batch order through the endpoint logic (cascade, journal, Day chain).
+// Conflicts are settled by that order: an operation that would overdraw a budget is rejected and the batch goes on;
+// operations referencing a rejected one are rejected with DEPENDENCY_REJECTED.
+app.post('/api/sync', asyncHandler(async (req, res) => {
+  const { error, value } = syncRequestSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      message: 'Erreur de validation',
+      errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+    });
+  }
+  const { since, after } = decodeSyncToken(value.syncToken);
+  const userId = req.user._id;
+  await ensureUserRollover(userId);
+
+  const createdInBatch = new Map();
+  const results = [];
+  for (const op of value.operations) {
+    results.push(await applySyncOperation(req, op, createdInBatch));
   }
-    
-}));
 
-// GET /api/transactions/id/:id - debug endpoint to fetch a transaction by id
-app.get('/api/transactions/id/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const tx = await Transaction.findById(id);
-  if (!tx) return res.status(404).json({ message: 'Transaction non trouvée' });
-  res.json({ success: true, transaction: { id: tx._id.toString(), userId: tx.userId.toString(), budgetId: tx.budgetId ? tx.budgetId.toString() : null, type: tx.type, amount: tx.amount, comment: tx.comment, date: tx.date, time: tx.time, createdAt: tx.createdAt } });
+  // Read the feed after applying: the client gets the server view of its own operations too
+  const readAt = new Date();
+  const feed = await buildSyncChanges(userId, since, after);
+  // Truncated feed: same `since`, resumed after the last transaction sent; complete feed: next changes after readAt,
+  // less the overlap for the writes still committing
+  const syncToken = feed.truncated ? encodeSyncToken(since, feed.lastTransaction) : encodeSyncToken(new Date(readAt.getTime() - SYNC_OVERLAP_MS));
+
+  res.json({
+    success: true,
+    results,
+    syncToken,
+    hasMoreChanges: feed.truncated,
+    changes: feed.changes
+  });
 }));
 
 // ============================================================================
 // ROUTES API - ADMIN
 // ============================================================================
 
+// Keys never copied into the audit log
+const AUDIT_REDACTED_KEYS = ['code', 'refreshToken', 'accessToken', 'token', 'subscription'];
+
+function redactForAudit(obj) {
+  if (!obj || typeof obj !== 'object') return obj;
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) out[k] = AUDIT_REDACTED_KEYS.includes(k) ? '[redacted]' : v;
+  return out;
+}
+
+// Record every /api/admin/* request (see auditAdminRequest)
+app.use('/api/admin', (req, res, next) => {
+  auditAdminRequest(req, res);
+  next();
+});
+
+// Admin guard tied to User.role, with a permission required from the caller's adminLevel
+function requireAdmin(permission, action) {
+  return (req, res, next) => {
+    req.auditAction = action;
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: 'Accès réservé aux administrateurs', code: 'FORBIDDEN_NOT_ADMIN' });
+    }
+    if (!hasAdminPermission(req.user, permission)) {
+      return res.status(403).json({ message: `Permission administrateur insuffisante (${permission})`, code: 'FORBIDDEN_ADMIN_PERMISSION' });
+    }
+    next();
+  };
+}
+
 // GET /api/admin/stats - Statistiques globales
-app.get('/api/admin/stats', async (req, res) => {
+app.get('/api/admin/stats', requireAdmin('admin:read', 'admin.stats.read'), async (req, res) => {
   try {
     const currentDate = getTodayDate();
     
@@ -2230,7 +5626,7 @@ app.get('/api/admin/stats', async (req, res) => {
 });
 
 // GET /api/admin/users - Liste des utilisateurs avec leurs données
-app.get('/api/admin/users', async (req, res) => {
+app.get('/api/admin/users', requireAdmin('admin:read', 'admin.users.list'), async (req, res) => {
   try {
     const currentDate = getTodayDate();
     
@@ -2265,6 +5661,111 @@ app.get('/api/admin/users', async (req, res) => {
   }
 });
 
+// PUT /api/admin/users/:id/role - Modifier le rôle / niveau admin d'un utilisateur (opérateur uniquement)
+app.put('/api/admin/users/:id/role', requireAdmin('admin:write', 'admin.users.role.update'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role, adminLevel } = req.body || {};
+  if (role && !['user', 'admin'].includes(role)) return res.status(400).json({ message: 'role doit être "user" ou "admin"' });
+  if (adminLevel && !Object.keys(ADMIN_PERMISSIONS).includes(adminLevel)) return res.status(400).json({ message: 'adminLevel doit être "analyst" ou "operator"' });
+  if (!role && !adminLevel) return res.status(400).json({ message: 'role ou adminLevel requis' });
+
+  const user = mongoose.isValidObjectId(id) ? await User.findById(id) : null;
+  if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+  req.auditTargetUserId = user._id;
+  if (sameId(user._id, req.user._id)) return res.status(400).json({ message: 'Impossible de modifier son propre rôle', code: 'ADMIN_SELF_UPDATE' });
+
+  if (role) user.role = role;
+  if (adminLevel) user.adminLevel = adminLevel;
+  await user.save();
+  res.json({ success: true, user: { id: user._id.toString(), name: user.name, role: user.role, adminLevel: user.role === 'admin' ? user.adminLevel : null } });
+}));
+
+// GET /api/admin/audit-log - Consulter le journal d'audit admin
+// Query params: adminId, action, targetUserId, from=YYYY-MM-DD, to=YYYY-MM-DD, limit (max 200), before (ISO date, pagination)
+app.get('/api/admin/audit-log', requireAdmin('admin:read', 'admin.audit.read'), asyncHandler(async (req, res) => {
+  const { adminId, action, targetUserId, from, to, before } = req.query;
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || 50, 10) || 50));
+
+  const filter = {};
+  if (adminId && mongoose.isValidObjectId(adminId)) filter.adminId = adminId;
+  if (targetUserId && mongoose.isValidObjectId(targetUserId)) filter.targetUserId = targetUserId;
+  if (action) filter.action = action;
+  const createdAt = {};
+  if (from) createdAt.$gte = new Date(`${from}T00:00:00.000Z`);
+  if (to) createdAt.$lte = new Date(`${to}T23:59:59.999Z`);
+  if (before) createdAt.$lt = new Date(before);
+  if (Object.keys(createdAt).length) filter.createdAt = createdAt;
+
+  const entries = await AdminAuditLog.find(filter).sort({ createdAt: -1 }).limit(limit);
+  res.json({
+    success: true,
+    entries: entries.map(e => ({
+      id: e._id.toString(),
+      adminId: e.adminId ? e.adminId.toString() : null,
+      adminLevel: e.adminLevel || null,
+      action: e.action,
+      method: e.method,
+      path: e.path,
+      params: e.params || {},
+      query: e.query || {},
+      body: e.body || null,
+      targetUserId: e.targetUserId ? e.targetUserId.toString() : null,
+      statusCode: e.statusCode,
+      createdAt: e.createdAt
+    })),
+    nextBefore: entries.length === limit ? entries[entries.length - 1].createdAt.toISOString() : null
+  });
+}));
+
+// Ledger verifier: replays each user's journal against budgets, transactions and Day totals (see ledger/)
+const ledgerVerifier = createLedgerVerifier({ Budget, JournalEntry, Transaction, Day, LedgerPosting, SavingsWallet });
+
+// GET /api/admin/ledger/verify - Vérifier le grand livre de tous les utilisateurs (résumé)
+// Query params: limit (max 500), after (userId, pagination), errorsOnly=true
+app.get('/api/admin/ledger/verify', requireAdmin('admin:read', 'admin.ledger.verify'), asyncHandler(async (req, res) => {
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit || 100, 10) || 100));
+  const filter = { role: 'user' };
+  if (req.query.after && mongoose.isValidObjectId(req.query.after)) filter._id = { $gt: req.query.after };
+  const users = await User.find(filter).sort({ _id: 1 }).limit(limit).select('_id name');
+
+  const results = [];
+  for (const u of users) {
+    const report = await ledgerVerifier.verifyUser(u._id);
+    if (req.query.errorsOnly === 'true' && report.ok) continue;
+    const byType = {};
+    for (const f of report.findings) byType[f.type] = (byType[f.type] || 0) + 1;
+    results.push({ userId: report.userId, name: u.name, ok: report.ok, findings: byType, repairable: report.repairable });
+  }
+  res.json({
+    success: true,
+    checkedUsers: users.length,
+    users: results,
+    nextAfter: users.length === limit ? users[users.length - 1]._id.toString() : null
+  });
+}));
+
+// GET /api/admin/ledger/verify/:userId - Rapport détaillé (dérives, trous, doublons, jours) + repairToken
+app.get('/api/admin/ledger/verify/:userId', requireAdmin('admin:read', 'admin.ledger.verify.user'), asyncHandler(async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.userId) ? await User.findById(req.params.userId) : null;
+  if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+  req.auditTargetUserId = user._id;
+  res.json({ success: true, report: await ledgerVerifier.verifyUser(user._id) });
+}));
+
+// POST /api/admin/ledger/repair/:userId - Réparer les écarts réparables du dernier rapport
+// Body: { repairToken } from GET /api/admin/ledger/verify/:userId; refused (409) if the ledger changed since.
+// Budget drift is realigned on the journal (with a 'ledger_repair' entry), Day totals on the transactions.
+app.post('/api/admin/ledger/repair/:userId', requireAdmin('admin:write', 'admin.ledger.repair'), asyncHandler(async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.userId) ? await User.findById(req.params.userId) : null;
+  if (!user) return res.status(404).json({ message: 'Utilisateur non trouvé' });
+  req.auditTargetUserId = user._id;
+  if (!req.body || !req.body.repairToken) return res.status(400).json({ message: 'repairToken requis (voir GET /api/admin/ledger/verify/:userId)' });
+
+  const { applied, report } = await ledgerVerifier.repairUser(user._id, req.body.repairToken);
+  logger.info('Ledger repair applied', { userId: user._id.toString(), adminId: req.user._id.toString(), applied: applied.length });
+  res.json({ success: true, applied, report });
+}));
+
 // ============================================================================
 // ROUTES UTILITAIRES
 // ============================================================================
@@ -2276,16 +5777,21 @@ app.post('/api/seed', asyncHandler(async (req, res) => {
     return res.status(403).json({ message: 'Endpoint de seeding désactivé en production' });
   }
 
-  // Nettoyer les données existantes
+  // Nettoyer les données existantes (les catégories système restent)
   await User.deleteMany({});
   await Budget.deleteMany({});
   await Transaction.deleteMany({});
   await Day.deleteMany({});
+  for (const model of [JournalEntry, LedgerPosting, Objective, Tontine, SavingsWallet, CategoryRule, PushSubscription, OtpChallenge, AuthSession, AdminAuditLog, IdempotencyKey]) {
+    await model.deleteMany({});
+  }
+  await Category.deleteMany({ userId: { $ne: null } });
   
   // Créer un utilisateur test
   const user = new User({
     name: 'Sophie Martin',
     email: 'sophie@example.com',
+    phoneNumber: '0700000001',
       role: 'user'
     });
     await user.save();
@@ -2294,7 +5800,9 @@ app.post('/api/seed', asyncHandler(async (req, res) => {
     const admin = new User({
       name: 'Admin',
       email: 'admin@example.com',
-      role: 'admin'
+      phoneNumber: '0700000000',
+      role: 'admin',
+      adminLevel: 'operator'
     });
     await admin.save();
     
@@ -2355,10 +5863,10 @@ app.post('/api/ai/advice', asyncHandler(async (req, res) => {
     } catch (e) {
       prompt = 'Donne des conseils financiers pratiques en francais basés sur le contexte utilisateur fourni.';
     }
-  } else if (userId) {
-    // Basic enrichment: fetch budgets, objectives and recent transactions for the user
+  } else {
+    // Basic enrichment: fetch budgets, objectives and recent transactions for the user (session user by default)
     try {
-      const resolved = await resolveUserId(userId).catch(() => null);
+      const resolved = await resolveRequestUserId(req, userId).catch(() => null);
       if (resolved) {
         const budgets = await Budget.find({ userId: resolved }).limit(10);
         const objectives = await Objective.find({ userId: resolved }).limit(5);
@@ -2372,15 +5880,13 @@ app.post('/api/ai/advice', asyncHandler(async (req, res) => {
     } catch (e) {
       prompt = 'Donne des recommandations financières générales et priorisées en francais.';
     }
-  } else {
-    prompt = 'Donne des recommandations financières générales et priorisées en francais.';
   }
 
   try {
     const advice = await getOpenAIAdvice(apiKey, prompt);
     // send push to user subscriptions if available
     try {
-      const resolved = userId ? await resolveUserId(userId).catch(() => null) : null;
+      const resolved = await resolveRequestUserId(req, userId).catch(() => null);
       if (resolved && VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
         // Save a short payload and send
         const payload = JSON.stringify({ title: 'Conseil Coach Financier', body: advice });
@@ -2411,13 +5917,19 @@ async function sendTontineContributionReminders() {
   if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
     return; // push not configured
   }
-  const today = getTodayDate();
+  // Members live in different timezones: query with a one-day margin, then check each member's local day
+  const serverToday = getTodayDate();
+  const margin = new Date(`${serverToday}T00:00:00Z`);
+  margin.setUTCDate(margin.getUTCDate() - 1);
+  const minDate = margin.toISOString().split('T')[0];
+  margin.setUTCDate(margin.getUTCDate() + 2);
+  const maxDate = margin.toISOString().split('T')[0];
 
   try {
     const tontines = await Tontine.find({
       $and: [
-        { $or: [{ endDate: null }, { endDate: { $gte: today } }] },
-        { $or: [{ startDate: null }, { startDate: { $lte: today } }] }
+        { $or: [{ endDate: null }, { endDate: { $gte: minDate } }] },
+        { $or: [{ startDate: null }, { startDate: { $lte: maxDate } }] }
       ]
     });
 
@@ -2425,31 +5937,29 @@ async function sendTontineContributionReminders() {
 
     for (const t of tontines) {
       const freq = t.frequency || 'monthly';
-      const start = t.startDate || today;
-
-      // determine if today is contribution day for this tontine
-      let shouldContributeToday = false;
-      const startDateObj = new Date(start);
-      const todayObj = new Date(today);
-
-      if (freq === 'once') {
-        shouldContributeToday = today === start;
-      } else if (freq === 'weekly') {
-        shouldContributeToday = todayObj.getDay() === startDateObj.getDay();
-      } else if (freq === 'monthly') {
-        shouldContributeToday = todayObj.getDate() === startDateObj.getDate();
-      }
 
-      if (!shouldContributeToday) continue;
+      // determine if the member's local day is a contribution day for this tontine
+      const isContributionDay = (today) => {
+        const start = t.startDate || today;
+        if (start > today || (t.endDate && t.endDate < today)) return false;
+        const startDateObj = new Date(`${start}T00:00:00Z`);
+        const todayObj = new Date(`${today}T00:00:00Z`);
+        if (freq === 'once') return today === start;
+        if (freq === 'weekly') return todayObj.getUTCDay() === startDateObj.getUTCDay();
+        if (freq === 'monthly') return todayObj.getUTCDate() === startDateObj.getUTCDate();
+        return false;
+      };
 
       let membersChanged = false;
       for (const m of t.members || []) {
         if (!m.userId) continue;
-        if (m.lastReminderDate === today) continue; // already reminded today
 
         try {
           const u = await User.findById(m.userId);
           if (!u) continue;
+          const today = getTodayDate(getUserTimezone(u));
+          if (!isContributionDay(today)) continue;
+          if (m.lastReminderDate === today) continue; // already reminded today
           // Respect user preferences: require reminders enabled
           if (u.preferences && u.preferences.reminders === false) continue;
 
@@ -2514,9 +6024,8 @@ app.get('/api/push/vapidPublicKey', asyncHandler(async (req, res) => {
 // POST /api/push/subscribe - save a PushSubscription for a user
 app.post('/api/push/subscribe', asyncHandler(async (req, res) => {
   const { userId, subscription } = req.body || {};
-  if (!userId || !subscription) return res.status(400).json({ success: false, message: 'userId and subscription are required' });
-  const resolvedUserId = await resolveUserId(userId).catch(() => null);
-  if (!resolvedUserId) return res.status(404).json({ success: false, message: 'User not found' });
+  if (!subscription) return res.status(400).json({ success: false, message: 'subscription is required' });
+  const resolvedUserId = await resolveRequestUserId(req, userId);
   try {
     // upsert subscription (avoid duplicates)
     const existing = await PushSubscription.findOne({ userId: resolvedUserId, 'subscription.endpoint': subscription.endpoint });
@@ -2537,9 +6046,8 @@ app.post('/api/push/subscribe', asyncHandler(async (req, res) => {
 // POST /api/push/unsubscribe - remove a PushSubscription for a user
 app.post('/api/push/unsubscribe', asyncHandler(async (req, res) => {
   const { userId, endpoint } = req.body || {};
-  if (!userId || !endpoint) return res.status(400).json({ success: false, message: 'userId and endpoint are required' });
-  const resolvedUserId = await resolveUserId(userId).catch(() => null);
-  if (!resolvedUserId) return res.status(404).json({ success: false, message: 'User not found' });
+  if (!endpoint) return res.status(400).json({ success: false, message: 'endpoint is required' });
+  const resolvedUserId = await resolveRequestUserId(req, userId);
 
   try {
     const removed = await PushSubscription.deleteMany({ userId: resolvedUserId, 'subscription.endpoint': endpoint });
@@ -2563,6 +6071,11 @@ app.use((err, req, res, next) => {
     });
   }
   
+  // Erreurs métier levées via httpError (statut + code stable)
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ message: err.message, code: err.code });
+  }
+
   // Erreurs MongoDB
   if (err.name === 'MongoError') {
     return res.status(400).json({ message: 'Erreur base de données', error: err.message });
@@ -2625,6 +6138,15 @@ async function startServer() {
           logger.warn('Tontine reminder scheduler error', err && err.message ? err.message : err);
         });
       }, intervalMs);
+
+      // Period rollover engine (daily / weekly / monthly refills). Idempotent per period.
+      const rolloverMinutes = Number(process.env.ROLLOVER_INTERVAL_MINUTES || 15);
+      const rolloverIntervalMs = Math.max(1, rolloverMinutes) * 60 * 1000;
+      const runRollovers = () => runScheduledRollovers().catch(err => {
+        logger.warn('Rollover scheduler error', err && err.message ? err.message : err);
+      });
+      runRollovers();
+      setInterval(runRollovers, rolloverIntervalMs);
     });
   } catch (error) {
     console.error('❌ Erreur au démarrage du serveur:', error);
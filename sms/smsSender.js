@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = global.fetch || require('node-fetch');
+
+// Local stand-in: print the message on the server console (development only).
+function createConsoleSender() {
+  return {
+    name: 'console',
+    async send(to, message) {
+      console.log(`📱 SMS -> ${to}: ${message}`);
+      return { provider: 'console', delivered: true };
+    }
+  };
+}
+
+// Local stand-in: append one JSON line per message to a file (used by tests to read OTP codes).
+function createFileSender(filePath) {
+  const target = path.resolve(filePath || path.join(process.cwd(), 'logs', 'sms_outbox.log'));
+  return {
+    name: 'file',
+    file: target,
+    async send(to, message) {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(target, line + '\n');
+      return { provider: 'file', delivered: true };
+    }
+  };
+}
+
+// Generic HTTP gateway: POST { to, message } to SMS_HTTP_URL with an optional bearer token.
+function createHttpSender(url, token) {
+  if (!url) throw new Error('SMS_HTTP_URL missing');
+  return {
+    name: 'http',
+    async send(to, message) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+      const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify({ to, message }) });
+      if (!res.ok) {
+        const text = await res.text();
+        throw new Error(`SMS gateway error: ${res.status} ${text}`);
+      }
+      return { provider: 'http', delivered: true };
+    }
+  };
+}
+
+// Build the SMS sender selected by SMS_PROVIDER ('console' | 'file' | 'http').
+function createSmsSender(env = process.env) {
+  const provider = (env.SMS_PROVIDER || 'console').toLowerCase();
+  if (provider === 'file') return createFileSender(env.SMS_OUTBOX_FILE);
+  if (provider === 'http') return createHttpSender(env.SMS_HTTP_URL, env.SMS_HTTP_TOKEN);
+  return createConsoleSender();
+}
+
+module.exports = { createSmsSender, createConsoleSender, createFileSender, createHttpSender };
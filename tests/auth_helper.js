@@ -0,0 +1,57 @@
+// Shared login and request helpers for the integration tests.
+// The server must run with SMS_PROVIDER=file so OTP codes can be read back from the outbox file:
+//   SMS_PROVIDER=file SMS_OUTBOX_FILE=logs/sms_outbox.log node serve.js
+const fs = require('fs');
+const path = require('path');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+const OUTBOX = path.resolve(process.env.SMS_OUTBOX_FILE || path.join(__dirname, '..', 'logs', 'sms_outbox.log'));
+
+function readLastOtp(phoneNumber) {
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  if (!fs.existsSync(OUTBOX)) return null;
+  const lines = fs.readFileSync(OUTBOX, 'utf8').trim().split('\n').reverse();
+  for (const line of lines) {
+    try {
+      const msg = JSON.parse(line);
+      if (msg.to === digits) {
+        const m = String(msg.message).match(/\b(\d{6})\b/);
+        if (m) return m[1];
+      }
+    } catch (e) {}
+  }
+  return null;
+}
+
+// Request an OTP, read it from the outbox and exchange it for tokens
+async function loginWithOtp(phoneNumber, api = API) {
+  let resp = await fetch(`${api}/auth/otp/request`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ phoneNumber }) });
+  if (!resp.ok) throw new Error('OTP request failed: ' + resp.status + ' ' + await resp.text());
+  const code = readLastOtp(phoneNumber);
+  if (!code) throw new Error(`No OTP found for ${phoneNumber} in ${OUTBOX} (is SMS_PROVIDER=file set on the server?)`);
+  resp = await fetch(`${api}/auth/otp/verify`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ phoneNumber, code }) });
+  const json = await resp.json();
+  if (!resp.ok) throw new Error('OTP verify failed: ' + JSON.stringify(json));
+  return json;
+}
+
+function authHeaders(accessToken) {
+  return { 'Content-Type': 'application/json', 'Authorization': `Bearer ${accessToken}` };
+}
+
+// JSON request against the API: { status, headers, body }
+async function call(method, path, headers, body, api = API) {
+  const resp = await fetch(`${api}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  return { status: resp.status, headers: resp.headers, body: await resp.json() };
+}
+
+// Register a user (default budgets on a 200000 salary unless `fields` says otherwise) and log them in
+async function registerAndLogin(phoneNumber, fields = {}, api = API) {
+  const body = { phoneNumber, firstName: 'Test', lastName: 'User', primaryIncomeAmount: 200000, createDefaultBudgets: true, ...fields };
+  const r = await call('POST', '/register', { 'Content-Type': 'application/json' }, body, api);
+  if (r.status !== 201) throw new Error('register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phoneNumber, api);
+  return { userId: session.user.id, headers: authHeaders(session.accessToken), session };
+}
+
+module.exports = { loginWithOtp, readLastOtp, authHeaders, call, registerAndLogin };
@@ -1,4 +1,5 @@
 import fetch from 'node-fetch';
+import { loginWithOtp, authHeaders } from './auth_helper.js';
 
 const API = 'http://localhost:3000/api';
 
@@ -13,32 +14,30 @@ async function run() {
     userId = reg.userId;
     console.log('Created user:', userId);
   } else if (regResp.status === 409) {
-    // user exists — fetch by phone
-    console.log('User exists, fetching by phone...');
-    const uResp = await fetch(`${API}/user-by-phone/${phone}`);
-    const ujson = await uResp.json();
-    userId = ujson.user.id;
-    console.log('Resolved existing user id:', userId);
+    console.log('User exists, logging in...');
   } else {
     console.error('Registration failed:', reg);
     process.exit(1);
   }
+  const session = await loginWithOtp(phone, API);
+  userId = session.user.id;
+  const headers = authHeaders(session.accessToken);
 
   // 2) dashboard before
   console.log('--- DASHBOARD BEFORE ---');
-  const dashBeforeResp = await fetch(`${API}/dashboard/${userId}`);
+  const dashBeforeResp = await fetch(`${API}/dashboard/${userId}`, { headers });
   const dashBefore = await dashBeforeResp.json();
   console.log(JSON.stringify(dashBefore, null, 2));
   const argentBefore = dashBefore.argent_en_poche;
   console.log('argent_en_poche BEFORE:', argentBefore);
 
   // 3) get budgets
-  const budgetsResp = await fetch(`${API}/budgets/${userId}`);
+  const budgetsResp = await fetch(`${API}/budgets/${userId}`, { headers });
   const budgetsData = await budgetsResp.json();
   let bud = (budgetsData.budgets || []).find(b => b.frequency === 'daily');
   if (!bud) {
     console.log('No daily budget found - creating one');
-    const bResp = await fetch(`${API}/budgets`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ userId, name: 'E2E Daily', amount: 1500, frequency: 'daily' }) });
+    const bResp = await fetch(`${API}/budgets`, { method: 'POST', headers, body: JSON.stringify({ userId, name: 'E2E Daily', amount: 1500, frequency: 'daily' }) });
     const bjson = await bResp.json();
     bud = bjson.budget;
     console.log('Created budget', bud.id);
@@ -47,13 +46,13 @@ async function run() {
   console.log('Using budgetId:', budgetId, 'freq:', bud.frequency, 'amount:', bud.amount);
 
   // 4) post transaction
-  const txResp = await fetch(`${API}/transactions`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ userId, type: 'expense', amount: 1500, comment: 'E2E daily test', budgetId }) });
+  const txResp = await fetch(`${API}/transactions`, { method: 'POST', headers, body: JSON.stringify({ userId, type: 'expense', amount: 1500, comment: 'E2E daily test', budgetId }) });
   const txJson = await txResp.json();
   console.log('Transaction response:', txJson);
 
   // 5) dashboard after
   console.log('--- DASHBOARD AFTER ---');
-  const dashAfterResp = await fetch(`${API}/dashboard/${userId}`);
+  const dashAfterResp = await fetch(`${API}/dashboard/${userId}`, { headers });
   const dashAfter = await dashAfterResp.json();
   console.log(JSON.stringify(dashAfter, null, 2));
   const argentAfter = dashAfter.argent_en_poche;
@@ -61,7 +60,7 @@ async function run() {
 
   // 6) day
   console.log('--- DAY ---');
-  const dayResp = await fetch(`${API}/days/${userId}`);
+  const dayResp = await fetch(`${API}/days/${userId}`, { headers });
   const dayJson = await dayResp.json();
   console.log(JSON.stringify(dayJson, null, 2));
 
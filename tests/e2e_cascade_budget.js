@@ -3,8 +3,10 @@
 // Test E2E : vérifier que les dépenses en cascade réduisent jour/semaine/mois
 
 const http = require('http');
+const { loginWithOtp } = require('./auth_helper');
 
 const API_BASE = 'http://localhost:3000';
+let accessToken = null;
 
 function request(method, path, body = null) {
   return new Promise((resolve, reject) => {
@@ -15,7 +17,8 @@ function request(method, path, body = null) {
       port: url.port,
       path: url.pathname + url.search,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {})
       }
     };
 
@@ -51,6 +54,7 @@ async function test() {
     });
     const userId = regRes.userId;
     console.log(`✅ User registered: ${userId}\n`);
+    accessToken = (await loginWithOtp('5551234567', `${API_BASE}/api`)).accessToken;
 
     // 2. Fetch initial budgets
     console.log('2️⃣  Fetching initial budgets...');
@@ -0,0 +1,68 @@
+// Integration test: /api/admin/* is restricted to admins, analysts are read-only (also on users' data), and access is audited.
+// WARNING: calls POST /api/seed, which wipes users/budgets — run against a development database only.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call, registerAndLogin } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function run() {
+  console.log('Starting admin access test against', API);
+
+  let r = await call('POST', '/seed', { 'Content-Type': 'application/json' });
+  assert.strictEqual(r.status, 200, 'seed failed: ' + JSON.stringify(r.body));
+
+  r = await call('GET', '/admin/stats', {});
+  assert.strictEqual(r.status, 401, 'anonymous access must be refused');
+
+  // Seeded regular user
+  const userSession = await loginWithOtp('0700000001', API);
+  const user = authHeaders(userSession.accessToken);
+  r = await call('GET', '/admin/stats', user);
+  assert.strictEqual(r.status, 403);
+  assert.strictEqual(r.body.code, 'FORBIDDEN_NOT_ADMIN');
+
+  // Seeded operator
+  const operator = authHeaders((await loginWithOtp('0700000000', API)).accessToken);
+  r = await call('GET', '/admin/stats', operator);
+  assert.strictEqual(r.status, 200, 'operator stats failed: ' + JSON.stringify(r.body));
+  r = await call('GET', '/admin/users', operator);
+  assert.strictEqual(r.status, 200);
+
+  // Promote the user to analyst: reads allowed, writes refused
+  r = await call('PUT', `/admin/users/${userSession.user.id}/role`, operator, { role: 'admin', adminLevel: 'analyst' });
+  assert.strictEqual(r.status, 200, 'role update failed: ' + JSON.stringify(r.body));
+  r = await call('GET', '/admin/stats', user);
+  assert.strictEqual(r.status, 200, 'analyst should read stats');
+  r = await call('PUT', `/admin/users/${userSession.user.id}/role`, user, { adminLevel: 'operator' });
+  assert.strictEqual(r.status, 403);
+  assert.strictEqual(r.body.code, 'FORBIDDEN_ADMIN_PERMISSION');
+
+  // Another user's data through the regular routes: the analyst reads but cannot write, the operator can
+  const other = await registerAndLogin('798' + String(Date.now()).slice(-7), { firstName: 'Admin', lastName: 'Target' });
+  r = await call('GET', `/budgets/${other.userId}`, user);
+  assert.strictEqual(r.status, 200, 'analyst should read user budgets');
+  const weekly = r.body.budgets.find(b => b.frequency === 'weekly');
+  r = await call('PUT', `/budgets/${weekly.id}`, user, { name: 'Renommé' });
+  assert.strictEqual(r.status, 403);
+  assert.strictEqual(r.body.code, 'FORBIDDEN_ADMIN_PERMISSION');
+  r = await call('POST', '/transactions', user, { userId: other.userId, type: 'expense', amount: 100, comment: 'test', budgetId: weekly.id });
+  assert.strictEqual(r.status, 403);
+  r = await call('PUT', `/budgets/${weekly.id}`, operator, { name: 'Renommé' });
+  assert.strictEqual(r.status, 200, 'operator write failed: ' + JSON.stringify(r.body));
+
+  // Audit log has the reads, the write and the denied attempt
+  r = await call('GET', '/admin/audit-log?limit=50', operator);
+  assert.strictEqual(r.status, 200);
+  const actions = r.body.entries.map(e => `${e.action}:${e.statusCode}`);
+  assert(actions.includes('admin.stats.read:200'), 'stats read not audited');
+  assert(actions.includes('admin.users.role.update:200'), 'role update not audited');
+  assert(actions.includes('admin.users.role.update:403'), 'denied write not audited');
+  assert(actions.includes('admin.userData.read:200'), 'user data read not audited');
+  assert(actions.includes('admin.userData.write:403'), 'denied user data write not audited');
+  assert(actions.includes('admin.userData.write:200'), 'user data write not audited');
+
+  console.log('\nAll admin access tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,71 @@
+// Integration test: phone OTP login, session tokens and refresh rotation.
+// Run the server with SMS_PROVIDER=file so the OTP can be read from the outbox file.
+const assert = require('assert');
+const { readLastOtp, authHeaders } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function post(path, body, headers = { 'Content-Type': 'application/json' }) {
+  const resp = await fetch(`${API}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+  return { status: resp.status, body: await resp.json() };
+}
+
+async function run() {
+  console.log('Starting auth OTP test against', API);
+  const phone = '770' + String(Date.now()).slice(-7);
+
+  let r = await post('/register', { phoneNumber: phone, firstName: 'Auth', lastName: 'Tester' });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const userId = r.body.userId;
+
+  // Protected routes refuse anonymous calls
+  let resp = await fetch(`${API}/dashboard/${userId}`);
+  assert.strictEqual(resp.status, 401, 'dashboard must require a session');
+
+  r = await post('/auth/otp/request', { phoneNumber: phone });
+  assert.strictEqual(r.status, 200, 'otp request failed: ' + JSON.stringify(r.body));
+
+  // Cooldown: an immediate second request is refused
+  r = await post('/auth/otp/request', { phoneNumber: phone });
+  assert.strictEqual(r.status, 429, 'second otp request should hit the cooldown');
+
+  const code = readLastOtp(phone);
+  assert(code, 'OTP not found in outbox');
+
+  r = await post('/auth/otp/verify', { phoneNumber: phone, code: code === '000000' ? '111111' : '000000' });
+  assert.strictEqual(r.status, 401, 'wrong code must be rejected');
+
+  r = await post('/auth/otp/verify', { phoneNumber: phone, code });
+  assert.strictEqual(r.status, 200, 'verify failed: ' + JSON.stringify(r.body));
+  const { accessToken, refreshToken } = r.body;
+  assert(accessToken && refreshToken, 'tokens missing');
+  assert.strictEqual(r.body.user.id, userId);
+
+  // Same code cannot be used twice
+  r = await post('/auth/otp/verify', { phoneNumber: phone, code });
+  assert.strictEqual(r.status, 401, 'consumed code must be rejected');
+
+  resp = await fetch(`${API}/dashboard/${userId}`, { headers: authHeaders(accessToken) });
+  assert.strictEqual(resp.status, 200, 'dashboard with token failed');
+
+  // Another user's id is refused even with a valid session
+  resp = await fetch(`${API}/dashboard/000000000000000000000000`, { headers: authHeaders(accessToken) });
+  assert.strictEqual(resp.status, 403, 'foreign userId must be refused');
+
+  // Refresh rotates the token; replaying the old one revokes the session family
+  r = await post('/auth/refresh', { refreshToken });
+  assert.strictEqual(r.status, 200, 'refresh failed: ' + JSON.stringify(r.body));
+  const rotated = r.body.refreshToken;
+  assert.notStrictEqual(rotated, refreshToken);
+
+  r = await post('/auth/refresh', { refreshToken });
+  assert.strictEqual(r.status, 401, 'replayed refresh token must be rejected');
+  assert.strictEqual(r.body.code, 'AUTH_TOKEN_REUSED');
+
+  r = await post('/auth/refresh', { refreshToken: rotated });
+  assert.strictEqual(r.status, 401, 'sessions must be revoked after reuse detection');
+
+  console.log('\nAll auth tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
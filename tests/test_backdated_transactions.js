@@ -0,0 +1,66 @@
+// Integration test: backdated transactions land on their own Day and the pocket chain is recomputed forward.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+function shiftDate(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+async function run() {
+  console.log('Starting backdated transactions test against', API);
+  const phone = '775' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Back', lastName: 'Dated', primaryIncomeAmount: 200000, createDefaultBudgets: true, timezone: 'UTC' });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  r = await call('GET', `/budgets/${userId}`, headers);
+  const daily = r.body.budgets.find(b => b.frequency === 'daily');
+
+  // Today's Day exists with a gain
+  r = await call('POST', '/transactions', headers, { type: 'gain', amount: 5000, comment: 'vente', budgetId: daily.id });
+  assert.strictEqual(r.status, 201, 'gain failed: ' + JSON.stringify(r.body));
+  const today = r.body.transaction.date;
+  const yesterday = shiftDate(today, -1);
+
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 100, comment: 'futur', budgetId: daily.id, transactionDate: shiftDate(today, 1) });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'TRANSACTION_DATE_FUTURE');
+
+  // Impossible calendar dates are refused instead of rolling over to the next month
+  for (const transactionDate of [`${today.slice(0, 4)}-02-30`, `${today.slice(0, 4)}-04-31T08:00:00Z`]) {
+    r = await call('POST', '/transactions', headers, { type: 'expense', amount: 100, comment: 'date impossible', budgetId: daily.id, transactionDate });
+    assert.strictEqual(r.status, 400, transactionDate + ': ' + JSON.stringify(r.body));
+    assert.strictEqual(r.body.code, 'TRANSACTION_DATE_INVALID');
+  }
+
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 700, comment: 'taxi oublié', budgetId: daily.id, transactionDate: yesterday });
+  if (yesterday.slice(0, 7) !== today.slice(0, 7)) {
+    // First day of the month: yesterday belongs to the closed monthly period
+    assert.strictEqual(r.status, 403);
+    assert.strictEqual(r.body.code, 'PERIOD_CLOSED');
+    console.log('\nBackdated test: closed period refusal verified (first day of month).');
+    return;
+  }
+  assert.strictEqual(r.status, 201, 'backdated post failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.transaction.date, yesterday);
+
+  // Yesterday's Day holds the expense and today's initialPocket follows its finalPocket
+  r = await call('GET', `/days/${userId}`, headers);
+  assert.strictEqual(r.status, 200);
+  const prev = r.body.history.find(d => d.date === yesterday);
+  assert(prev, 'backdated Day missing from history');
+  assert.strictEqual(prev.expenses, 700);
+  assert.strictEqual(r.body.today.initialPocket, prev.finalPocket);
+  assert.strictEqual(r.body.today.finalPocket, prev.finalPocket + 5000);
+
+  console.log('\nAll backdated transaction tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
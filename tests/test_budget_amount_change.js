@@ -0,0 +1,62 @@
+// Integration test: PUT /api/budgets/:id with a new amount re-allocates the delta between the budget and its parent, journaled.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function remaining(headers, userId) {
+  const r = await call('GET', `/budgets/${userId}`, headers);
+  const byFreq = {};
+  for (const b of r.body.budgets) byFreq[b.frequency] = b;
+  return byFreq;
+}
+
+async function run() {
+  console.log('Starting budget amount change test against', API);
+  const phone = '792' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Amount', lastName: 'Change', primaryIncomeAmount: 200000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+  const start = await remaining(headers, userId);
+
+  // Lowering the weekly budget gives the difference back to the primary monthly budget
+  r = await call('PUT', `/budgets/${start.weekly.id}`, headers, { amount: start.weekly.amount - 5000 });
+  assert.strictEqual(r.status, 200, 'update failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.budget.amount, start.weekly.amount - 5000);
+  assert.strictEqual(r.body.budget.initialAmount, start.weekly.amount - 5000);
+  let now = await remaining(headers, userId);
+  assert.strictEqual(now.weekly.remaining, start.weekly.remaining - 5000);
+  assert.strictEqual(now.monthly.remaining, start.monthly.remaining + 5000);
+
+  // Raising the daily budget takes the difference from the weekly one
+  const before = now;
+  r = await call('PUT', `/budgets/${start.daily.id}`, headers, { amount: 6000 });
+  assert.strictEqual(r.status, 200, 'update failed: ' + JSON.stringify(r.body));
+  r = await call('PUT', `/budgets/${start.daily.id}`, headers, { amount: 6400 });
+  assert.strictEqual(r.status, 200, 'update failed: ' + JSON.stringify(r.body));
+  now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, before.daily.remaining - (start.daily.amount - 6400));
+  assert.strictEqual(now.weekly.remaining, before.weekly.remaining + (start.daily.amount - 6400));
+  assert.strictEqual(now.monthly.remaining, before.monthly.remaining, 'the grandparent is not touched');
+
+  // Refused: above the hierarchy cap, or lowering below what is left in the envelope
+  r = await call('PUT', `/budgets/${start.weekly.id}`, headers, { amount: 1000000 });
+  assert.strictEqual(r.status, 400);
+  await call('POST', '/transactions', headers, { type: 'expense', amount: now.daily.remaining - 500, comment: 'courses', budgetId: start.daily.id });
+  r = await call('PUT', `/budgets/${start.daily.id}`, headers, { amount: 1000 });
+  assert.strictEqual(r.status, 400);
+  const after = await remaining(headers, userId);
+  assert.strictEqual(after.daily.amount, 6400, 'a refused change leaves the budget as it was');
+
+  // Each change is journaled with both budgets
+  r = await call('GET', `/ledger/${userId}?ruleApplied=budget_amount_change`, headers);
+  assert.strictEqual(r.body.entries.length, 3);
+  assert(r.body.entries.every(e => e.movements.length === 2));
+
+  console.log('\nAll budget amount change tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,99 @@
+// Integration test: DELETE /api/budgets/:id refunds the parent, reassigns or archives transactions, split lines and tontine links, journaled.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function remaining(headers, userId) {
+  const r = await call('GET', `/budgets/${userId}`, headers);
+  const byName = {};
+  for (const b of r.body.budgets) byName[b.frequency === 'monthly' ? 'monthly' : b.name] = b;
+  return byName;
+}
+
+async function run() {
+  console.log('Starting budget deletion test against', API);
+  const phone = '793' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Budget', lastName: 'Deletion', primaryIncomeAmount: 200000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  // Room for more envelopes: together the weekly budgets stay within salary / 4
+  r = await call('GET', `/budgets/${userId}`, headers);
+  const pocket = r.body.budgets.find(b => b.name === 'ARGENT PAR SEMAINE');
+  r = await call('PUT', `/budgets/${pocket.id}`, headers, { amount: pocket.amount - 10000 });
+  assert.strictEqual(r.status, 200, 'update failed: ' + JSON.stringify(r.body));
+
+  // A weekly envelope drawn from the monthly budget, with an expense and a linked tontine
+  r = await call('POST', '/budgets', headers, { name: 'Loyer', amount: 5000, frequency: 'weekly' });
+  assert.strictEqual(r.status, 201, 'budget create failed: ' + JSON.stringify(r.body));
+  const loyerId = r.body.budget.id;
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 1000, comment: 'avance loyer', budgetId: loyerId });
+  const txId = r.body.transaction.id;
+  await call('POST', '/tontines', headers, { name: 'Quartier', contributionAmount: 1000, budgetId: loyerId });
+  const before = await remaining(headers, userId);
+  const weekly = before['ARGENT PAR SEMAINE'];
+
+  // Refused: the primary budget, reassigning to the deleted budget itself...
+  r = await call('DELETE', `/budgets/${before.monthly.id}`, headers);
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'PRIMARY_BUDGET');
+  r = await call('DELETE', `/budgets/${loyerId}?reassignTo=${loyerId}`, headers);
+  assert.strictEqual(r.status, 400);
+  // ... or a weekly budget its daily budget is still drawn from
+  r = await call('DELETE', `/budgets/${weekly.id}`, headers);
+  assert.strictEqual(r.status, 409);
+  assert.strictEqual(r.body.code, 'BUDGET_HAS_CHILDREN');
+
+  // Reassign: the balance goes back to the monthly budget, the transaction and tontine follow the weekly one
+  r = await call('DELETE', `/budgets/${loyerId}?reassignTo=${weekly.id}`, headers);
+  assert.strictEqual(r.status, 200, 'delete failed: ' + JSON.stringify(r.body));
+  assert.deepStrictEqual(r.body.refund, { amount: 4000, budgetId: before.monthly.id });
+  assert.strictEqual(r.body.transactions, 1);
+  assert.strictEqual(r.body.tontines, 1);
+  let now = await remaining(headers, userId);
+  assert.strictEqual(now.Loyer, undefined);
+  assert.strictEqual(now.monthly.remaining, before.monthly.remaining + 4000);
+  r = await call('GET', `/transactions/id/${txId}`, headers);
+  assert.strictEqual(r.body.transaction.budgetId, weekly.id);
+
+  // Deleting the transaction afterwards only credits the budgets that still exist
+  r = await call('DELETE', `/transactions/${txId}`, headers);
+  assert.strictEqual(r.status, 200, 'transaction delete failed: ' + JSON.stringify(r.body));
+  const after = await remaining(headers, userId);
+  assert.strictEqual(after.monthly.remaining, now.monthly.remaining + 1000);
+  assert.strictEqual(after[weekly.name].remaining, now[weekly.name].remaining);
+
+  // Archive: without reassignTo the transaction keeps the name of the deleted budget
+  r = await call('POST', '/budgets', headers, { name: 'Santé', amount: 3000, frequency: 'weekly' });
+  const santeId = r.body.budget.id;
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 500, comment: 'pharmacie', budgetId: santeId });
+  const archivedTxId = r.body.transaction.id;
+  r = await call('POST', '/transactions', headers, { type: 'expense', comment: 'courses + pharmacie', lines: [{ budgetId: weekly.id, amount: 300 }, { budgetId: santeId, amount: 200 }] });
+  assert.strictEqual(r.status, 201, 'split create failed: ' + JSON.stringify(r.body));
+  const splitTxId = r.body.transaction.id;
+  r = await call('DELETE', `/budgets/${santeId}`, headers);
+  assert.strictEqual(r.status, 200, 'delete failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.splitTransactions, 1);
+  r = await call('GET', `/transactions/id/${archivedTxId}`, headers);
+  assert.strictEqual(r.body.transaction.budgetId, null);
+  assert.deepStrictEqual(r.body.transaction.archivedBudget, { budgetId: santeId, name: 'Santé' });
+  // ... and so does its split line; the other line keeps its budget
+  r = await call('GET', `/transactions/id/${splitTxId}`, headers);
+  const [kept, archivedLine] = r.body.transaction.lines;
+  assert.strictEqual(kept.budgetId, weekly.id);
+  assert.strictEqual(kept.archivedBudget, null);
+  assert.strictEqual(archivedLine.budgetId, null);
+  assert.deepStrictEqual(archivedLine.archivedBudget, { budgetId: santeId, name: 'Santé' });
+
+  // Both deletions are journaled
+  r = await call('GET', `/ledger/${userId}?ruleApplied=budget_deletion`, headers);
+  assert.strictEqual(r.body.entries.length, 2);
+
+  console.log('\nAll budget deletion tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
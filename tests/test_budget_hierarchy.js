@@ -1,6 +1,8 @@
 const http = require('http');
+const { loginWithOtp } = require('./auth_helper');
 
 const BASE_URL = 'http://localhost:3000/api';
+let accessToken = null;
 
 function makeRequest(method, path, body = null) {
   return new Promise((resolve, reject) => {
@@ -11,7 +13,8 @@ function makeRequest(method, path, body = null) {
       path: fullPath,
       method,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {})
       }
     };
 
@@ -60,6 +63,7 @@ async function test() {
 
   const userId = registerRes.body.userId;
   console.log(`✅ Utilisateur créé: ${userId}\n`);
+  accessToken = (await loginWithOtp('1234567890', BASE_URL)).accessToken;
 
   // 2. Récupérer les budgets par défaut
   console.log('2️⃣ Récupérer les budgets par défaut...');
@@ -79,8 +83,12 @@ async function test() {
   console.log(`  Max hebdo: ${maxWeekly} XOF (mensuel / 4)`);
   console.log(`  Max journalier: ${maxDaily.toFixed(0)} XOF (mensuel / 28)\n`);
 
+  // Les enveloppes hebdo sont plafonnées ensemble (mensuel / 4): l'enveloppe par défaut libère 50 000 XOF
+  const defaultWeekly = budgetsRes.body.budgets.find(b => b.frequency === 'weekly');
+  await makeRequest('PUT', `/budgets/${defaultWeekly.id}`, { amount: defaultWeekly.amount - 50000 });
+
   // 3. Tester la création d'un budget hebdo VALIDE
-  console.log('3️⃣ Créer budget hebdomadaire VALIDE (50 000 XOF < 100 000 max)...');
+  console.log('3️⃣ Créer budget hebdomadaire VALIDE (50 000 XOF, total 100 000 max)...');
   const validWeeklyRes = await makeRequest('POST', '/budgets', {
     userId,
     name: 'Budget Hebdo Valide',
@@ -109,6 +117,21 @@ async function test() {
     console.error('❌ Devrait avoir été rejeté mais a été accepté\n');
   }
 
+  // 4b. Total des enveloppes hebdo au-delà de mensuel / 4
+  console.log('4️⃣b Essayer de créer budget hebdomadaire au-delà du total (10 000 XOF, 100 000 déjà alloués)...');
+  const overTotalRes = await makeRequest('POST', '/budgets', {
+    userId,
+    name: 'Budget Hebdo En Trop',
+    amount: 10000,
+    frequency: 'weekly'
+  });
+
+  if (overTotalRes.status === 400) {
+    console.log(`✅ Rejeté correctement: "${overTotalRes.body.message}"\n`);
+  } else {
+    console.error('❌ Devrait avoir été rejeté mais a été accepté\n');
+  }
+
   // 5. Tester la création d'un budget journalier VALIDE
   console.log('5️⃣ Créer budget journalier VALIDE (500 XOF < 14 285 max)...');
   const validDailyRes = await makeRequest('POST', '/budgets', {
@@ -0,0 +1,65 @@
+// Integration test: period rollover of the envelopes under each preferences.rolloverPolicy, journaled, never run twice.
+// The day boundary is crossed by moving the user from UTC-11 to UTC+14 (always the next calendar day).
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { call, registerAndLogin } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+// A user whose daily envelope has 1000 spent, moved to the next day under `policy`. Returns the rollovers run.
+async function rollOneDay(phone, policy) {
+  const user = await registerAndLogin(phone, { firstName: 'Rollover', lastName: 'Test', timezone: 'Pacific/Pago_Pago' });
+  let r = await call('GET', `/budgets/${user.userId}`, user.headers);
+  const daily = r.body.budgets.find(b => b.frequency === 'daily');
+  r = await call('POST', '/transactions', user.headers, { type: 'expense', amount: 1000, comment: 'repas', budgetId: daily.id });
+  assert.strictEqual(r.status, 201, 'expense failed: ' + JSON.stringify(r.body));
+  r = await call('PUT', `/users/${user.userId}/preferences`, user.headers, { rolloverPolicy: policy, timezone: 'Pacific/Kiritimati' });
+  assert.strictEqual(r.status, 200, 'preferences failed: ' + JSON.stringify(r.body));
+  return { user, daily };
+}
+
+async function run() {
+  console.log('Starting budget rollover test against', API);
+  const base = String(Date.now()).slice(-7);
+
+  // return_to_parent: the leftover goes back to the weekly envelope, which pays the full refill
+  let { user, daily } = await rollOneDay('799' + base, 'return_to_parent');
+  let r = await call('POST', '/budgets/rollover', user.headers, {});
+  assert.strictEqual(r.status, 200, 'rollover failed: ' + JSON.stringify(r.body));
+  let rolled = r.body.rollovers.find(x => x.budgetId === daily.id);
+  assert.strictEqual(rolled.policy, 'return_to_parent');
+  assert.strictEqual(rolled.leftover, daily.amount - 1000);
+  assert.strictEqual(rolled.newCurrent, daily.amount);
+  assert.strictEqual(rolled.parentDelta, -1000);
+  r = await call('GET', `/ledger/${user.userId}?ruleApplied=rollover_return_to_parent&budgetId=${daily.id}`, user.headers);
+  assert.strictEqual(r.body.entries.length, 1, 'rollover journaled once');
+  assert.strictEqual(r.body.entries[0].movements.length, 2, 'daily and its weekly parent');
+
+  // carry_over: two runners at once roll the period a single time
+  ({ user, daily } = await rollOneDay('760' + base, 'carry_over'));
+  const runs = await Promise.all([call('POST', '/budgets/rollover', user.headers, {}), call('POST', '/budgets/rollover', user.headers, {})]);
+  const dailyRuns = runs.flatMap(x => x.body.rollovers).filter(x => x.budgetId === daily.id);
+  assert.strictEqual(dailyRuns.length, 1, 'the period is rolled once');
+  assert.strictEqual(dailyRuns[0].newCurrent, 2 * daily.amount - 1000);
+  r = await call('POST', '/budgets/rollover', user.headers, {});
+  assert.deepStrictEqual(r.body.rollovers, []);
+  r = await call('GET', `/ledger/${user.userId}?ruleApplied=rollover_carry_over&budgetId=${daily.id}`, user.headers);
+  assert.strictEqual(r.body.entries.length, 1);
+
+  // sweep_to_savings without objective: every swept leftover lands in the savings wallet
+  ({ user, daily } = await rollOneDay('761' + base, 'sweep_to_savings'));
+  r = await call('POST', '/budgets/rollover', user.headers, {});
+  rolled = r.body.rollovers.find(x => x.budgetId === daily.id);
+  assert.strictEqual(rolled.swept, daily.amount - 1000);
+  assert.strictEqual(rolled.newCurrent, daily.amount);
+  const swept = r.body.rollovers.reduce((sum, x) => sum + x.swept, 0);
+  r = await call('GET', `/savings/${user.userId}`, user.headers);
+  assert.strictEqual(r.body.savings.balance, swept);
+  r = await call('GET', `/ledger/${user.userId}?ruleApplied=rollover_sweep_to_savings&budgetId=${daily.id}`, user.headers);
+  assert.strictEqual(r.body.entries.length, 1);
+  assert(r.body.entries[0].explanation.includes(`Épargne +${daily.amount - 1000}`), 'explanation names the wallet');
+
+  console.log('\nAll budget rollover tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,83 @@
+// Integration test: budget templates are listed publicly, chosen at registration and applied later to an existing account.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function run() {
+  console.log('Starting budget templates test against', API);
+  const json = { 'Content-Type': 'application/json' };
+
+  // Public list with the planned amounts for a salary
+  let r = await call('GET', '/budget-templates?monthlyAmount=200000', json);
+  assert.strictEqual(r.status, 200, 'templates failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.defaultTemplate, 'pocket');
+  const keys = r.body.templates.map(t => t.key);
+  for (const key of ['pocket', '50_30_20', 'essentials', 'student']) assert(keys.includes(key), `${key} is listed`);
+  const student = r.body.templates.find(t => t.key === 'student');
+  assert.deepStrictEqual(student.envelopes.map(e => e.weeklyAmount), [20000, 10000, 12500, 7500]);
+  assert.strictEqual(student.daily.amount, 2857);
+
+  const phone = '797' + String(Date.now()).slice(-7);
+  r = await call('POST', '/register', json, { phoneNumber: phone, firstName: 'Budget', lastName: 'Templates', primaryIncomeAmount: 200000, budgetTemplate: 'retraite' });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'BUDGET_TEMPLATE_NOT_FOUND');
+  r = await call('POST', '/register', json, { phoneNumber: phone, firstName: 'Budget', lastName: 'Templates', primaryIncomeAmount: 200000, budgetTemplate: 'student' });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.budgetTemplate, 'student');
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  // Envelopes within the hierarchy caps, linked to their categories ('Études' created for the user)
+  r = await call('GET', `/budgets/${userId}`, headers);
+  const weekly = r.body.budgets.filter(b => b.frequency === 'weekly');
+  const daily = r.body.budgets.find(b => b.frequency === 'daily');
+  assert.deepStrictEqual(weekly.map(b => b.name).sort(), ['Crédit téléphone', 'Nourriture', 'Transport', 'Études'].sort());
+  assert(weekly.reduce((s, b) => s + b.amount, 0) <= 200000 / 4, 'weekly total within salary / 4');
+  const nourriture = weekly.find(b => b.name === 'Nourriture');
+  assert.strictEqual(daily.parentBudgetId, nourriture.id, 'daily drawn from the first envelope');
+  assert(daily.amount <= nourriture.amount / 7, 'daily within its weekly parent / 7');
+  r = await call('GET', '/categories', headers);
+  const etudes = r.body.categories.find(c => c.name === 'Études');
+  assert(etudes && !etudes.system, 'personal category created');
+  assert.deepStrictEqual(weekly.find(b => b.name === 'Études').categoryIds, [etudes.id]);
+
+  // The daily expense cascades into its own envelope; together the envelopes cannot exceed salary / 4
+  await call('POST', '/transactions', headers, { type: 'expense', amount: 1000, comment: 'cantine', budgetId: daily.id });
+  r = await call('GET', `/budgets/${userId}`, headers);
+  for (const b of r.body.budgets.filter(x => x.frequency === 'weekly')) {
+    const start = weekly.find(w => w.id === b.id);
+    assert.strictEqual(b.remaining, start.remaining - (b.id === nourriture.id ? 1000 : 0), `${b.name} after the daily expense`);
+  }
+  const transport = weekly.find(b => b.name === 'Transport');
+  r = await call('PUT', `/budgets/${transport.id}`, headers, { amount: 200000 / 4 });
+  assert.strictEqual(r.status, 400, 'envelopes above salary / 4 in total');
+  r = await call('PUT', `/budgets/${transport.id}`, headers, { amount: transport.amount - 1000 });
+  assert.strictEqual(r.status, 200, 'lowering an envelope: ' + JSON.stringify(r.body));
+
+  // An account with envelopes is only re-templated on request
+  r = await call('POST', '/budget-templates/50_30_20/apply', headers, {});
+  assert.strictEqual(r.status, 409);
+  assert.strictEqual(r.body.code, 'BUDGETS_EXIST');
+  r = await call('POST', '/budget-templates/inconnu/apply', headers, { replace: true });
+  assert.strictEqual(r.status, 404);
+  r = await call('POST', '/budget-templates/50_30_20/apply', headers, { replace: true });
+  assert.strictEqual(r.status, 201, 'apply failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.replaced.length, 5);
+  assert.deepStrictEqual(r.body.budgets.map(b => b.amount), [25000, 15000, 10000, 3571]);
+
+  r = await call('GET', `/budgets/${userId}`, headers);
+  assert.deepStrictEqual(r.body.budgets.filter(b => b.frequency === 'weekly').map(b => b.name).sort(), ['Besoins', 'Envies', 'Épargne'].sort());
+
+  // Old envelopes deleted through the ledger, new ones funded by the primary budget
+  r = await call('GET', `/ledger/${userId}?ruleApplied=budget_deletion`, headers);
+  assert.strictEqual(r.body.entries.length, 5);
+  r = await call('GET', `/ledger/${userId}?ruleApplied=budget_template`, headers);
+  assert.strictEqual(r.body.entries.length, 1);
+
+  console.log('\nAll budget templates tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,63 @@
+// Integration test: POST /api/budgets/transfer moves currentAmount between two envelopes, journaled, under the hierarchy caps.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { call, registerAndLogin } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+const NAMES = { firstName: 'Budget', lastName: 'Transfer' };
+
+async function remaining(user) {
+  const r = await call('GET', `/budgets/${user.userId}`, user.headers);
+  const byFreq = {};
+  for (const b of r.body.budgets) byFreq[b.frequency] = b;
+  return byFreq;
+}
+
+async function run() {
+  console.log('Starting budget transfer test against', API);
+  const base = String(Date.now()).slice(-7);
+  const user = await registerAndLogin('790' + base, NAMES);
+  const other = await registerAndLogin('791' + base, NAMES);
+
+  let start = await remaining(user);
+  let r = await call('POST', '/transactions', user.headers, { type: 'expense', amount: 3000, comment: 'repas', budgetId: start.daily.id });
+  assert.strictEqual(r.status, 201);
+  start = await remaining(user);
+
+  // Weekly leftover refills the daily envelope
+  r = await call('POST', '/budgets/transfer', user.headers, { fromBudgetId: start.weekly.id, toBudgetId: start.daily.id, amount: 2000 });
+  assert.strictEqual(r.status, 200, 'transfer failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.from.currentAmount, start.weekly.remaining - 2000);
+  assert.strictEqual(r.body.to.currentAmount, start.daily.remaining + 2000);
+
+  // Daily back to the primary monthly budget
+  r = await call('POST', '/budgets/transfer', user.headers, { fromBudgetId: start.daily.id, toBudgetId: start.monthly.id, amount: 1000 });
+  assert.strictEqual(r.status, 200, 'transfer failed: ' + JSON.stringify(r.body));
+  const now = await remaining(user);
+  assert.strictEqual(now.daily.remaining, start.daily.remaining + 1000);
+  assert.strictEqual(now.monthly.remaining, start.monthly.remaining + 1000);
+
+  // Refused: above the daily cap, more than the source holds, same budget, someone else's budget
+  r = await call('POST', '/budgets/transfer', user.headers, { fromBudgetId: start.weekly.id, toBudgetId: start.daily.id, amount: 10000 });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'TRANSFER_HIERARCHY');
+  r = await call('POST', '/budgets/transfer', user.headers, { fromBudgetId: start.daily.id, toBudgetId: start.weekly.id, amount: 50000 });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'TRANSFER_INSUFFICIENT');
+  r = await call('POST', '/budgets/transfer', user.headers, { fromBudgetId: start.daily.id, toBudgetId: start.daily.id, amount: 100 });
+  assert.strictEqual(r.status, 400);
+  r = await call('POST', '/budgets/transfer', other.headers, { fromBudgetId: start.weekly.id, toBudgetId: start.daily.id, amount: 100 });
+  assert.strictEqual(r.status, 403);
+
+  // One journal entry per transfer, both budgets listed
+  r = await call('GET', `/ledger/${user.userId}?ruleApplied=budget_transfer`, user.headers);
+  assert.strictEqual(r.body.entries.length, 2);
+  assert(r.body.entries.every(e => e.movements.length === 2), 'both budgets should be journaled');
+  const unchanged = await remaining(user);
+  assert.strictEqual(unchanged.weekly.remaining, start.weekly.remaining - 2000, 'refused transfers must not move money');
+
+  console.log('\nAll budget transfer tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
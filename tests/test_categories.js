@@ -0,0 +1,86 @@
+// Integration test: system + personal categories, categoryId on transactions and the monthly report breakdown.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function run() {
+  console.log('Starting categories test against', API);
+  const phone = '779' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Category', lastName: 'Test', primaryIncomeAmount: 300000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  r = await call('GET', `/budgets/${userId}`, headers);
+  const weekly = r.body.budgets.find(b => b.frequency === 'weekly');
+
+  // System defaults are listed for every user and cannot be edited
+  r = await call('GET', '/categories', headers);
+  assert.strictEqual(r.status, 200, 'list failed: ' + JSON.stringify(r.body));
+  const keys = r.body.categories.filter(c => c.system).map(c => c.key);
+  for (const k of ['transport', 'food', 'rent', 'family_support', 'airtime']) assert(keys.includes(k), `system category ${k} missing`);
+  const transport = r.body.categories.find(c => c.key === 'transport');
+  r = await call('PUT', `/categories/${transport.id}`, headers, { name: 'Taxi' });
+  assert.strictEqual(r.status, 403);
+  assert.strictEqual(r.body.code, 'FORBIDDEN_SYSTEM_CATEGORY');
+
+  // Personal category; names are unique among the categories the user sees
+  r = await call('POST', '/categories', headers, { name: 'Cotisations église', icon: '⛪', color: '#336699' });
+  assert.strictEqual(r.status, 201, 'create failed: ' + JSON.stringify(r.body));
+  const church = r.body.category;
+  r = await call('POST', '/categories', headers, { name: 'Transport' });
+  assert.strictEqual(r.status, 409);
+
+  // categoryId is stored, returned and filterable
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 1500, comment: 'taxi', budgetId: weekly.id, categoryId: transport.id });
+  assert.strictEqual(r.status, 201, 'post failed: ' + JSON.stringify(r.body));
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 500, comment: 'quête', budgetId: weekly.id, categoryId: church.id });
+  assert.strictEqual(r.status, 201);
+  const churchTx = r.body.transaction;
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 300, comment: 'divers', budgetId: weekly.id });
+  assert.strictEqual(r.status, 201);
+
+  r = await call('GET', `/transactions?categoryId=${transport.id}`, headers);
+  assert.strictEqual(r.status, 200);
+  assert.deepStrictEqual(r.body.transactions.map(t => t.categoryId), [transport.id]);
+
+  // Another user cannot use this personal category
+  const otherPhone = '779' + String(Date.now() + 1).slice(-7);
+  await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: otherPhone, firstName: 'Other', lastName: 'Test', primaryIncomeAmount: 100000, createDefaultBudgets: false });
+  const other = authHeaders((await loginWithOtp(otherPhone, API)).accessToken);
+  r = await call('POST', '/transactions', other, { type: 'gain', amount: 100, comment: 'x', budgetId: weekly.id, categoryId: church.id });
+  assert.strictEqual(r.status, 403);
+  assert(/Catégorie/.test(r.body.message), 'category ownership should be checked first: ' + JSON.stringify(r.body));
+
+  // Monthly report: biggest category first, uncategorized bucket included
+  r = await call('GET', `/reports/monthly/${userId}`, headers);
+  assert.strictEqual(r.status, 200, 'report failed: ' + JSON.stringify(r.body));
+  const breakdown = r.body.report.breakdownByCategory;
+  assert.strictEqual(breakdown[0].categoryName, 'Transport');
+  assert.strictEqual(breakdown[0].totalExpenses, 1500);
+  assert.strictEqual(breakdown[0].share, 65.2);
+  assert(breakdown.some(c => c.categoryId === null && c.categoryName === 'Non catégorisé' && c.totalExpenses === 300));
+
+  // Archiving hides the category but past transactions keep it
+  r = await call('DELETE', `/categories/${church.id}`, headers);
+  assert.strictEqual(r.status, 200);
+  r = await call('GET', '/categories', headers);
+  assert(!r.body.categories.some(c => c.id === church.id), 'archived category still listed');
+  r = await call('GET', `/transactions/id/${churchTx.id}`, headers);
+  assert.strictEqual(r.body.transaction.categoryId, church.id);
+
+  // Its name stays reserved: renaming another category to it is a conflict, not a server error
+  r = await call('POST', '/categories', headers, { name: 'Tontine du quartier' });
+  assert.strictEqual(r.status, 201);
+  r = await call('PUT', `/categories/${r.body.category.id}`, headers, { name: 'Cotisations église' });
+  assert.strictEqual(r.status, 409);
+  assert.strictEqual(r.body.code, 'CATEGORY_NAME_ARCHIVED');
+  assert.strictEqual(r.body.categoryId, church.id);
+
+  console.log('\nAll category tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
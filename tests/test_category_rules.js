@@ -0,0 +1,101 @@
+// Integration test: auto-categorization rules (system defaults, user rules, learned corrections, re-apply to history).
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function run() {
+  console.log('Starting category rules test against', API);
+  const phone = '780' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Rules', lastName: 'Test', primaryIncomeAmount: 300000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  r = await call('GET', `/budgets/${userId}`, headers);
+  const weekly = r.body.budgets.find(b => b.frequency === 'weekly');
+  r = await call('GET', '/categories', headers);
+  const byKey = Object.fromEntries(r.body.categories.filter(c => c.system).map(c => [c.key, c.id]));
+
+  const post = (comment, extra = {}) => call('POST', '/transactions', headers, { type: 'expense', amount: 200, comment, budgetId: weekly.id, ...extra });
+
+  // System keywords, without accents or case
+  r = await post('Taxi bureau');
+  assert.strictEqual(r.status, 201, 'post failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.transaction.categoryId, byKey.transport);
+  assert.strictEqual(r.body.transaction.categorySource, 'rule');
+  r = await post('Crédit Orange');
+  assert.strictEqual(r.body.transaction.categoryId, byKey.airtime);
+
+  // An explicit category wins over the rules
+  r = await post('taxi pour maman', { categoryId: byKey.family_support });
+  assert.strictEqual(r.body.transaction.categoryId, byKey.family_support);
+  assert.strictEqual(r.body.transaction.categorySource, 'manual');
+
+  // No match: uncategorized
+  r = await post('cadeau anniversaire');
+  const gift = r.body.transaction;
+  assert.strictEqual(gift.categoryId, null);
+
+  // User rule: regex with tags, evaluated before the system defaults
+  r = await call('POST', '/category-rules', headers, { matchType: 'regex', pattern: '(', categoryId: byKey.food });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'INVALID_RULE_PATTERN');
+  // Patterns that could backtrack catastrophically on every comment are refused too
+  for (const pattern of ['(a+)+$', '(taxi|moto)*x', '(a)\\1']) {
+    r = await call('POST', '/category-rules', headers, { matchType: 'regex', pattern, categoryId: byKey.food });
+    assert.strictEqual(r.status, 400, `${pattern} should be refused`);
+    assert.strictEqual(r.body.code, 'INVALID_RULE_PATTERN');
+  }
+  r = await call('POST', '/category-rules', headers, { matchType: 'regex', pattern: '^taxi (nuit|soir)', categoryId: byKey.transport, tags: ['Nuit'] });
+  assert.strictEqual(r.status, 201, 'rule create failed: ' + JSON.stringify(r.body));
+  const nightRule = r.body.rule;
+  r = await post('taxi nuit');
+  assert.deepStrictEqual(r.body.transaction.tags, ['nuit']);
+
+  r = await call('GET', '/category-rules', headers);
+  const systemRule = r.body.rules.find(x => x.system);
+  assert(systemRule, 'system rules missing');
+  assert.strictEqual(r.body.rules[0].id, nightRule.id, 'user rules come first');
+  r = await call('DELETE', `/category-rules/${systemRule.id}`, headers);
+  assert.strictEqual(r.status, 403);
+  assert.strictEqual(r.body.code, 'FORBIDDEN_SYSTEM_RULE');
+
+  // A manual correction is learned for the next identical comment (and does not re-post the amount)
+  r = await call('POST', '/categories', headers, { name: 'Cadeaux' });
+  const gifts = r.body.category;
+  r = await call('PUT', `/transactions/${gift.id}`, headers, { categoryId: gifts.id });
+  assert.strictEqual(r.status, 200, 'recategorize failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.transaction.categorySource, 'manual');
+  assert.strictEqual(r.body.reversalId, undefined, 'category-only edits must not compensate the posting');
+  r = await call('GET', '/category-rules', headers);
+  assert(r.body.rules.some(x => x.source === 'learned' && x.pattern === 'cadeau anniversaire' && x.categoryId === gifts.id), 'correction not learned');
+  r = await post('Cadeau anniversaire');
+  assert.strictEqual(r.body.transaction.categoryId, gifts.id);
+
+  // Re-apply to history: a new rule recategorizes past rule/uncategorized transactions, never manual ones
+  r = await call('POST', '/category-rules', headers, { pattern: 'taxi', categoryId: gifts.id, priority: 10 });
+  assert.strictEqual(r.status, 201);
+  r = await call('POST', '/category-rules/apply', headers, { dryRun: true });
+  assert.strictEqual(r.status, 200, 'apply failed: ' + JSON.stringify(r.body));
+  const planned = r.body.updated;
+  assert(planned >= 1, 'dry run should find transactions to update');
+  r = await call('GET', `/transactions?categoryId=${gifts.id}`, headers);
+  assert(!r.body.transactions.some(t => /taxi bureau/i.test(t.comment)), 'dry run must not write');
+
+  r = await call('POST', '/category-rules/apply', headers, {});
+  assert.strictEqual(r.body.updated, planned);
+  r = await call('GET', '/transactions?limit=50', headers);
+  const byComment = Object.fromEntries(r.body.transactions.map(t => [t.comment, t]));
+  assert.strictEqual(byComment['Taxi bureau'].categoryId, gifts.id);
+  assert.strictEqual(byComment['taxi pour maman'].categoryId, byKey.family_support, 'manual category overwritten');
+
+  r = await call('GET', '/transactions?tag=nuit', headers);
+  assert.strictEqual(r.body.transactions.length, 1);
+
+  console.log('\nAll category rules tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
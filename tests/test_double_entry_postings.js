@@ -0,0 +1,72 @@
+// Integration test: every money movement is posted as balanced double-entry legs, and budget balances match the postings.
+// WARNING: calls POST /api/seed, which wipes users/budgets — run against a development database only.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function remaining(headers, userId) {
+  const r = await call('GET', `/budgets/${userId}`, headers);
+  const byFreq = {};
+  for (const b of r.body.budgets) byFreq[b.frequency] = b;
+  return byFreq;
+}
+
+async function run() {
+  console.log('Starting double-entry postings test against', API);
+
+  let r = await call('POST', '/seed', { 'Content-Type': 'application/json' });
+  assert.strictEqual(r.status, 200, 'seed failed: ' + JSON.stringify(r.body));
+  const operator = authHeaders((await loginWithOtp('0700000000', API)).accessToken);
+
+  const phone = '785' + String(Date.now()).slice(-7);
+  r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Double', lastName: 'Entry', primaryIncomeAmount: 200000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+  const start = await remaining(headers, userId);
+
+  // Objective allocation cascades like an expense: the envelope and its parent, never the grandparent
+  r = await call('POST', '/objectives', headers, { name: 'Moto', targetAmount: 100000, targetDate: '2030-01-01' });
+  const objectiveId = r.body.objective.id;
+  r = await call('POST', `/objectives/${objectiveId}/allocate`, headers, { budgetId: start.daily.id, amount: 1000 });
+  assert.strictEqual(r.status, 200, 'allocate failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.objective.savedAmount, 1000);
+  let now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, start.daily.remaining - 1000);
+  assert.strictEqual(now.weekly.remaining, start.weekly.remaining - 1000);
+  assert.strictEqual(now.monthly.remaining, start.monthly.remaining, 'allocation must not reach the grandparent');
+
+  r = await call('DELETE', `/transactions/${r.body.transactionId}`, headers);
+  assert.strictEqual(r.status, 409);
+  assert.strictEqual(r.body.code, 'OBJECTIVE_ALLOCATION');
+
+  // Other movements: expense, gain, lowered and new weekly envelopes, tontine paid from outside the envelopes
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 500, comment: 'pain', budgetId: start.daily.id });
+  await call('PUT', `/transactions/${r.body.transaction.id}`, headers, { amount: 700 });
+  // A split whose weekly line is also the parent of its daily line: money and limit on the same envelope
+  r = await call('POST', '/transactions', headers, { type: 'expense', comment: 'marché', lines: [{ budgetId: start.daily.id, amount: 100 }, { budgetId: start.weekly.id, amount: 200 }] });
+  assert.strictEqual(r.status, 201, 'split failed: ' + JSON.stringify(r.body));
+  await call('POST', '/transactions', headers, { type: 'gain', amount: 2000, comment: 'vente', budgetId: start.daily.id });
+  r = await call('PUT', `/budgets/${start.weekly.id}`, headers, { amount: start.weekly.amount - 30000 });
+  assert.strictEqual(r.status, 200, 'budget update failed: ' + JSON.stringify(r.body));
+  r = await call('POST', '/budgets', headers, { name: 'Loyer', amount: 30000, frequency: 'weekly' });
+  assert.strictEqual(r.status, 201, 'budget create failed: ' + JSON.stringify(r.body));
+  r = await call('POST', '/tontines', headers, { name: 'Famille', contributionAmount: 1000, participantsCount: 2 });
+  r = await call('POST', `/tontines/${r.body.tontine.id}/contribute`, headers, { amount: 1000 });
+  assert.strictEqual(r.status, 200);
+
+  // Every journal entry has its posting, every posting is balanced and the budgets equal their derived balances
+  r = await call('GET', `/admin/ledger/verify/${userId}`, operator);
+  assert.strictEqual(r.status, 200, 'verify failed: ' + JSON.stringify(r.body));
+  const report = r.body.report;
+  const problems = report.findings.filter(f => f.severity === 'error' || f.type === 'unposted_journal_entry');
+  assert.deepStrictEqual(problems, [], 'postings should match the budgets: ' + JSON.stringify(problems));
+  assert(report.checked.postings >= 6, 'expected one posting per movement');
+
+  console.log('\nAll double-entry postings tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
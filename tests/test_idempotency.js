@@ -0,0 +1,60 @@
+// Integration test: Idempotency-Key / clientId replay the first response and never debit twice.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function run() {
+  console.log('Starting idempotency test against', API);
+  const phone = '777' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Idem', lastName: 'Potent', primaryIncomeAmount: 200000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  r = await call('GET', `/budgets/${userId}`, headers);
+  const weekly = r.body.budgets.find(b => b.frequency === 'weekly');
+  const before = weekly.remaining;
+
+  // Retry with the same header: same response, single debit
+  const keyed = { ...headers, 'Idempotency-Key': `tx-${Date.now()}` };
+  const body = { type: 'expense', amount: 1200, comment: 'marché', budgetId: weekly.id };
+  const first = await call('POST', '/transactions', keyed, body);
+  assert.strictEqual(first.status, 201, 'post failed: ' + JSON.stringify(first.body));
+  const retry = await call('POST', '/transactions', keyed, body);
+  assert.strictEqual(retry.status, 201);
+  assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true', 'retry should be flagged as replayed');
+  assert.strictEqual(retry.body.transaction.id, first.body.transaction.id);
+
+  // Same key, different payload is refused
+  r = await call('POST', '/transactions', keyed, { ...body, amount: 999 });
+  assert.strictEqual(r.status, 422);
+  assert.strictEqual(r.body.code, 'IDEMPOTENCY_KEY_REUSED');
+
+  // Concurrent retries with a clientId: exactly one transaction
+  const clientId = `race-${Date.now()}`;
+  const results = await Promise.all([1, 2, 3].map(() => call('POST', '/transactions', headers, { ...body, amount: 300, clientId })));
+  const ids = new Set(results.filter(x => x.status === 201).map(x => x.body.transaction.id));
+  assert.strictEqual(ids.size, 1, 'racing retries created several transactions: ' + JSON.stringify(results.map(x => x.status)));
+
+  // A client that gives up mid-flight and retries with the same key: still a single debit
+  const aborted = { ...headers, 'Idempotency-Key': `abort-${Date.now()}` };
+  const controller = new AbortController();
+  const inFlight = fetch(`${API}/transactions`, { method: 'POST', headers: aborted, body: JSON.stringify({ ...body, amount: 400 }), signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+  await inFlight.catch(() => {});
+  await new Promise(resolve => setTimeout(resolve, 500));
+  r = await call('POST', '/transactions', aborted, { ...body, amount: 400 });
+  assert.strictEqual(r.status, 201, 'retry after abort failed: ' + JSON.stringify(r.body));
+  const replayed = await call('POST', '/transactions', aborted, { ...body, amount: 400 });
+  assert.strictEqual(replayed.body.transaction.id, r.body.transaction.id);
+
+  r = await call('GET', `/budgets/${userId}`, headers);
+  assert.strictEqual(r.body.budgets.find(b => b.id === weekly.id).remaining, before - 1900, 'weekly debited more than once');
+
+  console.log('\nAll idempotency tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
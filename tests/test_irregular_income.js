@@ -0,0 +1,67 @@
+// Integration test: irregular income mode — gains fund the envelopes and the dashboard explains the safe-to-spend amount.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function remaining(headers, userId) {
+  const r = await call('GET', `/budgets/${userId}`, headers);
+  const byFreq = {};
+  for (const b of r.body.budgets) byFreq[b.frequency] = b;
+  return byFreq;
+}
+
+async function run() {
+  console.log('Starting irregular income test against', API);
+  const phone = '796' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Irregular', lastName: 'Income', primaryIncomeAmount: 60000, createDefaultBudgets: true, timezone: 'UTC' });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  r = await call('PUT', `/users/${userId}/preferences`, headers, { incomeMode: 'freelance' });
+  assert.strictEqual(r.status, 400);
+  r = await call('PUT', `/users/${userId}/preferences`, headers, { incomeMode: 'irregular', monthlyObligations: 30000 });
+  assert.strictEqual(r.status, 200, 'preferences failed: ' + JSON.stringify(r.body));
+  const start = await remaining(headers, userId);
+
+  // A gain logged on the daily envelope funds it and its weekly parent, not the savings wallet
+  r = await call('POST', '/transactions', headers, { type: 'gain', amount: 9000, comment: 'courses taxi', budgetId: start.daily.id });
+  assert.strictEqual(r.status, 201, 'gain failed: ' + JSON.stringify(r.body));
+  const gainId = r.body.transaction.id;
+  let now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, start.daily.remaining + 9000);
+  assert.strictEqual(now.weekly.remaining, start.weekly.remaining + 9000);
+  r = await call('GET', `/savings/${userId}`, headers);
+  assert.strictEqual(r.body.savings.balance, 0);
+
+  // Account opened today: the average is today's income, minus 30000 / 30 of obligations per day
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 2000, comment: 'carburant', budgetId: start.daily.id });
+  assert.strictEqual(r.status, 201);
+  r = await call('GET', `/dashboard/${userId}`, headers);
+  assert.strictEqual(r.status, 200);
+  assert.strictEqual(r.body.incomeMode, 'irregular');
+  const { safeToSpend } = r.body;
+  assert.strictEqual(safeToSpend.averageDailyIncome, 9000);
+  assert.strictEqual(safeToSpend.obligations.daily, 1000);
+  assert.strictEqual(safeToSpend.dailyAllowance, 8000);
+  assert.strictEqual(safeToSpend.spentToday, 2000);
+  assert.strictEqual(safeToSpend.safeToSpend, 6000);
+  assert(safeToSpend.explanation.includes('6000 XOF'), 'explanation should give the amount');
+
+  // Journaled as a funded gain; deleting it takes the money back from both envelopes
+  r = await call('GET', `/ledger/${userId}?ruleApplied=gain_to_budget`, headers);
+  assert.strictEqual(r.body.entries.length, 1);
+  assert.strictEqual(r.body.entries[0].movements.length, 2);
+  r = await call('DELETE', `/transactions/${gainId}`, headers);
+  assert.strictEqual(r.status, 200, 'gain delete failed: ' + JSON.stringify(r.body));
+  now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, start.daily.remaining - 2000);
+  assert.strictEqual(now.weekly.remaining, start.weekly.remaining - 2000);
+
+  console.log('\nAll irregular income tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,63 @@
+// Integration test: GET /api/ledger/:userId returns the journal with explanations, budget names, filters and pagination.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { call, registerAndLogin } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+const NAMES = { firstName: 'Ledger', lastName: 'History' };
+
+async function run() {
+  console.log('Starting ledger history test against', API);
+  const base = String(Date.now()).slice(-7);
+  const user = await registerAndLogin('786' + base, NAMES);
+  const other = await registerAndLogin('787' + base, NAMES);
+
+  let r = await call('GET', `/budgets/${user.userId}`, user.headers);
+  const daily = r.body.budgets.find(b => b.frequency === 'daily');
+  const weekly = r.body.budgets.find(b => b.frequency === 'weekly');
+  r = await call('POST', '/transactions', user.headers, { type: 'expense', amount: 1000, comment: 'taxi', budgetId: daily.id });
+  const txId = r.body.transaction.id;
+  await call('DELETE', `/transactions/${txId}`, user.headers);
+
+  // Most recent first: the cancellation comes before the expense, whose cascade is explained
+  r = await call('GET', `/ledger/${user.userId}`, user.headers);
+  assert.strictEqual(r.status, 200, 'ledger failed: ' + JSON.stringify(r.body));
+  const all = r.body.entries;
+  const reversal = all.find(e => /^reverse_expense/.test(e.ruleApplied));
+  const expense = all.find(e => /^cascade_expense/.test(e.ruleApplied));
+  assert(all.indexOf(reversal) < all.indexOf(expense));
+  assert.strictEqual(reversal.label, 'Annulation d\'une dépense');
+  assert.strictEqual(expense.transactionId, txId);
+  assert.strictEqual(reversal.reversalOf, expense.id);
+  const parent = expense.movements.find(m => m.budgetId === weekly.id);
+  assert.strictEqual(parent.budgetName, weekly.name);
+  assert.strictEqual(parent.delta, -1000);
+  assert.strictEqual(parent.cascade, true);
+  assert(expense.explanation.includes('taxi') && expense.explanation.includes('(budget parent)'), expense.explanation);
+  assert(all.some(e => e.ruleApplied === 'initial_budget_allocation'), 'registration allocation missing');
+
+  // Filters
+  r = await call('GET', `/ledger/${user.userId}?ruleApplied=cascade_expense`, user.headers);
+  assert.deepStrictEqual(r.body.entries.map(e => e.id), [expense.id]);
+  r = await call('GET', `/ledger/${user.userId}?txType=adjustment&budgetId=${daily.id}`, user.headers);
+  assert(r.body.entries.every(e => e.txType === 'adjustment' && e.movements.some(m => m.budgetId === daily.id)));
+  r = await call('GET', `/ledger/${user.userId}?from=2000-01-01&to=2000-01-31`, user.headers);
+  assert.strictEqual(r.body.entries.length, 0);
+  r = await call('GET', `/ledger/${user.userId}?from=yesterday`, user.headers);
+  assert.strictEqual(r.status, 400);
+
+  // Pagination covers every entry once
+  r = await call('GET', `/ledger/${user.userId}?limit=1`, user.headers);
+  assert.strictEqual(r.body.hasMore, true);
+  r = await call('GET', `/ledger/${user.userId}?limit=1&cursor=${r.body.nextCursor}`, user.headers);
+  assert.strictEqual(r.body.entries[0].id, all[1].id);
+
+  // Only the owner (or an admin) reads it
+  r = await call('GET', `/ledger/${user.userId}`, other.headers);
+  assert.strictEqual(r.status, 403);
+
+  console.log('\nAll ledger history tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
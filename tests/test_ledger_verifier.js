@@ -0,0 +1,58 @@
+// Integration test: the ledger verifier finds a consistent ledger after normal activity, and repairs are guarded.
+// WARNING: calls POST /api/seed, which wipes users/budgets — run against a development database only.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function run() {
+  console.log('Starting ledger verifier test against', API);
+
+  let r = await call('POST', '/seed', { 'Content-Type': 'application/json' });
+  assert.strictEqual(r.status, 200, 'seed failed: ' + JSON.stringify(r.body));
+  const operator = authHeaders((await loginWithOtp('0700000000', API)).accessToken);
+
+  const phone = '784' + String(Date.now()).slice(-7);
+  r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Ledger', lastName: 'Test', primaryIncomeAmount: 200000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  // Normal activity: post, edit, split, delete
+  r = await call('GET', `/budgets/${userId}`, headers);
+  const daily = r.body.budgets.find(b => b.frequency === 'daily');
+  const weekly = r.body.budgets.find(b => b.frequency === 'weekly');
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 1000, comment: 'taxi', budgetId: daily.id });
+  const txId = r.body.transaction.id;
+  await call('PUT', `/transactions/${txId}`, headers, { amount: 1200 });
+  await call('POST', '/transactions', headers, { type: 'expense', comment: 'marché', lines: [{ budgetId: daily.id, amount: 500 }, { budgetId: weekly.id, amount: 700 }] });
+  await call('POST', '/transactions', headers, { type: 'gain', amount: 3000, comment: 'vente', budgetId: daily.id });
+  await call('DELETE', `/transactions/${txId}`, headers);
+
+  // Regular users cannot run it
+  r = await call('GET', `/admin/ledger/verify/${userId}`, headers);
+  assert.strictEqual(r.status, 403);
+
+  r = await call('GET', `/admin/ledger/verify/${userId}`, operator);
+  assert.strictEqual(r.status, 200, 'verify failed: ' + JSON.stringify(r.body));
+  const errors = r.body.report.findings.filter(f => f.severity === 'error');
+  assert.deepStrictEqual(errors, [], 'ledger should be consistent: ' + JSON.stringify(errors));
+  assert(r.body.report.checked.journalEntries >= 5);
+
+  r = await call('GET', '/admin/ledger/verify?errorsOnly=true&limit=500', operator);
+  assert.strictEqual(r.status, 200);
+  assert(!r.body.users.some(u => u.userId === userId));
+
+  // Repairs need the token of a fresh report
+  r = await call('POST', `/admin/ledger/repair/${userId}`, operator, {});
+  assert.strictEqual(r.status, 400);
+  r = await call('POST', `/admin/ledger/repair/${userId}`, operator, { repairToken: 'stale' });
+  assert.strictEqual(r.status, 200);
+  assert.deepStrictEqual(r.body.applied, [], 'nothing to repair on a consistent ledger');
+
+  console.log('\nAll ledger verifier tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,65 @@
+// Integration test: POST /api/sync applies queued offline operations once, reports per-operation results
+// and returns a change feed since the sync token.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function run() {
+  console.log('Starting offline sync test against', API);
+  const stamp = String(Date.now()).slice(-7);
+  const phone = '778' + stamp;
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Sync', lastName: 'Offline', primaryIncomeAmount: 280000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+
+  // First sync: full snapshot
+  r = await call('POST', '/sync', headers, { operations: [] });
+  assert.strictEqual(r.status, 200, 'initial sync failed: ' + JSON.stringify(r.body));
+  assert(r.body.changes.budgets.length >= 3, 'snapshot should contain the default budgets');
+  const token = r.body.syncToken;
+
+  const now = new Date().toISOString();
+  const operations = [
+    { clientId: `b-${stamp}`, type: 'budget.create', clientTimestamp: now, payload: { name: 'Transport', amount: 2000, frequency: 'daily' } },
+    { clientId: `t1-${stamp}`, type: 'transaction.create', clientTimestamp: now, payload: { type: 'expense', amount: 500, comment: 'gbaka', budgetClientId: `b-${stamp}` } },
+    { clientId: `t2-${stamp}`, type: 'transaction.create', clientTimestamp: now, payload: { type: 'expense', amount: 1800, comment: 'taxi', budgetClientId: `b-${stamp}` } },
+    { clientId: `t3-${stamp}`, type: 'transaction.create', clientTimestamp: now, payload: { type: 'expense', amount: 1000, comment: 'moto', budgetClientId: `b-${stamp}` } }
+  ];
+  r = await call('POST', '/sync', headers, { syncToken: token, operations });
+  assert.strictEqual(r.status, 200, 'sync failed: ' + JSON.stringify(r.body));
+  const statuses = r.body.results.map(x => x.status);
+  // 500 + 1800 would overdraw the 2000 envelope: the later operation loses, the batch goes on
+  assert.deepStrictEqual(statuses, ['applied', 'applied', 'rejected', 'applied'], JSON.stringify(r.body.results));
+  assert(r.body.changes.transactions.some(t => t.clientId === `t1-${stamp}`), 'feed should include the synced transaction');
+  const budgetId = r.body.results[0].serverId;
+  const firstIds = r.body.results.map(x => x.serverId);
+
+  // The next feed overlaps the previous one (writes committing late are not skipped): the client dedupes by id
+  r = await call('POST', '/sync', headers, { syncToken: r.body.syncToken, operations: [] });
+  assert.strictEqual(r.status, 200);
+  assert(r.body.changes.transactions.some(t => t.id === firstIds[1]), 'recent changes are sent again within the overlap window');
+
+  // Replaying the same batch applies nothing twice
+  r = await call('POST', '/sync', headers, { syncToken: r.body.syncToken, operations });
+  assert.deepStrictEqual(r.body.results.map(x => x.status), ['duplicate', 'duplicate', 'rejected', 'duplicate']);
+  assert.deepStrictEqual(r.body.results.map(x => x.serverId), firstIds);
+
+  r = await call('GET', `/budgets/id/${budgetId}`, headers);
+  assert.strictEqual(r.status, 200);
+  r = await call('GET', `/transactions?budgetId=${budgetId}`, headers);
+  assert.strictEqual(r.body.transactions.length, 2, 'each queued transaction must be applied once');
+
+  // Unknown references are rejected per operation
+  r = await call('POST', '/sync', headers, { operations: [{ clientId: `t4-${stamp}`, type: 'transaction.create', payload: { type: 'expense', amount: 10, comment: 'x', budgetClientId: 'nope' } }] });
+  assert.strictEqual(r.body.results[0].code, 'UNKNOWN_CLIENT_REFERENCE');
+
+  r = await call('POST', '/sync', headers, { syncToken: '###', operations: [] });
+  assert.strictEqual(r.status, 400);
+
+  console.log('\nAll offline sync tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,51 @@
+// Integration test: preferences.payDay moves the monthly cycle (dynamic limits, closed periods, monthly report).
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+const day = (offset) => new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+
+async function run() {
+  console.log('Starting pay cycle test against', API);
+  const phone = '795' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Pay', lastName: 'Cycle', primaryIncomeAmount: 200000, createDefaultBudgets: true, timezone: 'UTC' });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+  const today = day(0);
+
+  r = await call('PUT', `/users/${userId}/preferences`, headers, { payDay: 0 });
+  assert.strictEqual(r.status, 400);
+
+  // Paid tomorrow: today is the last day of the cycle
+  r = await call('PUT', `/users/${userId}/preferences`, headers, { payDay: Number(day(1).slice(8, 10)) });
+  assert.strictEqual(r.status, 200, 'preferences failed: ' + JSON.stringify(r.body));
+  r = await call('GET', `/dashboard/${userId}`, headers);
+  assert.strictEqual(r.body.dynamicLimits.daysLeft, 1);
+  assert.strictEqual(r.body.dynamicLimits.weeksLeft, 1);
+
+  // Paid today: a new cycle starts today, with the real length of the month
+  r = await call('PUT', `/users/${userId}/preferences`, headers, { payDay: Number(today.slice(8, 10)) });
+  assert.strictEqual(r.status, 200);
+  r = await call('GET', `/reports/monthly/${userId}`, headers);
+  assert.strictEqual(r.status, 200, 'report failed: ' + JSON.stringify(r.body));
+  const { period } = r.body.report;
+  assert.strictEqual(period.start, today);
+  assert(period.days >= 28 && period.days <= 31, 'cycle length is a real month length');
+  r = await call('GET', `/dashboard/${userId}`, headers);
+  assert.strictEqual(r.body.dynamicLimits.daysLeft, period.days);
+
+  // Yesterday belongs to the previous cycle, which is closed
+  r = await call('GET', `/budgets/${userId}`, headers);
+  const daily = r.body.budgets.find(b => b.frequency === 'daily');
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 100, comment: 'hier', budgetId: daily.id, transactionDate: day(-1) });
+  assert.strictEqual(r.status, 403);
+  assert.strictEqual(r.body.code, 'PERIOD_CLOSED');
+
+  console.log('\nAll pay cycle tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
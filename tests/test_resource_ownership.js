@@ -0,0 +1,68 @@
+// Integration test: a user cannot read, edit or delete another user's resources by id.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { call, registerAndLogin } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+function registerUser(phone, createDefaultBudgets) {
+  return registerAndLogin(phone, { firstName: 'Owner', lastName: 'Test', createDefaultBudgets });
+}
+
+async function run() {
+  console.log('Starting resource ownership test against', API);
+  const base = String(Date.now()).slice(-7);
+  const alice = await registerUser('771' + base, true);
+  const bob = await registerUser('772' + base, false);
+
+  let r = await call('GET', `/budgets/${alice.userId}`, alice.headers);
+  const weekly = r.body.budgets.find(b => b.frequency === 'weekly');
+  assert(weekly, 'alice weekly budget missing');
+
+  r = await call('POST', '/objectives', alice.headers, { targetAmount: 10000, targetDate: '2030-01-01' });
+  const objectiveId = r.body.objective.id;
+
+  // Bob is refused on every :id route with a stable code
+  r = await call('GET', `/budgets/id/${weekly.id}`, bob.headers);
+  assert.strictEqual(r.status, 403);
+  assert.strictEqual(r.body.code, 'FORBIDDEN_NOT_OWNER');
+
+  r = await call('PUT', `/budgets/${weekly.id}`, bob.headers, { name: 'hacked' });
+  assert.strictEqual(r.status, 403);
+
+  r = await call('DELETE', `/budgets/${weekly.id}`, bob.headers);
+  assert.strictEqual(r.status, 403);
+
+  r = await call('PUT', `/objectives/${objectiveId}`, bob.headers, { achieved: true });
+  assert.strictEqual(r.status, 403);
+
+  r = await call('DELETE', `/objectives/${objectiveId}`, bob.headers);
+  assert.strictEqual(r.status, 403);
+
+  // Posting an expense on someone else's budget is refused
+  r = await call('POST', '/transactions', bob.headers, { type: 'expense', amount: 100, comment: 'test', budgetId: weekly.id });
+  assert.strictEqual(r.status, 403);
+
+  // Tontine: non-members cannot contribute or read details
+  r = await call('POST', '/tontines', alice.headers, { name: 'Famille', contributionAmount: 1000, participantsCount: 3 });
+  const tontineId = r.body.tontine.id;
+  r = await call('POST', `/tontines/${tontineId}/contribute`, bob.headers, { amount: 1000 });
+  assert.strictEqual(r.status, 403);
+  assert.strictEqual(r.body.code, 'FORBIDDEN_NOT_MEMBER');
+  r = await call('GET', `/tontines/id/${tontineId}`, bob.headers);
+  assert.strictEqual(r.status, 403);
+
+  // Once joined, Bob is a member and can read the tontine
+  r = await call('POST', `/tontines/${tontineId}/join`, bob.headers, {});
+  assert.strictEqual(r.status, 200, 'join failed: ' + JSON.stringify(r.body));
+  r = await call('GET', `/tontines/id/${tontineId}`, bob.headers);
+  assert.strictEqual(r.status, 200);
+
+  // Alice still owns her budget
+  r = await call('GET', `/budgets/id/${weekly.id}`, alice.headers);
+  assert.strictEqual(r.status, 200);
+
+  console.log('\nAll ownership tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,65 @@
+// Integration test: salary revisions of the primary budget are dated, pending until the next cycle, and cancellable.
+// Applying a revision happens at the monthly rollover (see tests/spec_transaction_flows.md, item 18).
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function run() {
+  console.log('Starting salary revision test against', API);
+  const phone = '794' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Salary', lastName: 'Revision', primaryIncomeAmount: 200000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  r = await call('GET', `/salary/${userId}`, headers);
+  assert.strictEqual(r.status, 200, 'salary failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.salary.current, 200000);
+  assert.strictEqual(r.body.salary.pending, null);
+  const primaryId = r.body.salary.budgetId;
+
+  // The primary budget still cannot be edited directly
+  r = await call('PUT', `/budgets/${primaryId}`, headers, { amount: 250000 });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'PRIMARY_BUDGET_IMMUTABLE');
+
+  // A raise is pending for next month; the current month keeps the old salary
+  r = await call('POST', '/salary/revisions', headers, { amount: 200000 });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'SALARY_UNCHANGED');
+  r = await call('POST', '/salary/revisions', headers, { amount: 240000, reason: 'Augmentation' });
+  assert.strictEqual(r.status, 201, 'revision failed: ' + JSON.stringify(r.body));
+  // Re-derived like at registration: salary / 4 for the default envelope, daily = weekly / 7
+  assert.strictEqual(r.body.derived.weekly, 60000);
+  assert.strictEqual(r.body.derived.daily, 8571);
+  assert(r.body.derived.daily <= r.body.derived.weekly / 7, 'daily within the weekly / 7 cap of validateBudgetHierarchy');
+  assert.strictEqual(r.body.derived.envelopes.length, 1);
+  const { salary } = r.body;
+  assert.strictEqual(salary.current, 200000);
+  assert.strictEqual(salary.pending.amount, 240000);
+  assert(salary.pending.effectiveFrom > new Date().toISOString().slice(0, 7), 'effective next month');
+  assert.strictEqual(salary.history.length, 1, 'the opening salary starts the history');
+  assert.strictEqual(salary.history[0].amount, 200000);
+
+  // A new request replaces the pending one
+  r = await call('POST', '/salary/revisions', headers, { amount: 0, reason: 'Perte d\'emploi' });
+  assert.strictEqual(r.status, 201);
+  assert.strictEqual(r.body.salary.pending.amount, 0);
+  assert.strictEqual(r.body.salary.history.length, 1);
+
+  r = await call('GET', `/reports/monthly/${userId}`, headers);
+  assert.strictEqual(r.body.report.salaryBase, 200000);
+
+  r = await call('DELETE', '/salary/revisions/pending', headers);
+  assert.strictEqual(r.status, 200);
+  assert.strictEqual(r.body.salary.pending, null);
+  r = await call('DELETE', '/salary/revisions/pending', headers);
+  assert.strictEqual(r.status, 404);
+
+  console.log('\nAll salary revision tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,77 @@
+// Integration test: gains credit the savings wallet through its split rules, savings move to budgets / objectives.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { call, registerAndLogin } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+const NAMES = { firstName: 'Savings', lastName: 'Wallet' };
+
+async function run() {
+  console.log('Starting savings wallet test against', API);
+  const base = String(Date.now()).slice(-7);
+  const user = await registerAndLogin('788' + base, NAMES);
+  const other = await registerAndLogin('789' + base, NAMES);
+
+  let r = await call('GET', `/savings/${user.userId}`, user.headers);
+  assert.strictEqual(r.status, 200, 'savings failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.savings.balance, 0);
+  assert.strictEqual(r.body.savings.heldPercent, 100);
+
+  r = await call('POST', '/objectives', user.headers, { name: 'Moto', targetAmount: 100000, targetDate: '2030-01-01' });
+  const objectiveId = r.body.objective.id;
+
+  // Rules: over 100% or on someone else's objective are refused
+  r = await call('PUT', '/savings/rules', user.headers, { rules: [{ objectiveId, percent: 120 }] });
+  assert.strictEqual(r.status, 400);
+  r = await call('PUT', '/savings/rules', other.headers, { rules: [{ objectiveId, percent: 50 }] });
+  assert.strictEqual(r.status, 403);
+  r = await call('PUT', '/savings/rules', user.headers, { rules: [{ objectiveId, percent: 50 }] });
+  assert.strictEqual(r.status, 200, 'rules failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.savings.heldPercent, 50);
+
+  // A gain is split: half to the objective, half held in the wallet; no budget moves
+  r = await call('GET', `/budgets/${user.userId}`, user.headers);
+  const daily = r.body.budgets.find(b => b.frequency === 'daily');
+  r = await call('POST', '/transactions', user.headers, { type: 'gain', amount: 2000, comment: 'vente', budgetId: daily.id });
+  assert.strictEqual(r.status, 201, 'gain failed: ' + JSON.stringify(r.body));
+  const gainId = r.body.transaction.id;
+  r = await call('GET', `/savings/${user.userId}`, user.headers);
+  assert.strictEqual(r.body.savings.balance, 1000);
+  r = await call('GET', `/objectives/${user.userId}`, user.headers);
+  assert.strictEqual(r.body.objectives.find(o => o.id === objectiveId).savedAmount, 1000);
+  r = await call('GET', `/dashboard/${user.userId}`, user.headers);
+  assert.strictEqual(r.body.savings.balance, 1000);
+
+  // Transfers out of the wallet, journaled
+  r = await call('POST', '/savings/transfer', user.headers, { amount: 5000, budgetId: daily.id });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'SAVINGS_INSUFFICIENT');
+  r = await call('POST', '/savings/transfer', user.headers, { amount: 400, budgetId: daily.id, objectiveId });
+  assert.strictEqual(r.status, 400);
+  r = await call('POST', '/savings/transfer', user.headers, { amount: 400, budgetId: daily.id });
+  assert.strictEqual(r.status, 200, 'transfer failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.savings.balance, 600);
+  assert.strictEqual(r.body.budget.currentAmount, daily.remaining + 400);
+  r = await call('POST', '/savings/transfer', user.headers, { amount: 500, objectiveId });
+  assert.strictEqual(r.status, 200, 'transfer failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.savings.balance, 100);
+  assert.strictEqual(r.body.objective.savedAmount, 1500);
+
+  r = await call('GET', `/ledger/${user.userId}?ruleApplied=savings_to_budget`, user.headers);
+  assert.strictEqual(r.body.entries.length, 1);
+  assert(r.body.entries[0].explanation.includes('Épargne -400'), r.body.entries[0].explanation);
+
+  // The held part of the gain has been spent: it can no longer be cancelled
+  r = await call('DELETE', `/transactions/${gainId}`, user.headers);
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'SAVINGS_INSUFFICIENT');
+
+  // Only the owner reads the wallet
+  r = await call('GET', `/savings/${user.userId}`, other.headers);
+  assert.strictEqual(r.status, 403);
+
+  console.log('\nAll savings wallet tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
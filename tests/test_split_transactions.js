@@ -0,0 +1,90 @@
+// Integration test: a split expense cascades each line through its own budget, all-or-nothing.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function remaining(headers, userId) {
+  const r = await call('GET', `/budgets/${userId}`, headers);
+  const byFreq = {};
+  for (const b of r.body.budgets) byFreq[b.frequency] = b;
+  return byFreq;
+}
+
+async function run() {
+  console.log('Starting split transaction test against', API);
+  const phone = '781' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Split', lastName: 'Test', primaryIncomeAmount: 200000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  const start = await remaining(headers, userId);
+  const { daily, weekly, monthly } = start;
+
+  // Food from the daily budget, a bucket from the weekly one
+  r = await call('POST', '/transactions', headers, {
+    type: 'expense', comment: 'marché', lines: [
+      { budgetId: daily.id, amount: 1500, comment: 'riz et poisson' },
+      { budgetId: weekly.id, amount: 4000, comment: 'seau' }
+    ]
+  });
+  assert.strictEqual(r.status, 201, 'split failed: ' + JSON.stringify(r.body));
+  const split = r.body.transaction;
+  assert.strictEqual(split.amount, 5500);
+  assert.strictEqual(split.budgetId, null);
+  assert.strictEqual(split.lines.length, 2);
+  assert(split.lines[0].categoryId, 'food line should be auto-categorized');
+
+  let now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, daily.remaining - 1500);
+  assert.strictEqual(now.weekly.remaining, weekly.remaining - 5500, 'weekly is debited by both lines');
+  assert.strictEqual(now.monthly.remaining, monthly.remaining - 4000);
+
+  // Atomic: one line overdraws the daily budget -> nothing applied
+  r = await call('POST', '/transactions', headers, {
+    type: 'expense', comment: 'courses', lines: [
+      { budgetId: weekly.id, amount: 100 },
+      { budgetId: daily.id, amount: 1000000 }
+    ]
+  });
+  assert.strictEqual(r.status, 400);
+  const after = await remaining(headers, userId);
+  assert.strictEqual(after.weekly.remaining, now.weekly.remaining, 'a rejected split must not debit any line');
+  assert.strictEqual(after.monthly.remaining, now.monthly.remaining);
+
+  // Amount must match the lines; gains cannot be split
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 999, comment: 'x', lines: [{ budgetId: daily.id, amount: 100 }, { budgetId: weekly.id, amount: 100 }] });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'SPLIT_AMOUNT_MISMATCH');
+  r = await call('POST', '/transactions', headers, { type: 'gain', comment: 'x', lines: [{ budgetId: daily.id, amount: 100 }, { budgetId: weekly.id, amount: 100 }] });
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'SPLIT_EXPENSE_ONLY');
+
+  // The split is found through either of its budgets
+  r = await call('GET', `/transactions?budgetId=${daily.id}`, headers);
+  assert(r.body.transactions.some(t => t.id === split.id));
+
+  // Editing the lines re-posts the whole split
+  r = await call('PUT', `/transactions/${split.id}`, headers, { lines: [{ budgetId: daily.id, amount: 1000 }, { budgetId: weekly.id, amount: 3000 }] });
+  assert.strictEqual(r.status, 200, 'edit failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.transaction.amount, 4000);
+  now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, daily.remaining - 1000);
+  assert.strictEqual(now.weekly.remaining, weekly.remaining - 4000);
+  assert.strictEqual(now.monthly.remaining, monthly.remaining - 3000);
+
+  // Delete restores every budget
+  r = await call('DELETE', `/transactions/${split.id}`, headers);
+  assert.strictEqual(r.status, 200, 'delete failed: ' + JSON.stringify(r.body));
+  now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, daily.remaining);
+  assert.strictEqual(now.weekly.remaining, weekly.remaining);
+  assert.strictEqual(now.monthly.remaining, monthly.remaining);
+
+  console.log('\nAll split transaction tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
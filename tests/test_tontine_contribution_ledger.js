@@ -0,0 +1,88 @@
+// Integration test: tontine contributions are posted through the budget cascade and journal, atomically with the totals.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { call, registerAndLogin } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+const NAMES = { firstName: 'Tontine', lastName: 'Ledger' };
+
+async function remaining(user) {
+  const r = await call('GET', `/budgets/${user.userId}`, user.headers);
+  const byFreq = {};
+  for (const b of r.body.budgets) byFreq[b.frequency] = b;
+  return byFreq;
+}
+
+async function run() {
+  console.log('Starting tontine contribution ledger test against', API);
+  const base = String(Date.now()).slice(-7);
+  const alice = await registerAndLogin('782' + base, NAMES);
+  const bob = await registerAndLogin('783' + base, NAMES);
+
+  const start = await remaining(alice);
+  let r = await call('POST', '/tontines', alice.headers, { name: 'Quartier', contributionAmount: 5000, participantsCount: 2, budgetId: start.weekly.id });
+  assert.strictEqual(r.status, 201, 'tontine create failed: ' + JSON.stringify(r.body));
+  const tontineId = r.body.tontine.id;
+  r = await call('POST', `/tontines/${tontineId}/join`, bob.headers, {});
+  assert.strictEqual(r.status, 200);
+
+  // Linked budget: weekly and its monthly parent are debited, the transaction is journaled
+  r = await call('POST', `/tontines/${tontineId}/contribute`, alice.headers, { amount: 5000 });
+  assert.strictEqual(r.status, 200, 'contribute failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.totalAmount, 5000);
+  const txId = r.body.transactionId;
+  assert(txId, 'contribution transaction missing');
+  let now = await remaining(alice);
+  assert.strictEqual(now.weekly.remaining, start.weekly.remaining - 5000);
+  assert.strictEqual(now.monthly.remaining, start.monthly.remaining - 5000);
+
+  r = await call('GET', `/transactions/id/${txId}`, alice.headers);
+  assert.strictEqual(r.body.transaction.tontineId, tontineId);
+
+  // The contribution can only be changed through the tontine
+  r = await call('DELETE', `/transactions/${txId}`, alice.headers);
+  assert.strictEqual(r.status, 409);
+  assert.strictEqual(r.body.code, 'TONTINE_CONTRIBUTION');
+
+  // Budget cannot cover it: rejected, nothing changes
+  r = await call('POST', `/tontines/${tontineId}/contribute`, alice.headers, { amount: 10000000 });
+  assert.strictEqual(r.status, 400);
+  r = await call('GET', `/tontines/id/${tontineId}`, alice.headers);
+  assert.strictEqual(r.body.tontine.totalAmount, 5000, 'rejected contribution must not change the totals');
+  assert.strictEqual((await remaining(alice)).weekly.remaining, now.weekly.remaining);
+
+  // Another member never touches the owner's linked budget; they may fund from their own
+  const bobStart = await remaining(bob);
+  r = await call('POST', `/tontines/${tontineId}/contribute`, bob.headers, { amount: 5000 });
+  assert.strictEqual(r.status, 200);
+  assert.strictEqual(r.body.transactionId, null);
+  assert.strictEqual((await remaining(alice)).weekly.remaining, now.weekly.remaining);
+
+  r = await call('POST', `/tontines/${tontineId}/contribute`, bob.headers, { amount: 2000, budgetId: bobStart.weekly.id });
+  assert.strictEqual(r.status, 200, 'bob funded contribution failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.totalAmount, 12000);
+  assert.strictEqual((await remaining(bob)).weekly.remaining, bobStart.weekly.remaining - 2000);
+
+  r = await call('POST', `/tontines/${tontineId}/contribute`, bob.headers, { amount: 1000, budgetId: start.weekly.id });
+  assert.strictEqual(r.status, 403);
+
+  // Reversal through the tontine: the cascade is re-credited and the totals go back down
+  const before = await remaining(alice);
+  r = await call('DELETE', `/tontines/${tontineId}/contributions/${txId}`, alice.headers);
+  assert.strictEqual(r.status, 200, 'contribution reversal failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.totalAmount, 7000);
+  assert.strictEqual(r.body.contributed, 0);
+  assert(r.body.reversalId, 'reversal journal entry missing');
+  now = await remaining(alice);
+  assert.strictEqual(now.weekly.remaining, before.weekly.remaining + 5000);
+  assert.strictEqual(now.monthly.remaining, before.monthly.remaining + 5000);
+  r = await call('GET', `/transactions/id/${txId}`, alice.headers);
+  assert.strictEqual(r.status, 404);
+  r = await call('DELETE', `/tontines/${tontineId}/contributions/${txId}`, alice.headers);
+  assert.strictEqual(r.status, 404, 'a reversed contribution cannot be reversed twice');
+
+  console.log('\nAll tontine contribution ledger tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,65 @@
+// Integration test: editing and deleting a posted expense compensates the cascaded budgets.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function remaining(headers, userId) {
+  const r = await call('GET', `/budgets/${userId}`, headers);
+  const byFreq = {};
+  for (const b of r.body.budgets) byFreq[b.frequency] = b;
+  return byFreq;
+}
+
+async function run() {
+  console.log('Starting transaction edit/delete test against', API);
+  const phone = '774' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Edit', lastName: 'Test', primaryIncomeAmount: 200000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  const start = await remaining(headers, userId);
+  const daily = start.daily;
+
+  r = await call('POST', '/transactions', headers, { type: 'expense', amount: 1000, comment: 'taxi', budgetId: daily.id });
+  assert.strictEqual(r.status, 201, 'post failed: ' + JSON.stringify(r.body));
+  const txId = r.body.transaction.id;
+
+  let now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, daily.remaining - 1000);
+  assert.strictEqual(now.weekly.remaining, start.weekly.remaining - 1000);
+
+  // Fix the amount: budgets reflect the corrected value only
+  r = await call('PUT', `/transactions/${txId}`, headers, { amount: 1500, comment: 'taxi aller-retour' });
+  assert.strictEqual(r.status, 200, 'edit failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.transaction.amount, 1500);
+  assert.strictEqual(r.body.day.expenses, 1500);
+  now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, daily.remaining - 1500);
+  assert.strictEqual(now.weekly.remaining, start.weekly.remaining - 1500);
+
+  // An edit that would overdraw the envelope is rejected and changes nothing
+  r = await call('PUT', `/transactions/${txId}`, headers, { amount: 10000000 });
+  assert.strictEqual(r.status, 400);
+  now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, daily.remaining - 1500);
+
+  // Delete restores both envelopes
+  r = await call('DELETE', `/transactions/${txId}`, headers);
+  assert.strictEqual(r.status, 200, 'delete failed: ' + JSON.stringify(r.body));
+  assert(r.body.reversalId, 'compensating journal entry missing');
+  assert.strictEqual(r.body.day.expenses, 0);
+  now = await remaining(headers, userId);
+  assert.strictEqual(now.daily.remaining, daily.remaining);
+  assert.strictEqual(now.weekly.remaining, start.weekly.remaining);
+
+  r = await call('GET', `/transactions/id/${txId}`, headers);
+  assert.strictEqual(r.status, 404);
+
+  console.log('\nAll transaction edit tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
@@ -0,0 +1,72 @@
+// Integration test: GET /api/transactions filters, sorting and cursor pagination.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+async function run() {
+  console.log('Starting transaction search test against', API);
+  const phone = '776' + String(Date.now()).slice(-7);
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Search', lastName: 'Test', primaryIncomeAmount: 300000, createDefaultBudgets: true });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  r = await call('GET', `/budgets/${userId}`, headers);
+  const weekly = r.body.budgets.find(b => b.frequency === 'weekly');
+
+  const comments = ['taxi marché', 'riz et huile', 'taxi bureau', 'crédit téléphone', 'pharmacie'];
+  for (let i = 0; i < comments.length; i++) {
+    r = await call('POST', '/transactions', headers, { type: 'expense', amount: 100 * (i + 1), comment: comments[i], budgetId: weekly.id });
+    assert.strictEqual(r.status, 201, 'post failed: ' + JSON.stringify(r.body));
+  }
+  r = await call('POST', '/transactions', headers, { type: 'gain', amount: 2500, comment: 'vente pagne', budgetId: weekly.id });
+  assert.strictEqual(r.status, 201);
+
+  // Pages of 2 over the 6 transactions, newest first, with no duplicates
+  const seen = [];
+  let cursor = null;
+  do {
+    r = await call('GET', `/transactions?limit=2${cursor ? `&cursor=${cursor}` : ''}`, headers);
+    assert.strictEqual(r.status, 200, 'search failed: ' + JSON.stringify(r.body));
+    seen.push(...r.body.transactions.map(t => t.id));
+    cursor = r.body.nextCursor;
+  } while (cursor);
+  assert.strictEqual(seen.length, 6);
+  assert.strictEqual(new Set(seen).size, 6, 'pagination returned duplicates');
+
+  r = await call('GET', '/transactions?type=gain', headers);
+  assert.strictEqual(r.body.transactions.length, 1);
+
+  r = await call('GET', '/transactions?type=expense&minAmount=200&maxAmount=400&sort=amount&order=asc', headers);
+  assert.deepStrictEqual(r.body.transactions.map(t => t.amount), [200, 300, 400]);
+
+  r = await call('GET', '/transactions?q=taxi', headers);
+  assert.strictEqual(r.body.transactions.length, 2, 'full-text search on comment failed');
+
+  r = await call('GET', '/transactions?cursor=not-a-cursor', headers);
+  assert.strictEqual(r.status, 400);
+  assert.strictEqual(r.body.code, 'INVALID_CURSOR');
+
+  // Each cursor value must have its field's type: a query operator in place of a value is refused
+  const forged = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+  for (const [sort, values] of [
+    ['date', [{ $ne: null }, '10:00', '0123456789abcdef01234567']],
+    ['date', ['2026-01-01', { $gt: '' }, '0123456789abcdef01234567']],
+    ['amount', [{ $gt: 0 }, '0123456789abcdef01234567']],
+    ['createdAt', ['pas une date', '0123456789abcdef01234567']]
+  ]) {
+    r = await call('GET', `/transactions?sort=${sort}&cursor=${forged(values)}`, headers);
+    assert.strictEqual(r.status, 400, `${sort} cursor ${JSON.stringify(values)} should be refused`);
+    assert.strictEqual(r.body.code, 'INVALID_CURSOR');
+  }
+
+  r = await call('GET', '/transactions?from=2020-13-01x', headers);
+  assert.strictEqual(r.status, 400);
+
+  console.log('\nAll transaction search tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
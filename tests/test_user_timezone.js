@@ -0,0 +1,46 @@
+// Integration test: transactions and days are dated in the user's timezone, not the server's.
+// Run the server with SMS_PROVIDER=file (see tests/auth_helper.js).
+const assert = require('assert');
+const { loginWithOtp, authHeaders, call } = require('./auth_helper');
+
+const API = process.env.API_BASE || 'http://localhost:3000/api';
+
+function localDate(timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+}
+
+async function run() {
+  console.log('Starting user timezone test against', API);
+  const phone = '773' + String(Date.now()).slice(-7);
+
+  let r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Tz', lastName: 'Test', primaryIncomeAmount: 150000, createDefaultBudgets: true, timezone: 'Nowhere/Invalid' });
+  assert.strictEqual(r.status, 400, 'invalid timezone must be rejected at signup');
+
+  // UTC+14: always a different calendar day than UTC-11
+  r = await call('POST', '/register', { 'Content-Type': 'application/json' }, { phoneNumber: phone, firstName: 'Tz', lastName: 'Test', primaryIncomeAmount: 150000, createDefaultBudgets: true, timezone: 'Pacific/Kiritimati' });
+  assert.strictEqual(r.status, 201, 'register failed: ' + JSON.stringify(r.body));
+  const session = await loginWithOtp(phone, API);
+  const headers = authHeaders(session.accessToken);
+  const userId = session.user.id;
+
+  r = await call('GET', `/days/${userId}`, headers);
+  assert.strictEqual(r.status, 200, 'days failed: ' + JSON.stringify(r.body));
+  assert.strictEqual(r.body.today.date, localDate('Pacific/Kiritimati'), 'day must follow the user timezone');
+
+  r = await call('PUT', `/users/${userId}/preferences`, headers, { timezone: 'Mars/Olympus' });
+  assert.strictEqual(r.status, 400);
+
+  r = await call('PUT', `/users/${userId}/preferences`, headers, { timezone: 'Pacific/Pago_Pago' });
+  assert.strictEqual(r.status, 200);
+
+  // Transactions are dated and listed in the new local day
+  r = await call('POST', '/transactions', headers, { type: 'income', amount: 1000, comment: 'tz west' });
+  assert.strictEqual(r.status, 201, 'transaction failed: ' + JSON.stringify(r.body));
+  r = await call('GET', `/days/${userId}`, headers);
+  assert.strictEqual(r.body.today.date, localDate('Pacific/Pago_Pago'));
+  assert(r.body.transactions.some(t => t.comment === 'tz west'), 'transaction not in the local day');
+
+  console.log('\nAll timezone tests passed.');
+}
+
+run().catch(err => { console.error('Test failed:', err); process.exit(1); });
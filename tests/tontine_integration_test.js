@@ -1,5 +1,6 @@
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 const assert = require('assert');
+const { loginWithOtp, authHeaders } = require('./auth_helper');
 
 const API = process.env.API_BASE || 'http://localhost:3000/api';
 
@@ -15,16 +16,17 @@ async function run(){
   assert(resp.ok, 'User creation failed: ' + JSON.stringify(created));
   const userId = created.user ? created.user.id : created.userId;
   console.log('Created user', userId);
+  const auth1 = authHeaders((await loginWithOtp(phone, API)).accessToken);
 
   // 2) Create a budget to attach tontine
-  resp = await fetch(`${API}/budgets`, { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ userId, name: 'Tontine budget', amount: 100000, frequency: 'monthly' }) });
+  resp = await fetch(`${API}/budgets`, { method: 'POST', headers: auth1, body: JSON.stringify({ userId, name: 'Tontine budget', amount: 100000, frequency: 'monthly' }) });
   const b = await resp.json();
   assert(resp.ok && b.success, 'Budget create failed');
   const budgetId = b.budget ? b.budget.id : b.data?.id || b.budgetId || null;
   console.log('Created budget', budgetId);
 
   // 3) Create tontine with 4 participants, this user position 2
-  resp = await fetch(`${API}/tontines`, { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ userId, name: 'Office Tontine', contributionAmount: 1000, startDate: new Date().toISOString().split('T')[0], frequency: 'monthly', budgetId, participantsCount:4, myPosition:2 }) });
+  resp = await fetch(`${API}/tontines`, { method: 'POST', headers: auth1, body: JSON.stringify({ userId, name: 'Office Tontine', contributionAmount: 1000, startDate: new Date().toISOString().split('T')[0], frequency: 'monthly', budgetId, participantsCount:4, myPosition:2 }) });
   const t = await resp.json();
   assert(resp.ok && t.success, 'Tontine create failed: ' + JSON.stringify(t));
   const tontineId = t.tontine.id || t.tontineId || t.data?.id;
@@ -37,20 +39,21 @@ async function run(){
   assert(resp.ok, 'User2 creation failed');
   const user2 = created2.user ? created2.user.id : created2.userId;
   console.log('Created user2', user2);
+  const auth2 = authHeaders((await loginWithOtp(phone + '-2', API)).accessToken);
 
-  resp = await fetch(`${API}/tontines/${tontineId}/join`, { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ userId: user2 }) });
+  resp = await fetch(`${API}/tontines/${tontineId}/join`, { method: 'POST', headers: auth2, body: JSON.stringify({ userId: user2 }) });
   const joinRes = await resp.json();
   assert(resp.ok && joinRes.success, 'Join failed: ' + JSON.stringify(joinRes));
   console.log('User2 joined tontine');
 
   // 5) Contribute from user (should create transaction and update Day)
-  resp = await fetch(`${API}/tontines/${tontineId}/contribute`, { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ userId, amount: 1000 }) });
+  resp = await fetch(`${API}/tontines/${tontineId}/contribute`, { method: 'POST', headers: auth1, body: JSON.stringify({ userId, amount: 1000 }) });
   const contrib = await resp.json();
   assert(resp.ok && contrib.success, 'Contribute failed: ' + JSON.stringify(contrib));
   console.log('Contribution accepted, totalAmount:', contrib.totalAmount);
 
   // 6) Fetch tontine details and ensure member contributed updated
-  resp = await fetch(`${API}/tontines/id/${tontineId}`);
+  resp = await fetch(`${API}/tontines/id/${tontineId}`, { headers: auth1 });
   const details = await resp.json();
   assert(resp.ok && details.success, 'Fetch tontine details failed');
   const me = details.tontine.members.find(m => m.userId === userId || m.userId === String(userId));
@@ -63,7 +66,7 @@ async function run(){
   const start = Date.now();
   const timeout = 5000; // ms
   while (Date.now() - start < timeout) {
-    resp = await fetch(`${API}/dashboard/${userId}`);
+    resp = await fetch(`${API}/dashboard/${userId}`, { headers: auth1 });
     dash = await resp.json();
     if (resp.ok && dash.user) {
       const txs = dash.transactions || [];
@@ -76,7 +79,7 @@ async function run(){
   console.log('Tontine transaction visible in dashboard transactions');
 
   // 8) Call percent endpoint
-  resp = await fetch(`${API}/tontines/${tontineId}/percent/${userId}`);
+  resp = await fetch(`${API}/tontines/${tontineId}/percent/${userId}`, { headers: auth1 });
   const p = await resp.json();
   assert(resp.ok && p.success, 'Percent endpoint failed');
   console.log('PercentUntilMyTurn:', p.percentUntilMyTurn, 'turnsUntilMe:', p.turnsUntilMe);